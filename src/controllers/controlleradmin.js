@@ -0,0 +1,569 @@
+const path = require('path');
+const controllersql = require('./controllersql');
+const { AuditContext } = require('../services/openpayService');
+const { aplicarIdempotencia } = require('../lib/idempotencia');
+
+module.exports = {
+    // Listar reembolsos de una transacción
+    async getReembolsos(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Transacción inválida' });
+            }
+
+            const reembolsos = await controllersql.listarReembolsos(idtranspas);
+
+            res.json({ success: true, data: reembolsos });
+        } catch (error) {
+            console.error('Error al obtener reembolsos:', error);
+            res.json({ success: false, message: 'Error al cargar los reembolsos' });
+        }
+    },
+
+    // Reembolsar total o parcialmente una transacción
+    async postReembolso(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            const { monto, motivo, codigomotivo } = req.body;
+
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Transacción inválida' });
+            }
+
+            if (!motivo || !motivo.trim()) {
+                return res.json({ success: false, message: 'Indica el motivo del reembolso' });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'REEMBOLSO', {
+                idtranspas,
+                monto: monto ? parseFloat(monto) : null,
+                codigomotivo: codigomotivo || null
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
+            const resultado = await controllersql.procesarReembolso(
+                {
+                    idtranspas,
+                    monto: monto ? parseFloat(monto) : null,
+                    motivo,
+                    codigomotivo,
+                    idusuprocesa: req.user.idusu
+                },
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo procesar el reembolso' });
+            }
+
+            res.json({
+                success: true,
+                message: resultado.esreembolsototal === 'S'
+                    ? 'Reembolso total procesado. La venta y la membresía fueron anuladas.'
+                    : 'Reembolso parcial procesado. La membresía fue ajustada.',
+                data: {
+                    idreembolso: resultado.idreembolso,
+                    idtranspasreemb: resultado.idtranspasreemb,
+                    montreembolso: resultado.montreembolso
+                }
+            });
+        } catch (error) {
+            console.error('Error al procesar reembolso:', error);
+            res.json({ success: false, message: 'Error al procesar el reembolso' });
+        }
+    },
+
+    // Listar disputas (?estado=A|R|G|P)
+    async getDisputas(req, res) {
+        try {
+            const disputas = await controllersql.listarDisputas(req.query.estado || null);
+
+            res.json({
+                success: true,
+                data: disputas.map(d => ({
+                    ...d,
+                    evidenciajson: d.evidenciajson ? JSON.parse(d.evidenciajson) : null
+                }))
+            });
+        } catch (error) {
+            console.error('Error al obtener disputas:', error);
+            res.json({ success: false, message: 'Error al cargar las disputas' });
+        }
+    },
+
+    // Registrar manualmente una disputa notificada por el banco o la pasarela
+    async postDisputa(req, res) {
+        try {
+            const { idtranspas, iddisputaext, montodisputa, motivo, codigomotivo, feclimiterespuesta } = req.body;
+
+            if (!parseInt(idtranspas, 10)) {
+                return res.status(400).json({ success: false, message: 'Transacción inválida' });
+            }
+
+            const resultado = await controllersql.registrarDisputa(
+                {
+                    idtranspas: parseInt(idtranspas, 10),
+                    iddisputaext,
+                    montodisputa,
+                    motivo,
+                    codigomotivo,
+                    feclimiterespuesta,
+                    origen: 'MANUAL'
+                },
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo registrar la disputa' });
+            }
+
+            res.json({
+                success: true,
+                message: resultado.existente ? 'La transacción ya tiene una disputa abierta' : 'Disputa registrada',
+                data: { iddisputa: resultado.iddisputa }
+            });
+        } catch (error) {
+            console.error('Error al registrar disputa:', error);
+            res.json({ success: false, message: 'Error al registrar la disputa' });
+        }
+    },
+
+    // Cambiar estado de una disputa (R: en revisión, G: ganada, P: perdida)
+    async postEstadoDisputa(req, res) {
+        try {
+            const iddisputa = parseInt(req.params.id, 10);
+            const { estdisputa } = req.body;
+
+            if (!iddisputa || !['R', 'G', 'P'].includes(estdisputa)) {
+                return res.status(400).json({ success: false, message: 'Datos inválidos' });
+            }
+
+            const resultado = await controllersql.actualizarEstadoDisputa(
+                { iddisputa, estdisputa },
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error });
+            }
+
+            res.json({ success: true, message: 'Estado de la disputa actualizado' });
+        } catch (error) {
+            console.error('Error al actualizar disputa:', error);
+            res.json({ success: false, message: 'Error al actualizar la disputa' });
+        }
+    },
+
+    // Regenerar el paquete de evidencia (p. ej. con nuevas asistencias)
+    async postGenerarEvidencia(req, res) {
+        try {
+            const resultado = await controllersql.generarPaqueteEvidencia(parseInt(req.params.id, 10));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error });
+            }
+
+            res.json({ success: true, message: 'Evidencia generada', data: resultado.evidencia });
+        } catch (error) {
+            console.error('Error al generar evidencia:', error);
+            res.json({ success: false, message: 'Error al generar la evidencia' });
+        }
+    },
+
+    // Descargar el paquete de evidencia
+    async getPaqueteEvidencia(req, res) {
+        try {
+            const iddisputa = parseInt(req.params.id, 10);
+            const ruta = path.join(__dirname, '..', '..', 'storage', 'disputas', String(iddisputa), 'evidencia.json');
+
+            res.download(ruta, `evidencia_disputa_${iddisputa}.json`, (error) => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ success: false, message: 'Evidencia no generada' });
+                }
+            });
+        } catch (error) {
+            console.error('Error al descargar evidencia:', error);
+            res.json({ success: false, message: 'Error al descargar la evidencia' });
+        }
+    },
+
+    // Adjuntar archivos de evidencia (campo "archivos", uno o varios)
+    async postAdjuntosDisputa(req, res) {
+        try {
+            const iddisputa = parseInt(req.params.id, 10);
+
+            if (!req.files || !req.files.archivos) {
+                return res.status(400).json({ success: false, message: 'No se recibieron archivos' });
+            }
+
+            const archivos = Array.isArray(req.files.archivos) ? req.files.archivos : [req.files.archivos];
+
+            const resultado = await controllersql.adjuntarEvidenciaDisputa(
+                iddisputa,
+                archivos,
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error });
+            }
+
+            res.json({ success: true, message: 'Archivos adjuntados', data: resultado.adjuntos });
+        } catch (error) {
+            console.error('Error al adjuntar evidencia:', error);
+            res.json({ success: false, message: 'Error al adjuntar los archivos' });
+        }
+    },
+
+    // Alertas internas de errores de pago (PasarelaHomologacionError.notificaradmin='S')
+    async getAlertasPago(req, res) {
+        try {
+            const dias = parseInt(req.query.dias, 10) || 7;
+            const alertas = await controllersql.listarAlertasPago(dias);
+
+            res.json({
+                success: true,
+                data: alertas.map(a => ({
+                    ...a,
+                    camposcambiados: a.camposcambiados ? JSON.parse(a.camposcambiados) : null
+                }))
+            });
+        } catch (error) {
+            console.error('Error al obtener alertas de pago:', error);
+            res.json({ success: false, message: 'Error al cargar las alertas' });
+        }
+    },
+
+    // Sesiones de checkout pendientes de reparación (cobradas sin venta o membresía)
+    async getSesionesReparacion(req, res) {
+        try {
+            const sesiones = await controllersql.listarSesionesReparacion();
+            res.json({ success: true, data: sesiones });
+        } catch (error) {
+            console.error('Error al obtener sesiones por reparar:', error);
+            res.json({ success: false, message: 'Error al cargar las sesiones' });
+        }
+    },
+
+    // Diario de pasos de una sesión
+    async getDiarioSesion(req, res) {
+        try {
+            const idsesionpas = parseInt(req.params.id, 10);
+            if (!idsesionpas) {
+                return res.status(400).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const diario = await controllersql.leerDiarioSesion(idsesionpas);
+            if (!diario) {
+                return res.status(404).json({ success: false, message: 'Sesión no encontrada' });
+            }
+
+            const { journalpasos, ...sesion } = diario.sesion;
+            res.json({ success: true, data: { sesion, journal: diario.journal } });
+        } catch (error) {
+            console.error('Error al obtener diario de sesión:', error);
+            res.json({ success: false, message: 'Error al cargar el diario' });
+        }
+    },
+
+    // Completar los pasos pendientes de una sesión sin volver a cobrar
+    async postRepararSesion(req, res) {
+        try {
+            const idsesionpas = parseInt(req.params.id, 10);
+            if (!idsesionpas) {
+                return res.status(400).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const resultado = await controllersql.repararSesion(idsesionpas, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo reparar la sesión' });
+            }
+
+            res.json({
+                success: true,
+                message: resultado.accion === 'SIN_COBRO'
+                    ? 'La sesión no tenía cobro en OpenPay; se cerró como fallida.'
+                    : resultado.acciones.length > 0
+                        ? `Sesión reparada: ${resultado.acciones.join(', ')}`
+                        : 'La sesión no tenía pasos pendientes.',
+                data: resultado
+            });
+        } catch (error) {
+            console.error('Error al reparar sesión:', error);
+            res.json({ success: false, message: 'Error al reparar la sesión' });
+        }
+    },
+
+    // Cola de comprobantes de Yape/Plin y transferencias (?estado=P|A|R)
+    async getComprobantes(req, res) {
+        try {
+            const comprobantes = await controllersql.listarComprobantes(req.query.estado || 'P');
+            res.json({ success: true, data: comprobantes });
+        } catch (error) {
+            console.error('Error al obtener comprobantes:', error);
+            res.json({ success: false, message: 'Error al cargar los comprobantes' });
+        }
+    },
+
+    // Ver la imagen del comprobante
+    async getArchivoComprobante(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            const ruta = idtranspas ? await controllersql.rutaArchivoComprobante(idtranspas) : null;
+
+            if (!ruta) {
+                return res.status(404).json({ success: false, message: 'Comprobante no encontrado' });
+            }
+
+            res.sendFile(ruta, (error) => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+                }
+            });
+        } catch (error) {
+            console.error('Error al descargar comprobante:', error);
+            res.json({ success: false, message: 'Error al descargar el comprobante' });
+        }
+    },
+
+    // Aprobar un comprobante: activa la venta y las membresías
+    async postAprobarComprobante(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Comprobante inválido' });
+            }
+
+            const resultado = await controllersql.aprobarComprobante(idtranspas, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo aprobar el comprobante' });
+            }
+
+            res.json({
+                success: true,
+                message: `Comprobante aprobado. La venta ${resultado.idven} y sus membresías quedaron activas.`,
+                data: { idven: resultado.idven }
+            });
+        } catch (error) {
+            console.error('Error al aprobar comprobante:', error);
+            res.json({ success: false, message: 'Error al aprobar el comprobante' });
+        }
+    },
+
+    // Rechazar un comprobante con motivo: anula la venta
+    async postRechazarComprobante(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            const { motivo } = req.body;
+
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Comprobante inválido' });
+            }
+
+            if (!motivo || !motivo.trim()) {
+                return res.json({ success: false, message: 'Indica el motivo del rechazo' });
+            }
+
+            const resultado = await controllersql.rechazarComprobante(
+                idtranspas,
+                motivo.trim(),
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo rechazar el comprobante' });
+            }
+
+            res.json({
+                success: true,
+                message: `Comprobante rechazado. La venta ${resultado.idven} fue anulada.`,
+                data: { idven: resultado.idven }
+            });
+        } catch (error) {
+            console.error('Error al rechazar comprobante:', error);
+            res.json({ success: false, message: 'Error al rechazar el comprobante' });
+        }
+    },
+
+    // Pagos en efectivo fuera de plazo o con otro monto (?estado=P|A|R)
+    async getRevisionesEfectivo(req, res) {
+        try {
+            const revisiones = await controllersql.listarRevisionesEfectivo(req.query.estado || 'P');
+            res.json({ success: true, data: revisiones });
+        } catch (error) {
+            console.error('Error al obtener pagos en efectivo en revisión:', error);
+            res.json({ success: false, message: 'Error al cargar los pagos en revisión' });
+        }
+    },
+
+    // Aprobar un pago en efectivo en revisión: activa la venta y las membresías
+    async postAprobarPagoEfectivo(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Pago inválido' });
+            }
+
+            const resultado = await controllersql.aprobarPagoEfectivo(idtranspas, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo aprobar el pago' });
+            }
+
+            res.json({
+                success: true,
+                message: `Pago aprobado. La venta ${resultado.idven} y sus membresías quedaron activas.`,
+                data: { idven: resultado.idven }
+            });
+        } catch (error) {
+            console.error('Error al aprobar pago en efectivo:', error);
+            res.json({ success: false, message: 'Error al aprobar el pago' });
+        }
+    },
+
+    // Rechazar un pago en efectivo en revisión con motivo: la venta queda anulada
+    async postRechazarPagoEfectivo(req, res) {
+        try {
+            const idtranspas = parseInt(req.params.id, 10);
+            const { motivo } = req.body;
+
+            if (!idtranspas) {
+                return res.status(400).json({ success: false, message: 'Pago inválido' });
+            }
+
+            if (!motivo || !motivo.trim()) {
+                return res.json({ success: false, message: 'Indica el motivo del rechazo' });
+            }
+
+            const resultado = await controllersql.rechazarPagoEfectivo(
+                idtranspas,
+                motivo.trim(),
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo rechazar el pago' });
+            }
+
+            res.json({
+                success: true,
+                message: `Pago rechazado. La venta ${resultado.idven} quedó anulada; devuelve el dinero al cliente.`,
+                data: { idven: resultado.idven }
+            });
+        } catch (error) {
+            console.error('Error al rechazar pago en efectivo:', error);
+            res.json({ success: false, message: 'Error al rechazar el pago' });
+        }
+    },
+
+    // Últimas conciliaciones con OpenPay
+    async getConciliaciones(req, res) {
+        try {
+            const conciliaciones = await controllersql.listarConciliaciones();
+            res.json({ success: true, data: conciliaciones });
+        } catch (error) {
+            console.error('Error al obtener conciliaciones:', error);
+            res.json({ success: false, message: 'Error al cargar las conciliaciones' });
+        }
+    },
+
+    // Conciliar un rango de fechas (desde, hasta: YYYY-MM-DD)
+    async postConciliacion(req, res) {
+        try {
+            const { desde, hasta } = req.body;
+
+            if (!desde) {
+                return res.status(400).json({ success: false, message: 'Indica la fecha inicial' });
+            }
+
+            const resultado = await controllersql.conciliarPasarela({
+                desde,
+                hasta: hasta || desde,
+                origen: 'MANUAL',
+                idusu: req.user.idusu
+            });
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo conciliar' });
+            }
+
+            res.json({
+                success: true,
+                message: resultado.diferencias > 0
+                    ? `Conciliación terminada con ${resultado.diferencias} diferencias`
+                    : 'Conciliación terminada sin diferencias',
+                data: resultado
+            });
+        } catch (error) {
+            console.error('Error al conciliar:', error);
+            res.json({ success: false, message: 'Error al conciliar' });
+        }
+    },
+
+    // Reporte de una conciliación con sus diferencias
+    async getConciliacion(req, res) {
+        try {
+            const idconciliacion = parseInt(req.params.id, 10);
+            if (!idconciliacion) {
+                return res.status(400).json({ success: false, message: 'Conciliación inválida' });
+            }
+
+            const reporte = await controllersql.obtenerConciliacion(idconciliacion);
+            if (!reporte) {
+                return res.status(404).json({ success: false, message: 'Conciliación no encontrada' });
+            }
+
+            res.json({ success: true, data: reporte });
+        } catch (error) {
+            console.error('Error al obtener conciliación:', error);
+            res.json({ success: false, message: 'Error al cargar la conciliación' });
+        }
+    },
+
+    // Importar un cargo de OpenPay que no quedó registrado (diferencia FALTANTE)
+    async postImportarCargo(req, res) {
+        try {
+            const iddiferencia = parseInt(req.params.id, 10);
+            if (!iddiferencia) {
+                return res.status(400).json({ success: false, message: 'Diferencia inválida' });
+            }
+
+            const resultado = await controllersql.importarCargoConciliacion(iddiferencia, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo importar el cargo' });
+            }
+
+            res.json({ success: true, message: resultado.mensaje, data: resultado });
+        } catch (error) {
+            console.error('Error al importar cargo:', error);
+            res.json({ success: false, message: 'Error al importar el cargo' });
+        }
+    },
+
+    // Llevar la transacción local al estado de OpenPay (diferencia ESTADO)
+    async postSincronizarEstado(req, res) {
+        try {
+            const iddiferencia = parseInt(req.params.id, 10);
+            if (!iddiferencia) {
+                return res.status(400).json({ success: false, message: 'Diferencia inválida' });
+            }
+
+            const resultado = await controllersql.sincronizarEstadoConciliacion(iddiferencia, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo sincronizar el estado' });
+            }
+
+            res.json({ success: true, message: `Estado sincronizado: ${resultado.mensaje}`, data: resultado });
+        } catch (error) {
+            console.error('Error al sincronizar estado:', error);
+            res.json({ success: false, message: 'Error al sincronizar el estado' });
+        }
+    }
+};
@@ -1,6 +1,26 @@
 const { sequelize } = require('../database/conexionsqualize');
 const { QueryTypes } = require('sequelize');
 const helpers = require('../lib/helpers');
+const controllersql = require('./controllersql');
+const { AuditContext } = require('../services/openpayService');
+const { aplicarIdempotencia } = require('../lib/idempotencia');
+
+// Validar ownership de una tarjeta activa por token; devuelve el idtarjpas o null
+async function obtenerTarjetaDelUsuario(idtarjpas, tokenusu) {
+    const tarjeta = await sequelize.query(
+        `SELECT t.idtarjpas
+         FROM PasarelaTarjeta t
+         INNER JOIN PasarelaCliente c ON t.idclipas = c.idclipas
+         INNER JOIN usuario u ON c.idusu = u.idusu
+         WHERE t.idtarjpas = :idtarjpas AND u.tokenusu = :tokenusu AND t.estado = 'S'`,
+        {
+            replacements: { idtarjpas, tokenusu },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return tarjeta[0]?.idtarjpas || null;
+}
 
 module.exports = {
     // Obtener datos del dashboard
@@ -330,5 +350,322 @@ module.exports = {
             console.error('Error al obtener detalle del pedido:', error);
             res.json({ success: false, message: 'Error al cargar detalle del pedido' });
         }
+    },
+
+    // Obtener suscripciones del usuario
+    async getSuscripcionesData(req, res) {
+        try {
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const suscripciones = await sequelize.query(
+                `SELECT s.idsuscpas, s.estsuscripcion, s.fecinicio, s.fecproximocobro,
+                        s.fecfinperiodo, s.feccancelacion, s.cobrosfallidos,
+                        COALESCE(p.nomplanext, pr.despro) as nomplan, p.precio, p.moneda,
+                        s.idtarjpas, t.ultimos4, m.fecfinmem
+                 FROM PasarelaSuscripcion s
+                 INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+                 INNER JOIN usuario u ON c.idusu = u.idusu
+                 INNER JOIN PasarelaPlan p ON s.idplanpas = p.idplanpas
+                 LEFT JOIN Producto pr ON p.barcpro = pr.barcpro
+                 LEFT JOIN PasarelaTarjeta t ON s.idtarjpas = t.idtarjpas
+                 LEFT JOIN Membresia m ON s.idmem = m.idmem
+                 WHERE u.tokenusu = :tokenusu
+                 ORDER BY s.feccre DESC`,
+                {
+                    replacements: { tokenusu },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            // Sanitizar respuesta - no exponer IDs externos de la pasarela
+            const sanitizedData = suscripciones.map(s => ({
+                idsuscpas: s.idsuscpas,
+                nomplan: s.nomplan,
+                precio: s.precio,
+                moneda: s.moneda,
+                estsuscripcion: s.estsuscripcion,
+                fecinicio: s.fecinicio,
+                fecproximocobro: s.fecproximocobro,
+                fecfinperiodo: s.fecfinmem || s.fecfinperiodo,
+                feccancelacion: s.feccancelacion,
+                cobrosfallidos: s.cobrosfallidos,
+                idtarjpas: s.idtarjpas,
+                ultimos4: s.ultimos4
+            }));
+
+            res.json({ success: true, data: sanitizedData });
+        } catch (error) {
+            console.error('Error al obtener suscripciones:', error);
+            res.json({ success: false, message: 'Error al cargar suscripciones' });
+        }
+    },
+
+    // Cancelar una suscripción del usuario
+    async postCancelarSuscripcion(req, res) {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body;
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            if (!motivo || !motivo.trim()) {
+                return res.json({ success: false, message: 'Indica el motivo de la cancelación' });
+            }
+
+            // Validar ownership por token antes de cancelar
+            const suscripcion = await sequelize.query(
+                `SELECT s.idsuscpas
+                 FROM PasarelaSuscripcion s
+                 INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+                 INNER JOIN usuario u ON c.idusu = u.idusu
+                 WHERE s.idsuscpas = :id AND u.tokenusu = :tokenusu`,
+                {
+                    replacements: { id, tokenusu },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (!suscripcion || suscripcion.length === 0) {
+                return res.status(403).json({ success: false, message: 'Acceso denegado' });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'CANCELAR_SUSCRIPCION', {
+                idsuscpas: suscripcion[0].idsuscpas
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
+            const resultado = await controllersql.cancelarSuscripcionSocio(
+                suscripcion[0].idsuscpas,
+                motivo,
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo cancelar la suscripción' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Suscripción cancelada. No se realizarán más cobros.',
+                data: { vigenteHasta: resultado.vigenteHasta }
+            });
+        } catch (error) {
+            console.error('Error al cancelar suscripción:', error);
+            res.json({ success: false, message: 'Error al cancelar la suscripción' });
+        }
+    },
+    // Cambiar la tarjeta de cobro de una suscripción
+    async postCambiarTarjetaSuscripcion(req, res) {
+        try {
+            const { id } = req.params;
+            const { idtarjpas } = req.body;
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            if (!idtarjpas) {
+                return res.json({ success: false, message: 'Selecciona una tarjeta' });
+            }
+
+            // Validar ownership de la suscripción y de la tarjeta por token
+            const suscripcion = await sequelize.query(
+                `SELECT s.idsuscpas
+                 FROM PasarelaSuscripcion s
+                 INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+                 INNER JOIN usuario u ON c.idusu = u.idusu
+                 WHERE s.idsuscpas = :id AND u.tokenusu = :tokenusu`,
+                {
+                    replacements: { id, tokenusu },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const idtarjpasValida = await obtenerTarjetaDelUsuario(idtarjpas, tokenusu);
+
+            if (!suscripcion || suscripcion.length === 0 || !idtarjpasValida) {
+                return res.status(403).json({ success: false, message: 'Acceso denegado' });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'TARJETA_SUSCRIPCION', {
+                idsuscpas: suscripcion[0].idsuscpas,
+                idtarjpas: idtarjpasValida
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
+            const resultado = await controllersql.cambiarTarjetaSuscripcion(
+                suscripcion[0].idsuscpas,
+                idtarjpasValida,
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo cambiar la tarjeta' });
+            }
+
+            res.json({
+                success: true,
+                message: `Los próximos cobros se harán a la tarjeta terminada en ${resultado.ultimos4}.`
+            });
+        } catch (error) {
+            console.error('Error al cambiar tarjeta de suscripción:', error);
+            res.json({ success: false, message: 'Error al cambiar la tarjeta' });
+        }
+    },
+
+    // Obtener tarjetas guardadas del usuario
+    async getTarjetasData(req, res) {
+        try {
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const tarjetas = await sequelize.query(
+                `SELECT t.idtarjpas, t.ultimos4, t.mesexp, t.anioexp, t.nomtitular,
+                        t.tipotarjeta, t.bancoemisor, t.espredeterminada,
+                        m.desmarca, m.urllogo,
+                        (SELECT COUNT(*) FROM PasarelaSuscripcion s
+                         WHERE s.idtarjpas = t.idtarjpas AND s.estsuscripcion IN ('S', 'P')) AS suscripcionesactivas
+                 FROM PasarelaTarjeta t
+                 INNER JOIN PasarelaCliente c ON t.idclipas = c.idclipas
+                 INNER JOIN usuario u ON c.idusu = u.idusu
+                 LEFT JOIN PasarelaMarcaTarjeta m ON m.idmarcatarj = t.idmarcatarj
+                 WHERE u.tokenusu = :tokenusu AND t.estado = 'S'
+                 ORDER BY t.espredeterminada DESC, t.feccre DESC`,
+                {
+                    replacements: { tokenusu },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            // Sanitizar respuesta - no exponer tokens de la pasarela
+            const sanitizedData = tarjetas.map(t => ({
+                idtarjpas: t.idtarjpas,
+                marca: t.desmarca || t.tipotarjeta,
+                urllogo: t.urllogo,
+                ultimos4: t.ultimos4,
+                mesexp: t.mesexp,
+                anioexp: t.anioexp,
+                nomtitular: t.nomtitular,
+                bancoemisor: t.bancoemisor,
+                espredeterminada: t.espredeterminada === 'S',
+                enuso: t.suscripcionesactivas > 0
+            }));
+
+            res.json({ success: true, data: sanitizedData });
+        } catch (error) {
+            console.error('Error al obtener tarjetas:', error);
+            res.json({ success: false, message: 'Error al cargar las tarjetas' });
+        }
+    },
+
+    // Agregar tarjeta tokenizada con OpenPay.js
+    async postAgregarTarjeta(req, res) {
+        try {
+            const { tokenId, deviceSessionId } = req.body;
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            if (!tokenId || !deviceSessionId) {
+                return res.json({ success: false, message: 'No se pudo validar la tarjeta, intenta nuevamente' });
+            }
+
+            const resultado = await controllersql.agregarTarjetaSocio(
+                {
+                    idusu: req.user.idusu,
+                    dniusu: req.user.dniusu,
+                    tokenId,
+                    deviceSessionId
+                },
+                AuditContext.fromRequest(req)
+            );
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo agregar la tarjeta' });
+            }
+
+            res.json({ success: true, message: 'Tarjeta agregada correctamente' });
+        } catch (error) {
+            console.error('Error al agregar tarjeta:', error);
+            res.json({ success: false, message: 'Error al agregar la tarjeta' });
+        }
+    },
+
+    // Eliminar tarjeta guardada
+    async postEliminarTarjeta(req, res) {
+        try {
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const idtarjpas = await obtenerTarjetaDelUsuario(req.params.id, tokenusu);
+            if (!idtarjpas) {
+                return res.status(403).json({ success: false, message: 'Acceso denegado' });
+            }
+
+            const resultado = await controllersql.eliminarTarjetaSocio(idtarjpas, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo eliminar la tarjeta' });
+            }
+
+            res.json({ success: true, message: 'Tarjeta eliminada' });
+        } catch (error) {
+            console.error('Error al eliminar tarjeta:', error);
+            res.json({ success: false, message: 'Error al eliminar la tarjeta' });
+        }
+    },
+
+    // Marcar tarjeta como predeterminada
+    async postTarjetaPredeterminada(req, res) {
+        try {
+            const tokenusu = req.user.tokenusu;
+
+            // Validar que el token existe en la sesión
+            if (!tokenusu) {
+                return res.status(401).json({ success: false, message: 'Sesión inválida' });
+            }
+
+            const idtarjpas = await obtenerTarjetaDelUsuario(req.params.id, tokenusu);
+            if (!idtarjpas) {
+                return res.status(403).json({ success: false, message: 'Acceso denegado' });
+            }
+
+            const resultado = await controllersql.marcarTarjetaPredeterminada(idtarjpas, AuditContext.fromRequest(req));
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error || 'No se pudo actualizar la tarjeta' });
+            }
+
+            res.json({ success: true, message: 'Tarjeta predeterminada actualizada' });
+        } catch (error) {
+            console.error('Error al marcar tarjeta predeterminada:', error);
+            res.json({ success: false, message: 'Error al actualizar la tarjeta' });
+        }
     }
 };
@@ -7,14 +7,55 @@
 const { sequelize } = require('../database/conexionsqualize');
 const { QueryTypes } = require('sequelize');
 const openpayService = require('../services/openpayService');
+const pasarelaService = require('../services/pasarelaService');
 const controllersql = require('./controllersql');
+const { aplicarIdempotencia } = require('../lib/idempotencia');
+const { TAMANO_MAX_COMPROBANTE } = require('../lib/subidas');
+
+// Comprobantes de Yape/Plin y transferencias: fotos o capturas de pantalla
+const TIPOS_COMPROBANTE = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Responder un pago rechazado con el mensaje homologado de PasarelaHomologacionError
+ *
+ * @param {Object} res - Response de Express
+ * @param {string|number} codigo - error_code de OpenPay (null si no hubo)
+ * @param {string} descripcion - Descripción original del error
+ * @param {Object} contexto - { origen, idsesionpas, monto, idusu, ipaddress, useragent }
+ */
+async function responderErrorPago(res, codigo, descripcion, contexto) {
+    const errorPago = await controllersql.homologarError(codigo, descripcion, contexto);
+
+    return res.json({
+        success: false,
+        message: errorPago.msgusuario,
+        errorPago
+    });
+}
+
+/**
+ * Recordar en la sesión del navegador las sesiones de pago que inició
+ * Así un comprador sin cuenta puede consultar el estado de su propio pago
+ *
+ * @param {Object} req - Request de Express
+ * @param {number} idsesionpas - ID de PasarelaSesion
+ */
+function recordarSesionPago(req, idsesionpas) {
+    if (!req.session || !idsesionpas) {
+        return;
+    }
+
+    const sesiones = (req.session.sesionesPago || []).filter(id => id !== idsesionpas);
+    sesiones.push(idsesionpas);
+    req.session.sesionesPago = sesiones.slice(-10);
+}
 
 module.exports = {
     // Obtener productos disponibles
     async getProductos(req, res) {
         try {
             const productos = await sequelize.query(
-                `SELECT * FROM Producto WHERE estpro = 'S' ORDER BY nompro`,
+                `SELECT * FROM Producto WHERE estpro = 'S' ORDER BY despro`,
                 { type: QueryTypes.SELECT }
             );
 
@@ -25,6 +66,17 @@ module.exports = {
         }
     },
 
+    // Cuentas de Yape/Plin y transferencia para el checkout
+    async getCuentasRecaudo(req, res) {
+        try {
+            const cuentas = await controllersql.listarCuentasRecaudo();
+            res.json({ success: true, data: cuentas });
+        } catch (error) {
+            console.error('Error al obtener cuentas de recaudo:', error);
+            res.json({ success: false, message: 'Error al cargar las cuentas de pago' });
+        }
+    },
+
     // Obtener planes de membresía disponibles desde PasarelaPlan
     async getMembresias(req, res) {
         try {
@@ -63,154 +115,422 @@ module.exports = {
         }
     },
 
+    // Cotizar el carrito con precios de la BD y devolver la cotización firmada
+    async postCotizar(req, res) {
+        try {
+            const idusu = req.user ? req.user.idusu : null;
+            const resultado = await controllersql.emitirCotizacion(req.body.items, idusu);
+
+            if (!resultado.success) {
+                return res.json({ success: false, message: resultado.error });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    idcotizacion: resultado.idcotizacion,
+                    cotizacion: resultado.cotizacion,
+                    items: resultado.items,
+                    total: resultado.total,
+                    expira: resultado.expira
+                }
+            });
+        } catch (error) {
+            console.error('Error al cotizar pedido:', error);
+            res.json({ success: false, message: 'Error al calcular el total del pedido' });
+        }
+    },
+
     // Procesar pago con tarjeta (OpenPay) - Pago único
     async postProcesarPago(req, res) {
+        let contextoError = { origen: 'COBRO_UNICO' };
+
         try {
-            const { token_id, device_session_id, items, datosCliente, total } = req.body;
-            const dniusu = req.user ? req.user.dniusu : null;
+            const { token_id, device_session_id, cotizacion, datosCliente, codpasarela, numero_pedido } = req.body;
             const idusu = req.user ? req.user.idusu : null;
 
-            // Usar el servicio de OpenPay para crear el cargo
-            const resultadoCargo = await openpayService.crearCargo({
-                source_id: token_id,
-                amount: total,
-                description: 'Compra en ModoFit',
-                device_session_id: device_session_id,
-                customer: {
-                    name: datosCliente.nombre,
-                    last_name: datosCliente.apellido,
-                    email: datosCliente.email,
-                    phone_number: datosCliente.telefono
-                }
+            if (!datosCliente || !datosCliente.numeroDocumento) {
+                return res.json({ success: false, message: 'Se requiere el número de documento' });
+            }
+
+            if (!token_id) {
+                return res.json({ success: false, message: 'Debe tokenizar la tarjeta primero' });
+            }
+
+            // Items y total salen de la cotización firmada, nunca del navegador
+            const cotizado = await controllersql.validarCotizacion(cotizacion, req.body.total, idusu);
+            if (!cotizado.success) {
+                return res.json({
+                    success: false,
+                    cotizacionInvalida: true,
+                    message: cotizado.error
+                });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'PAGO', {
+                numeroDocumento: datosCliente.numeroDocumento,
+                idcotizacion: cotizado.idcotizacion
             });
+            if (idempotencykey === false) {
+                return;
+            }
 
-            if (!resultadoCargo.success) {
+            const auditContext = {
+                idusu,
+                ipaddress: req.ip || req.connection?.remoteAddress,
+                useragent: req.headers['user-agent'],
+                idempotencykey
+            };
+            contextoError = { origen: 'COBRO_UNICO', monto: cotizado.total, ...auditContext };
+
+            const resultado = await controllersql.procesarCompraUnica({
+                datosCliente,
+                tokenTarjeta: token_id,
+                deviceSessionId: device_session_id,
+                items: cotizado.items,
+                total: cotizado.total,
+                idcotizacion: cotizado.idcotizacion,
+                codpasarela,
+                numeroPedido: numero_pedido,
+                redirectUrl: `${req.protocol}://${req.get('host')}/pedidos/3ds/retorno`
+            }, auditContext);
+
+            if (!resultado.success) {
+                // respaldo: sesión de otra pasarela para reintentar sin salir del checkout
                 return res.json({
                     success: false,
-                    message: resultadoCargo.error || 'Error al procesar el pago'
+                    message: resultado.mensaje,
+                    errorPago: resultado.errorPago,
+                    respaldo: resultado.respaldo || null
                 });
             }
 
-            if (resultadoCargo.cargo.status === 'completed') {
-                // Obtener caja virtual
-                const cajaResult = await openpayService.obtenerOCrearCajaVirtual();
-                const idcaja = cajaResult.cajaVirtual?.idcaja || null;
-
-                // Pago exitoso - crear venta (reemplaza Pedido)
-                const resultVenta = await sequelize.query(
-                    `INSERT INTO Venta (dniusu, totalven, subtotalven, cantpagven, codtipopago, estven, feccre, idcaja, idusuven, origenventa) 
-                     OUTPUT INSERTED.idven
-                     VALUES (:dniusu, :total, :total, :total, 'TR', 'S', GETDATE(), :idcaja, :idusu, 'W')`,
-                    {
-                        replacements: {
-                            dniusu,
-                            total,
-                            idcaja,
-                            idusu
-                        },
-                        type: QueryTypes.INSERT
-                    }
-                );
-
-                const idVenta = resultVenta[0]?.idven;
-
-                // Registrar pago en VentaPagos
-                await sequelize.query(
-                    `INSERT INTO VentaPagos (idven, codtipopago, monto, feccre, cambio) 
-                     VALUES (:idVenta, 'TR', :total, GETDATE(), 0)`,
-                    {
-                        replacements: {
-                            idVenta,
-                            total
-                        },
-                        type: QueryTypes.INSERT
-                    }
-                );
-
-                // Insertar items de la venta (reemplaza DetallePedido)
-                for (const item of items) {
-                    await sequelize.query(
-                        `INSERT INTO VentaDetalle (idven, barcpro, cantvendet, subtotal, feccre, idusuven, cospro) 
-                         SELECT :idVenta, barcpro, :cantidad, :subtotal, GETDATE(), :idusu, cosvenpro
-                         FROM Producto WHERE idpro = :idProducto`,
-                        {
-                            replacements: {
-                                idVenta,
-                                idProducto: item.id,
-                                cantidad: item.cantidad,
-                                subtotal: item.precio * item.cantidad,
-                                idusu
-                            },
-                            type: QueryTypes.INSERT
-                        }
-                    );
-                }
+            recordarSesionPago(req, resultado.datos.idsesionpas);
 
-                // Registrar pago en tabla de transacciones (Opcional: migrar a PasarelaTransaccion si es necesario)
-                /*
-                await sequelize.query(
-                    `INSERT INTO PagoOpenPay (idped, transaction_id, authorization, amount, status, fecpago)
-                     VALUES (:idPedido, :transactionId, :authorization, :amount, :status, GETDATE())`,
-                    {
-                        replacements: {
-                            idPedido: idVenta, // Usar idVenta si la tabla fue actualizada
-                            transactionId: resultadoCargo.cargo.id,
-                            authorization: resultadoCargo.cargo.authorization,
-                            amount: total,
-                            status: 'completed'
-                        },
-                        type: QueryTypes.INSERT
-                    }
-                );
-                */
-
-                res.json({
+            // El banco exige autenticación 3D Secure
+            if (resultado.requiere3ds) {
+                return res.json({
                     success: true,
-                    message: 'Pago procesado correctamente',
-                    data: {
-                        idPedido: idVenta,
-                        authorization: resultadoCargo.cargo.authorization
-                    }
+                    requiere3ds: true,
+                    redirectUrl: resultado.redirectUrl,
+                    message: resultado.mensaje
                 });
-            } else {
-                res.json({
+            }
+
+            res.json({
+                success: true,
+                message: resultado.mensaje,
+                data: {
+                    idPedido: resultado.datos.idven,
+                    authorization: resultado.datos.authorization,
+                    tokenConfirmacion: controllersql.emitirTokenConfirmacion(resultado.datos.idven)
+                }
+            });
+        } catch (error) {
+            console.error('Error al procesar pago:', error.response?.data || error);
+            await responderErrorPago(
+                res,
+                error.response?.data?.error_code,
+                error.response?.data?.description || error.message,
+                contextoError
+            );
+        }
+    },
+
+    // Compra única pagada en efectivo: genera la referencia y deja la venta pendiente
+    async postProcesarPagoEfectivo(req, res) {
+        let contextoError = { origen: 'COBRO_EFECTIVO' };
+
+        try {
+            const { cotizacion, datosCliente } = req.body;
+            const idusu = req.user ? req.user.idusu : null;
+
+            if (!datosCliente || !datosCliente.numeroDocumento) {
+                return res.json({ success: false, message: 'Se requiere el número de documento' });
+            }
+
+            if (!datosCliente.email) {
+                return res.json({ success: false, message: 'Se requiere un correo para enviarte el código de pago' });
+            }
+
+            const cotizado = await controllersql.validarCotizacion(cotizacion, req.body.total, idusu);
+            if (!cotizado.success) {
+                return res.json({
+                    success: false,
+                    cotizacionInvalida: true,
+                    message: cotizado.error
+                });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'EFECTIVO', {
+                numeroDocumento: datosCliente.numeroDocumento,
+                idcotizacion: cotizado.idcotizacion
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
+            const auditContext = {
+                idusu,
+                ipaddress: req.ip || req.connection?.remoteAddress,
+                useragent: req.headers['user-agent'],
+                idempotencykey
+            };
+            contextoError = { origen: 'COBRO_EFECTIVO', monto: cotizado.total, ...auditContext };
+
+            const resultado = await controllersql.procesarCompraEfectivo({
+                datosCliente,
+                items: cotizado.items,
+                total: cotizado.total,
+                idcotizacion: cotizado.idcotizacion
+            }, auditContext);
+
+            if (!resultado.success) {
+                return res.json({
                     success: false,
-                    message: 'El pago no pudo ser procesado'
+                    message: resultado.mensaje,
+                    errorPago: resultado.errorPago
                 });
             }
+
+            recordarSesionPago(req, resultado.datos.idsesionpas);
+
+            res.json({
+                success: true,
+                message: resultado.mensaje,
+                data: {
+                    idPedido: resultado.datos.idven,
+                    efectivo: resultado.efectivo,
+                    tokenConfirmacion: controllersql.emitirTokenConfirmacion(resultado.datos.idven)
+                }
+            });
         } catch (error) {
-            console.error('Error al procesar pago:', error.response?.data || error);
+            console.error('Error al generar pago en efectivo:', error.response?.data || error);
+            await responderErrorPago(
+                res,
+                error.response?.data?.error_code,
+                error.response?.data?.description || error.message,
+                contextoError
+            );
+        }
+    },
+
+    // Pago con Yape/Plin o transferencia: multipart con el comprobante en el campo "comprobante"
+    async postProcesarPagoComprobante(req, res) {
+        try {
+            const { cotizacion, metododepago, idcuentarec, numerooperacion } = req.body;
+            const idusu = req.user ? req.user.idusu : null;
+
+            // En multipart los objetos llegan como texto JSON
+            let datosCliente = req.body.datosCliente;
+            try {
+                datosCliente = typeof datosCliente === 'string' ? JSON.parse(datosCliente) : datosCliente;
+            } catch (error) {
+                datosCliente = null;
+            }
+
+            if (!datosCliente || !datosCliente.numeroDocumento) {
+                return res.json({ success: false, message: 'Se requiere el número de documento' });
+            }
+
+            if (!controllersql.METODOS_COMPROBANTE[metododepago]) {
+                return res.json({ success: false, message: 'Método de pago inválido' });
+            }
+
+            if (!numerooperacion || !/^[A-Za-z0-9-]{4,30}$/.test(String(numerooperacion).trim())) {
+                return res.json({ success: false, message: 'Ingresa el número de operación que aparece en tu comprobante' });
+            }
+
+            const archivo = req.files?.comprobante;
+            if (!archivo || Array.isArray(archivo)) {
+                return res.json({ success: false, message: 'Adjunta una imagen de tu comprobante' });
+            }
+
+            if (!TIPOS_COMPROBANTE.includes(archivo.mimetype) || archivo.size > TAMANO_MAX_COMPROBANTE) {
+                return res.json({ success: false, message: 'El comprobante debe ser una imagen JPG, PNG o WEBP de hasta 5 MB' });
+            }
+
+            const cotizado = await controllersql.validarCotizacion(cotizacion, req.body.total, idusu);
+            if (!cotizado.success) {
+                return res.json({
+                    success: false,
+                    cotizacionInvalida: true,
+                    message: cotizado.error
+                });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'COMPROBANTE', {
+                numeroDocumento: datosCliente.numeroDocumento,
+                idcotizacion: cotizado.idcotizacion,
+                metododepago,
+                numerooperacion
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
+            const resultado = await controllersql.procesarCompraComprobante({
+                datosCliente,
+                items: cotizado.items,
+                total: cotizado.total,
+                idcotizacion: cotizado.idcotizacion,
+                metododepago,
+                idcuentarec,
+                numerooperacion: String(numerooperacion).trim(),
+                archivo
+            }, {
+                idusu,
+                ipaddress: req.ip || req.connection?.remoteAddress,
+                useragent: req.headers['user-agent'],
+                idempotencykey
+            });
+
+            if (!resultado.success) {
+                return res.json({
+                    success: false,
+                    message: resultado.mensaje,
+                    errorPago: resultado.errorPago
+                });
+            }
+
+            recordarSesionPago(req, resultado.datos.idsesionpas);
+
             res.json({
-                success: false,
-                message: error.response?.data?.description || 'Error al procesar el pago'
+                success: true,
+                message: resultado.mensaje,
+                data: {
+                    idPedido: resultado.datos.idven,
+                    tokenConfirmacion: controllersql.emitirTokenConfirmacion(resultado.datos.idven)
+                }
             });
+        } catch (error) {
+            console.error('Error al registrar pago con comprobante:', error);
+            res.json({ success: false, message: 'No pudimos registrar tu comprobante. Intenta nuevamente.' });
         }
     },
 
-    // Verificar estado de un pago
+    // Retorno del banco después de la autenticación 3D Secure (?id=<cargo>)
+    async getRetorno3DS(req, res) {
+        const renderFallo = (mensaje, pendiente = false, idtransext = null) => res.render('pedidos/pago-fallido', {
+            layout: 'public',
+            mensaje,
+            pendiente,
+            idtransext
+        });
+
+        try {
+            const chargeId = req.query.id;
+            if (!chargeId) {
+                return renderFallo('No recibimos la respuesta de tu banco.');
+            }
+
+            const resultadoCargo = await openpayService.obtenerCargo(chargeId);
+            if (!resultadoCargo.success) {
+                return renderFallo('No pudimos verificar el pago con la pasarela.');
+            }
+
+            const cargo = resultadoCargo.cargo;
+
+            // Pasos 13-20 en una transacción de BD (el webhook usa la misma rutina)
+            const compra = await controllersql.confirmarCompra3DS(cargo, {
+                ipaddress: req.ip,
+                useragent: req.headers['user-agent']
+            });
+
+            if (!compra.aplica) {
+                return renderFallo(compra.error
+                    ? 'El pago no corresponde al pedido.'
+                    : 'No encontramos el pedido asociado a este pago.');
+            }
+
+            // El id del cargo viaja en la URL del banco: solo el navegador que inició el pago
+            // (la sesión quedó registrada en /procesar-pago) o el dueño del pedido ve la compra
+            const pedido = compra.pedido;
+            const esComprador = (req.session?.sesionesPago || []).includes(compra.idsesionpas)
+                || (!!req.user && Number(req.user.idusu) === Number(pedido.idusu));
+
+            if (compra.estado === 'PENDIENTE') {
+                return renderFallo('Tu banco aún no confirma el pago. Te avisaremos apenas se acredite.', true, cargo.id);
+            }
+
+            if (compra.estado === 'FALLIDA') {
+                return renderFallo(cargo.error_message || 'Tu banco no autorizó el pago.');
+            }
+
+            if (!compra.success && !compra.cobrado) {
+                return renderFallo('No encontramos la transacción de este pago.');
+            }
+
+            if (!compra.success) {
+                console.error('Error al completar compra 3D Secure:', compra.error);
+
+                // El banco ya autorizó: reparar la venta o, si no se puede, reembolsar
+                const compensacion = await controllersql.compensarCheckout({
+                    idsesionpas: compra.idsesionpas,
+                    motivo: compra.error,
+                    idcliext: cargo.customer_id,
+                    idcargo: cargo.id,
+                    monto: pedido.total
+                }, { idusu: pedido.idusu, ipaddress: req.ip, useragent: req.headers['user-agent'] });
+
+                if (compensacion.accion === 'REPARACION') {
+                    return renderFallo('Tu pago fue recibido pero no pudimos registrar la compra. La completaremos en unos minutos, no vuelvas a pagar.', true);
+                }
+                return renderFallo(compensacion.reembolsado
+                    ? 'No pudimos registrar tu compra y el cobro fue reembolsado.'
+                    : 'No pudimos registrar tu compra. Nos comunicaremos contigo para devolver el cobro.');
+            }
+
+            if (!compra.idven) {
+                return renderFallo('Tu pago ya está siendo procesado. Revisa tus pedidos en unos minutos.', true);
+            }
+
+            // Sin token de confirmación: la página consulta la venta con la sesión o el usuario
+            res.render('pedidos/confirmacion', {
+                layout: 'public',
+                pedido: esComprador
+                    ? { idven: compra.idven, total: pedido.total, autorizacion: cargo.authorization }
+                    : null
+            });
+        } catch (error) {
+            console.error('Error en retorno 3D Secure:', error);
+            renderFallo('Ocurrió un error al confirmar tu pago. Si se realizó el cobro, nos comunicaremos contigo.');
+        }
+    },
+
+    // Verificar estado de un pago (el checkout consulta cargos pendientes o en 3D Secure)
     async getEstadoPago(req, res) {
         try {
             const { transactionId } = req.params;
 
-            // Obtener configuración de OpenPay desde BD
-            const openpayConfig = await getOpenpayConfigFromDB();
+            const resultado = await controllersql.consultarEstadoPago(transactionId, {
+                idusu: req.user?.idusu || null,
+                sesiones: req.session?.sesionesPago || []
+            });
+
+            if (!resultado.success) {
+                return res.status(404).json({ success: false, message: 'No encontramos el pago' });
+            }
 
-            const openpayResponse = await axios.get(
-                `${openpayConfig.apiUrl}/${openpayConfig.merchantId}/charges/${transactionId}`,
-                {
-                    auth: {
-                        username: openpayConfig.privateKey,
-                        password: ''
-                    }
-                }
-            );
+            const { estado, cargo, transaccion } = resultado;
 
             res.json({
                 success: true,
                 data: {
-                    status: openpayResponse.data.status,
-                    amount: openpayResponse.data.amount,
-                    authorization: openpayResponse.data.authorization
+                    transactionId: transaccion.idtransext,
+                    status: estado.codestadoext,
+                    codestadoint: estado.codestadoint,
+                    desestado: estado.desestado,
+                    colorhex: estado.colorhex,
+                    iconclass: estado.iconclass,
+                    esfinal: estado.esfinal === 'S',
+                    esexitoso: estado.esexitoso === 'S',
+                    espendiente: estado.espendiente === 'S',
+                    amount: cargo?.amount ?? parseFloat(transaccion.montbruto),
+                    authorization: cargo?.authorization || transaccion.codautorizacion || null,
+                    idven: transaccion.idven || null,
+                    actualizado: resultado.actualizado,
+                    sincronizado: resultado.sincronizado
                 }
             });
         } catch (error) {
@@ -219,24 +539,67 @@ module.exports = {
         }
     },
 
-    // Obtener detalle de confirmación de pedido
+    // Detalle de la venta para la página de confirmación (solo el comprador)
     async getConfirmacionData(req, res) {
         try {
-            const { id } = req.params;
-
-            const pedido = await sequelize.query(
-                `SELECT p.*, dp.*, pr.nompro 
-                 FROM Pedido p
-                 INNER JOIN DetallePedido dp ON p.idped = dp.idped
-                 INNER JOIN Producto pr ON dp.idpro = pr.idpro
-                 WHERE p.idped = :id`,
-                {
-                    replacements: { id },
-                    type: QueryTypes.SELECT
-                }
-            );
+            const idven = parseInt(req.params.id);
+            if (!idven) {
+                return res.status(404).json({ success: false, message: 'No encontramos la compra' });
+            }
+
+            const resultado = await controllersql.obtenerConfirmacionVenta(idven, {
+                idusu: req.user?.idusu || null,
+                sesiones: req.session?.sesionesPago || [],
+                token: req.query.token
+            });
+
+            if (!resultado.success) {
+                return res.status(404).json({ success: false, message: 'No encontramos la compra' });
+            }
 
-            res.json({ success: true, data: pedido });
+            const { venta, lineas, pagos, tarjeta, efectivo, comprobante, membresias, suscripcion } = resultado;
+
+            res.json({
+                success: true,
+                data: {
+                    idven: venta.idven,
+                    fecha: venta.fecha,
+                    subtotal: venta.subtotal,
+                    descuento: venta.descuento,
+                    total: venta.total,
+                    estado: venta.estado,
+                    autorizacion: venta.autorizacion,
+                    lineas: lineas.map(l => ({
+                        barcpro: l.barcpro,
+                        nombre: l.despro || l.barcpro,
+                        cantidad: l.cantvendet,
+                        precio: parseFloat(l.cospro) || 0,
+                        subtotal: parseFloat(l.subtotal) || 0
+                    })),
+                    pagos: pagos.map(p => ({
+                        codtipopago: p.codtipopago,
+                        metodo: p.destipopago || p.codtipopago,
+                        monto: parseFloat(p.monto) || 0
+                    })),
+                    tarjeta,
+                    efectivo,
+                    comprobante,
+                    membresias: membresias.map(m => ({
+                        idmem: m.idmem,
+                        nombre: m.despro || m.barcpro,
+                        inicio: m.fecinimem,
+                        fin: m.fecfinmem,
+                        dias: m.diasmem,
+                        estado: m.estamem
+                    })),
+                    suscripcion: suscripcion ? {
+                        plan: suscripcion.nomplanext,
+                        precio: parseFloat(suscripcion.precio) || 0,
+                        estado: suscripcion.estsuscripcion,
+                        proximoCobro: suscripcion.fecproximocobro
+                    } : null
+                }
+            });
         } catch (error) {
             console.error('Error al obtener confirmación:', error);
             res.json({ success: false, message: 'Error al cargar confirmación del pedido' });
@@ -252,8 +615,7 @@ module.exports = {
                 deviceSessionId,
                 planId,
                 idplanpas,
-                montoPlan,
-                barcpro
+                montoPlan
             } = req.body;
 
             // Validar datos requeridos
@@ -271,17 +633,56 @@ module.exports = {
                 });
             }
 
-            if (!planId) {
+            if (!planId && !idplanpas) {
                 return res.json({
                     success: false,
                     mensaje: 'Debe seleccionar un plan de suscripción'
                 });
             }
 
+            // Precio, código y producto del plan salen de PasarelaPlan, no del navegador
+            const plan = await controllersql.obtenerPlanVigente({ idplanpas, codplanext: planId });
+            if (!plan) {
+                return res.json({
+                    success: false,
+                    mensaje: 'El plan seleccionado ya no está disponible'
+                });
+            }
+
+            if (montoPlan !== undefined && montoPlan !== null
+                && Math.abs(parseFloat(montoPlan) - parseFloat(plan.precio)) >= 0.01) {
+                console.log(`[postProcesarSuscripcion] Monto alterado: ${montoPlan} ≠ ${plan.precio} (plan ${plan.idplanpas})`);
+                return res.json({
+                    success: false,
+                    mensaje: 'El precio del plan cambió, vuelve a cargar la página'
+                });
+            }
+
+            // Las suscripciones solo corren en pasarelas con planes recurrentes
+            const pasarela = await pasarelaService.seleccionarPasarela({
+                idplanpas: plan.idplanpas,
+                operacion: 'SUSCRIPCION'
+            });
+            if (!pasarela.success) {
+                return res.json({
+                    success: false,
+                    mensaje: pasarela.error
+                });
+            }
+
+            const idempotencykey = await aplicarIdempotencia(req, res, 'SUSCRIPCION', {
+                numeroDocumento: datosCliente.numeroDocumento,
+                idplanpas: plan.idplanpas
+            });
+            if (idempotencykey === false) {
+                return;
+            }
+
             // Crear contexto de auditoría
             const auditContext = {
                 ipaddress: req.ip || req.connection?.remoteAddress,
-                useragent: req.headers['user-agent']
+                useragent: req.headers['user-agent'],
+                idempotencykey
             };
 
             // Ejecutar flujo completo
@@ -289,20 +690,31 @@ module.exports = {
                 datosCliente,
                 tokenTarjeta,
                 deviceSessionId,
-                planId,
-                idplanpas,
-                montoPlan,
-                barcpro
+                planId: plan.codplanext,
+                idplanpas: plan.idplanpas,
+                montoPlan: parseFloat(plan.precio),
+                barcpro: plan.barcpro
             }, auditContext);
 
+            recordarSesionPago(req, resultado.datos?.sesion?.idsesionpas);
+
+            if (resultado.success && resultado.datos?.venta?.idven) {
+                resultado.datos.venta.tokenConfirmacion = controllersql.emitirTokenConfirmacion(resultado.datos.venta.idven);
+            }
             return res.json(resultado);
 
         } catch (error) {
             console.error('[postProcesarSuscripcion] Error:', error.message);
+            const errorPago = await controllersql.homologarError(null, error.message, {
+                origen: 'SUSCRIPCION',
+                ipaddress: req.ip || req.connection?.remoteAddress,
+                useragent: req.headers['user-agent']
+            });
             return res.json({
                 success: false,
-                mensaje: 'Error al procesar la suscripción',
-                error: error.message
+                mensaje: errorPago.msgusuario,
+                error: error.message,
+                errorPago
             });
         }
     },
@@ -372,16 +784,19 @@ module.exports = {
     // Health check del servicio OpenPay
     async getHealthCheck(req, res) {
         try {
-            await openpayService.ensureInitialized();
+            const salud = await openpayService.healthCheck();
             const config = openpayService.config;
 
             res.json({
-                success: true,
+                success: salud.status !== 'unhealthy',
                 data: {
-                    status: 'OK',
+                    status: salud.status === 'healthy' ? 'OK' : salud.status === 'degraded' ? 'DEGRADADO' : 'ERROR',
                     pasarela: config?.nompasarela || 'OpenPay',
                     ambiente: config?.ambiente || 'SANDBOX',
-                    timestamp: new Date().toISOString()
+                    pagosDisponibles: salud.pagosDisponibles,
+                    circuitos: salud.circuitos,
+                    pasarelas: pasarelaService.getEstadoCircuitos().pasarelas,
+                    timestamp: salud.timestamp
                 }
             });
         } catch (error) {
@@ -1,5 +1,8 @@
 const { sequelize } = require('../database/conexionsqualize');
 const { QueryTypes } = require('sequelize');
+const controllersql = require('./controllersql');
+const openpayService = require('../services/openpayService');
+const pasarelaService = require('../services/pasarelaService');
 
 module.exports = {
     // Render de páginas públicas
@@ -80,10 +83,41 @@ module.exports = {
     async getPedidos(req, res) {
         res.render('dashboard/pedidos', { layout: 'dashboard' });
     },
+    async getTarjetas(req, res) {
+        try {
+            // Configuración pública de OpenPay para tokenizar la tarjeta
+            const pasarela = await sequelize.query(
+                `SELECT merchantid, publickey, ambiente 
+                 FROM PasarelaPago 
+                 WHERE codpasarela = 'OPP' AND estado = 'S'`,
+                { type: QueryTypes.SELECT }
+            );
+
+            const openpayConfig = pasarela[0] || {};
+
+            res.render('dashboard/tarjetas', {
+                layout: 'dashboard',
+                openpayMerchantId: openpayConfig.merchantid || '',
+                openpayPublicKey: openpayConfig.publickey || '',
+                openpayIsSandbox: openpayConfig.ambiente === 'SANDBOX'
+            });
+        } catch (error) {
+            console.error('Error al obtener configuración de pasarela:', error);
+            res.render('dashboard/tarjetas', {
+                layout: 'dashboard',
+                openpayMerchantId: '',
+                openpayPublicKey: '',
+                openpayIsSandbox: true
+            });
+        }
+    },
 
     // Render de pedidos/compras
     async getCatalogo(req, res) {
-        res.render('pedidos/index', { layout: 'public' });
+        res.render('pedidos/index', {
+            layout: 'public',
+            pagosDisponibles: pasarelaService.getEstadoCircuitos().pagosDisponibles
+        });
     },
     async getCarrito(req, res) {
         res.render('pedidos/carrito', { layout: 'public' });
@@ -101,29 +135,36 @@ module.exports = {
             const openpayConfig = pasarela[0] || {};
             const isSandbox = openpayConfig.ambiente === 'SANDBOX';
 
-            // Parse plan parameters from query string
-            const planData = {
-                planId: req.query.planId || null,
-                planName: req.query.planName || null,
-                price: req.query.price ? parseFloat(req.query.price) : null,
-                currency: req.query.currency || 'S/',
-                duration: req.query.duration ? parseInt(req.query.duration) : null,
-                frequency: req.query.frequency ? parseInt(req.query.frequency) : null,
-                frequencyUnit: req.query.frequencyUnit || null,
-                trialDays: req.query.trialDays ? parseInt(req.query.trialDays) : null,
-                description: req.query.description || null
-            };
+            // Del query string solo se toma el plan; precio y datos salen de PasarelaPlan
+            const plan = await controllersql.obtenerPlanVigente({
+                idplanpas: req.query.planId,
+                codplanext: req.query.planId
+            });
+
+            const planData = plan ? {
+                planId: plan.codplanext,
+                idplanpas: plan.idplanpas,
+                planName: plan.nomplanext || plan.despro,
+                price: parseFloat(plan.precio),
+                currency: plan.moneda || 'S/',
+                duration: plan.durpro,
+                frequency: plan.frecuencianum,
+                frequencyUnit: plan.frecuenciaunidad,
+                trialDays: plan.diasprueba,
+                description: plan.despro
+            } : null;
 
-            // Only include plan data if we have essential information
-            const hasValidPlanData = planData.planId && planData.planName && planData.price;
+            const hasValidPlanData = !!planData;
 
             res.render('pedidos/checkout', { 
                 layout: 'public',
                 openpayMerchantId: openpayConfig.merchantid || '',
                 openpayPublicKey: openpayConfig.publickey || '',
                 openpayIsSandbox: isSandbox,
+                openpayIsLocal: openpayService.usaSimulador(openpayConfig),
                 planData: hasValidPlanData ? planData : null,
-                hasPreselectedPlan: hasValidPlanData
+                hasPreselectedPlan: hasValidPlanData,
+                pagosDisponibles: pasarelaService.getEstadoCircuitos().pagosDisponibles
             });
         } catch (error) {
             console.error('Error al obtener configuración de pasarela:', error);
@@ -132,8 +173,10 @@ module.exports = {
                 openpayMerchantId: '',
                 openpayPublicKey: '',
                 openpayIsSandbox: true,
+                openpayIsLocal: false,
                 planData: null,
-                hasPreselectedPlan: false
+                hasPreselectedPlan: false,
+                pagosDisponibles: pasarelaService.getEstadoCircuitos().pagosDisponibles
             });
         }
     },
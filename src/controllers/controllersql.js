@@ -24,26 +24,98 @@
  * Paso 11: Suscribir cliente en OpenPay (ApiLog → OpenPay → ApiLog → Auditoria)
  * Paso 12: Registrar en PasarelaSuscripcion con idapilog
  * 
- * === FASE 4: TRANSACCIÓN Y CIERRE ===
+ * === FASE 4: TRANSACCIÓN (una transacción de BD) ===
  * Paso 13: Registrar en PasarelaTransaccion con idapilog
  * Paso 14: Actualizar Caja (tipocaja='V') + CajaDetallePasarela
- * Paso 15: Registrar historial: acción 'PAGO_EXITOSO' o 'PAGO_FALLIDO'
- * Paso 16: Cerrar sesión (actualizar estado a 'C'=Completada o 'F'=Fallida)
  * 
- * === FASE 5: VENTA Y MEMBRESÍA ===
+ * === FASE 5: VENTA, MEMBRESÍA Y CIERRE (una transacción de BD) ===
  * Paso 17: Crear Venta virtual (origenventa='V', idcaja, idtranspas)
  * Paso 18: Crear VentaDetalle
  * Paso 19: Crear Membresía con estado='S' (Activa), idsuscpas
  * Paso 20: Actualizar PasarelaTransaccion con idven
+ * Paso 16: Cerrar sesión (actualizar estado a 'C'=Completada o 'F'=Fallida)
+ * Paso 15: Registrar historial: acción 'PAGO_EXITOSO' o 'PAGO_FALLIDO' (después del commit)
+ * 
+ * === FASE 6: RENOVACIÓN (webhook charge.succeeded de una suscripción) ===
+ * Reutiliza los pasos 13, 14, 17, 18, 19 y 20 para cada cobro recurrente
+ * 
+ * === FASE 7: DUNNING (subscription.charge.failed + job de reintentos) ===
+ * Sigue el calendario de PasarelaConfigReintento; al agotar los intentos la
+ * suscripción pasa a 'V' (vencida) y la membresía queda suspendida
+ * 
+ * === FASE 8: CANCELACIÓN (autoservicio del socio) ===
+ * 
+ * === FASE 9: REEMBOLSOS (personal) ===
+ * PasarelaReembolso + transacción REEMBOLSO; revierte caja y anula o recorta la membresía
+ * 
+ * === FASE 10: DISPUTAS (chargeback.* + personal) ===
+ * PasarelaDisputa + paquete de evidencia en storage/disputas/<iddisputa>/
+ * 
+ * === FASE 11: BILLETERA DE TARJETAS (autoservicio del socio) ===
+ * 
+ * === FASE 12: HOMOLOGACIÓN DE ERRORES ===
+ * error_code de OpenPay → PasarelaHomologacionError; notificaradmin='S' genera una alerta interna
+ * 
+ * === FASE 13: COTIZACIÓN ===
+ * Precios desde Producto.cosvenpro / PasarelaPlan.precio; el checkout cobra una cotización firmada
+ * 
+ * === FASE 14: COMPRA ÚNICA ===
+ * Sesión → cliente → cargo → transacción → caja → venta, con los mismos pasos que la suscripción;
+ * con 3D Secure la venta la crea el retorno del banco o el webhook, lo que llegue primero
+ * 
+ * === FASE 15: DIARIO Y COMPENSACIONES ===
+ * Cada paso confirmado se agrega a PasarelaSesion.journalpasos; si algo falla después de
+ * cobrar, la sesión queda con estreparacion='P' (o se revierte en OpenPay si no se puede encolar)
+ * 
+ * === FASE 16: REPARACIÓN DE SESIONES ===
+ * Completa desde el diario los pasos 12-20 que falten, consultando OpenPay pero sin volver a cobrar
+ * 
+ * === FASE 17: ESTADO DE PAGO ===
+ * status del cargo en OpenPay → PasarelaEstado; la transacción local se actualiza si cambió
+ * 
+ * === FASE 18: CONFIRMACIÓN DE COMPRA ===
+ * Venta + líneas + pagos + membresías + próximo cobro, solo para el comprador (sesión o token firmado)
+ * 
+ * === FASE 19: IDEMPOTENCIA ===
+ * Idempotency-Key de checkouts, reembolsos y cambios de suscripción en PasarelaIdempotencia;
+ * un reintento recibe la respuesta original en lugar de cobrar otra vez
  * 
- * NOTA: Todos los pagos son por pasarela (suscripciones). No hay pagos al contado.
+ * === FASE 20: PAGO EN EFECTIVO ===
+ * Cargo 'store' de OpenPay → referencia con código de barras; venta y membresías quedan 'P'
+ * hasta el webhook charge.succeeded y se anulan si vence feclimitepago sin pago; un pago
+ * fuera de plazo o con otro monto queda en revisión del personal
+ * 
+ * === FASE 21: PAGO CON COMPROBANTE ===
+ * Yape/Plin (QR) o transferencia a una cuenta de PasarelaCuentaRecaudo; el cliente sube el
+ * comprobante, la venta queda 'P' y el personal la aprueba o rechaza desde la cola de revisión
+ * 
+ * === FASE 22: REPORTE DIARIO ===
+ * Job diario: transacciones, suscripciones y reembolsos del día → PasarelaReporteDiario
+ * (una fila por pasarela, se recalcula si se vuelve a generar) y cierre de las cajas virtuales
+ * 
+ * === FASE 23: CONCILIACIÓN ===
+ * Cargos listados en OpenPay vs. PasarelaTransaccion por idtransext → PasarelaConciliacion y
+ * sus diferencias; el personal importa los cargos faltantes o sincroniza el estado con un clic
+ * 
+ * === PASARELAS ===
+ * La compra única cobra con la pasarela elegida por pasarelaService (checkout → plan → prioridad)
+ * y, si OpenPay rechaza o no responde, ofrece reintentar con la de respaldo (Niubiz).
+ * Reembolsos, estado de pago y reparaciones usan la pasarela con la que se cobró
+ * 
+ * NOTA: Todos los pagos son por pasarela. El efectivo se paga con la referencia de OpenPay,
+ * no en caja; Yape/Plin y transferencias se registran con la pasarela MAN (sin API).
  */
 
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { sequelize } = require('../database/conexionsqualize');
 const { QueryTypes } = require('sequelize');
 const openpayService = require('../services/openpayService');
-const { AuditContext, sanitizeString } = require('../services/openpayService');
+const pasarelaService = require('../services/pasarelaService');
+const { AuditContext, sanitizeString, validateAmount } = require('../services/openpayService');
+const tokens = require('../lib/tokens');
 
 // ============================================================================
 // PASO 3: BUSCAR USUARIO POR DOCUMENTO
@@ -358,7 +430,7 @@ async function guardarTarjetaPasarela(datos) {
     const {
         idclipas, tokenId, sourceid, deviceSessionId,
         ultimos4, mesexp, anioexp, nomtitular, marca,
-        bancoemisor, idapilog
+        bancoemisor, espredeterminada, idapilog
     } = datos;
 
     console.log(`[Paso 9] Guardando tarjeta en PasarelaTarjeta:`);
@@ -370,13 +442,15 @@ async function guardarTarjetaPasarela(datos) {
     try {
         await sequelize.query(
             `INSERT INTO PasarelaTarjeta (
-                idclipas, idapilog, tokenidtemp, sourceid, devicesessionid,
+                idclipas, idmarcatarj, idapilog, tokenidtemp, sourceid, devicesessionid,
                 ultimos4, mesexp, anioexp, nomtitular, tipotarjeta,
                 bancoemisor, espredeterminada, estado, feccre
             ) VALUES (
-                :idclipas, :idapilog, :tokenidtemp, :sourceid, :devicesessionid,
+                :idclipas,
+                (SELECT TOP 1 idmarcatarj FROM PasarelaMarcaTarjeta WHERE codmarcaext = :tipotarjeta AND estado = 'S'),
+                :idapilog, :tokenidtemp, :sourceid, :devicesessionid,
                 :ultimos4, :mesexp, :anioexp, :nomtitular, :tipotarjeta,
-                :bancoemisor, 'S', 'S', GETDATE()
+                :bancoemisor, :espredeterminada, 'S', GETDATE()
             )`,
             {
                 replacements: {
@@ -390,7 +464,8 @@ async function guardarTarjetaPasarela(datos) {
                     anioexp: sanitizeString(anioexp, 4),
                     nomtitular: sanitizeString(nomtitular, 150),
                     tipotarjeta: sanitizeString(marca, 20),
-                    bancoemisor: sanitizeString(bancoemisor, 100)
+                    bancoemisor: sanitizeString(bancoemisor, 100),
+                    espredeterminada: espredeterminada === 'N' ? 'N' : 'S'
                 },
                 type: QueryTypes.INSERT
             }
@@ -445,6 +520,7 @@ async function crearSesionPago(datos) {
         useragent, ipaddress, plataforma,
         barcpro, montintentado
     } = datos;
+    const adaptador = datos.adaptador || openpayService;
 
     console.log(`[Paso 1] Creando sesión de pago en PasarelaSesion:`);
     console.log(`[Paso 1]   - idusu: ${idusu || 'pendiente'}`);
@@ -452,8 +528,8 @@ async function crearSesionPago(datos) {
     console.log(`[Paso 1]   - monto: ${montintentado}`);
 
     try {
-        await openpayService.ensureInitialized();
-        const idpasarela = openpayService.config?.idpasarela || 1;
+        await adaptador.ensureInitialized();
+        const idpasarela = adaptador.config?.idpasarela || 1;
 
         // Generar sessionid único
         const sessionid = `SES-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -715,14 +791,19 @@ async function guardarSuscripcionPasarela(datos) {
  * - idtipotrans (FK), idestadopas (FK)
  * - moneda, montbruto, montcomisionvar, montcomisionfija, montimpuestocom, montneto
  * - idtarjpas, ultimos4tarj, marcatarj
- * - jsonresponse, coderrorpas, msgerrorpas
+ * - jsonresponse, coderrorpas, msgerrorpas (opcionales, para cobros fallidos)
+ * - idempotencykey (Idempotency-Key del checkout, si vino)
+ * - metododepago, codigopago, urlrecibo, feclimitepago (pagos en efectivo)
  * - ipaddress, useragent
+ * 
+ * datos.adaptador: pasarela del cobro (por defecto OpenPay); estadoext ya en el vocabulario común
  * - estado, fectransaccion, fecmov
  * 
  * @param {Object} datos - Datos de la transacción
- * @returns {Object} - { success, idtranspas }
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
+ * @returns {Object} - { success, idtranspas, idcaja }
  */
-async function registrarTransaccion(datos) {
+async function registrarTransaccion(datos, transaction = null) {
     const {
         idusu, dniusu, idsuscpas, idsesionpas, idtarjpas,
         idtransext, referenciaorden,
@@ -730,8 +811,11 @@ async function registrarTransaccion(datos) {
         montbruto, montcomision, montimpuesto,
         ultimos4tarj, marcatarj,
         jsonresponse, ipaddress, useragent,
-        idapilog
+        coderrorpas, msgerrorpas,
+        idapilog, idempotencykey,
+        metododepago, codigopago, urlrecibo, feclimitepago
     } = datos;
+    const adaptador = datos.adaptador || openpayService;
 
     console.log(`[Paso 13] Registrando transacción en PasarelaTransaccion:`);
     console.log(`[Paso 13]   - idusu: ${idusu}`);
@@ -742,8 +826,8 @@ async function registrarTransaccion(datos) {
     console.log(`[Paso 13]   - idapilog (del paso 11): ${idapilog}`);
 
     try {
-        await openpayService.ensureInitialized();
-        const idpasarela = openpayService.config?.idpasarela || 1;
+        await adaptador.ensureInitialized();
+        const idpasarela = adaptador.config?.idpasarela || 1;
 
         // Obtener o crear caja virtual del día (ahora usa tabla Caja unificada)
         const cajaResult = await openpayService.obtenerOCrearCajaVirtual();
@@ -755,7 +839,8 @@ async function registrarTransaccion(datos) {
              WHERE idpasarela = :idpasarela AND codestadoext = :codestado`,
             {
                 replacements: { idpasarela, codestado: estadoext || 'in_progress' },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
@@ -765,7 +850,8 @@ async function registrarTransaccion(datos) {
              WHERE codtipotrans = :codtipo`,
             {
                 replacements: { codtipo: tipotransaccion || 'SUSCRIPCION' },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
@@ -780,14 +866,16 @@ async function registrarTransaccion(datos) {
                 idsuscpas, idsesionpas, idapilog, idtransext, referenciaorden,
                 idtipotrans, idestadopas, montbruto, montcomisionvar,
                 montimpuestocom, montneto, moneda, idtarjpas,
-                ultimos4tarj, marcatarj, jsonresponse, 
+                ultimos4tarj, marcatarj, jsonresponse, coderrorpas, msgerrorpas,
+                idempotencykey, metododepago, codigopago, urlrecibo, feclimitepago,
                 ipaddress, useragent, estado, fectransaccion
             ) VALUES (
                 :idpasarela, :idcaja, :idusu, :dniusu,
                 :idsuscpas, :idsesionpas, :idapilog, :idtransext, :referenciaorden,
                 :idtipotrans, :idestadopas, :montbruto, :montcomisionvar,
                 :montimpuestocom, :montneto, 'PEN', :idtarjpas,
-                :ultimos4tarj, :marcatarj, :jsonresponse,
+                :ultimos4tarj, :marcatarj, :jsonresponse, :coderrorpas, :msgerrorpas,
+                :idempotencykey, :metododepago, :codigopago, :urlrecibo, TRY_CONVERT(DATETIME, :feclimitepago, 120),
                 :ipaddress, :useragent, 'S', GETDATE()
             )`,
             {
@@ -811,10 +899,18 @@ async function registrarTransaccion(datos) {
                     ultimos4tarj: sanitizeString(ultimos4tarj, 4),
                     marcatarj: sanitizeString(marcatarj, 20),
                     jsonresponse: jsonresponse ? JSON.stringify(jsonresponse) : null,
+                    coderrorpas: sanitizeString(coderrorpas || '', 50) || null,
+                    msgerrorpas: sanitizeString(msgerrorpas || '', 255) || null,
+                    idempotencykey: sanitizeString(idempotencykey || '', 100) || null,
+                    metododepago: metododepago || null,
+                    codigopago: sanitizeString(codigopago || '', 50) || null,
+                    urlrecibo: urlrecibo ? String(urlrecibo).substring(0, 500) : null,  // URL de OpenPay, lleva '&'
+                    feclimitepago: feclimitepago || null,
                     ipaddress: sanitizeString(ipaddress, 45),
                     useragent: sanitizeString(useragent, 500)
                 },
-                type: QueryTypes.INSERT
+                type: QueryTypes.INSERT,
+                transaction
             }
         );
 
@@ -824,7 +920,8 @@ async function registrarTransaccion(datos) {
              WHERE idpasarela = :idpasarela ORDER BY idtranspas DESC`,
             {
                 replacements: { idpasarela },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
@@ -834,20 +931,31 @@ async function registrarTransaccion(datos) {
 
         // Actualizar caja virtual si el cobro fue exitoso (Paso 14)
         if (estadoext === 'completed' || estadoext === 'active') {
-            await openpayService.actualizarCajaVirtual(
+            const cajaActualizada = await openpayService.actualizarCajaVirtual(
                 idcaja,
                 montbruto || 0,
                 montcomisionvar,
-                montimpuestocom
+                montimpuestocom,
+                transaction
             );
+
+            // Dentro de una transacción del checkout, la caja debe cuadrar con el cobro
+            if (!cajaActualizada.success && transaction) {
+                throw new Error('No se pudo actualizar la caja virtual');
+            }
             console.log(`[Paso 14] ✓ Caja (tipocaja='V') actualizada`);
         }
 
-        return { success: true, idtranspas };
+        return { success: true, idtranspas, idcaja };
 
     } catch (error) {
         console.log(`[Paso 13] ✗ ERROR al registrar transacción: ${error.message}`);
-        return { success: false, error: error.message };
+        return {
+            success: false,
+            error: error.message,
+            // Índice único violado (ej: número de operación de un comprobante ya registrado)
+            duplicado: error.name === 'SequelizeUniqueConstraintError' || [2601, 2627].includes(error.parent?.number)
+        };
     }
 }
 
@@ -866,9 +974,10 @@ async function registrarTransaccion(datos) {
  * @param {number} idsesionpas - ID de la sesión
  * @param {string} estado - 'C'=Completada, 'F'=Fallida, 'E'=Expirada
  * @param {number} idtranspas - ID de la transacción (opcional)
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
  * @returns {Object} - { success }
  */
-async function cerrarSesion(idsesionpas, estado = 'C', idtranspas = null) {
+async function cerrarSesion(idsesionpas, estado = 'C', idtranspas = null, transaction = null) {
     console.log(`[Paso 16] Cerrando sesión: idsesionpas=${idsesionpas}, estado=${estado}`);
 
     try {
@@ -881,7 +990,8 @@ async function cerrarSesion(idsesionpas, estado = 'C', idtranspas = null) {
              WHERE idsesionpas = :idsesionpas`,
             {
                 replacements: { idsesionpas, estado, idtranspas },
-                type: QueryTypes.UPDATE
+                type: QueryTypes.UPDATE,
+                transaction
             }
         );
 
@@ -904,16 +1014,18 @@ async function cerrarSesion(idsesionpas, estado = 'C', idtranspas = null) {
  * NOTA: Las ventas virtuales tienen:
  * - idcaja = ID de caja con tipocaja='V' (tabla Caja unificada)
  * - origenventa = 'V' (Virtual)
- * - codtipopago = 'TR' (TARJETA)
+ * - codtipopago = 'TR' (TARJETA) o 'PE' (PagoEfectivo)
+ * - estven = 'S', o 'P' (Pendiente) mientras el pago en efectivo no llega
  * 
  * @param {Object} datos - Datos de la venta
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
  * @returns {Object} - { success, idven }
  */
-async function crearVentaVirtual(datos) {
+async function crearVentaVirtual(datos, transaction = null) {
     const {
         dniusu, idcaja, idtranspas,
         subtotal, descuento, total,
-        idusuven
+        idusuven, codtipopago = 'TR', estven = 'S'
     } = datos;
 
     console.log(`[Paso 17] Creando Venta virtual:`);
@@ -931,13 +1043,15 @@ async function crearVentaVirtual(datos) {
             ) 
             OUTPUT INSERTED.idven
             VALUES (
-                :dniusu, 'TR', :subtotal, :descuento, :total,
-                :total, 0, 'S', GETDATE(), :idusuven,
+                :dniusu, :codtipopago, :subtotal, :descuento, :total,
+                :total, 0, :estven, GETDATE(), :idusuven,
                 :idcaja, :idtranspas, 'V'
             )`,
             {
                 replacements: {
                     dniusu: sanitizeString(dniusu, 20),
+                    codtipopago,
+                    estven,
                     subtotal: subtotal || 0,
                     descuento: descuento || 0,
                     total: total || 0,
@@ -945,31 +1059,38 @@ async function crearVentaVirtual(datos) {
                     idcaja,
                     idtranspas
                 },
-                type: QueryTypes.INSERT
+                type: QueryTypes.INSERT,
+                transaction
             }
         );
         
-        const idVentaCreada = resultventa[0]?.idven;
+        // INSERT ... OUTPUT con QueryTypes.INSERT devuelve [filas, rowCount]
+        const idVentaCreada = resultventa[0]?.[0]?.idven;
+        if (!idVentaCreada) {
+            throw new Error('La BD no devolvió el idven de la venta');
+        }
 
         //en mi tabla ventapagos se debe insertar lo siguiente idvenpago	idven	codtipopago	monto	feccre	cambio
         await sequelize.query(
             `INSERT INTO VentaPagos (
                idven, codtipopago, monto, feccre, cambio
             ) VALUES (
-                :idven, 'TR', :total, GETDATE(), 0
+                :idven, :codtipopago, :total, GETDATE(), 0
             )`,
             {
                 replacements: {
                     idven: idVentaCreada,
+                    codtipopago,
                     total: total || 0,
                 },
-                type: QueryTypes.INSERT
+                type: QueryTypes.INSERT,
+                transaction
             }
         );
 
         // Obtener ID insertado (aunque ya lo tenemos, mantenemos lógica de retorno consistente)
         const idven = idVentaCreada;
-        console.log(`[Paso 17] ✓ Venta virtual creada: idven=${idven}`);
+        console.log(`[Paso 17] ✓ Venta virtual creada: idven=${idven}, estven=${estven}`);
 
         return { success: true, idven };
 
@@ -987,9 +1108,10 @@ async function crearVentaVirtual(datos) {
  * Crear registro de VentaDetalle para la membresía
  * 
  * @param {Object} datos - Datos del detalle
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
  * @returns {Object} - { success, idvendet }
  */
-async function crearVentaDetalle(datos) {
+async function crearVentaDetalle(datos, transaction = null) {
     const {
         idven, barcpro, cantidad, cospro, fecini, subtotal, dniusucli, idusuven
     } = datos;
@@ -1016,7 +1138,8 @@ async function crearVentaDetalle(datos) {
                     dniusucli: sanitizeString(dniusucli, 20),
                     idusuven: idusuven || 0
                 },
-                type: QueryTypes.INSERT
+                type: QueryTypes.INSERT,
+                transaction
             }
         );
 
@@ -1026,7 +1149,8 @@ async function crearVentaDetalle(datos) {
              WHERE idven = :idven ORDER BY idvendet DESC`,
             {
                 replacements: { idven },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
@@ -1055,12 +1179,13 @@ async function crearVentaDetalle(datos) {
  * - P = Pendiente
  * 
  * @param {Object} datos - Datos de la membresía
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
  * @returns {Object} - { success, idmem }
  */
-async function crearMembresia(datos) {
+async function crearMembresia(datos, transaction = null) {
     const {
         idusu, dniusu, barcpro, idven, idsuscpas,
-        diasmem, fechaInicio, fechaFin
+        diasmem, fechaInicio, fechaFin, estamem = 'S'
     } = datos;
 
     console.log(`[Paso 19] Creando Membresía:`);
@@ -1077,7 +1202,8 @@ async function crearMembresia(datos) {
             `SELECT 1 as idtipomem, durpro as diasproducto FROM Producto WHERE barcpro = :barcpro`,
             {
                 replacements: { barcpro },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
@@ -1094,7 +1220,7 @@ async function crearMembresia(datos) {
                 COALESCE(TRY_CONVERT(DATE, :fechaFin), DATEADD(DAY, :diasmem, GETDATE())),
                 :diasmem, :diasmem, 0,
                 :idtipomem, :dniusu, :barcpro, GETDATE(), :idusu,
-                'S', 'A', GETDATE(), :idven, 'N', :idsuscpas
+                :estamem, 'A', GETDATE(), :idven, 'N', :idsuscpas
             )`,
             {
                 replacements: {
@@ -1106,9 +1232,11 @@ async function crearMembresia(datos) {
                     barcpro: sanitizeString(barcpro, 50),
                     idusu,
                     idven,
-                    idsuscpas
+                    idsuscpas,
+                    estamem
                 },
-                type: QueryTypes.INSERT
+                type: QueryTypes.INSERT,
+                transaction
             }
         );
 
@@ -1118,12 +1246,13 @@ async function crearMembresia(datos) {
              WHERE idven = :idven ORDER BY idmem DESC`,
             {
                 replacements: { idven },
-                type: QueryTypes.SELECT
+                type: QueryTypes.SELECT,
+                transaction
             }
         );
 
         const idmem = result[0]?.idmem;
-        console.log(`[Paso 19] ✓ Membresía creada: idmem=${idmem}, estado=S (Activa)`);
+        console.log(`[Paso 19] ✓ Membresía creada: idmem=${idmem}, estado=${estamem}`);
 
         // Actualizar PasarelaSuscripcion con el idmem
         if (idsuscpas && idmem) {
@@ -1132,7 +1261,8 @@ async function crearMembresia(datos) {
                  WHERE idsuscpas = :idsuscpas`,
                 {
                     replacements: { idmem, idsuscpas },
-                    type: QueryTypes.UPDATE
+                    type: QueryTypes.UPDATE,
+                    transaction
                 }
             );
             console.log(`[Paso 19] ✓ PasarelaSuscripcion actualizada con idmem=${idmem}`);
@@ -1155,9 +1285,10 @@ async function crearMembresia(datos) {
  * 
  * @param {number} idtranspas - ID de la transacción
  * @param {number} idven - ID de la venta
+ * @param {Object} transaction - Transacción Sequelize de la fase (opcional)
  * @returns {Object} - { success }
  */
-async function actualizarTransaccionConVenta(idtranspas, idven) {
+async function actualizarTransaccionConVenta(idtranspas, idven, transaction = null) {
     console.log(`[Paso 20] Vinculando transacción ${idtranspas} con venta ${idven}`);
 
     try {
@@ -1166,7 +1297,8 @@ async function actualizarTransaccionConVenta(idtranspas, idven) {
              WHERE idtranspas = :idtranspas`,
             {
                 replacements: { idven, idtranspas },
-                type: QueryTypes.UPDATE
+                type: QueryTypes.UPDATE,
+                transaction
             }
         );
 
@@ -1194,11 +1326,15 @@ async function actualizarTransaccionConVenta(idtranspas, idven) {
  * 6. Crear cliente en OpenPay (ApiLog → OpenPay → ApiLog → Auditoria)
  * 7. Registrar en PasarelaCliente con idapilog
  * 
+ * Con opciones.soloUsuario (pasarelas sin clientes, como Niubiz) termina en el paso 5
+ * y devuelve clientePasarela = null
+ * 
  * @param {Object} datosCliente - Datos del formulario de checkout
  * @param {Object} auditContext - Contexto de auditoría
+ * @param {Object} opciones - { soloUsuario }
  * @returns {Object} - { success, usuario, clientePasarela, clienteOpenpay, esNuevo, error }
  */
-async function procesarCliente(datosCliente, auditContext = {}) {
+async function procesarCliente(datosCliente, auditContext = {}, opciones = {}) {
     const { numeroDocumento, nombre, apellido, email, telefono } = datosCliente;
 
     console.log('='.repeat(60));
@@ -1216,7 +1352,10 @@ async function procesarCliente(datosCliente, auditContext = {}) {
         // ----------------------------------------------------------------
         // PASO 4: Si existe usuario, buscar en PasarelaCliente
         // ----------------------------------------------------------------
-        if (usuario) {
+        if (usuario && opciones.soloUsuario) {
+            console.log('[FLUJO CLIENTE] Usuario existe; la pasarela no registra clientes');
+
+        } else if (usuario) {
             console.log('[FLUJO CLIENTE] Usuario existe, buscando en PasarelaCliente...');
 
             const clientePasarela = await buscarClientePasarela(usuario.idusu, usuario.dniusu);
@@ -1254,13 +1393,30 @@ async function procesarCliente(datosCliente, auditContext = {}) {
             usuarioEsNuevo = true;
         }
 
+        if (opciones.soloUsuario) {
+            console.log('[FLUJO CLIENTE] Proceso completado sin cliente en la pasarela');
+            console.log('='.repeat(60));
+
+            return {
+                success: true,
+                usuario,
+                clientePasarela: null,
+                clienteOpenpay: null,
+                esNuevo: usuarioEsNuevo,
+                usuarioEsNuevo,
+                mensaje: usuarioEsNuevo ? 'Usuario creado' : 'Usuario existente recuperado'
+            };
+        }
+
         // ----------------------------------------------------------------
         // PASO 6: Crear cliente en OpenPay (registra automáticamente en ApiLog)
         // ----------------------------------------------------------------
         const resultadoOpenpay = await crearClienteEnOpenpay(usuario, datosCliente, auditContext);
 
         if (!resultadoOpenpay.success) {
-            throw new Error(resultadoOpenpay.error || 'Error al crear cliente en OpenPay');
+            const errorOpenpay = new Error(resultadoOpenpay.error || 'Error al crear cliente en OpenPay');
+            errorOpenpay.codigoPasarela = resultadoOpenpay.code;
+            throw errorOpenpay;
         }
 
         // ----------------------------------------------------------------
@@ -1303,6 +1459,7 @@ async function procesarCliente(datosCliente, auditContext = {}) {
         return {
             success: false,
             error: error.message,
+            code: error.codigoPasarela || null,
             mensaje: 'Error al procesar cliente'
         };
     }
@@ -1316,6 +1473,11 @@ async function procesarCliente(datosCliente, auditContext = {}) {
  * Flujo completo para procesar un pago de suscripción
  * Orquesta los 16 pasos del proceso de pago
  * 
+ * Las escrituras locales de las fases 4 y 5 van cada una en una transacción de BD
+ * y cada paso confirmado queda en el diario de la sesión. Si algo falla después de
+ * crear la suscripción en OpenPay, compensarCheckout() encola la reparación (o
+ * revierte en OpenPay) en lugar de dejar un cobro sin venta ni membresía
+ * 
  * @param {Object} datos - Todos los datos necesarios para el pago
  * @param {Object} auditContext - Contexto de auditoría (IP, userAgent, etc)
  * @returns {Object} - Resultado completo del proceso
@@ -1348,8 +1510,11 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
     let sesion = null;
     let clienteResult = null;
     let tarjetaResult = null;
+    let suscripcionOpenpay = null;
     let suscripcionResult = null;
     let transaccionResult = null;
+    let codigoError = null;         // error_code de OpenPay del paso que falló
+    let pasoEnCurso = 'SESION';     // Paso del diario que se estaba ejecutando
 
     try {
         // ================================================================
@@ -1381,15 +1546,18 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
             auditContext.ipaddress,
             { deviceSessionId, planId }
         );
+        await registrarPasoSesion(sesion.idsesionpas, 'SESION', 'OK', { sessionid: sesion.sessionid });
 
         // ================================================================
         // FASE 1: CLIENTE (PASOS 3-7)
         // ================================================================
         console.log('\n>>> FASE 1: CLIENTE <<<');
 
+        pasoEnCurso = 'CLIENTE';
         clienteResult = await procesarCliente(datosCliente, auditContext);
 
         if (!clienteResult.success) {
+            codigoError = clienteResult.code;
             throw new Error(`Fase Cliente falló: ${clienteResult.error}`);
         }
 
@@ -1405,12 +1573,19 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
                 type: QueryTypes.UPDATE
             }
         );
+        await registrarPasoSesion(sesion.idsesionpas, 'CLIENTE', 'OK', {
+            idusu: clienteResult.usuario.idusu,
+            idclipas: clienteResult.clientePasarela.idclipas,
+            idcliext: clienteResult.clientePasarela.idcliext
+        });
 
         // ================================================================
         // FASE 2: TARJETA (PASOS 8-10)
         // ================================================================
         console.log('\n>>> FASE 2: TARJETA <<<');
 
+        pasoEnCurso = 'TARJETA';
+
         // PASO 8: Asociar tarjeta en OpenPay
         const tarjetaOpenpay = await asociarTarjetaEnOpenpay(
             clienteResult.clientePasarela.idcliext,
@@ -1420,6 +1595,7 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         );
 
         if (!tarjetaOpenpay.success) {
+            codigoError = tarjetaOpenpay.code;
             throw new Error(`Paso 8 falló: ${tarjetaOpenpay.error}`);
         }
 
@@ -1450,14 +1626,22 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
             auditContext.ipaddress,
             { cardId: tarjetaOpenpay.tarjeta.id }
         );
+        await registrarPasoSesion(sesion.idsesionpas, 'TARJETA', 'OK', {
+            idtarjpas: tarjetaResult.idtarjpas,
+            sourceid: tarjetaOpenpay.tarjeta.id,
+            ultimos4: tarjetaOpenpay.tarjeta.card_number?.slice(-4),
+            marca: tarjetaOpenpay.tarjeta.brand
+        });
 
         // ================================================================
         // FASE 3: SUSCRIPCIÓN (PASOS 11-12)
         // ================================================================
         console.log('\n>>> FASE 3: SUSCRIPCIÓN <<<');
 
+        pasoEnCurso = 'SUSCRIPCION_OPENPAY';
+
         // PASO 11: Crear suscripción en OpenPay
-        const suscripcionOpenpay = await suscribirClienteEnOpenpay(
+        suscripcionOpenpay = await suscribirClienteEnOpenpay(
             clienteResult.clientePasarela.idcliext,
             planId,
             tarjetaOpenpay.tarjeta.id,
@@ -1465,9 +1649,26 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         );
 
         if (!suscripcionOpenpay.success) {
+            codigoError = suscripcionOpenpay.code;
             throw new Error(`Paso 11 falló: ${suscripcionOpenpay.error}`);
         }
 
+        // Desde aquí la suscripción existe en OpenPay: el diario guarda lo necesario para reparar
+        await registrarPasoSesion(sesion.idsesionpas, 'SUSCRIPCION_OPENPAY', 'OK', {
+            idsuscext: suscripcionOpenpay.suscripcion.id,
+            status: suscripcionOpenpay.suscripcion.status,
+            fecinicio: suscripcionOpenpay.suscripcion.creation_date,
+            fecproximocobro: suscripcionOpenpay.suscripcion.charge_date,
+            fecfinperiodo: suscripcionOpenpay.suscripcion.period_end_date,
+            idplanpas,
+            planId,
+            barcpro,
+            monto: montoPlan,
+            idapilog: suscripcionOpenpay.idapilog
+        });
+
+        pasoEnCurso = 'SUSCRIPCION';
+
         // PASO 12: Guardar suscripción en PasarelaSuscripcion
         suscripcionResult = await guardarSuscripcionPasarela({
             idclipas: clienteResult.clientePasarela.idclipas,
@@ -1484,107 +1685,142 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         if (!suscripcionResult.success) {
             throw new Error(`Paso 12 falló: ${suscripcionResult.error}`);
         }
+        await registrarPasoSesion(sesion.idsesionpas, 'SUSCRIPCION', 'OK', {
+            idsuscpas: suscripcionResult.idsuscpas
+        });
 
         // ================================================================
-        // FASE 4: TRANSACCIÓN Y CIERRE (PASOS 13-16)
+        // FASE 4: TRANSACCIÓN (PASOS 13-14) - una transacción de BD
         // ================================================================
-        console.log('\n>>> FASE 4: TRANSACCIÓN Y CIERRE <<<');
-
-        // PASO 13: Registrar transacción
-        transaccionResult = await registrarTransaccion({
-            idusu: clienteResult.usuario.idusu,
-            dniusu: datosCliente.numeroDocumento,
-            idsuscpas: suscripcionResult.idsuscpas,
-            idsesionpas: sesion.idsesionpas,
-            idtarjpas: tarjetaResult.idtarjpas,
-            idtransext: suscripcionOpenpay.suscripcion.id,
-            referenciaorden: `ORD-${Date.now()}`,
-            tipotransaccion: 'SUSCRIPCION',
-            estadoext: suscripcionOpenpay.suscripcion.status,
-            montbruto: montoPlan,
-            ultimos4tarj: tarjetaOpenpay.tarjeta.card_number?.slice(-4),
-            marcatarj: tarjetaOpenpay.tarjeta.brand,
-            jsonresponse: suscripcionOpenpay.suscripcion,
-            ipaddress: auditContext.ipaddress,
-            useragent: auditContext.useragent,
-            idapilog: suscripcionOpenpay.idapilog
-        });
+        console.log('\n>>> FASE 4: TRANSACCIÓN <<<');
 
-        // PASO 14: CajaVirtual se actualiza dentro de registrarTransaccion
-
-        // PASO 15: Registrar historial PAGO_EXITOSO
-        await registrarHistorialSesion(
-            sesion.idsesionpas,
-            'PAGO_EXITOSO',
-            `Suscripción creada: ${suscripcionOpenpay.suscripcion.id}`,
-            auditContext.ipaddress,
-            {
+        pasoEnCurso = 'TRANSACCION';
+        transaccionResult = await sequelize.transaction(async (transaction) => {
+            // PASO 13: Registrar transacción (PASO 14: la caja se actualiza dentro)
+            const registro = await registrarTransaccion({
+                idusu: clienteResult.usuario.idusu,
+                dniusu: datosCliente.numeroDocumento,
                 idsuscpas: suscripcionResult.idsuscpas,
-                idtranspas: transaccionResult.idtranspas
+                idsesionpas: sesion.idsesionpas,
+                idtarjpas: tarjetaResult.idtarjpas,
+                idtransext: suscripcionOpenpay.suscripcion.id,
+                referenciaorden: `ORD-${Date.now()}`,
+                tipotransaccion: 'SUSCRIPCION',
+                estadoext: suscripcionOpenpay.suscripcion.status,
+                montbruto: montoPlan,
+                ultimos4tarj: tarjetaOpenpay.tarjeta.card_number?.slice(-4),
+                marcatarj: tarjetaOpenpay.tarjeta.brand,
+                jsonresponse: suscripcionOpenpay.suscripcion,
+                ipaddress: auditContext.ipaddress,
+                useragent: auditContext.useragent,
+                idapilog: suscripcionOpenpay.idapilog,
+                idempotencykey: auditContext.idempotencykey
+            }, transaction);
+
+            if (!registro.success) {
+                throw new Error(`Paso 13 falló: ${registro.error}`);
             }
-        );
+            return registro;
+        });
 
-        // PASO 16: Cerrar sesión como Completada
-        await cerrarSesion(sesion.idsesionpas, 'C', transaccionResult.idtranspas);
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: transaccionResult.idtranspas,
+            idcaja: transaccionResult.idcaja
+        });
 
         // ================================================================
-        // FASE 5: VENTA Y MEMBRESÍA (PASOS 17-20)
+        // FASE 5: VENTA, MEMBRESÍA Y CIERRE (PASOS 16-20) - una transacción de BD
         // ================================================================
         console.log('\n>>> FASE 5: VENTA Y MEMBRESÍA <<<');
 
-        // Obtener Caja virtual del día (tabla Caja unificada con tipocaja='V')
-        const cajaResult = await openpayService.obtenerOCrearCajaVirtual();
-        const idcaja = cajaResult.cajaVirtual?.idcaja || cajaResult.cajaVirtual?.idcajavirtual || null;
-
-        // PASO 17: Crear Venta virtual
-        const ventaResult = await crearVentaVirtual({
-            dniusu: datosCliente.numeroDocumento,
-            idcaja,
-            idtranspas: transaccionResult.idtranspas,
-            subtotal: montoPlan,
-            descuento: 0,
-            total: montoPlan,
-            idusuven: clienteResult.usuario.idusu
-        });
+        const idcaja = transaccionResult.idcaja;
 
-        if (!ventaResult.success) {
-            console.log(`[ADVERTENCIA] No se pudo crear la venta: ${ventaResult.error}`);
-            // No lanzar error, continuar con lo que tenemos
-        }
+        pasoEnCurso = 'VENTA';
+        const { ventaResult, membresiaResult } = await sequelize.transaction(async (transaction) => {
+            // PASO 17: Crear Venta virtual
+            const venta = await crearVentaVirtual({
+                dniusu: datosCliente.numeroDocumento,
+                idcaja,
+                idtranspas: transaccionResult.idtranspas,
+                subtotal: montoPlan,
+                descuento: 0,
+                total: montoPlan,
+                idusuven: clienteResult.usuario.idusu
+            }, transaction);
 
-        let ventaDetalleResult = null;
-        let membresiaResult = null;
+            if (!venta.success) {
+                throw new Error(`Paso 17 falló: ${venta.error}`);
+            }
 
-        if (ventaResult.success && ventaResult.idven) {
             // PASO 18: Crear VentaDetalle
-            ventaDetalleResult = await crearVentaDetalle({
-                idven: ventaResult.idven,
+            const detalle = await crearVentaDetalle({
+                idven: venta.idven,
                 barcpro,
                 cantidad: 1,
                 cospro: montoPlan,
                 subtotal: montoPlan,
                 dniusucli: datosCliente.numeroDocumento,
                 idusuven: clienteResult.usuario.idusu
-            });
+            }, transaction);
+
+            if (!detalle.success) {
+                throw new Error(`Paso 18 falló: ${detalle.error}`);
+            }
 
             // PASO 19: Crear Membresía con estado='S' (Activa)
-            membresiaResult = await crearMembresia({
+            const membresia = await crearMembresia({
                 idusu: clienteResult.usuario.idusu,
                 dniusu: datosCliente.numeroDocumento,
                 barcpro,
-                idven: ventaResult.idven,
+                idven: venta.idven,
                 idsuscpas: suscripcionResult.idsuscpas,
                 diasmem: datos.diasmem || null,
                 fechaInicio: datos.fechaInicio || null,
                 fechaFin: datos.fechaFin || null
-            });
+            }, transaction);
+
+            if (!membresia.success) {
+                throw new Error(`Paso 19 falló: ${membresia.error}`);
+            }
 
             // PASO 20: Actualizar transacción con idven
-            await actualizarTransaccionConVenta(
+            const vinculo = await actualizarTransaccionConVenta(
                 transaccionResult.idtranspas,
-                ventaResult.idven
+                venta.idven,
+                transaction
             );
-        }
+
+            if (!vinculo.success) {
+                throw new Error(`Paso 20 falló: ${vinculo.error}`);
+            }
+
+            // PASO 16: La sesión se cierra como Completada junto con la venta
+            const cierre = await cerrarSesion(sesion.idsesionpas, 'C', transaccionResult.idtranspas, transaction);
+
+            if (!cierre.success) {
+                throw new Error(`Paso 16 falló: ${cierre.error}`);
+            }
+
+            return { ventaResult: venta, membresiaResult: membresia };
+        });
+
+        await registrarPasoSesion(sesion.idsesionpas, 'VENTA', 'OK', {
+            idven: ventaResult.idven,
+            idmem: membresiaResult.idmem
+        });
+
+        // PASO 15: Registrar historial PAGO_EXITOSO
+        await registrarHistorialSesion(
+            sesion.idsesionpas,
+            'PAGO_EXITOSO',
+            `Suscripción creada: ${suscripcionOpenpay.suscripcion.id}`,
+            auditContext.ipaddress,
+            {
+                idsuscpas: suscripcionResult.idsuscpas,
+                idtranspas: transaccionResult.idtranspas,
+                idven: ventaResult.idven
+            }
+        );
 
         // ================================================================
         // RESULTADO EXITOSO
@@ -1598,8 +1834,8 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         console.log(`# Tarjeta: ****${tarjetaOpenpay.tarjeta.card_number?.slice(-4)}`);
         console.log(`# Suscripción OpenPay: ${suscripcionOpenpay.suscripcion.id}`);
         console.log(`# Transacción: ${transaccionResult.idtranspas}`);
-        console.log(`# Venta: ${ventaResult?.idven || 'N/A'}`);
-        console.log(`# Membresía: ${membresiaResult?.idmem || 'N/A'} (estado=S)`);
+        console.log(`# Venta: ${ventaResult.idven}`);
+        console.log(`# Membresía: ${membresiaResult.idmem} (estado=S)`);
         console.log('#'.repeat(60));
 
         return {
@@ -1631,16 +1867,16 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
                     idtranspas: transaccionResult.idtranspas,
                     monto: montoPlan
                 },
-                venta: ventaResult?.success ? {
+                venta: {
                     idven: ventaResult.idven,
                     origenventa: 'V',
                     idcaja
-                } : null,
-                membresia: membresiaResult?.success ? {
+                },
+                membresia: {
                     idmem: membresiaResult.idmem,
                     estado: 'S',
                     barcpro
-                } : null
+                }
             }
         };
 
@@ -1652,6 +1888,55 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         console.log(`# Error: ${error.message}`);
         console.log('#'.repeat(60));
 
+        if (sesion?.idsesionpas) {
+            await registrarPasoSesion(sesion.idsesionpas, pasoEnCurso, 'ERROR', { error: error.message });
+        }
+
+        // La suscripción ya existe en OpenPay: compensar en vez de dejar el cobro huérfano
+        if (suscripcionOpenpay?.success && sesion?.idsesionpas) {
+            const compensacion = await compensarCheckout({
+                idsesionpas: sesion.idsesionpas,
+                motivo: error.message,
+                idcliext: clienteResult.clientePasarela.idcliext,
+                idsuscext: suscripcionOpenpay.suscripcion.id,
+                monto: montoPlan
+            }, { ...auditContext, idusu: clienteResult.usuario.idusu });
+
+            const reparacion = compensacion.accion === 'REPARACION';
+
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                reparacion ? 'REPARACION_PENDIENTE' : 'PAGO_REVERTIDO',
+                error.message,
+                auditContext.ipaddress,
+                { paso: pasoEnCurso, ...compensacion }
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F');
+
+            return {
+                success: false,
+                cobrado: reparacion,
+                error: error.message,
+                mensaje: reparacion
+                    ? 'Tu suscripción fue registrada en la pasarela pero no pudimos activar tu membresía. La completaremos en unos minutos, no vuelvas a pagar.'
+                    : 'No pudimos completar tu suscripción y fue anulada. Nos comunicaremos contigo si se realizó algún cobro.',
+                datos: {
+                    sesion: { idsesionpas: sesion.idsesionpas },
+                    compensacion
+                }
+            };
+        }
+
+        // Mensaje para el usuario según PasarelaHomologacionError
+        const errorPago = await homologarError(codigoError, error.message, {
+            origen: 'SUSCRIPCION',
+            idsesionpas: sesion?.idsesionpas,
+            monto: montoPlan,
+            idusu: clienteResult?.usuario?.idusu || null,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
         // Registrar error en historial de sesión si existe
         if (sesion?.idsesionpas) {
             await registrarHistorialSesion(
@@ -1659,7 +1944,7 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
                 'PAGO_FALLIDO',
                 error.message,
                 auditContext.ipaddress,
-                { stack: error.stack?.substring(0, 500) }
+                { coderrorext: codigoError, coderrorint: errorPago.coderrorint, stack: error.stack?.substring(0, 500) }
             );
 
             // Cerrar sesión como Fallida
@@ -1669,7 +1954,8 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
         return {
             success: false,
             error: error.message,
-            mensaje: 'Error al procesar el pago',
+            mensaje: errorPago.msgusuario,
+            errorPago,
             datos: {
                 sesion: sesion ? { idsesionpas: sesion.idsesionpas } : null,
                 cliente: clienteResult?.success ? {
@@ -1682,87 +1968,6586 @@ async function procesarPagoCompleto(datos, auditContext = {}) {
 }
 
 // ============================================================================
-// ENDPOINT: CONFIRMAR PEDIDO (Flujo completo de 16 pasos)
+// FASE 6: RENOVACIÓN AUTOMÁTICA (cobros recurrentes notificados por webhook)
 // ============================================================================
 
 /**
- * Handler para cuando el cliente hace click en "Confirmar Pedido"
- * Ejecuta el flujo completo de 16 pasos
+ * Buscar la suscripción local a la que pertenece un cargo de OpenPay
+ *
+ * Se busca primero por subscription_id; si OpenPay no lo envía, se usa la
+ * suscripción activa del cliente (customer_id) cuyo plan coincide con el monto.
+ *
+ * @param {Object} cargo - Objeto transaction del webhook de OpenPay
+ * @returns {Object|null} - Suscripción con datos de cliente, plan y tarjeta
  */
-async function confirmarPedido(req, res) {
-    try {
-        const {
-            datosCliente,
-            tokenTarjeta,
-            deviceSessionId,
-            planId,
-            idplanpas,
-            montoPlan,
-            barcpro
-        } = req.body;
+async function buscarSuscripcionDeCargo(cargo) {
+    const consultaBase = `
+        SELECT TOP 1 s.idsuscpas, s.idclipas, s.idplanpas, s.idtarjpas, s.idsuscext,
+               s.idmem, s.estsuscripcion, s.cobrosrealizados, s.cobrosfallidos,
+               s.fecproximocobro, s.fecfinperiodo,
+               c.idusu, c.dniusu, c.idcliext,
+               p.barcpro, p.precio, p.frecuencianum, p.frecuenciaunidad,
+               t.sourceid, t.ultimos4, t.tipotarjeta
+        FROM PasarelaSuscripcion s
+        INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+        INNER JOIN PasarelaPlan p ON s.idplanpas = p.idplanpas
+        LEFT JOIN PasarelaTarjeta t ON s.idtarjpas = t.idtarjpas`;
+
+    if (cargo.subscription_id) {
+        const resultado = await sequelize.query(
+            `${consultaBase} WHERE s.idsuscext = :idsuscext`,
+            {
+                replacements: { idsuscext: sanitizeString(cargo.subscription_id, 100) },
+                type: QueryTypes.SELECT
+            }
+        );
+        return resultado[0] || null;
+    }
 
-        // Validar datos requeridos
-        if (!datosCliente || !datosCliente.numeroDocumento) {
-            return res.json({
-                success: false,
-                error: 'Datos del cliente incompletos',
-                mensaje: 'Se requiere el número de documento'
-            });
-        }
+    if (!cargo.customer_id) {
+        return null;
+    }
 
-        if (!tokenTarjeta) {
-            return res.json({
-                success: false,
-                error: 'Token de tarjeta requerido',
-                mensaje: 'Debe tokenizar la tarjeta primero'
-            });
+    const resultado = await sequelize.query(
+        `${consultaBase}
+         WHERE c.idcliext = :idcliext
+           AND s.estsuscripcion = 'S'
+           AND p.precio = :monto
+         ORDER BY s.idsuscpas DESC`,
+        {
+            replacements: {
+                idcliext: sanitizeString(cargo.customer_id, 100),
+                monto: parseFloat(cargo.amount) || 0
+            },
+            type: QueryTypes.SELECT
         }
+    );
 
-        if (!planId) {
-            return res.json({
-                success: false,
-                error: 'Plan requerido',
-                mensaje: 'Debe seleccionar un plan de suscripción'
-            });
-        }
+    return resultado[0] || null;
+}
 
-        // Crear contexto de auditoría
-        const auditContext = AuditContext.fromRequest(req);
+/**
+ * Avanzar el ciclo de la suscripción después de un cobro exitoso
+ * (cobrosrealizados + 1 y fecproximocobro según la frecuencia del plan)
+ *
+ * @param {number} idsuscpas - ID de la suscripción
+ * @param {string} fechaCargo - Fecha del cobro (ISO)
+ * @param {Object} transaction - Transacción Sequelize de la renovación (opcional)
+ * @returns {Object} - { success }
+ */
+async function avanzarCicloSuscripcion(idsuscpas, fechaCargo, transaction = null) {
+    console.log(`[Renovación] Avanzando ciclo de suscripción ${idsuscpas}`);
 
-        // Ejecutar flujo completo de 16 pasos
-        const resultado = await procesarPagoCompleto({
-            datosCliente,
-            tokenTarjeta,
-            deviceSessionId,
-            planId,
-            idplanpas,
-            montoPlan,
-            barcpro
-        }, auditContext);
+    try {
+        await sequelize.query(
+            `UPDATE s SET
+                cobrosrealizados = ISNULL(s.cobrosrealizados, 0) + 1,
+                fecfinperiodo = x.siguiente,
+                fecproximocobro = x.siguiente,
+                fecmov = GETDATE()
+             FROM PasarelaSuscripcion s
+             INNER JOIN PasarelaPlan p ON s.idplanpas = p.idplanpas
+             CROSS APPLY (
+                SELECT CASE p.frecuenciaunidad
+                    WHEN 'day' THEN DATEADD(DAY, p.frecuencianum, x0.base)
+                    WHEN 'week' THEN DATEADD(WEEK, p.frecuencianum, x0.base)
+                    WHEN 'year' THEN DATEADD(YEAR, p.frecuencianum, x0.base)
+                    ELSE DATEADD(MONTH, p.frecuencianum, x0.base)
+                END AS siguiente
+                FROM (SELECT COALESCE(TRY_CONVERT(DATE, :fechaCargo), CAST(GETDATE() AS DATE)) AS base) x0
+             ) x
+             WHERE s.idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas, fechaCargo: fechaCargo ? String(fechaCargo).split('T')[0] : null },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
 
-        return res.json(resultado);
+        console.log(`[Renovación] ✓ Ciclo avanzado`);
+        return { success: true };
 
     } catch (error) {
-        console.error('[confirmarPedido] Error:', error.message);
-        return res.json({
-            success: false,
-            error: error.message,
-            mensaje: 'Error interno al procesar el pedido'
-        });
+        console.log(`[Renovación] ✗ ERROR al avanzar ciclo: ${error.message}`);
+        return { success: false, error: error.message };
     }
 }
 
-// ============================================================================
-// EXPORTACIONES
-// ============================================================================
-
-module.exports = {
-    // === FASE 0: SESIÓN (Primero) ===
-    crearSesionPago,                // Paso 1
-    registrarHistorialSesion,       // Paso 2, 10, 15
+/**
+ * Procesar el cobro recurrente exitoso de una suscripción (charge.succeeded)
+ *
+ * FLUJO (reutiliza los pasos del flujo inicial):
+ * R1. Verificar que el cargo no tenga ya una venta completada (idempotencia)
+ * R2. Ubicar la suscripción local
+ * R3. Si la transacción del checkout aún lleva el id de la suscripción → es el cobro inicial,
+ *     ya vendido en el checkout: solo conciliar
+ * R4. Registrar PasarelaTransaccion con idsuscpas (Paso 13 + Caja Paso 14)
+ * R5. Crear Venta virtual + VentaDetalle (Pasos 17-18)
+ * R6. Crear Membresía a continuación de la vigente (Paso 19) y vincular venta (Paso 20)
+ * R7. Avanzar ciclo: cobrosrealizados + 1, fecproximocobro
+ *
+ * R4-R7 van en una sola transacción de BD: si un paso falla no queda nada grabado
+ * y el reintento (webhook, dunning o conciliación) vuelve a procesar el cargo completo.
+ * Una transacción registrada sin venta (corrida parcial anterior) se reutiliza.
+ *
+ * @param {Object} cargo - Objeto transaction del webhook de OpenPay
+ * @returns {Object} - { success, mensaje, idtranspas, idven, idmem }
+ */
+async function procesarRenovacionSuscripcion(cargo) {
+    console.log('');
+    console.log('='.repeat(60));
+    console.log(`RENOVACIÓN DE SUSCRIPCIÓN - Cargo ${cargo?.id}`);
+    console.log('='.repeat(60));
 
-    // === FASE 1: CLIENTE ===
-    buscarUsuarioPorDocumento,      // Paso 3
+    try {
+        // R1: Idempotencia por ID de cargo: solo cuenta si ya tiene su venta completada
+        const existente = await sequelize.query(
+            `SELECT TOP 1 t.idtranspas, t.idven, v.estven
+             FROM PasarelaTransaccion t
+             LEFT JOIN Venta v ON t.idven = v.idven
+             WHERE t.idtransext = :idtransext
+             ORDER BY CASE WHEN v.estven = 'S' THEN 0 ELSE 1 END, t.idtranspas`,
+            {
+                replacements: { idtransext: sanitizeString(cargo.id, 100) },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (existente[0]?.estven === 'S') {
+            return {
+                success: true,
+                mensaje: `Cargo ${cargo.id} ya registrado en idtranspas=${existente[0].idtranspas}, venta ${existente[0].idven}`,
+                idtranspas: existente[0].idtranspas,
+                idven: existente[0].idven
+            };
+        }
+
+        const transaccionPrevia = existente[0] || null;
+        if (transaccionPrevia) {
+            console.log(`[Renovación] Cargo ${cargo.id} registrado sin venta en idtranspas=${transaccionPrevia.idtranspas}, se completa`);
+        }
+
+        // R2: Suscripción local
+        const suscripcion = await buscarSuscripcionDeCargo(cargo);
+        if (!suscripcion) {
+            return { success: false, error: `No se encontró suscripción local para el cargo ${cargo.id}` };
+        }
+
+        const fechaCargo = cargo.operation_date || cargo.creation_date || new Date().toISOString();
+
+        // R3: Primer cobro → corresponde a la venta creada en el checkout. Se decide por lo
+        // guardado: la transacción del checkout lleva el id de la suscripción hasta que llega
+        // su cargo; si ya no queda ninguna así, el periodo inicial está pagado y es una renovación
+        const esCobroInicial = !transaccionPrevia && await sequelize.transaction(async (transaction) => {
+            const conciliadas = await sequelize.query(
+                `UPDATE PasarelaTransaccion SET
+                    idtransext = :idtransext,
+                    codautorizacion = :codautorizacion,
+                    fecmov = GETDATE()
+                 OUTPUT INSERTED.idtranspas
+                 WHERE idsuscpas = :idsuscpas AND idtransext = :idsuscext`,
+                {
+                    replacements: {
+                        idtransext: sanitizeString(cargo.id, 100),
+                        codautorizacion: sanitizeString(cargo.authorization || '', 50) || null,
+                        idsuscpas: suscripcion.idsuscpas,
+                        idsuscext: suscripcion.idsuscext
+                    },
+                    type: QueryTypes.SELECT,
+                    transaction
+                }
+            );
+
+            if (conciliadas.length === 0) {
+                return false;
+            }
+
+            const ciclo = await avanzarCicloSuscripcion(suscripcion.idsuscpas, fechaCargo, transaction);
+            if (!ciclo.success) {
+                throw new Error(`R7 falló: ${ciclo.error}`);
+            }
+            return true;
+        });
+
+        if (esCobroInicial) {
+            console.log(`[Renovación] Cobro inicial conciliado con la venta del checkout`);
+            return { success: true, mensaje: `Cobro inicial de suscripción ${suscripcion.idsuscext} conciliado` };
+        }
+
+        const monto = parseFloat(cargo.amount) || suscripcion.precio;
+
+        // R6 (lectura): la nueva membresía empieza al vencer la vigente
+        const vigente = await sequelize.query(
+            `SELECT TOP 1 fecfinmem FROM Membresia
+             WHERE idmem = :idmem AND fecfinmem >= CAST(GETDATE() AS DATE)`,
+            {
+                replacements: { idmem: suscripcion.idmem || 0 },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        let fechaInicio = null;
+        let fechaFin = null;
+
+        if (vigente.length > 0) {
+            const producto = await sequelize.query(
+                `SELECT durpro FROM Producto WHERE barcpro = :barcpro`,
+                {
+                    replacements: { barcpro: suscripcion.barcpro },
+                    type: QueryTypes.SELECT
+                }
+            );
+            const dias = producto[0]?.durpro || 30;
+            const inicio = new Date(vigente[0].fecfinmem);
+            const fin = new Date(inicio.getTime() + dias * 86400000);
+
+            fechaInicio = inicio.toISOString().split('T')[0];
+            fechaFin = fin.toISOString().split('T')[0];
+        }
+
+        const { transaccionResult, ventaResult, membresiaResult } = await sequelize.transaction(async (transaction) => {
+            // R4: Transacción (actualiza la Caja virtual del día)
+            let registro;
+            if (transaccionPrevia) {
+                const cajaPrevia = await sequelize.query(
+                    `SELECT idcaja FROM PasarelaTransaccion WHERE idtranspas = :idtranspas`,
+                    {
+                        replacements: { idtranspas: transaccionPrevia.idtranspas },
+                        type: QueryTypes.SELECT,
+                        transaction
+                    }
+                );
+                registro = { success: true, idtranspas: transaccionPrevia.idtranspas, idcaja: cajaPrevia[0]?.idcaja || null };
+            } else {
+                registro = await registrarTransaccion({
+                    idusu: suscripcion.idusu,
+                    dniusu: suscripcion.dniusu,
+                    idsuscpas: suscripcion.idsuscpas,
+                    idsesionpas: null,
+                    idtarjpas: suscripcion.idtarjpas,
+                    idtransext: cargo.id,
+                    referenciaorden: cargo.order_id || `REN-${suscripcion.idsuscpas}-${Date.now()}`,
+                    tipotransaccion: 'SUSCRIPCION',
+                    estadoext: 'completed',
+                    montbruto: monto,
+                    ultimos4tarj: cargo.card?.card_number?.slice(-4) || suscripcion.ultimos4,
+                    marcatarj: cargo.card?.brand || suscripcion.tipotarjeta,
+                    jsonresponse: cargo
+                }, transaction);
+
+                if (!registro.success) {
+                    throw new Error(`Paso 13 falló: ${registro.error}`);
+                }
+            }
+
+            // R5: Venta virtual
+            const venta = await crearVentaVirtual({
+                dniusu: suscripcion.dniusu,
+                idcaja: registro.idcaja,
+                idtranspas: registro.idtranspas,
+                subtotal: monto,
+                descuento: 0,
+                total: monto,
+                idusuven: suscripcion.idusu
+            }, transaction);
+
+            if (!venta.success) {
+                throw new Error(`Paso 17 falló: ${venta.error}`);
+            }
+
+            const detalle = await crearVentaDetalle({
+                idven: venta.idven,
+                barcpro: suscripcion.barcpro,
+                cantidad: 1,
+                cospro: monto,
+                subtotal: monto,
+                dniusucli: suscripcion.dniusu,
+                idusuven: suscripcion.idusu
+            }, transaction);
+
+            if (!detalle.success) {
+                throw new Error(`Paso 18 falló: ${detalle.error}`);
+            }
+
+            // R6: Membresía a continuación de la vigente (si aún no vence)
+            const membresia = await crearMembresia({
+                idusu: suscripcion.idusu,
+                dniusu: suscripcion.dniusu,
+                barcpro: suscripcion.barcpro,
+                idven: venta.idven,
+                idsuscpas: suscripcion.idsuscpas,
+                diasmem: null,
+                fechaInicio,
+                fechaFin
+            }, transaction);
+
+            if (!membresia.success) {
+                throw new Error(`Paso 19 falló: ${membresia.error}`);
+            }
+
+            const vinculo = await actualizarTransaccionConVenta(registro.idtranspas, venta.idven, transaction);
+
+            if (!vinculo.success) {
+                throw new Error(`Paso 20 falló: ${vinculo.error}`);
+            }
+
+            // R7: Ciclo de la suscripción (y levantar la deuda si venía de cobros fallidos)
+            const ciclo = await avanzarCicloSuscripcion(suscripcion.idsuscpas, fechaCargo, transaction);
+
+            if (!ciclo.success) {
+                throw new Error(`R7 falló: ${ciclo.error}`);
+            }
+
+            if ((suscripcion.cobrosfallidos || 0) > 0) {
+                const regularizacion = await regularizarSuscripcion(suscripcion.idsuscpas, transaction);
+
+                if (!regularizacion.success) {
+                    throw new Error(`R7 falló: ${regularizacion.error}`);
+                }
+            }
+
+            return { transaccionResult: registro, ventaResult: venta, membresiaResult: membresia };
+        });
+
+        console.log('='.repeat(60));
+        console.log(`✓ RENOVACIÓN COMPLETADA - Transacción ${transaccionResult.idtranspas}, Venta ${ventaResult.idven}, Membresía ${membresiaResult.idmem || 'N/A'}`);
+        console.log('='.repeat(60));
+
+        return {
+            success: true,
+            mensaje: `Renovación registrada: venta ${ventaResult.idven}, membresía ${membresiaResult.idmem || 'N/A'}`,
+            idtranspas: transaccionResult.idtranspas,
+            idven: ventaResult.idven,
+            idmem: membresiaResult.idmem || null
+        };
+
+    } catch (error) {
+        console.log(`[Renovación] ✗ ERROR: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 7: COBROS FALLIDOS Y REINTENTOS (DUNNING)
+// ============================================================================
+
+/**
+ * Encolar una notificación para el cliente en PasarelaNotificacion (estnotif='P')
+ * El destinatario se toma del usuario según el canal (EMAIL → mailusu, SMS/WHATSAPP → contacusu)
+ *
+ * @param {Object} datos - { idtranspas, idusu, tiponotif, canal, asunto, mensaje }
+ * @returns {Object} - { success }
+ */
+async function encolarNotificacion(datos) {
+    const { idtranspas, idusu, tiponotif, canal, asunto, mensaje } = datos;
+
+    console.log(`[Notificación] Encolando ${tiponotif} por ${canal} para idusu=${idusu}`);
+
+    try {
+        await sequelize.query(
+            `INSERT INTO PasarelaNotificacion (
+                idtranspas, idusu, tiponotif, canal, destinatario,
+                asunto, mensaje, estnotif, feccre
+            )
+            SELECT :idtranspas, u.idusu, :tiponotif, :canal,
+                   CASE WHEN :canal = 'EMAIL' THEN u.mailusu ELSE u.contacusu END,
+                   :asunto, :mensaje, 'P', GETDATE()
+            FROM usuario u WHERE u.idusu = :idusu`,
+            {
+                replacements: {
+                    idtranspas,
+                    idusu,
+                    tiponotif: sanitizeString(tiponotif, 30),
+                    canal: sanitizeString(canal, 20).toUpperCase(),
+                    asunto: sanitizeString(asunto, 200),
+                    mensaje: mensaje || null
+                },
+                type: QueryTypes.INSERT
+            }
+        );
+
+        console.log(`[Notificación] ✓ Notificación encolada`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Notificación] ✗ ERROR al encolar notificación: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Registrar un cobro recurrente fallido y programar el siguiente reintento
+ *
+ * FLUJO:
+ * D1. Ubicar la suscripción del cargo
+ * D2. Registrar PasarelaTransaccion con estado 'failed' (no suma a la Caja)
+ * D3. Incrementar cobrosfallidos → número de intento
+ * D4. Si hay configuración para el intento en PasarelaConfigReintento:
+ *     → programar fecproximoreintento, marcar deuda en la Membresía y notificar
+ * D5. Si ya no quedan intentos:
+ *     → suscripción 'V' (vencida), Membresía suspendida y cancelación en OpenPay
+ *
+ * @param {Object} cargo - Objeto transaction de OpenPay (o datos del reintento fallido)
+ * @param {Object} suscripcionConocida - Suscripción ya cargada (opcional)
+ * @returns {Object} - { success, mensaje, numintento, final }
+ */
+async function registrarCobroFallido(cargo, suscripcionConocida = null) {
+    console.log('');
+    console.log('='.repeat(60));
+    console.log(`COBRO RECURRENTE FALLIDO - Cargo ${cargo?.id || 'sin ID'}`);
+    console.log('='.repeat(60));
+
+    try {
+        // Idempotencia: el mismo cargo fallido ya fue registrado
+        if (cargo.id) {
+            const existente = await sequelize.query(
+                `SELECT TOP 1 idtranspas FROM PasarelaTransaccion WHERE idtransext = :idtransext`,
+                {
+                    replacements: { idtransext: sanitizeString(cargo.id, 100) },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (existente.length > 0) {
+                return { success: true, mensaje: `Cargo fallido ${cargo.id} ya registrado` };
+            }
+        }
+
+        // D1: Suscripción
+        const suscripcion = suscripcionConocida || await buscarSuscripcionDeCargo(cargo);
+        if (!suscripcion) {
+            return { success: false, error: `No se encontró suscripción local para el cargo ${cargo.id}` };
+        }
+
+        if (suscripcion.estsuscripcion !== 'S') {
+            return { success: true, mensaje: `Suscripción ${suscripcion.idsuscpas} no está activa (estado=${suscripcion.estsuscripcion})` };
+        }
+
+        // D2: Transacción fallida
+        const transaccionResult = await registrarTransaccion({
+            idusu: suscripcion.idusu,
+            dniusu: suscripcion.dniusu,
+            idsuscpas: suscripcion.idsuscpas,
+            idsesionpas: null,
+            idtarjpas: suscripcion.idtarjpas,
+            idtransext: cargo.id || null,
+            referenciaorden: cargo.order_id || `REN-${suscripcion.idsuscpas}-${Date.now()}`,
+            tipotransaccion: 'SUSCRIPCION',
+            estadoext: 'failed',
+            montbruto: parseFloat(cargo.amount) || suscripcion.precio,
+            ultimos4tarj: suscripcion.ultimos4,
+            marcatarj: suscripcion.tipotarjeta,
+            jsonresponse: cargo,
+            coderrorpas: cargo.error_code ? String(cargo.error_code) : null,
+            msgerrorpas: cargo.error_message || null,
+            idapilog: cargo.idapilog || null
+        });
+
+        if (!transaccionResult.success) {
+            throw new Error(`Paso 13 falló: ${transaccionResult.error}`);
+        }
+
+        // D3: Número de intento
+        const numintento = (suscripcion.cobrosfallidos || 0) + 1;
+
+        const configuracion = await sequelize.query(
+            `SELECT TOP 1 numintento, diasespera, enviarnotificacion, tiponotificacion
+             FROM PasarelaConfigReintento
+             WHERE idpasarela = :idpasarela AND numintento = :numintento AND estado = 'S'
+             ORDER BY idconfigreint`,
+            {
+                replacements: {
+                    idpasarela: openpayService.config?.idpasarela || 1,
+                    numintento
+                },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const reintento = configuracion[0] || null;
+
+        // D4: Programar siguiente reintento
+        if (reintento) {
+            await sequelize.query(
+                `UPDATE PasarelaSuscripcion SET
+                    cobrosfallidos = :numintento,
+                    fecultimofallo = GETDATE(),
+                    fecproximoreintento = DATEADD(DAY, :diasespera, GETDATE()),
+                    fecmov = GETDATE()
+                 WHERE idsuscpas = :idsuscpas`,
+                {
+                    replacements: {
+                        numintento,
+                        diasespera: reintento.diasespera,
+                        idsuscpas: suscripcion.idsuscpas
+                    },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            // Deuda visible para recepción (estado_deuda='D')
+            await sequelize.query(
+                `UPDATE Membresia SET estado_deuda = 'D', fecmv = GETDATE() WHERE idmem = :idmem`,
+                {
+                    replacements: { idmem: suscripcion.idmem || 0 },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (reintento.enviarnotificacion === 'S') {
+                const canales = (reintento.tiponotificacion || 'EMAIL').split(/[\/,]/);
+                for (const canal of canales) {
+                    await encolarNotificacion({
+                        idtranspas: transaccionResult.idtranspas,
+                        idusu: suscripcion.idusu,
+                        tiponotif: 'FALLO',
+                        canal: canal.trim(),
+                        asunto: 'No pudimos procesar el cobro de tu membresía',
+                        mensaje: `No pudimos cobrar S/ ${suscripcion.precio} de tu membresía ModoFit. ` +
+                            `Volveremos a intentarlo en ${reintento.diasespera} día(s). ` +
+                            `Verifica que tu tarjeta ****${suscripcion.ultimos4 || ''} tenga fondos o actualízala desde tu panel.`
+                    });
+                }
+            }
+
+            console.log(`[Dunning] ✓ Intento ${numintento} registrado, próximo reintento en ${reintento.diasespera} día(s)`);
+            return {
+                success: true,
+                mensaje: `Cobro fallido ${numintento} registrado, reintento en ${reintento.diasespera} día(s)`,
+                numintento,
+                final: false
+            };
+        }
+
+        // D5: Sin más intentos → suscripción vencida y membresía suspendida
+        await sequelize.query(
+            `UPDATE PasarelaSuscripcion SET
+                cobrosfallidos = :numintento,
+                fecultimofallo = GETDATE(),
+                fecproximoreintento = NULL,
+                estsuscripcion = 'V',
+                fecmov = GETDATE()
+             WHERE idsuscpas = :idsuscpas`,
+            {
+                replacements: { numintento, idsuscpas: suscripcion.idsuscpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE Membresia SET estamem = 'P', estado_deuda = 'D', fecmv = GETDATE()
+             WHERE idmem = :idmem AND estamem = 'S'`,
+            {
+                replacements: { idmem: suscripcion.idmem || 0 },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        // Evitar que OpenPay siga cobrando una suscripción que ya dimos por vencida
+        await openpayService.cancelarSuscripcion(suscripcion.idcliext, suscripcion.idsuscext);
+
+        await encolarNotificacion({
+            idtranspas: transaccionResult.idtranspas,
+            idusu: suscripcion.idusu,
+            tiponotif: 'FALLO',
+            canal: 'EMAIL',
+            asunto: 'Tu membresía ModoFit fue suspendida',
+            mensaje: 'No pudimos cobrar tu membresía después de varios intentos. ' +
+                'Tu membresía quedó suspendida; acércate a recepción o vuelve a suscribirte desde la web.'
+        });
+
+        console.log(`[Dunning] ✗ Último intento fallido: suscripción ${suscripcion.idsuscpas} vencida`);
+        return {
+            success: true,
+            mensaje: `Último intento fallido, suscripción ${suscripcion.idsuscpas} vencida y membresía suspendida`,
+            numintento,
+            final: true
+        };
+
+    } catch (error) {
+        console.log(`[Dunning] ✗ ERROR: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Regularizar una suscripción después de un cobro exitoso
+ * (limpia el contador de fallos y levanta la deuda/suspensión de la membresía)
+ *
+ * @param {number} idsuscpas - ID de la suscripción
+ * @param {Object} transaction - Transacción Sequelize de la renovación (opcional)
+ * @returns {Object} - { success }
+ */
+async function regularizarSuscripcion(idsuscpas, transaction = null) {
+    console.log(`[Dunning] Regularizando suscripción ${idsuscpas}`);
+
+    try {
+        await sequelize.query(
+            `UPDATE PasarelaSuscripcion SET
+                cobrosfallidos = 0,
+                fecproximoreintento = NULL,
+                fecmov = GETDATE()
+             WHERE idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE Membresia SET
+                estado_deuda = 'N',
+                estamem = CASE WHEN estamem = 'P' THEN 'S' ELSE estamem END,
+                fecmv = GETDATE()
+             WHERE idsuscpas = :idsuscpas AND estado_deuda = 'D'`,
+            {
+                replacements: { idsuscpas },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+
+        console.log(`[Dunning] ✓ Suscripción regularizada`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Dunning] ✗ ERROR al regularizar: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// Categorías de PasarelaHomologacionError que son un rechazo real de la tarjeta;
+// 'SISTEMA' (caída, timeout, circuito abierto, código no homologado) no cuenta como intento
+const CATEGORIAS_RECHAZO_COBRO = ['TARJETA', 'BANCO', 'FRAUDE', 'USUARIO'];
+
+// Mientras un reintento está en curso, fecproximoreintento se corre estos minutos:
+// otra instancia no vuelve a tomar la suscripción y, si la pasarela no respondió,
+// el siguiente ciclo lo intenta de nuevo
+const MINUTOS_RECLAMO_REINTENTO = 30;
+
+/**
+ * Reclamar el reintento de una suscripción antes de cobrar (una sola instancia lo toma)
+ *
+ * @param {number} idsuscpas - ID de la suscripción
+ * @returns {boolean} - true si esta ejecución obtuvo el reintento
+ */
+async function reclamarReintentoCobro(idsuscpas) {
+    const reclamado = await sequelize.query(
+        `UPDATE PasarelaSuscripcion SET
+            fecproximoreintento = DATEADD(MINUTE, :minutos, GETDATE()),
+            fecmov = GETDATE()
+         OUTPUT INSERTED.idsuscpas
+         WHERE idsuscpas = :idsuscpas
+           AND estsuscripcion = 'S'
+           AND fecproximoreintento <= GETDATE()`,
+        {
+            replacements: { idsuscpas, minutos: MINUTOS_RECLAMO_REINTENTO },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return reclamado.length > 0;
+}
+
+/**
+ * Reintentar el cobro de una suscripción con la tarjeta guardada (PasarelaTarjeta.sourceid)
+ *
+ * El order_id sale de la suscripción y del número de intento: si la respuesta se pierde
+ * y el cobro se repite, OpenPay rechaza el order_id duplicado en vez de cobrar dos veces.
+ * Solo un rechazo de la tarjeta cuenta como intento fallido; si la pasarela no responde
+ * el reintento queda programado para el siguiente ciclo.
+ *
+ * @param {Object} suscripcion - Registro devuelto por buscarSuscripcionDeCargo
+ * @returns {Object} - { success, cobrado, pospuesto, mensaje }
+ */
+async function reintentarCobroSuscripcion(suscripcion) {
+    const numintento = (suscripcion.cobrosfallidos || 0) + 1;
+    console.log(`[Dunning] Reintentando cobro de suscripción ${suscripcion.idsuscpas} (intento ${numintento})`);
+
+    const resultado = await openpayService.crearCargoCliente(
+        suscripcion.idcliext,
+        {
+            source_id: suscripcion.sourceid,
+            amount: suscripcion.precio,
+            description: `Reintento de cobro - Suscripción ${suscripcion.idsuscext}`,
+            order_id: `REINT-${suscripcion.idsuscpas}-${numintento}`
+        },
+        { idusu: suscripcion.idusu }
+    );
+
+    if (resultado.success && resultado.cargo.status === 'completed') {
+        const renovacion = await procesarRenovacionSuscripcion({
+            ...resultado.cargo,
+            subscription_id: suscripcion.idsuscext,
+            customer_id: suscripcion.idcliext
+        });
+
+        // El cobro ya se hizo: no se vuelve a cobrar aunque la venta no se haya grabado
+        // (el webhook charge.succeeded o la conciliación completan la renovación)
+        if (!renovacion.success) {
+            await sequelize.query(
+                `UPDATE PasarelaSuscripcion SET fecproximoreintento = NULL, fecmov = GETDATE()
+                 WHERE idsuscpas = :idsuscpas`,
+                {
+                    replacements: { idsuscpas: suscripcion.idsuscpas },
+                    type: QueryTypes.UPDATE
+                }
+            );
+        }
+
+        return {
+            success: renovacion.success,
+            cobrado: true,
+            mensaje: renovacion.mensaje || renovacion.error
+        };
+    }
+
+    // Sin respuesta de la tarjeta (caída, timeout, circuito abierto) no se consume el intento
+    if (!resultado.success) {
+        const errorPago = await homologarError(resultado.code, resultado.error, {
+            idusu: suscripcion.idusu,
+            origen: 'DUNNING',
+            monto: suscripcion.precio
+        });
+
+        if (!CATEGORIAS_RECHAZO_COBRO.includes(errorPago.categoriaerror)) {
+            console.log(`[Dunning] Pasarela no disponible para la suscripción ${suscripcion.idsuscpas} (${resultado.code}), se reintenta en el siguiente ciclo`);
+            return {
+                success: true,
+                cobrado: false,
+                pospuesto: true,
+                mensaje: `Cobro pospuesto: ${resultado.error}`
+            };
+        }
+    }
+
+    const fallo = await registrarCobroFallido({
+        id: resultado.cargo?.id || null,
+        amount: suscripcion.precio,
+        error_code: resultado.code,
+        error_message: resultado.error,
+        idapilog: resultado.idapilog
+    }, suscripcion);
+
+    return {
+        success: fallo.success,
+        cobrado: false,
+        mensaje: fallo.mensaje || fallo.error
+    };
+}
+
+/**
+ * Ejecutar los reintentos de cobro vencidos (fecproximoreintento <= ahora)
+ * Cada suscripción se reclama antes de cobrar, así varias instancias pueden ejecutar el job
+ *
+ * Las suscripciones sin tarjeta activa no se toman: esperan a que el socio registre otra
+ * (cambiarTarjetaSuscripcion adelanta el reintento) en lugar de reclamarse cada ciclo
+ *
+ * @param {number} limite - Máximo de suscripciones a procesar
+ * @returns {Object} - { success, total, cobrados, fallidos, pospuestos }
+ */
+async function procesarReintentosPendientes(limite = 50) {
+    const pendientes = await sequelize.query(
+        `SELECT TOP (:limite) s.idsuscpas, s.idsuscext
+         FROM PasarelaSuscripcion s
+         INNER JOIN PasarelaTarjeta t ON s.idtarjpas = t.idtarjpas
+         WHERE s.estsuscripcion = 'S'
+           AND s.fecproximoreintento IS NOT NULL
+           AND s.fecproximoreintento <= GETDATE()
+           AND t.sourceid IS NOT NULL
+           AND t.estado = 'S'
+         ORDER BY s.fecproximoreintento`,
+        {
+            replacements: { limite },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    let cobrados = 0;
+    let fallidos = 0;
+    let pospuestos = 0;
+
+    for (const pendiente of pendientes) {
+        if (!await reclamarReintentoCobro(pendiente.idsuscpas)) {
+            console.log(`[Dunning] Suscripción ${pendiente.idsuscpas} tomada por otra ejecución`);
+            continue;
+        }
+
+        const suscripcion = await buscarSuscripcionDeCargo({ subscription_id: pendiente.idsuscext });
+        if (!suscripcion || !suscripcion.sourceid) {
+            fallidos++;
+            continue;
+        }
+
+        const resultado = await reintentarCobroSuscripcion(suscripcion);
+        if (resultado.cobrado) {
+            cobrados++;
+        } else if (resultado.pospuesto) {
+            pospuestos++;
+        } else {
+            fallidos++;
+        }
+    }
+
+    return { success: true, total: pendientes.length, cobrados, fallidos, pospuestos };
+}
+
+// ============================================================================
+// FASE 8: CANCELACIÓN DE SUSCRIPCIÓN (autoservicio del socio)
+// ============================================================================
+
+/**
+ * Cancelar una suscripción a pedido del socio
+ *
+ * FLUJO:
+ * C1. Validar que la suscripción siga activa
+ * C2. Cancelar en OpenPay (ApiLog → OpenPay → ApiLog → Auditoria)
+ * C3. Marcar PasarelaSuscripcion: estsuscripcion='C', feccancelacion, motivocancelacion
+ * C4. Registrar auditoría del cambio
+ *
+ * La Membresía NO se modifica: sigue vigente hasta el fin del periodo ya pagado.
+ * La validación de pertenencia (tokenusu) se hace en el controller del dashboard.
+ *
+ * @param {number} idsuscpas - ID de la suscripción
+ * @param {string} motivo - Motivo indicado por el socio
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, vigenteHasta, error }
+ */
+async function cancelarSuscripcionSocio(idsuscpas, motivo, auditContext = {}) {
+    console.log(`[Cancelación] Cancelando suscripción ${idsuscpas}`);
+
+    try {
+        // C1: Suscripción activa
+        const resultado = await sequelize.query(
+            `SELECT s.idsuscpas, s.idsuscext, s.estsuscripcion, s.fecfinperiodo,
+                    c.idcliext, m.fecfinmem
+             FROM PasarelaSuscripcion s
+             INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+             LEFT JOIN Membresia m ON s.idmem = m.idmem
+             WHERE s.idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const suscripcion = resultado[0];
+        if (!suscripcion) {
+            return { success: false, error: 'Suscripción no encontrada' };
+        }
+
+        if (suscripcion.estsuscripcion !== 'S' && suscripcion.estsuscripcion !== 'P') {
+            return { success: false, error: 'La suscripción ya no está activa' };
+        }
+
+        // C2: Cancelar en OpenPay (si ya no existe allá, continuar igual)
+        const cancelacion = await openpayService.cancelarSuscripcion(
+            suscripcion.idcliext,
+            suscripcion.idsuscext,
+            auditContext
+        );
+
+        if (!cancelacion.success && String(cancelacion.code) !== '1005') {
+            console.log(`[Cancelación] ✗ OpenPay rechazó la cancelación: ${cancelacion.error}`);
+            return { success: false, error: cancelacion.error };
+        }
+
+        // C3: Estado local
+        const motivoLimpio = sanitizeString(motivo || 'Sin motivo', 200);
+
+        await sequelize.query(
+            `UPDATE PasarelaSuscripcion SET
+                estsuscripcion = 'C',
+                feccancelacion = GETDATE(),
+                motivocancelacion = :motivo,
+                fecproximocobro = NULL,
+                fecproximoreintento = NULL,
+                fecmov = GETDATE()
+             WHERE idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas, motivo: motivoLimpio },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        // C4: Auditoría
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaSuscripcion',
+            idregistro: idsuscpas,
+            accion: 'CANCELACION',
+            camposcambiados: {
+                estsuscripcion: { anterior: suscripcion.estsuscripcion, nuevo: 'C' },
+                motivocancelacion: motivoLimpio,
+                origen: 'DASHBOARD'
+            },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        const vigenteHasta = suscripcion.fecfinmem || suscripcion.fecfinperiodo || null;
+        console.log(`[Cancelación] ✓ Suscripción ${idsuscpas} cancelada, membresía vigente hasta ${vigenteHasta}`);
+
+        return { success: true, vigenteHasta };
+
+    } catch (error) {
+        console.log(`[Cancelación] ✗ ERROR: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 9: REEMBOLSOS (total o parcial, iniciados por el personal)
+// ============================================================================
+
+/**
+ * Procesar un reembolso sobre una transacción con tarjeta
+ *
+ * FLUJO:
+ * D1. Validar transacción original (completada y con cargo real en OpenPay)
+ * D2. Calcular saldo reembolsable (montbruto - reembolsos previos no rechazados)
+ * D3. Reservar el monto: PasarelaReembolso en estado 'P', en la misma transacción
+ *     y con bloqueo sobre los reembolsos de la transacción original
+ * D4. Reembolsar en OpenPay (ApiLog → OpenPay → ApiLog → Auditoria); si la pasarela
+ *     lo rechaza la reserva se libera ('R')
+ * D5. Registrar PasarelaTransaccion tipo REEMBOLSO y vincularla (idtranspasreemb)
+ * D6. Revertir montos en Caja / CajaDetallePasarela
+ * D7. Total: anular Venta y Membresía | Parcial: recortar Membresía proporcionalmente
+ * D8. Registrar auditoría
+ *
+ * @param {Object} datos - { idtranspas, monto (opcional, vacío = total), motivo, codigomotivo, idusuprocesa }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, idreembolso, idtranspasreemb, esreembolsototal, error }
+ */
+async function procesarReembolso(datos, auditContext = {}) {
+    const { idtranspas, monto, motivo, codigomotivo, idusuprocesa } = datos;
+
+    console.log(`[Reembolso] Solicitando reembolso de transacción ${idtranspas}`);
+
+    try {
+        // D1: Transacción original
+        const resultado = await sequelize.query(
+            `SELECT t.idtranspas, t.idpasarela, t.idusu, t.dniusu, t.idven, t.idsuscpas, t.idtarjpas,
+                    t.idtransext, t.referenciaorden, t.montbruto, t.ultimos4tarj, t.marcatarj, t.jsonresponse,
+                    e.codestadoext, tt.codtipotrans, s.idsuscext, c.idcliext
+             FROM PasarelaTransaccion t
+             INNER JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+             INNER JOIN PasarelaTipoTransaccion tt ON t.idtipotrans = tt.idtipotrans
+             LEFT JOIN PasarelaSuscripcion s ON t.idsuscpas = s.idsuscpas
+             LEFT JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+             WHERE t.idtranspas = :idtranspas`,
+            {
+                replacements: { idtranspas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const original = resultado[0];
+        if (!original) {
+            return { success: false, error: 'Transacción no encontrada' };
+        }
+
+        if (original.codtipotrans === 'REEMBOLSO') {
+            return { success: false, error: 'No se puede reembolsar un reembolso' };
+        }
+
+        if (original.codestadoext !== 'completed') {
+            return { success: false, error: 'Solo se pueden reembolsar transacciones completadas' };
+        }
+
+        // El cobro inicial de una suscripción queda con el id de la suscripción hasta que llega su webhook
+        if (!original.idtransext || original.idtransext === original.idsuscext) {
+            return { success: false, error: 'La transacción aún no tiene un cargo conciliado en OpenPay' };
+        }
+
+        // El reembolso sale por la pasarela que cobró
+        const adaptador = await pasarelaService.adaptadorPorId(original.idpasarela);
+
+        const montoriginal = parseFloat(original.montbruto) || 0;
+        const motivoLimpio = sanitizeString(motivo || 'Sin motivo', 500);
+
+        // D2 + D3: Saldo y reserva en una sola transacción. UPDLOCK + HOLDLOCK sobre los
+        // reembolsos de la transacción hace esperar a un reembolso concurrente hasta que
+        // este quede registrado en 'P', así ninguno puede leer un saldo ya comprometido
+        const reserva = await sequelize.transaction(async (transaction) => {
+            const previos = await sequelize.query(
+                `SELECT ISNULL(SUM(montreembolso), 0) AS totalreembolsado
+                 FROM PasarelaReembolso WITH (UPDLOCK, HOLDLOCK)
+                 WHERE idtranspas = :idtranspas AND estreembolso IN ('P', 'A', 'C')`,
+                {
+                    replacements: { idtranspas },
+                    type: QueryTypes.SELECT,
+                    transaction
+                }
+            );
+
+            const disponible = Math.round((montoriginal - (parseFloat(previos[0]?.totalreembolsado) || 0)) * 100) / 100;
+
+            if (disponible <= 0) {
+                return { error: 'La transacción ya fue reembolsada en su totalidad' };
+            }
+
+            let montreembolso;
+            try {
+                montreembolso = monto ? validateAmount(monto) : disponible;
+            } catch (error) {
+                return { error: error.message };
+            }
+
+            if (montreembolso > disponible) {
+                return { error: `El monto excede el saldo reembolsable (S/ ${disponible.toFixed(2)})` };
+            }
+
+            if (!adaptador.capacidades.reembolsosParciales && montreembolso !== montoriginal) {
+                return { error: `${adaptador.nompasarela} solo permite reembolsar el total del cargo` };
+            }
+
+            // Un reembolso es total cuando deja la transacción sin saldo
+            const esreembolsototal = montreembolso === disponible ? 'S' : 'N';
+
+            const insercion = await sequelize.query(
+                `INSERT INTO PasarelaReembolso (
+                    idtranspas, montoriginal, montreembolso, esreembolsototal,
+                    motivo, codigomotivo, estreembolso, idusu, idusuprocesa, feccre
+                )
+                OUTPUT INSERTED.idreembolso
+                VALUES (
+                    :idtranspas, :montoriginal, :montreembolso, :esreembolsototal,
+                    :motivo, :codigomotivo, 'P', :idusu, :idusuprocesa, GETDATE()
+                )`,
+                {
+                    replacements: {
+                        idtranspas,
+                        montoriginal,
+                        montreembolso,
+                        esreembolsototal,
+                        motivo: motivoLimpio,
+                        codigomotivo: sanitizeString(codigomotivo || '', 50) || null,
+                        idusu: original.idusu,
+                        idusuprocesa: idusuprocesa || null
+                    },
+                    type: QueryTypes.INSERT,
+                    transaction
+                }
+            );
+
+            // INSERT ... OUTPUT con QueryTypes.INSERT devuelve [filas, rowCount]
+            const idreembolso = insercion[0]?.[0]?.idreembolso;
+            if (!idreembolso) {
+                throw new Error('La BD no devolvió el idreembolso');
+            }
+
+            return { idreembolso, montreembolso, esreembolsototal };
+        });
+
+        if (reserva.error) {
+            return { success: false, error: reserva.error };
+        }
+
+        const { idreembolso, montreembolso, esreembolsototal } = reserva;
+        console.log(`[Reembolso] ✓ PasarelaReembolso ${idreembolso} registrado (S/ ${montreembolso}, total=${esreembolsototal})`);
+
+        // D4: Reembolso en la pasarela
+        let cargoOriginal = {};
+        try {
+            cargoOriginal = JSON.parse(original.jsonresponse || '{}');
+        } catch (error) {
+            cargoOriginal = {};
+        }
+
+        const reembolso = await adaptador.reembolsarCargo(
+            original.idtransext,
+            {
+                amount: montreembolso,
+                montoOriginal: montoriginal,
+                purchaseNumber: cargoOriginal.order_id,
+                description: motivoLimpio,
+                customer_id: original.idcliext
+            },
+            auditContext
+        );
+
+        if (!reembolso.success) {
+            console.log(`[Reembolso] ✗ ${adaptador.nompasarela} rechazó el reembolso: ${reembolso.error}`);
+
+            await sequelize.query(
+                `UPDATE PasarelaReembolso SET estreembolso = 'R', fecproceso = GETDATE()
+                 WHERE idreembolso = :idreembolso`,
+                {
+                    replacements: { idreembolso },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            return { success: false, idreembolso, error: reembolso.error };
+        }
+
+        // D5: Transacción de reembolso (no suma a caja: estado 'refunded')
+        const transReembolso = await registrarTransaccion({
+            idusu: original.idusu,
+            dniusu: original.dniusu,
+            idsuscpas: original.idsuscpas,
+            idsesionpas: null,
+            idtarjpas: original.idtarjpas,
+            idtransext: reembolso.reembolso.id,
+            referenciaorden: `REEMB-${idreembolso}`,
+            tipotransaccion: 'REEMBOLSO',
+            estadoext: 'refunded',
+            montbruto: montreembolso,
+            montcomision: 0,
+            montimpuesto: 0,
+            ultimos4tarj: original.ultimos4tarj,
+            marcatarj: original.marcatarj,
+            jsonresponse: reembolso.reembolso,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent,
+            idapilog: reembolso.idapilog,
+            adaptador
+        });
+
+        if (!transReembolso.success) {
+            // El dinero ya salió en OpenPay: dejar el reembolso aprobado para conciliarlo a mano
+            await sequelize.query(
+                `UPDATE PasarelaReembolso SET
+                    estreembolso = 'A',
+                    idreembolsoext = :idreembolsoext,
+                    fecproceso = GETDATE()
+                 WHERE idreembolso = :idreembolso`,
+                {
+                    replacements: { idreembolso, idreembolsoext: reembolso.reembolso.id },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            return { success: false, idreembolso, error: 'Reembolso aprobado en OpenPay pero no registrado localmente' };
+        }
+
+        const idestado = await sequelize.query(
+            `SELECT TOP 1 idestadopas FROM PasarelaEstado
+             WHERE codestadoext = 'refunded' AND idpasarela = :idpasarela`,
+            {
+                replacements: { idpasarela: original.idpasarela },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE PasarelaReembolso SET
+                idtranspasreemb = :idtranspasreemb,
+                idreembolsoext = :idreembolsoext,
+                idestadopas = :idestadopas,
+                estreembolso = 'C',
+                fecproceso = GETDATE()
+             WHERE idreembolso = :idreembolso`,
+            {
+                replacements: {
+                    idreembolso,
+                    idtranspasreemb: transReembolso.idtranspas,
+                    idreembolsoext: reembolso.reembolso.id,
+                    idestadopas: idestado[0]?.idestadopas || null
+                },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        // D6: Revertir caja
+        await openpayService.revertirCajaVirtual(transReembolso.idcaja, montreembolso);
+        console.log(`[Reembolso] ✓ Caja revertida en S/ ${montreembolso}`);
+
+        // D7: Venta y Membresía
+        if (original.idven) {
+            if (esreembolsototal === 'S') {
+                await sequelize.query(
+                    `UPDATE PasarelaTransaccion SET idestadopas = :idestadopas, fecmov = GETDATE()
+                     WHERE idtranspas = :idtranspas`,
+                    {
+                        replacements: { idtranspas, idestadopas: idestado[0]?.idestadopas || null },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+
+                await sequelize.query(
+                    `UPDATE Venta SET estven = 'X' WHERE idven = :idven`,
+                    {
+                        replacements: { idven: original.idven },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+
+                await sequelize.query(
+                    `UPDATE Membresia SET estamem = 'C', fecmv = GETDATE() WHERE idven = :idven`,
+                    {
+                        replacements: { idven: original.idven },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+
+                console.log(`[Reembolso] ✓ Venta ${original.idven} y su membresía anuladas`);
+            } else {
+                // Recortar los días de la membresía en proporción al monto devuelto
+                const proporcion = montreembolso / montoriginal;
+
+                await sequelize.query(
+                    `UPDATE Membresia SET
+                        fecfinmem = DATEADD(DAY, -CAST(ROUND(DATEDIFF(DAY, fecinimem, fecfinmem) * :proporcion, 0) AS INT), fecfinmem),
+                        fecmv = GETDATE()
+                     WHERE idven = :idven AND estamem <> 'C'`,
+                    {
+                        replacements: { idven: original.idven, proporcion },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+
+                console.log(`[Reembolso] ✓ Membresía de la venta ${original.idven} recortada (${Math.round(proporcion * 100)}%)`);
+            }
+        }
+
+        // D8: Auditoría
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaReembolso',
+            idregistro: idreembolso,
+            accion: 'REEMBOLSO',
+            camposcambiados: {
+                idtranspas,
+                idtranspasreemb: transReembolso.idtranspas,
+                montreembolso,
+                esreembolsototal,
+                motivo: motivoLimpio
+            },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Reembolso] ✓ Reembolso ${idreembolso} completado`);
+
+        return {
+            success: true,
+            idreembolso,
+            idtranspasreemb: transReembolso.idtranspas,
+            montreembolso,
+            esreembolsototal
+        };
+
+    } catch (error) {
+        console.log(`[Reembolso] ✗ ERROR: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Listar los reembolsos de una transacción
+ * @param {number} idtranspas - ID de la transacción original
+ */
+async function listarReembolsos(idtranspas) {
+    return sequelize.query(
+        `SELECT idreembolso, idtranspasreemb, idreembolsoext, montoriginal, montreembolso,
+                esreembolsototal, motivo, codigomotivo, estreembolso, idusuprocesa, feccre, fecproceso
+         FROM PasarelaReembolso
+         WHERE idtranspas = :idtranspas
+         ORDER BY feccre DESC`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+// ============================================================================
+// FASE 10: DISPUTAS / CONTRACARGOS
+// ============================================================================
+
+// Días para responder una disputa cuando la pasarela no informa la fecha límite
+const DIAS_RESPUESTA_DISPUTA = 7;
+
+// Carpeta fuera de /public donde se guardan los paquetes de evidencia
+const RUTA_EVIDENCIAS = path.join(__dirname, '..', '..', 'storage', 'disputas');
+
+// Estado de disputa → estado de la transacción en PasarelaEstado
+const ESTADO_TRANSACCION_DISPUTA = {
+    A: 'chargeback_pending',
+    R: 'chargeback_pending',
+    G: 'chargeback_adjustment',
+    P: 'chargeback_accepted'
+};
+
+/**
+ * Reunir la evidencia de uso de una transacción disputada
+ *
+ * INCLUYE:
+ * - Transacción y tarjeta usada
+ * - Sesión de checkout (IP, user agent, devicesessionid) y su historial
+ * - Aceptación de términos (casilla obligatoria del registro) y versión vigente
+ * - Asistencias del socio desde la compra
+ * - Llamadas a OpenPay registradas en PasarelaApiLog
+ *
+ * @param {number} idtranspas - ID de la transacción disputada
+ * @returns {Object} - Paquete de evidencia
+ */
+async function construirEvidenciaDisputa(idtranspas) {
+    const transacciones = await sequelize.query(
+        `SELECT t.idtranspas, t.idtransext, t.referenciaorden, t.idusu, t.idven, t.idsuscpas,
+                t.idsesionpas, t.montbruto, t.moneda, t.ultimos4tarj, t.marcatarj,
+                t.ipaddress, t.useragent, t.fectransaccion,
+                u.nomusu, u.apellusu, u.dniusu, u.mailusu, u.feccre AS fecregistro
+         FROM PasarelaTransaccion t
+         INNER JOIN usuario u ON t.idusu = u.idusu
+         WHERE t.idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const transaccion = transacciones[0];
+    if (!transaccion) {
+        throw new Error('Transacción no encontrada');
+    }
+
+    // El cobro recurrente no tiene sesión propia: usar la del alta de la suscripción
+    const sesiones = await sequelize.query(
+        `SELECT TOP 1 s.idsesionpas, s.sessionid, s.devicesessionid, s.ipaddress, s.useragent,
+                s.plataforma, s.navegador, s.sistemaoperativo, s.barcpro, s.montintentado,
+                s.fecinicio, s.fecfin
+         FROM PasarelaSesion s
+         WHERE s.idsesionpas = :idsesionpas
+            OR s.idsesionpas = (SELECT TOP 1 idsesionpas FROM PasarelaTransaccion
+                                WHERE idsuscpas = :idsuscpas AND idsesionpas IS NOT NULL
+                                ORDER BY idtranspas)
+         ORDER BY CASE WHEN s.idsesionpas = :idsesionpas THEN 0 ELSE 1 END`,
+        {
+            replacements: {
+                idsesionpas: transaccion.idsesionpas || 0,
+                idsuscpas: transaccion.idsuscpas || 0
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const sesion = sesiones[0] || null;
+
+    const historial = sesion
+        ? await sequelize.query(
+            `SELECT accion, detalleaccion, ipaddress, fecaccion
+             FROM PasarelaSesionHistorial
+             WHERE idsesionpas = :idsesionpas
+             ORDER BY fecaccion`,
+            {
+                replacements: { idsesionpas: sesion.idsesionpas },
+                type: QueryTypes.SELECT
+            }
+        )
+        : [];
+
+    const asistencias = await sequelize.query(
+        `SELECT fecasis FROM Asistencia
+         WHERE idusu = :idusu AND fecasis >= :desde
+         ORDER BY fecasis`,
+        {
+            replacements: { idusu: transaccion.idusu, desde: transaccion.fectransaccion },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const apilogs = await sequelize.query(
+        `SELECT idapilog, metodohttp, endpoint, operacion, httpstatuscode, esexitoso,
+                codigoerror, mensajeerror, ipaddress, useragent, fecinicio, fecfin
+         FROM PasarelaApiLog
+         WHERE idtranspas = :idtranspas
+            OR (:idsesionpas > 0 AND idsesionpas = :idsesionpas)
+         ORDER BY fecinicio`,
+        {
+            replacements: { idtranspas, idsesionpas: sesion?.idsesionpas || 0 },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    // Huella de la versión de términos publicada al generar el paquete
+    const rutaTerminos = path.join(__dirname, '..', 'views', 'legal', 'terms-conditions.hbs');
+    const terminos = fs.existsSync(rutaTerminos)
+        ? crypto.createHash('sha256').update(fs.readFileSync(rutaTerminos)).digest('hex')
+        : null;
+
+    return {
+        generado: new Date().toISOString(),
+        transaccion: {
+            idtranspas: transaccion.idtranspas,
+            idtransext: transaccion.idtransext,
+            referenciaorden: transaccion.referenciaorden,
+            idven: transaccion.idven,
+            monto: transaccion.montbruto,
+            moneda: transaccion.moneda,
+            tarjeta: `${transaccion.marcatarj || ''} ****${transaccion.ultimos4tarj || ''}`.trim(),
+            ipaddress: transaccion.ipaddress,
+            useragent: transaccion.useragent,
+            fecha: transaccion.fectransaccion
+        },
+        socio: {
+            nombre: `${transaccion.nomusu || ''} ${transaccion.apellusu || ''}`.trim(),
+            dniusu: transaccion.dniusu,
+            mailusu: transaccion.mailusu,
+            fecregistro: transaccion.fecregistro
+        },
+        terminos: {
+            url: '/terms-conditions',
+            aceptacion: 'Casilla obligatoria al registrar la cuenta',
+            fecaceptacion: transaccion.fecregistro,
+            sha256: terminos
+        },
+        sesion,
+        historial,
+        asistencias: {
+            total: asistencias.length,
+            primera: asistencias[0]?.fecasis || null,
+            ultima: asistencias[asistencias.length - 1]?.fecasis || null,
+            registros: asistencias.map(a => a.fecasis)
+        },
+        apilogs
+    };
+}
+
+/**
+ * Generar (o regenerar) el paquete de evidencia y guardar su referencia en evidenciajson
+ * Los adjuntos subidos por el personal se conservan.
+ *
+ * @param {number} iddisputa - ID de la disputa
+ * @returns {Object} - { success, evidencia, error }
+ */
+async function generarPaqueteEvidencia(iddisputa) {
+    console.log(`[Disputa] Generando paquete de evidencia de la disputa ${iddisputa}`);
+
+    try {
+        const disputas = await sequelize.query(
+            `SELECT iddisputa, idtranspas, evidenciajson FROM PasarelaDisputa WHERE iddisputa = :iddisputa`,
+            {
+                replacements: { iddisputa },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const disputa = disputas[0];
+        if (!disputa) {
+            return { success: false, error: 'Disputa no encontrada' };
+        }
+
+        const paquete = await construirEvidenciaDisputa(disputa.idtranspas);
+
+        const carpeta = path.join(RUTA_EVIDENCIAS, String(iddisputa));
+        fs.mkdirSync(carpeta, { recursive: true });
+        fs.writeFileSync(path.join(carpeta, 'evidencia.json'), JSON.stringify(paquete, null, 2));
+
+        const anterior = disputa.evidenciajson ? JSON.parse(disputa.evidenciajson) : {};
+        const evidencia = {
+            paquete: `storage/disputas/${iddisputa}/evidencia.json`,
+            generado: paquete.generado,
+            resumen: {
+                asistencias: paquete.asistencias.total,
+                ultimaAsistencia: paquete.asistencias.ultima,
+                eventosSesion: paquete.historial.length,
+                llamadasApi: paquete.apilogs.length
+            },
+            adjuntos: anterior.adjuntos || []
+        };
+
+        await sequelize.query(
+            `UPDATE PasarelaDisputa SET evidenciajson = :evidenciajson WHERE iddisputa = :iddisputa`,
+            {
+                replacements: { iddisputa, evidenciajson: JSON.stringify(evidencia) },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        console.log(`[Disputa] ✓ Evidencia generada: ${paquete.asistencias.total} asistencias, ${paquete.apilogs.length} llamadas API`);
+        return { success: true, evidencia };
+
+    } catch (error) {
+        console.log(`[Disputa] ✗ ERROR al generar evidencia: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Sincronizar el estado de la transacción disputada
+ */
+async function actualizarTransaccionDisputada(idtranspas, estdisputa) {
+    // El estado se toma de la pasarela de la transacción: cada pasarela tiene sus propios ids
+    await sequelize.query(
+        `UPDATE t SET
+            t.idestadopas = COALESCE((SELECT TOP 1 e.idestadopas FROM PasarelaEstado e
+                                      WHERE e.codestadoext = :codestado AND e.idpasarela = t.idpasarela), t.idestadopas),
+            t.fecmov = GETDATE()
+         FROM PasarelaTransaccion t
+         WHERE t.idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas, codestado: ESTADO_TRANSACCION_DISPUTA[estdisputa] },
+            type: QueryTypes.UPDATE
+        }
+    );
+}
+
+/**
+ * Registrar una disputa (webhook chargeback.created o ingreso manual del personal)
+ *
+ * FLUJO:
+ * E1. Ubicar la transacción (idtranspas o idtransext del cargo en su pasarela)
+ * E2. Idempotencia: si ya existe la disputa abierta, devolverla
+ * E3. Insertar PasarelaDisputa (estado 'A') con fecha límite de respuesta
+ * E4. Marcar la transacción como chargeback_pending
+ * E5. Generar el paquete de evidencia
+ * E6. Registrar auditoría
+ *
+ * @param {Object} datos - { idtranspas | idtransext + idpasarela, iddisputaext, montodisputa, motivo, codigomotivo, feclimiterespuesta, origen }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, iddisputa, existente, error }
+ */
+async function registrarDisputa(datos, auditContext = {}) {
+    const { idtranspas, idtransext, idpasarela, iddisputaext, montodisputa, motivo, codigomotivo, feclimiterespuesta, origen } = datos;
+
+    console.log(`[Disputa] Registrando disputa (${origen || 'MANUAL'}) de ${idtranspas || idtransext}`);
+
+    try {
+        // E1: Transacción
+        const transacciones = await sequelize.query(
+            `SELECT TOP 1 idtranspas, montbruto FROM PasarelaTransaccion
+             WHERE (:idtranspas > 0 AND idtranspas = :idtranspas)
+                OR (:idtransext <> '' AND idtransext = :idtransext
+                    AND (:idpasarela = 0 OR idpasarela = :idpasarela))
+             ORDER BY idtranspas`,
+            {
+                replacements: {
+                    idtranspas: idtranspas || 0,
+                    idtransext: sanitizeString(idtransext || '', 100),
+                    idpasarela: idpasarela || 0
+                },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const transaccion = transacciones[0];
+        if (!transaccion) {
+            return { success: false, error: 'Transacción no encontrada' };
+        }
+
+        // E2: Disputa ya registrada para la transacción
+        const existentes = await sequelize.query(
+            `SELECT TOP 1 iddisputa FROM PasarelaDisputa
+             WHERE idtranspas = :idtranspas AND estdisputa IN ('A', 'R')
+             ORDER BY iddisputa DESC`,
+            {
+                replacements: { idtranspas: transaccion.idtranspas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (existentes.length > 0) {
+            console.log(`[Disputa] Disputa ${existentes[0].iddisputa} ya registrada`);
+            return { success: true, iddisputa: existentes[0].iddisputa, existente: true };
+        }
+
+        // E3: Insertar disputa
+        const limite = feclimiterespuesta
+            ? new Date(feclimiterespuesta)
+            : new Date(Date.now() + DIAS_RESPUESTA_DISPUTA * 24 * 60 * 60 * 1000);
+
+        const insercion = await sequelize.query(
+            `INSERT INTO PasarelaDisputa (
+                idtranspas, iddisputaext, montodisputa, motivo, codigomotivo,
+                estdisputa, feclimiterespuesta, feccre
+            )
+            OUTPUT INSERTED.iddisputa
+            VALUES (
+                :idtranspas, :iddisputaext, :montodisputa, :motivo, :codigomotivo,
+                'A', :feclimiterespuesta, GETDATE()
+            )`,
+            {
+                replacements: {
+                    idtranspas: transaccion.idtranspas,
+                    iddisputaext: sanitizeString(iddisputaext || '', 100) || null,
+                    montodisputa: parseFloat(montodisputa) || parseFloat(transaccion.montbruto) || 0,
+                    motivo: sanitizeString(motivo || '', 500) || null,
+                    codigomotivo: sanitizeString(codigomotivo || '', 50) || null,
+                    feclimiterespuesta: isNaN(limite.getTime()) ? null : limite
+                },
+                type: QueryTypes.INSERT
+            }
+        );
+
+        // INSERT ... OUTPUT con QueryTypes.INSERT devuelve [filas, rowCount]
+        const iddisputa = insercion[0]?.[0]?.iddisputa;
+        if (!iddisputa) {
+            throw new Error('La BD no devolvió el iddisputa');
+        }
+        console.log(`[Disputa] ✓ PasarelaDisputa ${iddisputa} registrada`);
+
+        // E4: Estado de la transacción
+        await actualizarTransaccionDisputada(transaccion.idtranspas, 'A');
+
+        // E5: Evidencia (si falla la disputa queda registrada y se puede regenerar)
+        await generarPaqueteEvidencia(iddisputa);
+
+        // E6: Auditoría
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaDisputa',
+            idregistro: iddisputa,
+            accion: 'DISPUTA',
+            camposcambiados: {
+                idtranspas: transaccion.idtranspas,
+                iddisputaext,
+                montodisputa,
+                origen: origen || 'MANUAL'
+            },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        return { success: true, iddisputa, existente: false };
+
+    } catch (error) {
+        console.log(`[Disputa] ✗ ERROR: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Cambiar el estado de una disputa
+ * R: En revisión (evidencia enviada), G: Ganada, P: Perdida
+ *
+ * @param {Object} datos - { iddisputa | idtranspas, estdisputa }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, iddisputa, error }
+ */
+async function actualizarEstadoDisputa(datos, auditContext = {}) {
+    const { iddisputa, idtranspas, estdisputa } = datos;
+
+    if (!ESTADO_TRANSACCION_DISPUTA[estdisputa]) {
+        return { success: false, error: 'Estado de disputa inválido' };
+    }
+
+    try {
+        const disputas = await sequelize.query(
+            `SELECT TOP 1 iddisputa, idtranspas, estdisputa FROM PasarelaDisputa
+             WHERE (:iddisputa > 0 AND iddisputa = :iddisputa)
+                OR (:idtranspas > 0 AND idtranspas = :idtranspas)
+             ORDER BY iddisputa DESC`,
+            {
+                replacements: { iddisputa: iddisputa || 0, idtranspas: idtranspas || 0 },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const disputa = disputas[0];
+        if (!disputa) {
+            return { success: false, error: 'Disputa no encontrada' };
+        }
+
+        if (disputa.estdisputa === 'G' || disputa.estdisputa === 'P') {
+            return { success: false, error: 'La disputa ya fue resuelta' };
+        }
+
+        const resuelta = estdisputa === 'G' || estdisputa === 'P';
+
+        await sequelize.query(
+            `UPDATE PasarelaDisputa SET
+                estdisputa = :estdisputa,
+                fecresolucion = CASE WHEN :resuelta = 1 THEN GETDATE() ELSE fecresolucion END
+             WHERE iddisputa = :iddisputa`,
+            {
+                replacements: { iddisputa: disputa.iddisputa, estdisputa, resuelta: resuelta ? 1 : 0 },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        await actualizarTransaccionDisputada(disputa.idtranspas, estdisputa);
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaDisputa',
+            idregistro: disputa.iddisputa,
+            accion: 'DISPUTA_ESTADO',
+            camposcambiados: {
+                estdisputa: { anterior: disputa.estdisputa, nuevo: estdisputa }
+            },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Disputa] ✓ Disputa ${disputa.iddisputa}: ${disputa.estdisputa} → ${estdisputa}`);
+        return { success: true, iddisputa: disputa.iddisputa };
+
+    } catch (error) {
+        console.log(`[Disputa] ✗ ERROR al actualizar estado: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Adjuntar archivos de evidencia a una disputa (subidos con express-fileupload)
+ *
+ * @param {number} iddisputa - ID de la disputa
+ * @param {Array} archivos - Archivos de req.files
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, adjuntos, error }
+ */
+async function adjuntarEvidenciaDisputa(iddisputa, archivos, auditContext = {}) {
+    try {
+        const disputas = await sequelize.query(
+            `SELECT iddisputa, evidenciajson FROM PasarelaDisputa WHERE iddisputa = :iddisputa`,
+            {
+                replacements: { iddisputa },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (disputas.length === 0) {
+            return { success: false, error: 'Disputa no encontrada' };
+        }
+
+        const evidencia = disputas[0].evidenciajson ? JSON.parse(disputas[0].evidenciajson) : {};
+        evidencia.adjuntos = evidencia.adjuntos || [];
+
+        const carpeta = path.join(RUTA_EVIDENCIAS, String(iddisputa), 'adjuntos');
+        fs.mkdirSync(carpeta, { recursive: true });
+
+        for (const archivo of archivos) {
+            // Nombre seguro: sin rutas ni caracteres especiales, con prefijo de tiempo
+            const nombre = `${Date.now()}_${path.basename(archivo.name).replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+            await archivo.mv(path.join(carpeta, nombre));
+
+            evidencia.adjuntos.push({
+                archivo: `storage/disputas/${iddisputa}/adjuntos/${nombre}`,
+                nombreoriginal: sanitizeString(archivo.name, 200),
+                mimetype: archivo.mimetype,
+                tamano: archivo.size,
+                idusu: auditContext.idusu || null,
+                fecha: new Date().toISOString()
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE PasarelaDisputa SET evidenciajson = :evidenciajson WHERE iddisputa = :iddisputa`,
+            {
+                replacements: { iddisputa, evidenciajson: JSON.stringify(evidencia) },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaDisputa',
+            idregistro: iddisputa,
+            accion: 'DISPUTA_ADJUNTO',
+            camposcambiados: { archivos: archivos.map(a => a.name) },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Disputa] ✓ ${archivos.length} adjunto(s) agregados a la disputa ${iddisputa}`);
+        return { success: true, adjuntos: evidencia.adjuntos };
+
+    } catch (error) {
+        console.log(`[Disputa] ✗ ERROR al adjuntar evidencia: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Listar disputas (opcionalmente por estado), las más urgentes primero
+ * @param {string} estdisputa - A, R, G, P (opcional)
+ */
+async function listarDisputas(estdisputa = null) {
+    return sequelize.query(
+        `SELECT d.iddisputa, d.idtranspas, d.iddisputaext, d.montodisputa, d.motivo, d.codigomotivo,
+                d.estdisputa, d.feclimiterespuesta, d.feccre, d.fecresolucion, d.evidenciajson,
+                t.idtransext, t.dniusu, t.fectransaccion
+         FROM PasarelaDisputa d
+         INNER JOIN PasarelaTransaccion t ON d.idtranspas = t.idtranspas
+         WHERE (:estdisputa = '' OR d.estdisputa = :estdisputa)
+         ORDER BY CASE WHEN d.estdisputa IN ('A', 'R') THEN 0 ELSE 1 END, d.feclimiterespuesta`,
+        {
+            replacements: { estdisputa: estdisputa || '' },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+// ============================================================================
+// FASE 11: BILLETERA DE TARJETAS (autoservicio del socio)
+// ============================================================================
+
+/**
+ * Agregar una tarjeta a la billetera del socio
+ *
+ * FLUJO:
+ * T1. Ubicar el cliente en PasarelaCliente (Paso 4)
+ * T2. Asociar la tarjeta tokenizada en OpenPay (Paso 8)
+ * T3. Guardar en PasarelaTarjeta (Paso 9); es predeterminada si es la única activa
+ *
+ * La validación del usuario en sesión se hace en el controller del dashboard.
+ *
+ * @param {Object} datos - { idusu, dniusu, tokenId, deviceSessionId }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, idtarjpas, error }
+ */
+async function agregarTarjetaSocio(datos, auditContext = {}) {
+    const { idusu, dniusu, tokenId, deviceSessionId } = datos;
+
+    console.log(`[Billetera] Agregando tarjeta para idusu=${idusu}`);
+
+    try {
+        // T1: Cliente en la pasarela
+        const cliente = await buscarClientePasarela(idusu, dniusu);
+        if (!cliente) {
+            return { success: false, error: 'Aún no tienes un perfil de pago. Realiza tu primera compra para registrarlo.' };
+        }
+
+        // T2: Asociar en OpenPay
+        const tarjetaOpenpay = await asociarTarjetaEnOpenpay(cliente.idcliext, tokenId, deviceSessionId, auditContext);
+        if (!tarjetaOpenpay.success) {
+            return { success: false, error: tarjetaOpenpay.error };
+        }
+
+        const activas = await sequelize.query(
+            `SELECT COUNT(*) AS total FROM PasarelaTarjeta WHERE idclipas = :idclipas AND estado = 'S'`,
+            {
+                replacements: { idclipas: cliente.idclipas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // T3: Guardar localmente
+        const tarjeta = tarjetaOpenpay.tarjeta;
+        const resultado = await guardarTarjetaPasarela({
+            idclipas: cliente.idclipas,
+            tokenId,
+            sourceid: tarjeta.id,
+            deviceSessionId,
+            ultimos4: tarjeta.card_number?.slice(-4),
+            mesexp: tarjeta.expiration_month,
+            anioexp: tarjeta.expiration_year,
+            nomtitular: tarjeta.holder_name,
+            marca: tarjeta.brand,
+            bancoemisor: tarjeta.bank_name,
+            espredeterminada: activas[0]?.total > 0 ? 'N' : 'S',
+            idapilog: tarjetaOpenpay.idapilog
+        });
+
+        if (!resultado.success) {
+            return { success: false, error: 'La tarjeta se registró en la pasarela pero no se pudo guardar' };
+        }
+
+        console.log(`[Billetera] ✓ Tarjeta ${resultado.idtarjpas} agregada`);
+        return { success: true, idtarjpas: resultado.idtarjpas };
+
+    } catch (error) {
+        console.log(`[Billetera] ✗ ERROR al agregar tarjeta: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Eliminar una tarjeta de la billetera del socio
+ * No se permite si una suscripción activa la usa para sus cobros.
+ *
+ * @param {number} idtarjpas - ID de la tarjeta
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, error }
+ */
+async function eliminarTarjetaSocio(idtarjpas, auditContext = {}) {
+    console.log(`[Billetera] Eliminando tarjeta ${idtarjpas}`);
+
+    try {
+        const resultado = await sequelize.query(
+            `SELECT t.idtarjpas, t.idclipas, t.sourceid, t.espredeterminada, t.estado, c.idcliext,
+                    (SELECT COUNT(*) FROM PasarelaSuscripcion s
+                     WHERE s.idtarjpas = t.idtarjpas AND s.estsuscripcion IN ('S', 'P')) AS suscripcionesactivas
+             FROM PasarelaTarjeta t
+             INNER JOIN PasarelaCliente c ON t.idclipas = c.idclipas
+             WHERE t.idtarjpas = :idtarjpas`,
+            {
+                replacements: { idtarjpas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const tarjeta = resultado[0];
+        if (!tarjeta || tarjeta.estado !== 'S') {
+            return { success: false, error: 'Tarjeta no encontrada' };
+        }
+
+        if (tarjeta.suscripcionesactivas > 0) {
+            return { success: false, error: 'La tarjeta está asociada a una suscripción activa. Cambia la tarjeta de la suscripción antes de eliminarla.' };
+        }
+
+        // Si ya no existe en OpenPay (1005), continuar con la baja local
+        const eliminacion = await openpayService.eliminarTarjeta(tarjeta.idcliext, tarjeta.sourceid, auditContext);
+        if (!eliminacion.success && String(eliminacion.code) !== '1005') {
+            console.log(`[Billetera] ✗ OpenPay rechazó la eliminación: ${eliminacion.error}`);
+            return { success: false, error: eliminacion.error };
+        }
+
+        await sequelize.query(
+            `UPDATE PasarelaTarjeta SET estado = 'N', espredeterminada = 'N', fecmov = GETDATE()
+             WHERE idtarjpas = :idtarjpas`,
+            {
+                replacements: { idtarjpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        // La más reciente de las restantes pasa a ser la predeterminada
+        if (tarjeta.espredeterminada === 'S') {
+            await sequelize.query(
+                `UPDATE PasarelaTarjeta SET espredeterminada = 'S', fecmov = GETDATE()
+                 WHERE idtarjpas = (SELECT TOP 1 idtarjpas FROM PasarelaTarjeta
+                                    WHERE idclipas = :idclipas AND estado = 'S'
+                                    ORDER BY feccre DESC)`,
+                {
+                    replacements: { idclipas: tarjeta.idclipas },
+                    type: QueryTypes.UPDATE
+                }
+            );
+        }
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTarjeta',
+            idregistro: idtarjpas,
+            accion: 'DELETE',
+            camposcambiados: { estado: { anterior: 'S', nuevo: 'N' }, origen: 'DASHBOARD' },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Billetera] ✓ Tarjeta ${idtarjpas} eliminada`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Billetera] ✗ ERROR al eliminar tarjeta: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Marcar una tarjeta como predeterminada (desmarca las demás del cliente)
+ *
+ * @param {number} idtarjpas - ID de la tarjeta
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, error }
+ */
+async function marcarTarjetaPredeterminada(idtarjpas, auditContext = {}) {
+    try {
+        const resultado = await sequelize.query(
+            `SELECT idclipas, estado FROM PasarelaTarjeta WHERE idtarjpas = :idtarjpas`,
+            {
+                replacements: { idtarjpas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!resultado[0] || resultado[0].estado !== 'S') {
+            return { success: false, error: 'Tarjeta no encontrada' };
+        }
+
+        await sequelize.query(
+            `UPDATE PasarelaTarjeta SET
+                espredeterminada = CASE WHEN idtarjpas = :idtarjpas THEN 'S' ELSE 'N' END,
+                fecmov = GETDATE()
+             WHERE idclipas = :idclipas AND estado = 'S'`,
+            {
+                replacements: { idtarjpas, idclipas: resultado[0].idclipas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTarjeta',
+            idregistro: idtarjpas,
+            accion: 'UPDATE',
+            camposcambiados: { espredeterminada: 'S', origen: 'DASHBOARD' },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Billetera] ✓ Tarjeta ${idtarjpas} marcada como predeterminada`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Billetera] ✗ ERROR al marcar predeterminada: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Cambiar la tarjeta con la que se cobra una suscripción
+ *
+ * FLUJO:
+ * K1. Validar suscripción activa y que la tarjeta pertenezca al mismo cliente
+ * K2. Actualizar source_id en OpenPay (ApiLog → OpenPay → ApiLog → Auditoria)
+ * K3. Actualizar idtarjpas; si hay un reintento pendiente se adelanta para cobrar con la nueva tarjeta
+ * K4. Registrar auditoría del cambio
+ *
+ * El ciclo de facturación (fecproximocobro) no cambia.
+ *
+ * @param {number} idsuscpas - ID de la suscripción
+ * @param {number} idtarjpas - ID de la nueva tarjeta
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, ultimos4, error }
+ */
+async function cambiarTarjetaSuscripcion(idsuscpas, idtarjpas, auditContext = {}) {
+    console.log(`[Billetera] Cambiando tarjeta de la suscripción ${idsuscpas} a ${idtarjpas}`);
+
+    try {
+        // K1: Suscripción y tarjeta del mismo cliente
+        const resultado = await sequelize.query(
+            `SELECT s.idsuscpas, s.idsuscext, s.estsuscripcion, s.idtarjpas AS idtarjpasanterior,
+                    s.fecproximoreintento, c.idcliext,
+                    t.sourceid, t.ultimos4, t.estado AS esttarjeta
+             FROM PasarelaSuscripcion s
+             INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+             LEFT JOIN PasarelaTarjeta t ON t.idtarjpas = :idtarjpas AND t.idclipas = s.idclipas
+             WHERE s.idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas, idtarjpas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const suscripcion = resultado[0];
+        if (!suscripcion) {
+            return { success: false, error: 'Suscripción no encontrada' };
+        }
+
+        if (suscripcion.estsuscripcion !== 'S' && suscripcion.estsuscripcion !== 'P') {
+            return { success: false, error: 'La suscripción ya no está activa' };
+        }
+
+        if (!suscripcion.sourceid || suscripcion.esttarjeta !== 'S') {
+            return { success: false, error: 'Tarjeta no encontrada' };
+        }
+
+        if (suscripcion.idtarjpasanterior === idtarjpas) {
+            return { success: false, error: 'La suscripción ya usa esta tarjeta' };
+        }
+
+        // K2: OpenPay
+        const actualizacion = await openpayService.actualizarSuscripcion(
+            suscripcion.idcliext,
+            suscripcion.idsuscext,
+            { source_id: suscripcion.sourceid },
+            auditContext
+        );
+
+        if (!actualizacion.success) {
+            console.log(`[Billetera] ✗ OpenPay rechazó el cambio de tarjeta: ${actualizacion.error}`);
+            return { success: false, error: actualizacion.error };
+        }
+
+        // K3: Estado local
+        await sequelize.query(
+            `UPDATE PasarelaSuscripcion SET
+                idtarjpas = :idtarjpas,
+                fecproximoreintento = CASE WHEN fecproximoreintento IS NOT NULL THEN GETDATE() ELSE NULL END,
+                fecmov = GETDATE()
+             WHERE idsuscpas = :idsuscpas`,
+            {
+                replacements: { idsuscpas, idtarjpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        // K4: Auditoría
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaSuscripcion',
+            idregistro: idsuscpas,
+            accion: 'CAMBIO_TARJETA',
+            camposcambiados: {
+                idtarjpas: { anterior: suscripcion.idtarjpasanterior, nuevo: idtarjpas },
+                reintentoadelantado: !!suscripcion.fecproximoreintento,
+                idapilog: actualizacion.idapilog,
+                origen: 'DASHBOARD'
+            },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Billetera] ✓ Suscripción ${idsuscpas} ahora cobra a ****${suscripcion.ultimos4}`);
+        return { success: true, ultimos4: suscripcion.ultimos4 };
+
+    } catch (error) {
+        console.log(`[Billetera] ✗ ERROR al cambiar tarjeta: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 12: HOMOLOGACIÓN DE ERRORES (mensajes para el usuario)
+// ============================================================================
+
+/**
+ * Respuesta cuando el código de la pasarela no está en PasarelaHomologacionError
+ */
+const ERROR_PAGO_GENERICO = {
+    coderrorint: 'ERROR_DESCONOCIDO',
+    categoriaerror: 'SISTEMA',
+    msgusuario: 'No pudimos procesar tu pago',
+    msgusuariodetalle: 'Inténtalo nuevamente en unos minutos o usa otra tarjeta.',
+    accionsugerida: 'REINTENTAR',
+    permitereintento: true,
+    permiterespaldo: false,
+    maxreintentos: 3,
+    colorhex: '#dc3545',
+    iconclass: 'fa-exclamation-circle'
+};
+
+/**
+ * Respuesta cuando el circuito de OpenPay está abierto y falta su fila en PasarelaHomologacionError
+ */
+const ERROR_PASARELA_NO_DISPONIBLE = {
+    coderrorint: 'PASARELA_NO_DISPONIBLE',
+    categoriaerror: 'SISTEMA',
+    msgusuario: 'Pagos temporalmente no disponibles',
+    msgusuariodetalle: 'No se realizó ningún cobro. Vuelve a intentarlo en unos minutos.',
+    accionsugerida: 'REINTENTAR',
+    permitereintento: true,
+    permiterespaldo: true,
+    maxreintentos: 3,
+    colorhex: '#ffc107',
+    iconclass: 'fa-clock'
+};
+
+/**
+ * Traducir un error_code de OpenPay a un mensaje accionable para el usuario
+ * Si la fila tiene notificaradmin='S' además se registra una alerta interna
+ *
+ * @param {string|number} coderrorext - error_code devuelto por la pasarela
+ * @param {string} deserror - Descripción original (solo para la alerta y los logs)
+ * @param {Object} contexto - { origen, idsesionpas, monto, idusu, ipaddress, useragent, adaptador }
+ *        adaptador: pasarela que devolvió el código (por defecto OpenPay)
+ * @returns {Object} - { coderrorext, coderrorint, categoriaerror, msgusuario, msgusuariodetalle,
+ *                       accionsugerida, permitereintento, permiterespaldo, maxreintentos, colorhex, iconclass }
+ */
+async function homologarError(coderrorext, deserror = null, contexto = {}) {
+    const codigo = coderrorext !== undefined && coderrorext !== null ? String(coderrorext) : null;
+
+    console.log(`[Homologación] Código ${codigo || 'sin código'}: ${deserror || '-'}`);
+
+    if (!codigo) {
+        return { coderrorext: null, ...ERROR_PAGO_GENERICO };
+    }
+
+    const generico = codigo === openpayService.CODIGO_CIRCUITO_ABIERTO
+        ? ERROR_PASARELA_NO_DISPONIBLE
+        : ERROR_PAGO_GENERICO;
+
+    try {
+        const adaptador = contexto.adaptador || openpayService;
+        await adaptador.ensureInitialized();
+        const idpasarela = adaptador.config?.idpasarela || 1;
+
+        const resultado = await sequelize.query(
+            `SELECT TOP 1 idhomologerror, coderrorint, categoriaerror, msgusuario, msgusuariodetalle,
+                    accionsugerida, permitereintento, permiterespaldo, maxreintentos, colorhex, iconclass,
+                    severidad, notificaradmin
+             FROM PasarelaHomologacionError
+             WHERE idpasarela = :idpasarela AND coderrorext = :codigo AND estado = 'S'`,
+            {
+                replacements: { idpasarela, codigo: sanitizeString(codigo, 50) },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const homologacion = resultado[0];
+        if (!homologacion) {
+            console.log(`[Homologación] ✗ Código ${codigo} no homologado, se usa el mensaje genérico`);
+            return { coderrorext: codigo, ...generico };
+        }
+
+        if (homologacion.notificaradmin === 'S') {
+            await alertarErrorPago(homologacion, codigo, deserror, contexto);
+        }
+
+        console.log(`[Homologación] ✓ ${codigo} → ${homologacion.coderrorint}`);
+
+        return {
+            coderrorext: codigo,
+            coderrorint: homologacion.coderrorint,
+            categoriaerror: homologacion.categoriaerror,
+            msgusuario: homologacion.msgusuario,
+            msgusuariodetalle: homologacion.msgusuariodetalle,
+            accionsugerida: homologacion.accionsugerida,
+            permitereintento: homologacion.permitereintento !== 'N',
+            permiterespaldo: homologacion.permiterespaldo === 'S',
+            maxreintentos: homologacion.maxreintentos,
+            colorhex: homologacion.colorhex || generico.colorhex,
+            iconclass: homologacion.iconclass || generico.iconclass
+        };
+
+    } catch (error) {
+        console.log(`[Homologación] ✗ ERROR al homologar ${codigo}: ${error.message}`);
+        return { coderrorext: codigo, ...generico };
+    }
+}
+
+/**
+ * Alerta interna para errores marcados con notificaradmin='S' (fraude, caídas de la pasarela)
+ * Queda en PasarelaAuditoria con accion='ALERTA_PAGO' para el panel del personal
+ */
+async function alertarErrorPago(homologacion, coderrorext, deserror, contexto = {}) {
+    console.warn(`[Alerta] ⚠ ${homologacion.severidad} ${homologacion.coderrorint} (${coderrorext}) en ${contexto.origen || 'PAGO'}: ${deserror || '-'}`);
+
+    await openpayService.registrarAuditoria({
+        tablaafectada: 'PasarelaHomologacionError',
+        idregistro: homologacion.idhomologerror,
+        accion: 'ALERTA_PAGO',
+        camposcambiados: {
+            coderrorext,
+            coderrorint: homologacion.coderrorint,
+            categoriaerror: homologacion.categoriaerror,
+            severidad: homologacion.severidad,
+            descripcion: deserror,
+            origen: contexto.origen || null,
+            codpasarela: contexto.adaptador?.codpasarela || 'OPP',
+            idsesionpas: contexto.idsesionpas || null,
+            monto: contexto.monto || null
+        },
+        idusu: contexto.idusu || null,
+        ipaddress: contexto.ipaddress || null,
+        useragent: contexto.useragent || null
+    });
+}
+
+/**
+ * Listar las alertas de pago de los últimos días, las más recientes primero
+ * @param {number} dias - Ventana de consulta
+ */
+async function listarAlertasPago(dias = 7) {
+    return sequelize.query(
+        `SELECT a.idauditpas, a.idregistro AS idhomologerror, a.camposcambiados,
+                a.idusu, a.ipaddress, a.fecaudit,
+                h.coderrorext, h.coderrorint, h.severidad, h.msgusuario
+         FROM PasarelaAuditoria a
+         LEFT JOIN PasarelaHomologacionError h ON h.idhomologerror = a.idregistro
+         WHERE a.accion = 'ALERTA_PAGO'
+           AND a.tablaafectada = 'PasarelaHomologacionError'
+           AND a.fecaudit >= DATEADD(DAY, -:dias, GETDATE())
+         ORDER BY a.fecaudit DESC`,
+        {
+            replacements: { dias },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+// ============================================================================
+// FASE 13: COTIZACIÓN (el servidor es la única fuente de precios)
+// ============================================================================
+
+// Vigencia de una cotización firmada
+const MINUTOS_VIGENCIA_COTIZACION = 15;
+
+// Cantidad máxima por línea del carrito
+const MAX_CANTIDAD_ITEM = 20;
+
+/**
+ * Plan de suscripción vigente por idplanpas o por codplanext (pln_xxxxx)
+ * @returns {Object|null} - { idplanpas, codplanext, nomplanext, precio, moneda, barcpro, ... }
+ */
+async function obtenerPlanVigente({ idplanpas, codplanext }) {
+    if (!idplanpas && !codplanext) {
+        return null;
+    }
+
+    const resultado = await sequelize.query(
+        `SELECT TOP 1 pp.idplanpas, pp.codplanext, pp.nomplanext, pp.precio, pp.moneda,
+                pp.frecuencianum, pp.frecuenciaunidad, pp.diasprueba, pp.barcpro,
+                p.idpro, p.despro, p.durpro
+         FROM PasarelaPlan pp
+         INNER JOIN Producto p ON pp.barcpro = p.barcpro
+         WHERE pp.estado = 'S' AND p.estpro = 'S'
+           AND (pp.idplanpas = :idplanpas OR pp.codplanext = :codplanext)`,
+        {
+            replacements: {
+                idplanpas: parseInt(idplanpas, 10) || 0,
+                codplanext: sanitizeString(codplanext || '', 100)
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return resultado[0] || null;
+}
+
+/**
+ * Recalcular un carrito con los precios de la BD
+ * Del navegador solo se aceptan: tipo, id (idpro), idplanpas y cantidad
+ *
+ * @param {Array} items - Items del carrito
+ * @returns {Object} - { success, items, total, error }
+ */
+async function cotizarPedido(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, error: 'El carrito está vacío' };
+    }
+
+    const lineas = [];
+
+    for (const item of items) {
+        const cantidad = parseInt(item.cantidad, 10);
+        if (!Number.isInteger(cantidad) || cantidad < 1 || cantidad > MAX_CANTIDAD_ITEM) {
+            return { success: false, error: `Cantidad inválida para ${item.nombre || 'un producto'}` };
+        }
+
+        if (item.tipo === 'plan') {
+            const plan = await obtenerPlanVigente({ idplanpas: item.idplanpas });
+            if (!plan) {
+                return { success: false, error: `El plan ${item.nombre || ''} ya no está disponible`.trim() };
+            }
+
+            lineas.push({
+                tipo: 'plan',
+                id: plan.idpro,
+                idplanpas: plan.idplanpas,
+                barcpro: plan.barcpro,
+                nombre: plan.nomplanext || plan.despro,
+                precio: parseFloat(plan.precio),
+                cantidad
+            });
+            continue;
+        }
+
+        const productos = await sequelize.query(
+            `SELECT idpro, barcpro, despro, cosvenpro FROM Producto
+             WHERE idpro = :idpro AND estpro = 'S'`,
+            {
+                replacements: { idpro: parseInt(item.id, 10) || 0 },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const producto = productos[0];
+        if (!producto) {
+            return { success: false, error: `El producto ${item.nombre || ''} ya no está disponible`.trim() };
+        }
+
+        lineas.push({
+            tipo: 'producto',
+            id: producto.idpro,
+            idplanpas: null,
+            barcpro: producto.barcpro,
+            nombre: producto.despro,
+            precio: parseFloat(producto.cosvenpro),
+            cantidad
+        });
+    }
+
+    const total = Math.round(lineas.reduce((sum, l) => sum + l.precio * l.cantidad, 0) * 100) / 100;
+
+    try {
+        validateAmount(total);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, items: lineas, total };
+}
+
+/**
+ * Cotizar el carrito y firmar el resultado (tokens.firmar)
+ * La cotización es el número de orden que el checkout presenta al cobrar
+ *
+ * @param {Array} items - Items del carrito
+ * @param {number} idusu - Usuario en sesión (opcional)
+ * @returns {Object} - { success, idcotizacion, cotizacion, items, total, expira, error }
+ */
+async function emitirCotizacion(items, idusu = null) {
+    try {
+        const resultado = await cotizarPedido(items);
+        if (!resultado.success) {
+            return resultado;
+        }
+
+        const idcotizacion = `COT-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const cotizacion = tokens.firmar({
+            idcotizacion,
+            idusu,
+            items: resultado.items.map(l => ({ tipo: l.tipo, id: l.id, idplanpas: l.idplanpas, cantidad: l.cantidad, precio: l.precio })),
+            total: resultado.total
+        }, MINUTOS_VIGENCIA_COTIZACION * 60);
+
+        console.log(`[Cotización] ✓ ${idcotizacion}: ${resultado.items.length} item(s), total S/ ${resultado.total}`);
+
+        return {
+            success: true,
+            idcotizacion,
+            cotizacion,
+            items: resultado.items,
+            total: resultado.total,
+            expira: new Date(Date.now() + MINUTOS_VIGENCIA_COTIZACION * 60 * 1000)
+        };
+
+    } catch (error) {
+        console.log(`[Cotización] ✗ ERROR al cotizar: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Validar la cotización presentada al cobrar
+ * Rechaza firmas inválidas, cotizaciones vencidas, de otro usuario o con un total distinto
+ *
+ * @param {string} cotizacion - Token emitido por emitirCotizacion
+ * @param {number} totalCliente - Total que envió el navegador (opcional)
+ * @param {number} idusu - Usuario en sesión
+ * @returns {Object} - { success, idcotizacion, items, total, error }
+ */
+async function validarCotizacion(cotizacion, totalCliente = null, idusu = null) {
+    const payload = tokens.verificar(cotizacion);
+
+    if (!payload) {
+        return { success: false, error: 'La cotización no es válida o venció, vuelve a revisar tu carrito' };
+    }
+
+    if (payload.idusu && payload.idusu !== idusu) {
+        return { success: false, error: 'La cotización pertenece a otra cuenta' };
+    }
+
+    if (totalCliente !== null && totalCliente !== undefined
+        && Math.abs(parseFloat(totalCliente) - payload.total) >= 0.01) {
+        console.log(`[Cotización] ✗ ${payload.idcotizacion}: total alterado (${totalCliente} ≠ ${payload.total})`);
+        return { success: false, error: 'El total del pedido no coincide con la cotización' };
+    }
+
+    // Los nombres y códigos se vuelven a leer de la BD; los precios son los firmados
+    const actual = await cotizarPedido(payload.items);
+    if (!actual.success) {
+        return actual;
+    }
+
+    const items = actual.items.map((l, i) => ({ ...l, precio: payload.items[i].precio }));
+
+    return { success: true, idcotizacion: payload.idcotizacion, items, total: payload.total };
+}
+
+// ============================================================================
+// FASE 14: COMPRA ÚNICA (productos y planes pagados una sola vez)
+// ============================================================================
+
+/**
+ * Grabar venta, detalle, membresías y cierre de sesión (Pasos 16-20) dentro de la
+ * transacción de BD del llamador; cualquier fallo lanza error para revertir todo
+ *
+ * @param {Object} datos - { idsesionpas, idtranspas, idcaja, idusu, dniusu, items, total, pagoPendiente, codtipopago }
+ * @param {Object} transaction - Transacción Sequelize
+ * @returns {Object} - { idven, membresias }
+ */
+async function grabarVentaCompra(datos, transaction) {
+    const {
+        idsesionpas, idtranspas, idcaja, idusu, dniusu, items, total,
+        pagoPendiente = false, codtipopago = 'TR'
+    } = datos;
+
+    // PASO 17: Venta virtual
+    const ventaResult = await crearVentaVirtual({
+        dniusu,
+        idcaja,
+        idtranspas,
+        subtotal: total,
+        descuento: 0,
+        total,
+        idusuven: idusu,
+        codtipopago,
+        estven: pagoPendiente ? 'P' : 'S'
+    }, transaction);
+
+    if (!ventaResult.success) {
+        throw new Error(`Paso 17 falló: ${ventaResult.error}`);
+    }
+
+    const membresias = [];
+
+    for (const item of items) {
+        // PASO 18: una línea por item
+        const detalle = await crearVentaDetalle({
+            idven: ventaResult.idven,
+            barcpro: item.barcpro,
+            cantidad: item.cantidad,
+            cospro: item.precio,
+            subtotal: item.precio * item.cantidad,
+            dniusucli: dniusu,
+            idusuven: idusu
+        }, transaction);
+
+        if (!detalle.success) {
+            throw new Error(`Paso 18 falló: ${detalle.error}`);
+        }
+
+        // PASO 19: los planes comprados sin suscripción también generan membresía
+        if (item.tipo === 'plan') {
+            const membresiaResult = await crearMembresia({
+                idusu,
+                dniusu,
+                barcpro: item.barcpro,
+                idven: ventaResult.idven,
+                idsuscpas: null,
+                estamem: pagoPendiente ? 'P' : 'S'
+            }, transaction);
+
+            if (!membresiaResult.success) {
+                throw new Error(`Paso 19 falló: ${membresiaResult.error}`);
+            }
+            membresias.push(membresiaResult.idmem);
+        }
+    }
+
+    // PASO 20: Vincular transacción y sesión con la venta
+    const vinculo = await actualizarTransaccionConVenta(idtranspas, ventaResult.idven, transaction);
+
+    if (!vinculo.success) {
+        throw new Error(`Paso 20 falló: ${vinculo.error}`);
+    }
+
+    await sequelize.query(
+        `UPDATE PasarelaSesion SET idven = :idven WHERE idsesionpas = :idsesionpas`,
+        {
+            replacements: { idven: ventaResult.idven, idsesionpas },
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    // PASO 16
+    const cierre = await cerrarSesion(idsesionpas, 'C', idtranspas, transaction);
+
+    if (!cierre.success) {
+        throw new Error(`Paso 16 falló: ${cierre.error}`);
+    }
+
+    return { idven: ventaResult.idven, membresias };
+}
+
+/**
+ * Cerrar una compra única cobrada: venta, detalle, membresías y cierre de sesión
+ * Lo usan el cobro directo, el pago en efectivo y el pago con comprobante; con
+ * pagoPendiente la venta queda 'P' y las membresías 'P' hasta que llegue el pago
+ *
+ * @param {Object} datos - { idsesionpas, idtranspas, idusu, dniusu, items, total, pagoPendiente, codtipopago }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, idven, membresias, error }
+ */
+async function completarCompraUnica(datos, auditContext = {}) {
+    const { idsesionpas, idtranspas, items, total, pagoPendiente = false } = datos;
+
+    console.log(`[Compra] Completando compra: idsesionpas=${idsesionpas}, idtranspas=${idtranspas}, total=${total}`);
+
+    // Caja virtual del día (tabla Caja unificada con tipocaja='V')
+    const cajaResult = await openpayService.obtenerOCrearCajaVirtual();
+    const idcaja = cajaResult.cajaVirtual?.idcaja || cajaResult.cajaVirtual?.idcajavirtual || null;
+
+    let venta;
+
+    try {
+        // Pasos 16-20 en una sola transacción: o queda la venta completa o nada
+        venta = await sequelize.transaction((transaction) => grabarVentaCompra({ ...datos, idcaja }, transaction));
+
+    } catch (error) {
+        console.log(`[Compra] ✗ Venta revertida: ${error.message}`);
+        await registrarPasoSesion(idsesionpas, 'VENTA', 'ERROR', { idtranspas, error: error.message });
+        return { success: false, error: error.message };
+    }
+
+    await registrarPasoSesion(idsesionpas, 'VENTA', 'OK', { idven: venta.idven, membresias: venta.membresias });
+
+    // PASO 15
+    await registrarHistorialSesion(
+        idsesionpas,
+        pagoPendiente ? 'PAGO_PENDIENTE' : 'PAGO_EXITOSO',
+        pagoPendiente ? `Compra pendiente de pago, venta ${venta.idven}` : `Compra pagada, venta ${venta.idven}`,
+        auditContext.ipaddress,
+        { idtranspas, idven: venta.idven }
+    );
+
+    console.log(`[Compra] ✓ Venta ${venta.idven} creada (${items.length} item(s), ${venta.membresias.length} membresía(s))`);
+    return { success: true, idven: venta.idven, membresias: venta.membresias };
+}
+
+/**
+ * Confirmar una compra única que pasó por 3D Secure
+ * Lo llaman el retorno del banco (getRetorno3DS) y el webhook charge.succeeded/failed,
+ * lo que llegue primero; el segundo encuentra la sesión cerrada y no hace nada.
+ *
+ * Con el cargo completed, en una sola transacción de BD: se bloquea la sesión, se marca
+ * la transacción con sus datos 3DS, se suma a la caja y se crea la venta (Pasos 13-20).
+ * Si el cliente nunca vuelve del banco, el webhook crea la venta igual.
+ *
+ * @param {Object} cargo - Cargo consultado en OpenPay (obtenerCargo)
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, aplica, estado, idsesionpas, idven, pedido, cobrado, error }
+ *          aplica=false si el cargo no es de una compra con 3D Secure;
+ *          estado: 'COMPLETADA' | 'YA_COMPLETADA' | 'PENDIENTE' | 'FALLIDA'
+ */
+async function confirmarCompra3DS(cargo, auditContext = {}) {
+    const sesiones = await sequelize.query(
+        `SELECT s.idsesionpas, s.estsesion, s.idven, h.datosadicionales
+         FROM PasarelaSesion s
+         INNER JOIN PasarelaSesionHistorial h
+            ON h.idsesionpas = s.idsesionpas AND h.accion = 'REDIRECCION_3DS'
+         WHERE s.sessionid = :sessionid`,
+        {
+            replacements: { sessionid: cargo.order_id || '' },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const sesion = sesiones[0];
+    if (!sesion) {
+        return { success: true, aplica: false };
+    }
+
+    const pedido = JSON.parse(sesion.datosadicionales || '{}');
+    if (pedido.idtransext !== cargo.id) {
+        return { success: false, aplica: false, error: 'El pago no corresponde al pedido' };
+    }
+
+    const base = { aplica: true, idsesionpas: sesion.idsesionpas, pedido };
+
+    if (sesion.estsesion === 'C' && sesion.idven) {
+        return { ...base, success: true, estado: 'YA_COMPLETADA', idven: sesion.idven };
+    }
+
+    const transacciones = await sequelize.query(
+        `SELECT TOP 1 idtranspas, idcaja, montbruto, montcomisionvar, montimpuestocom
+         FROM PasarelaTransaccion WHERE idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas: pedido.idtranspas || 0 },
+            type: QueryTypes.SELECT
+        }
+    );
+    const transaccion = transacciones[0];
+    if (!transaccion) {
+        return { ...base, success: false, error: 'No encontramos la transacción de este pago' };
+    }
+
+    if (cargo.status === 'in_progress' || cargo.status === 'charge_pending') {
+        return { ...base, success: true, estado: 'PENDIENTE' };
+    }
+
+    if (cargo.status !== 'completed') {
+        // Sesión ya cerrada (fallida o compensada): no se vuelve a tocar
+        if (sesion.estsesion !== 'C' && sesion.estsesion !== 'F') {
+            await openpayService.actualizarEstadoTransaccion(transaccion.idtranspas, 'failed', cargo);
+            await sequelize.query(
+                `UPDATE PasarelaTransaccion SET paso3ds = 'N', msgerrorpas = :mensaje
+                 WHERE idtranspas = :idtranspas`,
+                {
+                    replacements: {
+                        idtranspas: transaccion.idtranspas,
+                        mensaje: (cargo.error_message || 'Autenticación 3D Secure rechazada').substring(0, 255)
+                    },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            await registrarHistorialSesion(
+                sesion.idsesionpas, 'PAGO_FALLIDO', `3D Secure: ${cargo.status}`, auditContext.ipaddress
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F', transaccion.idtranspas);
+        }
+
+        return { ...base, success: true, estado: 'FALLIDA' };
+    }
+
+    const cajaResult = await openpayService.obtenerOCrearCajaVirtual();
+    const idcaja = cajaResult.cajaVirtual?.idcaja || cajaResult.cajaVirtual?.idcajavirtual || null;
+
+    let venta;
+
+    try {
+        venta = await sequelize.transaction(async (transaction) => {
+            // Bloquear la sesión: un retorno y un webhook simultáneos no crean dos ventas
+            const reclamo = await sequelize.query(
+                `UPDATE PasarelaSesion SET fecultactividad = GETDATE()
+                 OUTPUT INSERTED.idsesionpas
+                 WHERE idsesionpas = :idsesionpas AND estsesion <> 'C'`,
+                {
+                    replacements: { idsesionpas: sesion.idsesionpas },
+                    type: QueryTypes.SELECT,
+                    transaction
+                }
+            );
+
+            if (reclamo.length === 0) {
+                return null;
+            }
+
+            // Pasos 13-14 pendientes: estado, datos 3DS y caja
+            const estado = await openpayService.actualizarEstadoTransaccion(
+                transaccion.idtranspas, 'completed', cargo, transaction
+            );
+
+            if (!estado.success) {
+                throw new Error('Paso 13 falló: no se pudo actualizar el estado de la transacción');
+            }
+
+            await sequelize.query(
+                `UPDATE PasarelaTransaccion SET
+                    requiere3ds = 'S',
+                    paso3ds = 'S',
+                    version3ds = :version3ds,
+                    codautorizacion = :codautorizacion
+                 WHERE idtranspas = :idtranspas`,
+                {
+                    replacements: {
+                        idtranspas: transaccion.idtranspas,
+                        version3ds: cargo.payment_method?.version || null,
+                        codautorizacion: cargo.authorization || null
+                    },
+                    type: QueryTypes.UPDATE,
+                    transaction
+                }
+            );
+
+            const caja = await openpayService.actualizarCajaVirtual(
+                transaccion.idcaja,
+                parseFloat(transaccion.montbruto) || 0,
+                parseFloat(transaccion.montcomisionvar) || 0,
+                parseFloat(transaccion.montimpuestocom) || 0,
+                transaction
+            );
+
+            if (!caja.success) {
+                throw new Error('Paso 14 falló: no se pudo actualizar la caja virtual');
+            }
+
+            // Pasos 16-20
+            return grabarVentaCompra({
+                idsesionpas: sesion.idsesionpas,
+                idtranspas: transaccion.idtranspas,
+                idcaja,
+                idusu: pedido.idusu,
+                dniusu: pedido.dniusu,
+                items: pedido.items || [],
+                total: pedido.total
+            }, transaction);
+        });
+
+    } catch (error) {
+        console.log(`[Compra 3DS] ✗ Venta revertida: ${error.message}`);
+        await registrarPasoSesion(sesion.idsesionpas, 'VENTA', 'ERROR', {
+            idtranspas: transaccion.idtranspas,
+            error: error.message
+        });
+        return { ...base, success: false, cobrado: true, error: error.message };
+    }
+
+    if (!venta) {
+        const cerrada = await sequelize.query(
+            `SELECT idven FROM PasarelaSesion WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idsesionpas: sesion.idsesionpas },
+                type: QueryTypes.SELECT
+            }
+        );
+        return { ...base, success: true, estado: 'YA_COMPLETADA', idven: cerrada[0]?.idven || null };
+    }
+
+    await registrarPasoSesion(sesion.idsesionpas, 'VENTA', 'OK', { idven: venta.idven, membresias: venta.membresias });
+
+    // PASO 15
+    await registrarHistorialSesion(
+        sesion.idsesionpas,
+        'PAGO_EXITOSO',
+        `Compra pagada con 3D Secure, venta ${venta.idven}`,
+        auditContext.ipaddress,
+        { idtranspas: transaccion.idtranspas, idven: venta.idven }
+    );
+
+    console.log(`[Compra 3DS] ✓ Cargo ${cargo.id} confirmado, venta ${venta.idven} creada`);
+    return { ...base, success: true, estado: 'COMPLETADA', idven: venta.idven };
+}
+
+/**
+ * Flujo completo de una compra única con tarjeta
+ * Reutiliza los pasos del flujo de suscripción para que reportes, conciliación
+ * y reembolsos traten igual a productos y membresías
+ *
+ * FLUJO:
+ * U0. Pasarela: la pedida por el checkout, la del plan o la de mayor prioridad
+ * U1. Sesión + historial INICIO (Pasos 1-2)
+ * U2. Cliente local y en la pasarela (Pasos 3-7); Niubiz solo necesita el usuario local
+ * U3. Cargo con el token del navegador: OpenPay.js (order_id = sessionid) o el formulario
+ *     de Niubiz (order_id = purchaseNumber de su sesión)
+ * U4. PasarelaTransaccion tipo COBRO; la caja se actualiza si el cargo quedó completed (Pasos 13-14)
+ * U5. 3D Secure → guardar el pedido en el historial y devolver la URL del banco
+ * U6. Cobro completado → venta, detalle, membresías y cierre (Pasos 15-20)
+ *
+ * Si U4 o U6 fallan con el cargo ya completado, compensarCheckout() encola la
+ * reparación o, si no puede, reembolsa el cargo. Si el cargo falla con un error que
+ * permite respaldo, la respuesta trae `respaldo` para reintentar con otra pasarela
+ *
+ * @param {Object} datos - { datosCliente, tokenTarjeta, deviceSessionId, items, total, idcotizacion, redirectUrl,
+ *                           codpasarela, numeroPedido }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, requiere3ds, redirectUrl, datos, mensaje, errorPago, respaldo }
+ */
+async function procesarCompraUnica(datos, auditContext = {}) {
+    const {
+        datosCliente, tokenTarjeta, deviceSessionId,
+        items, total, idcotizacion, redirectUrl,
+        codpasarela, numeroPedido
+    } = datos;
+
+    console.log('');
+    console.log('#'.repeat(60));
+    console.log(`# COMPRA ÚNICA ${idcotizacion} - S/ ${total}`);
+    console.log('#'.repeat(60));
+
+    // U0: Pasarela
+    const seleccion = await pasarelaService.seleccionarPasarela({
+        codpasarela,
+        idplanpas: items.find(item => item.idplanpas)?.idplanpas,
+        operacion: 'COBRO'
+    });
+
+    if (!seleccion.success) {
+        return { success: false, error: seleccion.error, mensaje: seleccion.error };
+    }
+
+    const adaptador = seleccion.adaptador;
+
+    let sesion = null;
+    let clienteResult = null;
+    let cargo = null;
+    let transaccionResult = null;
+    let codigoError = null;
+
+    try {
+        // U1: Sesión
+        sesion = await crearSesionPago({
+            idusu: auditContext.idusu || null,
+            dniusu: datosCliente.numeroDocumento,
+            deviceSessionId,
+            useragent: auditContext.useragent,
+            ipaddress: auditContext.ipaddress,
+            plataforma: 'WEB',
+            barcpro: items.length === 1 ? items[0].barcpro : null,
+            montintentado: total,
+            adaptador
+        });
+
+        if (!sesion.success) {
+            throw new Error(`Paso 1 falló: ${sesion.error}`);
+        }
+
+        await registrarHistorialSesion(
+            sesion.idsesionpas,
+            'INICIO',
+            `Compra única ${idcotizacion}`,
+            auditContext.ipaddress,
+            { idcotizacion, items: items.length, total, codpasarela: adaptador.codpasarela }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'SESION', 'OK', {
+            sessionid: sesion.sessionid,
+            idcotizacion,
+            codpasarela: adaptador.codpasarela
+        });
+
+        // U2: Cliente
+        clienteResult = await procesarCliente(datosCliente, auditContext, {
+            soloUsuario: !adaptador.capacidades.clientes
+        });
+
+        if (!clienteResult.success) {
+            codigoError = clienteResult.code;
+            throw new Error(`Fase Cliente falló: ${clienteResult.error}`);
+        }
+
+        const idusu = clienteResult.usuario.idusu;
+        const dniusu = datosCliente.numeroDocumento;
+
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET idusu = :idusu, fecultactividad = GETDATE()
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idusu, idsesionpas: sesion.idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'CLIENTE', 'OK', {
+            idusu,
+            idclipas: clienteResult.clientePasarela?.idclipas || null,
+            idcliext: clienteResult.clientePasarela?.idcliext || null
+        });
+
+        // U3: Cargo
+        const datosCargo = {
+            source_id: tokenTarjeta,
+            amount: total,
+            description: `Compra en ModoFit ${idcotizacion}`,
+            order_id: adaptador.capacidades.checkoutPropio ? numeroPedido : sesion.sessionid,
+            device_session_id: deviceSessionId,
+            redirect_url: redirectUrl
+        };
+
+        const cargoResult = adaptador.capacidades.clientes
+            ? await adaptador.crearCargoCliente(clienteResult.clientePasarela.idcliext, datosCargo, { ...auditContext, idusu })
+            : await adaptador.crearCargo(datosCargo, { ...auditContext, idusu });
+
+        if (!cargoResult.success) {
+            codigoError = cargoResult.code;
+            throw new Error(`Cargo falló: ${cargoResult.error}`);
+        }
+
+        cargo = cargoResult.cargo;
+
+        // El diario guarda el pedido completo para poder repararlo sin volver a cobrar
+        await registrarPasoSesion(sesion.idsesionpas, 'CARGO', 'OK', {
+            idcargo: cargo.id,
+            codpasarela: adaptador.codpasarela,
+            status: cargo.status,
+            idcotizacion,
+            items,
+            total,
+            dniusu,
+            idapilog: cargoResult.idapilog
+        });
+
+        // U4: Transacción (Pasos 13-14)
+        transaccionResult = await sequelize.transaction(async (transaction) => {
+            const registro = await registrarTransaccion({
+                idusu,
+                dniusu,
+                idsesionpas: sesion.idsesionpas,
+                idtransext: cargo.id,
+                referenciaorden: idcotizacion,
+                tipotransaccion: 'COBRO',
+                estadoext: cargo.status,
+                montbruto: total,
+                ultimos4tarj: cargo.card?.card_number?.slice(-4),
+                marcatarj: cargo.card?.brand,
+                jsonresponse: cargo,
+                ipaddress: auditContext.ipaddress,
+                useragent: auditContext.useragent,
+                idapilog: cargoResult.idapilog,
+                idempotencykey: auditContext.idempotencykey,
+                adaptador
+            }, transaction);
+
+            if (!registro.success) {
+                throw new Error(`Paso 13 falló: ${registro.error}`);
+            }
+            return registro;
+        });
+
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: transaccionResult.idtranspas,
+            idcaja: transaccionResult.idcaja
+        });
+
+        // U5: 3D Secure
+        if (cargoResult.requires_3d_secure) {
+            await sequelize.query(
+                `UPDATE PasarelaTransaccion SET requiere3ds = 'S', paso3ds = 'N' WHERE idtranspas = :idtranspas`,
+                {
+                    replacements: { idtranspas: transaccionResult.idtranspas },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                'REDIRECCION_3DS',
+                `Cargo ${cargo.id} pendiente de autenticación 3D Secure`,
+                auditContext.ipaddress,
+                { idtransext: cargo.id, idtranspas: transaccionResult.idtranspas, idcotizacion, items, total, dniusu, idusu }
+            );
+
+            console.log(`[Compra] → 3D Secure requerido para ${cargo.id}`);
+            return {
+                success: true,
+                requiere3ds: true,
+                redirectUrl: cargoResult.redirect_url,
+                mensaje: 'Serás redirigido a tu banco para autorizar el pago',
+                datos: {
+                    idsesionpas: sesion.idsesionpas,
+                    idtransext: cargo.id
+                }
+            };
+        }
+
+        if (cargo.status !== 'completed') {
+            throw new Error(`Cargo ${cargo.id} en estado ${cargo.status}`);
+        }
+
+        // U6: Venta y cierre
+        const compra = await completarCompraUnica({
+            idsesionpas: sesion.idsesionpas,
+            idtranspas: transaccionResult.idtranspas,
+            idusu,
+            dniusu,
+            items,
+            total
+        }, auditContext);
+
+        if (!compra.success) {
+            throw new Error(`Cobro ${cargo.id} sin venta: ${compra.error}`);
+        }
+
+        return {
+            success: true,
+            mensaje: 'Pago procesado correctamente',
+            datos: {
+                idsesionpas: sesion.idsesionpas,
+                idtranspas: transaccionResult.idtranspas,
+                idtransext: cargo.id,
+                idven: compra.idven,
+                membresias: compra.membresias,
+                authorization: cargo.authorization
+            }
+        };
+
+    } catch (error) {
+        console.log(`[Compra] ✗ ERROR: ${error.message}`);
+
+        // El cargo ya se completó: reparar la venta o, si no se puede, reembolsar
+        if (cargo?.status === 'completed' && sesion?.idsesionpas) {
+            const compensacion = await compensarCheckout({
+                idsesionpas: sesion.idsesionpas,
+                motivo: error.message,
+                idcliext: clienteResult.clientePasarela?.idcliext,
+                idcargo: cargo.id,
+                monto: total,
+                adaptador
+            }, { ...auditContext, idusu: clienteResult.usuario.idusu });
+
+            const reparacion = compensacion.accion === 'REPARACION';
+
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                reparacion ? 'REPARACION_PENDIENTE' : 'PAGO_REVERTIDO',
+                error.message,
+                auditContext.ipaddress,
+                compensacion
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F', transaccionResult?.idtranspas || null);
+
+            return {
+                success: false,
+                cobrado: reparacion,
+                error: error.message,
+                mensaje: reparacion
+                    ? 'Tu pago fue recibido pero no pudimos registrar la compra. La completaremos en unos minutos, no vuelvas a pagar.'
+                    : compensacion.reembolsado
+                        ? 'No pudimos registrar tu compra y el cobro fue reembolsado.'
+                        : 'No pudimos registrar tu compra. Nos comunicaremos contigo para devolver el cobro.'
+            };
+        }
+
+        const errorPago = await homologarError(codigoError, error.message, {
+            origen: 'COBRO_UNICO',
+            idsesionpas: sesion?.idsesionpas,
+            monto: total,
+            idusu: clienteResult?.usuario?.idusu || auditContext.idusu || null,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent,
+            adaptador
+        });
+
+        if (transaccionResult?.idtranspas) {
+            await adaptador.actualizarEstadoTransaccion(transaccionResult.idtranspas, 'failed');
+        }
+
+        // Rechazo por el banco o pasarela caída: se ofrece la de respaldo una sola vez
+        // (un reintento que ya eligió pasarela no encadena otro respaldo)
+        const respaldo = errorPago.permiterespaldo && !codpasarela && !cargo
+            ? await prepararRespaldo(adaptador, {
+                total,
+                email: datosCliente.email,
+                idusu: clienteResult?.usuario?.idusu || auditContext.idusu || null
+            }, auditContext)
+            : null;
+
+        if (sesion?.idsesionpas) {
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                'PAGO_FALLIDO',
+                error.message,
+                auditContext.ipaddress,
+                { coderrorext: codigoError, coderrorint: errorPago.coderrorint }
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F', transaccionResult?.idtranspas || null);
+        }
+
+        return {
+            success: false,
+            error: error.message,
+            mensaje: errorPago.msgusuario,
+            errorPago,
+            respaldo
+        };
+    }
+}
+
+/**
+ * Preparar el reintento de un cobro con la pasarela de respaldo
+ * Para Niubiz crea la sesión de su formulario de pago con el mismo monto
+ *
+ * @param {Object} adaptador - Pasarela que falló
+ * @param {Object} datos - { total, email, idusu }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object|null} - { codpasarela, nompasarela, sessionKey, merchantId, purchaseNumber, amount, scriptUrl } o null
+ */
+async function prepararRespaldo(adaptador, datos, auditContext = {}) {
+    const respaldo = await pasarelaService.pasarelaRespaldo(adaptador.codpasarela, 'COBRO');
+    if (!respaldo) {
+        return null;
+    }
+
+    if (!respaldo.capacidades.checkoutPropio) {
+        return { codpasarela: respaldo.codpasarela, nompasarela: respaldo.nompasarela };
+    }
+
+    const sesion = await respaldo.crearSesionCheckout({
+        amount: datos.total,
+        email: datos.email,
+        idusu: datos.idusu,
+        ipaddress: auditContext.ipaddress
+    }, auditContext);
+
+    if (!sesion.success) {
+        console.log(`[Compra] ✗ Sin respaldo: ${respaldo.nompasarela} no creó la sesión (${sesion.error})`);
+        return null;
+    }
+
+    console.log(`[Compra] → Respaldo ofrecido con ${respaldo.nompasarela} (pedido ${sesion.sesion.purchaseNumber})`);
+    return {
+        codpasarela: respaldo.codpasarela,
+        nompasarela: respaldo.nompasarela,
+        ...sesion.sesion
+    };
+}
+
+// ============================================================================
+// FASE 15: DIARIO DE PASOS Y COMPENSACIONES DEL CHECKOUT
+// ============================================================================
+
+/**
+ * Agregar un paso al diario de la sesión (PasarelaSesion.journalpasos)
+ * Se llama FUERA de las transacciones de fase, después del commit, para que
+ * el diario refleje solo lo que quedó confirmado en la BD o en OpenPay
+ *
+ * Pasos: SESION, CLIENTE, TARJETA, SUSCRIPCION_OPENPAY, SUSCRIPCION, CARGO,
+ *        TRANSACCION, VENTA, COMPENSACION
+ *
+ * @param {number} idsesionpas - ID de la sesión
+ * @param {string} paso - Nombre del paso
+ * @param {string} estado - 'OK' o 'ERROR'
+ * @param {Object} datos - IDs locales y de OpenPay generados por el paso
+ * @returns {Object} - { success }
+ */
+async function registrarPasoSesion(idsesionpas, paso, estado = 'OK', datos = {}) {
+    if (!idsesionpas) {
+        return { success: false, error: 'Sesión no especificada' };
+    }
+
+    const entrada = { paso, estado, fecha: new Date().toISOString(), datos };
+
+    try {
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET
+                journalpasos = JSON_MODIFY(COALESCE(journalpasos, '[]'), 'append $', JSON_QUERY(:entrada)),
+                ultimopaso = :paso,
+                fecultactividad = GETDATE()
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: {
+                    idsesionpas,
+                    paso: sanitizeString(paso, 30),
+                    entrada: JSON.stringify(entrada)
+                },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        console.log(`[Diario] ✓ Sesión ${idsesionpas}: ${paso} (${estado})`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Diario] ✗ ERROR al registrar ${paso} en sesión ${idsesionpas}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Marcar la sesión como pendiente de reparación (estreparacion='P')
+ * La reparación completa los registros locales desde el diario sin volver a cobrar
+ */
+async function encolarReparacionSesion(idsesionpas, motivo) {
+    try {
+        const resultado = await sequelize.query(
+            `UPDATE PasarelaSesion SET
+                estreparacion = 'P',
+                fecreparacion = NULL,
+                fecultactividad = GETDATE()
+             OUTPUT INSERTED.idsesionpas
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        if (!resultado[0] || resultado[0].length === 0) {
+            return { success: false, error: `Sesión ${idsesionpas} no encontrada` };
+        }
+
+        console.log(`[Compensación] → Sesión ${idsesionpas} encolada para reparación: ${motivo}`);
+        return { success: true };
+
+    } catch (error) {
+        console.log(`[Compensación] ✗ No se pudo encolar la sesión ${idsesionpas}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Compensar un checkout que falló DESPUÉS de cobrar o suscribir en OpenPay
+ *
+ * 1. Encolar la sesión para reparación: el socio ya pagó, así que lo primero es
+ *    completar suscripción, transacción, venta y membresía con los IDs del diario
+ * 2. Si ni siquiera se puede encolar, deshacer en OpenPay:
+ *    - cancelar la suscripción para que no siga cobrando
+ *    - reembolsar el cobro cuando se conoce su ID (compra única o retorno 3DS)
+ *    El primer cobro de una suscripción llega después por webhook; queda la alerta
+ *    en el log para que el personal lo reembolse
+ *
+ * @param {Object} datos - { idsesionpas, motivo, idcliext, idsuscext, idcargo, monto, adaptador }
+ *        adaptador: pasarela que cobró (por defecto OpenPay)
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { accion: 'REPARACION' | 'REVERSION', cancelada, reembolsado }
+ */
+async function compensarCheckout(datos, auditContext = {}) {
+    const { idsesionpas, motivo, idcliext, idsuscext, idcargo, monto } = datos;
+    const adaptador = datos.adaptador || openpayService;
+
+    console.log(`[Compensación] Sesión ${idsesionpas}: ${motivo}`);
+
+    const encolado = await encolarReparacionSesion(idsesionpas, motivo);
+
+    if (encolado.success) {
+        await registrarPasoSesion(idsesionpas, 'COMPENSACION', 'OK', { accion: 'REPARACION', motivo });
+        return { accion: 'REPARACION', cancelada: false, reembolsado: false };
+    }
+
+    let cancelada = false;
+    let reembolsado = false;
+
+    if (idsuscext && idcliext) {
+        const cancelacion = await adaptador.cancelarSuscripcion(idcliext, idsuscext, auditContext);
+        cancelada = cancelacion.success;
+        console.log(`[Compensación] ${cancelada ? '✓' : '✗'} Cancelar suscripción ${idsuscext}: ${cancelacion.error || 'OK'}`);
+    }
+
+    if (idcargo) {
+        const reembolso = await adaptador.reembolsarCargo(idcargo, {
+            customer_id: idcliext,
+            description: `Reversión del checkout (sesión ${idsesionpas})`
+        }, auditContext);
+        reembolsado = reembolso.success;
+        console.log(`[Compensación] ${reembolsado ? '✓' : '✗'} Reembolsar cargo ${idcargo}: ${reembolso.error || 'OK'}`);
+    }
+
+    // Una suscripción sin cargo conocido nunca queda reembolsada desde aquí
+    const revisionManual = (idsuscext && (!cancelada || !idcargo)) || (idcargo && !reembolsado);
+    if (revisionManual) {
+        console.error(`[Compensación] ⚠ REVISIÓN MANUAL: sesión ${idsesionpas}, suscripción ${idsuscext || '-'}, cargo ${idcargo || '-'}, monto ${monto || '-'}`);
+    }
+
+    // Mejor esfuerzo: si la BD ya responde, dejar constancia de la reversión
+    await sequelize.query(
+        `UPDATE PasarelaSesion SET estreparacion = 'X', fecreparacion = GETDATE()
+         WHERE idsesionpas = :idsesionpas`,
+        {
+            replacements: { idsesionpas },
+            type: QueryTypes.UPDATE
+        }
+    ).catch(() => null);
+    await registrarPasoSesion(idsesionpas, 'COMPENSACION', 'OK', {
+        accion: 'REVERSION', motivo, idsuscext, idcargo, cancelada, reembolsado
+    });
+
+    return { accion: 'REVERSION', cancelada, reembolsado };
+}
+
+// ============================================================================
+// FASE 16: REPARACIÓN DE SESIONES INTERRUMPIDAS
+// ============================================================================
+
+// Intentos automáticos antes de dejar la sesión solo para revisión del personal
+const MAX_INTENTOS_REPARACION = 5;
+
+/**
+ * Leer la sesión con su diario agrupado por paso (último registro 'OK' de cada uno)
+ * Las sesiones anteriores al diario se completan con PasarelaSesionHistorial
+ *
+ * @param {number} idsesionpas - ID de la sesión
+ * @returns {Object|null} - { sesion, pasos, journal }
+ */
+async function leerDiarioSesion(idsesionpas) {
+    const sesiones = await sequelize.query(
+        `SELECT idsesionpas, idusu, dniusu, sessionid, barcpro, montintentado,
+                estsesion, idven, idtranspas, journalpasos, ultimopaso,
+                estreparacion, fecreparacion, intentosreparacion
+         FROM PasarelaSesion WHERE idsesionpas = :idsesionpas`,
+        {
+            replacements: { idsesionpas },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const sesion = sesiones[0];
+    if (!sesion) {
+        return null;
+    }
+
+    let journal = [];
+    try {
+        journal = JSON.parse(sesion.journalpasos || '[]');
+    } catch (error) {
+        console.log(`[Reparación] ✗ Diario ilegible en sesión ${idsesionpas}: ${error.message}`);
+    }
+
+    const pasos = {};
+    for (const entrada of journal) {
+        if (entrada.estado === 'OK') {
+            pasos[entrada.paso] = { ...(pasos[entrada.paso] || {}), ...(entrada.datos || {}) };
+        }
+    }
+
+    // Compra única con 3D Secure registrada antes del diario: el pedido está en el historial
+    if (!pasos.CARGO) {
+        const redireccion = await sequelize.query(
+            `SELECT TOP 1 datosadicionales FROM PasarelaSesionHistorial
+             WHERE idsesionpas = :idsesionpas AND accion = 'REDIRECCION_3DS'
+             ORDER BY idsesionhist DESC`,
+            {
+                replacements: { idsesionpas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        let pedido = null;
+        try {
+            pedido = JSON.parse(redireccion[0]?.datosadicionales || 'null');
+        } catch (error) {
+            console.log(`[Reparación] ✗ Pedido 3DS ilegible en sesión ${idsesionpas}: ${error.message}`);
+        }
+
+        if (pedido?.idtransext) {
+            pasos.CARGO = {
+                idcargo: pedido.idtransext,
+                idcotizacion: pedido.idcotizacion,
+                items: pedido.items,
+                total: pedido.total,
+                dniusu: pedido.dniusu
+            };
+        }
+    }
+
+    return { sesion, pasos, journal };
+}
+
+/**
+ * Transacción registrada por la sesión (cobro o suscripción) con su venta y estado
+ */
+async function buscarTransaccionSesion(idsesionpas) {
+    const transacciones = await sequelize.query(
+        `SELECT TOP 1 t.idtranspas, t.idcaja, t.idven, t.idsuscpas, t.idtransext,
+                t.montbruto, t.montcomisionvar, t.montimpuestocom,
+                e.codestadoext,
+                (SELECT TOP 1 v.idven FROM Venta v WHERE v.idtranspas = t.idtranspas) AS idvenregistrada
+         FROM PasarelaTransaccion t
+         INNER JOIN PasarelaTipoTransaccion tt ON t.idtipotrans = tt.idtipotrans
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         WHERE t.idsesionpas = :idsesionpas AND tt.codtipotrans IN ('SUSCRIPCION', 'COBRO')
+         ORDER BY t.idtranspas`,
+        {
+            replacements: { idsesionpas },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return transacciones[0] || null;
+}
+
+/**
+ * Completar una suscripción cobrada: suscripción local, transacción, venta y membresía
+ * Solo escribe lo que falta; nunca vuelve a llamar a OpenPay para cobrar
+ */
+async function repararSuscripcionSesion(sesion, pasos, acciones, auditContext) {
+    const cliente = pasos.CLIENTE || {};
+    const tarjeta = pasos.TARJETA || {};
+    const remota = pasos.SUSCRIPCION_OPENPAY || {};
+    let transaccion = await buscarTransaccionSesion(sesion.idsesionpas);
+
+    // Suscripción local: por el diario, por la transacción o por el ID de OpenPay
+    const suscripciones = await sequelize.query(
+        `SELECT TOP 1 s.idsuscpas, s.idsuscext, s.idclipas, s.idtarjpas, s.idmem,
+                p.idplanpas, p.precio, p.barcpro, c.idcliext, c.idusu
+         FROM PasarelaSuscripcion s
+         INNER JOIN PasarelaPlan p ON s.idplanpas = p.idplanpas
+         INNER JOIN PasarelaCliente c ON s.idclipas = c.idclipas
+         WHERE s.idsuscpas = :idsuscpas OR s.idsuscext = :idsuscext`,
+        {
+            replacements: {
+                idsuscpas: pasos.SUSCRIPCION?.idsuscpas || transaccion?.idsuscpas || 0,
+                idsuscext: remota.idsuscext || ''
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+    let suscripcion = suscripciones[0] || null;
+
+    const idcliext = suscripcion?.idcliext || cliente.idcliext;
+    const idsuscext = suscripcion?.idsuscext || remota.idsuscext;
+
+    if (!idcliext || !idsuscext) {
+        throw new Error('El diario no tiene el cliente o la suscripción de OpenPay');
+    }
+
+    // Solo se completa si OpenPay la tiene activa (cobrada) o en periodo de prueba
+    const remotaActual = await openpayService.obtenerSuscripcion(idcliext, idsuscext);
+    if (!remotaActual.success) {
+        throw new Error(`OpenPay no devolvió la suscripción ${idsuscext}: ${remotaActual.error}`);
+    }
+    if (!['active', 'trial'].includes(remotaActual.suscripcion.status)) {
+        throw new Error(`La suscripción ${idsuscext} está en estado ${remotaActual.suscripcion.status} en OpenPay`);
+    }
+
+    // Paso 12
+    if (!suscripcion) {
+        const guardada = await guardarSuscripcionPasarela({
+            idclipas: cliente.idclipas,
+            idplanpas: remota.idplanpas,
+            idtarjpas: tarjeta.idtarjpas,
+            idsuscext,
+            fecinicio: remota.fecinicio || remotaActual.suscripcion.creation_date,
+            fecproximocobro: remota.fecproximocobro || remotaActual.suscripcion.charge_date,
+            fecfinperiodo: remota.fecfinperiodo || remotaActual.suscripcion.period_end_date,
+            idusu: cliente.idusu,
+            idapilog: remota.idapilog
+        });
+
+        if (!guardada.success) {
+            throw new Error(`Paso 12 falló: ${guardada.error}`);
+        }
+
+        await registrarPasoSesion(sesion.idsesionpas, 'SUSCRIPCION', 'OK', { idsuscpas: guardada.idsuscpas, reparado: true });
+        acciones.push('SUSCRIPCION');
+
+        suscripcion = {
+            idsuscpas: guardada.idsuscpas,
+            idsuscext,
+            idtarjpas: tarjeta.idtarjpas,
+            idplanpas: remota.idplanpas,
+            precio: remota.monto,
+            barcpro: remota.barcpro,
+            idcliext,
+            idusu: cliente.idusu
+        };
+    }
+
+    const idusu = suscripcion.idusu || cliente.idusu || sesion.idusu;
+    const dniusu = sesion.dniusu;
+    const monto = parseFloat(remota.monto || suscripcion.precio || sesion.montintentado) || 0;
+    const barcpro = remota.barcpro || suscripcion.barcpro || sesion.barcpro;
+
+    // Pasos 13-14
+    if (!transaccion) {
+        const registro = await sequelize.transaction(async (transaction) => {
+            const resultado = await registrarTransaccion({
+                idusu,
+                dniusu,
+                idsuscpas: suscripcion.idsuscpas,
+                idsesionpas: sesion.idsesionpas,
+                idtarjpas: suscripcion.idtarjpas,
+                idtransext: idsuscext,
+                referenciaorden: `ORD-${Date.now()}`,
+                tipotransaccion: 'SUSCRIPCION',
+                estadoext: remotaActual.suscripcion.status,
+                montbruto: monto,
+                ultimos4tarj: tarjeta.ultimos4,
+                marcatarj: tarjeta.marca,
+                jsonresponse: remotaActual.suscripcion,
+                ipaddress: auditContext.ipaddress,
+                useragent: auditContext.useragent,
+                idapilog: remota.idapilog
+            }, transaction);
+
+            if (!resultado.success) {
+                throw new Error(`Paso 13 falló: ${resultado.error}`);
+            }
+            return resultado;
+        });
+
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: registro.idtranspas, idcaja: registro.idcaja, reparado: true
+        });
+        acciones.push('TRANSACCION');
+        transaccion = await buscarTransaccionSesion(sesion.idsesionpas);
+    }
+
+    // Pasos 16-20: solo lo que falte (las sesiones anteriores a las transacciones
+    // pueden tener la venta sin membresía)
+    const resultado = await sequelize.transaction(async (transaction) => {
+        let idven = transaccion.idven || transaccion.idvenregistrada;
+        let idmem = null;
+
+        if (!idven) {
+            const venta = await crearVentaVirtual({
+                dniusu,
+                idcaja: transaccion.idcaja,
+                idtranspas: transaccion.idtranspas,
+                subtotal: monto,
+                descuento: 0,
+                total: monto,
+                idusuven: idusu
+            }, transaction);
+
+            if (!venta.success) {
+                throw new Error(`Paso 17 falló: ${venta.error}`);
+            }
+
+            const detalle = await crearVentaDetalle({
+                idven: venta.idven,
+                barcpro,
+                cantidad: 1,
+                cospro: monto,
+                subtotal: monto,
+                dniusucli: dniusu,
+                idusuven: idusu
+            }, transaction);
+
+            if (!detalle.success) {
+                throw new Error(`Paso 18 falló: ${detalle.error}`);
+            }
+
+            idven = venta.idven;
+            acciones.push('VENTA');
+        }
+
+        const membresias = await sequelize.query(
+            `SELECT TOP 1 idmem FROM Membresia WHERE idven = :idven`,
+            {
+                replacements: { idven },
+                type: QueryTypes.SELECT,
+                transaction
+            }
+        );
+        idmem = membresias[0]?.idmem || null;
+
+        if (!idmem) {
+            const membresia = await crearMembresia({
+                idusu,
+                dniusu,
+                barcpro,
+                idven,
+                idsuscpas: suscripcion.idsuscpas
+            }, transaction);
+
+            if (!membresia.success) {
+                throw new Error(`Paso 19 falló: ${membresia.error}`);
+            }
+
+            idmem = membresia.idmem;
+            acciones.push('MEMBRESIA');
+        }
+
+        if (!transaccion.idven) {
+            const vinculo = await actualizarTransaccionConVenta(transaccion.idtranspas, idven, transaction);
+            if (!vinculo.success) {
+                throw new Error(`Paso 20 falló: ${vinculo.error}`);
+            }
+        }
+
+        const cierre = await cerrarSesion(sesion.idsesionpas, 'C', transaccion.idtranspas, transaction);
+        if (!cierre.success) {
+            throw new Error(`Paso 16 falló: ${cierre.error}`);
+        }
+
+        return { idven, idmem };
+    });
+
+    await registrarPasoSesion(sesion.idsesionpas, 'VENTA', 'OK', { ...resultado, reparado: true });
+
+    return { idtranspas: transaccion.idtranspas, ...resultado };
+}
+
+/**
+ * Completar una compra única cobrada: transacción, estado 3DS/caja y venta
+ * El cargo se consulta en la pasarela que lo cobró; si no quedó completed no se registra nada
+ */
+async function repararCompraSesion(sesion, pasos, acciones, auditContext) {
+    const pedido = pasos.CARGO;
+    const cliente = pasos.CLIENTE || {};
+    const adaptador = pasarelaService.obtenerAdaptador(pedido.codpasarela || 'OPP');
+
+    const consulta = await adaptador.obtenerCargo(pedido.idcargo);
+    if (!consulta.success) {
+        throw new Error(`${adaptador.nompasarela} no devolvió el cargo ${pedido.idcargo}: ${consulta.error}`);
+    }
+
+    const cargo = consulta.cargo;
+    if (cargo.status !== 'completed') {
+        throw new Error(`El cargo ${cargo.id} está en estado ${cargo.status}, no hay cobro que completar`);
+    }
+
+    const idusu = cliente.idusu || sesion.idusu;
+    const dniusu = pedido.dniusu || sesion.dniusu;
+    let transaccion = await buscarTransaccionSesion(sesion.idsesionpas);
+
+    // Pasos 13-14
+    if (!transaccion) {
+        const registro = await sequelize.transaction(async (transaction) => {
+            const resultado = await registrarTransaccion({
+                idusu,
+                dniusu,
+                idsesionpas: sesion.idsesionpas,
+                idtransext: cargo.id,
+                referenciaorden: pedido.idcotizacion,
+                tipotransaccion: 'COBRO',
+                estadoext: cargo.status,
+                montbruto: pedido.total,
+                ultimos4tarj: cargo.card?.card_number?.slice(-4),
+                marcatarj: cargo.card?.brand,
+                jsonresponse: cargo,
+                ipaddress: auditContext.ipaddress,
+                useragent: auditContext.useragent,
+                idapilog: pedido.idapilog,
+                adaptador
+            }, transaction);
+
+            if (!resultado.success) {
+                throw new Error(`Paso 13 falló: ${resultado.error}`);
+            }
+            return resultado;
+        });
+
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: registro.idtranspas, idcaja: registro.idcaja, reparado: true
+        });
+        acciones.push('TRANSACCION');
+        transaccion = await buscarTransaccionSesion(sesion.idsesionpas);
+
+    } else if (transaccion.codestadoext !== 'completed') {
+        // Retorno 3D Secure interrumpido: estado y caja como en getRetorno3DS
+        await adaptador.actualizarEstadoTransaccion(transaccion.idtranspas, 'completed', cargo);
+        await sequelize.query(
+            `UPDATE PasarelaTransaccion SET paso3ds = 'S', codautorizacion = :codautorizacion
+             WHERE idtranspas = :idtranspas`,
+            {
+                replacements: {
+                    idtranspas: transaccion.idtranspas,
+                    codautorizacion: cargo.authorization || null
+                },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await openpayService.actualizarCajaVirtual(
+            transaccion.idcaja,
+            parseFloat(transaccion.montbruto) || 0,
+            parseFloat(transaccion.montcomisionvar) || 0,
+            parseFloat(transaccion.montimpuestocom) || 0
+        );
+        acciones.push('ESTADO_3DS');
+    }
+
+    const idven = transaccion.idven || transaccion.idvenregistrada;
+    if (idven) {
+        await cerrarSesion(sesion.idsesionpas, 'C', transaccion.idtranspas);
+        return { idtranspas: transaccion.idtranspas, idven };
+    }
+
+    // Pasos 15-20
+    const compra = await completarCompraUnica({
+        idsesionpas: sesion.idsesionpas,
+        idtranspas: transaccion.idtranspas,
+        idusu,
+        dniusu,
+        items: pedido.items || [],
+        total: pedido.total
+    }, auditContext);
+
+    if (!compra.success) {
+        throw new Error(compra.error);
+    }
+
+    acciones.push('VENTA');
+    return { idtranspas: transaccion.idtranspas, idven: compra.idven, membresias: compra.membresias };
+}
+
+/**
+ * Reparar una sesión de checkout interrumpida
+ * Detecta el último paso confirmado (diario + registros reales en la BD) y completa
+ * los que faltan sin volver a cobrar al cliente
+ *
+ * FLUJO:
+ * R1. Reclamar la sesión (estreparacion='E') para que el job y el personal no choquen;
+ *     una reparación 'E' sin actividad por 30 minutos se considera abandonada
+ * R2. Sin suscripción ni cargo en OpenPay → no hubo cobro, la sesión se cierra como Fallida
+ * R3. Suscripción → suscripción local, transacción, venta, membresía y cierre
+ * R4. Compra única → transacción, estado 3DS/caja, venta y cierre
+ * R5. estreparacion='R' (o de vuelta a 'P' si falló, hasta MAX_INTENTOS_REPARACION)
+ *
+ * @param {number} idsesionpas - ID de la sesión
+ * @param {Object} auditContext - Contexto de auditoría (idusu del personal si es manual)
+ * @returns {Object} - { success, accion, acciones, idtranspas, idven, idmem, error }
+ */
+async function repararSesion(idsesionpas, auditContext = {}) {
+    console.log('');
+    console.log('='.repeat(60));
+    console.log(`REPARACIÓN DE SESIÓN ${idsesionpas}`);
+    console.log('='.repeat(60));
+
+    const diario = await leerDiarioSesion(idsesionpas);
+    if (!diario) {
+        return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    const { sesion, pasos } = diario;
+
+    if (sesion.estreparacion === 'R') {
+        return { success: true, accion: 'YA_REPARADA', acciones: [], idven: sesion.idven, idtranspas: sesion.idtranspas };
+    }
+    if (sesion.estreparacion === 'X') {
+        return { success: false, error: 'La sesión fue revertida en OpenPay; revísala manualmente' };
+    }
+
+    // R1: Reclamar
+    const reclamo = await sequelize.query(
+        `UPDATE PasarelaSesion SET
+            estreparacion = 'E',
+            intentosreparacion = ISNULL(intentosreparacion, 0) + 1,
+            fecultactividad = GETDATE()
+         OUTPUT INSERTED.idsesionpas
+         WHERE idsesionpas = :idsesionpas
+           AND (estreparacion IS NULL OR estreparacion = 'P'
+                OR (estreparacion = 'E' AND fecultactividad < DATEADD(MINUTE, -30, GETDATE())))`,
+        {
+            replacements: { idsesionpas },
+            type: QueryTypes.UPDATE
+        }
+    );
+
+    if (!reclamo[0] || reclamo[0].length === 0) {
+        return { success: false, error: 'La sesión ya se está reparando' };
+    }
+
+    const acciones = [];
+    const esSuscripcion = Boolean(pasos.SUSCRIPCION_OPENPAY || pasos.SUSCRIPCION);
+    const esCompra = Boolean(pasos.CARGO?.idcargo);
+
+    try {
+        // R2: Nada que completar sin cobro (el token de la tarjeta es de un solo uso)
+        if (!esSuscripcion && !esCompra) {
+            const transaccion = await buscarTransaccionSesion(idsesionpas);
+
+            if (!transaccion) {
+                await cerrarSesion(idsesionpas, 'F');
+                await sequelize.query(
+                    `UPDATE PasarelaSesion SET estreparacion = NULL WHERE idsesionpas = :idsesionpas`,
+                    {
+                        replacements: { idsesionpas },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+                console.log(`[Reparación] Sesión ${idsesionpas} sin cobro en OpenPay (último paso: ${sesion.ultimopaso || '-'})`);
+                return { success: true, accion: 'SIN_COBRO', acciones };
+            }
+        }
+
+        // R3 / R4
+        const resultado = esCompra
+            ? await repararCompraSesion(sesion, pasos, acciones, auditContext)
+            : await repararSuscripcionSesion(sesion, pasos, acciones, auditContext);
+
+        // R5
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET estreparacion = 'R', fecreparacion = GETDATE()
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await registrarPasoSesion(idsesionpas, 'REPARACION', 'OK', { acciones, ...resultado });
+        await registrarHistorialSesion(
+            idsesionpas,
+            'REPARACION',
+            acciones.length > 0 ? `Pasos completados: ${acciones.join(', ')}` : 'Sin pasos pendientes',
+            auditContext.ipaddress,
+            { acciones, ...resultado, idusu: auditContext.idusu || null }
+        );
+
+        console.log(`[Reparación] ✓ Sesión ${idsesionpas} reparada: ${acciones.join(', ') || 'sin cambios'}`);
+        return { success: true, accion: 'REPARADA', acciones, ...resultado };
+
+    } catch (error) {
+        console.log(`[Reparación] ✗ Sesión ${idsesionpas}: ${error.message}`);
+
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET estreparacion = 'P' WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await registrarPasoSesion(idsesionpas, 'REPARACION', 'ERROR', { acciones, error: error.message });
+        await registrarHistorialSesion(idsesionpas, 'REPARACION_FALLIDA', error.message, auditContext.ipaddress, { acciones });
+
+        return { success: false, error: error.message, acciones };
+    }
+}
+
+/**
+ * Reparar las sesiones encoladas (estreparacion='P')
+ * Usado por el job de reparación; las que agotan los intentos quedan para el personal
+ *
+ * @param {number} limite - Máximo de sesiones por ejecución
+ * @returns {Object} - { success, total, reparadas, fallidas }
+ */
+async function procesarReparacionesPendientes(limite = 20) {
+    const pendientes = await sequelize.query(
+        `SELECT TOP (:limite) idsesionpas FROM PasarelaSesion
+         WHERE estreparacion = 'P' AND ISNULL(intentosreparacion, 0) < :maxintentos
+         ORDER BY fecultactividad`,
+        {
+            replacements: { limite, maxintentos: MAX_INTENTOS_REPARACION },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    let reparadas = 0;
+    let fallidas = 0;
+
+    for (const pendiente of pendientes) {
+        const resultado = await repararSesion(pendiente.idsesionpas, { useragent: 'JOB_REPARACION' });
+        if (resultado.success) {
+            reparadas++;
+        } else {
+            fallidas++;
+        }
+    }
+
+    return { success: true, total: pendientes.length, reparadas, fallidas };
+}
+
+/**
+ * Sesiones pendientes o en reparación para el panel del personal
+ */
+async function listarSesionesReparacion() {
+    return sequelize.query(
+        `SELECT idsesionpas, sessionid, idusu, dniusu, montintentado, estsesion,
+                ultimopaso, estreparacion, intentosreparacion, fecreparacion,
+                fecinicio, fecultactividad, idtranspas, idven
+         FROM PasarelaSesion
+         WHERE estreparacion IN ('P', 'E', 'X')
+         ORDER BY fecultactividad DESC`,
+        { type: QueryTypes.SELECT }
+    );
+}
+
+// ============================================================================
+// FASE 17: ESTADO DE PAGO (consulta del checkout para cargos pendientes o 3DS)
+// ============================================================================
+
+/**
+ * Estado de un cargo en OpenPay, normalizado con PasarelaEstado
+ * Si OpenPay reporta un estado distinto al local, actualiza PasarelaTransaccion
+ * (la venta la sigue creando el retorno 3DS o la reparación, no esta consulta)
+ *
+ * FLUJO:
+ * E1. Transacción local por idtransext, solo si pertenece al solicitante
+ * E2. Cargo en OpenPay (si no responde, se devuelve el último estado local)
+ * E3. Mapear status → PasarelaEstado (codestadoint, desestado, colorhex, esfinal...)
+ * E4. Actualizar la transacción si el estado cambió
+ *
+ * @param {string} idtransext - ID del cargo en OpenPay
+ * @param {Object} solicitante - { idusu, sesiones } usuario logueado y sesiones de pago de su navegador
+ * @returns {Object} - { success, transaccion, estado, cargo, actualizado, sincronizado, error }
+ */
+async function consultarEstadoPago(idtransext, solicitante = {}) {
+    try {
+        // E1: Transacción local
+        const transacciones = await sequelize.query(
+            `SELECT TOP 1 t.idtranspas, t.idusu, t.idsesionpas, t.idtransext, t.idpasarela,
+                    t.montbruto, t.codautorizacion, t.idven, e.codestadoext
+             FROM PasarelaTransaccion t
+             LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+             WHERE t.idtransext = :idtransext
+             ORDER BY t.idtranspas DESC`,
+            {
+                replacements: { idtransext: sanitizeString(idtransext, 100) },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // Un pago ajeno responde igual que uno inexistente
+        const transaccion = transacciones[0];
+        const esDueno = transaccion && (
+            (solicitante.idusu && transaccion.idusu === solicitante.idusu) ||
+            (solicitante.sesiones || []).includes(transaccion.idsesionpas)
+        );
+
+        if (!esDueno) {
+            return { success: false, error: 'Transacción no encontrada' };
+        }
+
+        // E2: Cargo en la pasarela que lo cobró
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+        const consulta = await adaptador.obtenerCargo(transaccion.idtransext);
+        const cargo = consulta.success ? consulta.cargo : null;
+        const status = cargo?.status || transaccion.codestadoext || 'in_progress';
+
+        // E3: Estado normalizado
+        await adaptador.ensureInitialized();
+        const estados = await sequelize.query(
+            `SELECT TOP 1 idestadopas, codestadoext, codestadoint, desestado, colorhex, iconclass,
+                    esfinal, esexitoso, espendiente
+             FROM PasarelaEstado
+             WHERE idpasarela = :idpasarela AND codestadoext = :codestado AND estado = 'S'`,
+            {
+                replacements: {
+                    idpasarela: adaptador.config?.idpasarela || 1,
+                    codestado: status
+                },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const estado = estados[0] || {
+            codestadoext: status,
+            codestadoint: status.toUpperCase(),
+            desestado: status,
+            colorhex: '#6c757d',
+            iconclass: 'fa-question-circle',
+            esfinal: 'N',
+            esexitoso: 'N',
+            espendiente: 'N'
+        };
+
+        // E4: Sincronizar la transacción local
+        let actualizado = false;
+        if (cargo && cargo.status !== transaccion.codestadoext) {
+            const resultado = await adaptador.actualizarEstadoTransaccion(transaccion.idtranspas, cargo.status, cargo);
+            actualizado = resultado.success;
+            console.log(`[Estado] Transacción ${transaccion.idtranspas}: ${transaccion.codestadoext || '-'} → ${cargo.status}`);
+        }
+
+        return {
+            success: true,
+            transaccion,
+            estado,
+            cargo,
+            actualizado,
+            sincronizado: Boolean(cargo)
+        };
+
+    } catch (error) {
+        console.log(`[Estado] ✗ ERROR al consultar ${idtransext}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 18: CONFIRMACIÓN DE COMPRA (Venta / VentaDetalle / VentaPagos)
+// ============================================================================
+
+// Vigencia del enlace de confirmación para compras sin cuenta
+const DIAS_VIGENCIA_CONFIRMACION = 7;
+
+/**
+ * Token firmado para ver la confirmación de una venta sin iniciar sesión
+ *
+ * @param {number} idven - ID de la venta
+ * @returns {string} - Token para /pedidos/confirmacion?id=<idven>&token=<token>
+ */
+function emitirTokenConfirmacion(idven) {
+    return tokens.firmar({ tipo: 'CONFIRMACION', idven }, DIAS_VIGENCIA_CONFIRMACION * 24 * 60 * 60);
+}
+
+/**
+ * Detalle de una venta virtual para la página de confirmación
+ * Solo para el comprador: usuario logueado, sesión de pago del mismo navegador
+ * o token de confirmación firmado
+ *
+ * @param {number} idven - ID de la venta
+ * @param {Object} solicitante - { idusu, sesiones, token }
+ * @returns {Object} - { success, venta, lineas, pagos, tarjeta, efectivo, comprobante, membresias, suscripcion, error }
+ */
+async function obtenerConfirmacionVenta(idven, solicitante = {}) {
+    try {
+        const ventas = await sequelize.query(
+            `SELECT TOP 1 v.idven, v.feccre, v.subtotalven, v.descven, v.totalven, v.estven,
+                    v.dniusu, v.idusuven,
+                    t.idtranspas, t.idusu, t.idsesionpas, t.idsuscpas,
+                    t.ultimos4tarj, t.marcatarj, t.codautorizacion,
+                    t.metododepago, t.codigopago, t.urlrecibo, t.feclimitepago, t.motivorevision
+             FROM Venta v
+             LEFT JOIN PasarelaTransaccion t ON t.idtranspas = v.idtranspas
+             WHERE v.idven = :idven AND v.origenventa = 'V'`,
+            {
+                replacements: { idven },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // Una venta ajena responde igual que una inexistente
+        const venta = ventas[0];
+        const payload = tokens.verificar(solicitante.token);
+        const esComprador = venta && (
+            (payload?.tipo === 'CONFIRMACION' && payload.idven === venta.idven) ||
+            (solicitante.idusu && (venta.idusu === solicitante.idusu || venta.idusuven === solicitante.idusu)) ||
+            (solicitante.sesiones || []).includes(venta.idsesionpas)
+        );
+
+        if (!esComprador) {
+            return { success: false, error: 'Venta no encontrada' };
+        }
+
+        const lineas = await sequelize.query(
+            `SELECT vd.barcpro, p.despro, vd.cantvendet, vd.cospro, vd.subtotal
+             FROM VentaDetalle vd
+             LEFT JOIN Producto p ON p.barcpro = vd.barcpro
+             WHERE vd.idven = :idven
+             ORDER BY vd.idvendet`,
+            {
+                replacements: { idven },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const pagos = await sequelize.query(
+            `SELECT vp.codtipopago, tp.destipopago, vp.monto, vp.feccre
+             FROM VentaPagos vp
+             LEFT JOIN TipoPago tp ON tp.codtipopago = vp.codtipopago
+             WHERE vp.idven = :idven
+             ORDER BY vp.idvenpago`,
+            {
+                replacements: { idven },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const membresias = await sequelize.query(
+            `SELECT m.idmem, m.barcpro, p.despro, m.fecinimem, m.fecfinmem, m.diasmem,
+                    m.estamem, m.idsuscpas
+             FROM Membresia m
+             LEFT JOIN Producto p ON p.barcpro = m.barcpro
+             WHERE m.idven = :idven
+             ORDER BY m.idmem`,
+            {
+                replacements: { idven },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // Próximo cobro de la suscripción que generó la venta
+        const idsuscpas = venta.idsuscpas || membresias.find(m => m.idsuscpas)?.idsuscpas || null;
+        let suscripcion = null;
+
+        if (idsuscpas) {
+            const suscripciones = await sequelize.query(
+                `SELECT s.idsuscpas, s.estsuscripcion, s.fecproximocobro, s.fecfinperiodo,
+                        p.nomplanext, p.precio
+                 FROM PasarelaSuscripcion s
+                 INNER JOIN PasarelaPlan p ON s.idplanpas = p.idplanpas
+                 WHERE s.idsuscpas = :idsuscpas`,
+                {
+                    replacements: { idsuscpas },
+                    type: QueryTypes.SELECT
+                }
+            );
+            suscripcion = suscripciones[0] || null;
+        }
+
+        return {
+            success: true,
+            venta: {
+                idven: venta.idven,
+                fecha: venta.feccre,
+                subtotal: parseFloat(venta.subtotalven) || 0,
+                descuento: parseFloat(venta.descven) || 0,
+                total: parseFloat(venta.totalven) || 0,
+                estado: venta.estven,
+                autorizacion: venta.codautorizacion || null
+            },
+            lineas,
+            pagos,
+            tarjeta: venta.ultimos4tarj ? { ultimos4: venta.ultimos4tarj, marca: venta.marcatarj } : null,
+            efectivo: venta.metododepago === 'EFECTIVO' ? {
+                codigo: venta.codigopago,
+                urlbarcode: venta.urlrecibo,
+                feclimite: venta.feclimitepago
+            } : null,
+            comprobante: METODOS_COMPROBANTE[venta.metododepago] ? {
+                metodo: venta.metododepago,
+                numerooperacion: venta.codigopago,
+                motivorechazo: venta.estven === 'X' ? venta.motivorevision : null
+            } : null,
+            membresias,
+            suscripcion
+        };
+
+    } catch (error) {
+        console.log(`[Confirmación] ✗ ERROR al obtener venta ${idven}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 19: IDEMPOTENCIA DE CHECKOUTS (header Idempotency-Key)
+// ============================================================================
+
+// Tiempo durante el cual un reintento con la misma llave recibe la respuesta original
+const HORAS_VIGENCIA_IDEMPOTENCIA = 24;
+
+// Una llave en proceso ('P') sin actividad por más de estos minutos es de una petición caída
+// (reinicio, error no controlado). No se retoma: pudo caerse después de cobrar, y repetirla
+// cobraría dos veces; el reintento recibe un 409 y el personal revisa el pedido
+const MINUTOS_PROCESO_IDEMPOTENCIA = 5;
+
+/**
+ * Huella de los datos de una petición para detectar una llave reutilizada con otro pedido
+ *
+ * @param {Object} datos - Datos que identifican la operación (sin tokens de tarjeta)
+ * @returns {string} - SHA-256 en hexadecimal
+ */
+function huellaIdempotencia(datos) {
+    return crypto.createHash('sha256').update(JSON.stringify(datos)).digest('hex');
+}
+
+/**
+ * Reclamar una llave de idempotencia antes de mover dinero
+ * 
+ * I1. Liberar la llave si ya venció
+ * I2. Insertar la llave en estado P (la PK impide que otra instancia la tome)
+ * I3. Si ya existía: devolver su estado y la respuesta guardada
+ * I4. Si sigue en proceso sin actividad por MINUTOS_PROCESO_IDEMPOTENCIA: avisar que quedó
+ *     abandonada, sin volver a ejecutar la petición
+ *
+ * @param {string} clave - Valor del header Idempotency-Key
+ * @param {Object} datos - { operacion, propietario, huella }
+ * @returns {Object} - { estado: 'NUEVA'|'EN_PROCESO'|'COMPLETADA'|'CONFLICTO', httpstatus, respuesta }
+ */
+async function reclamarIdempotencia(clave, datos) {
+    const { operacion, propietario, huella } = datos;
+
+    // I1: Una llave vencida se puede volver a usar
+    await sequelize.query(
+        `DELETE FROM PasarelaIdempotencia
+         WHERE idempotencykey = :clave AND fecexpiracion < GETDATE()`,
+        {
+            replacements: { clave },
+            type: QueryTypes.DELETE
+        }
+    );
+
+    // I2: Reclamar
+    try {
+        await sequelize.query(
+            `INSERT INTO PasarelaIdempotencia (
+                idempotencykey, operacion, propietario, huella, estado,
+                feccre, fecmov, fecexpiracion
+            ) VALUES (
+                :clave, :operacion, :propietario, :huella, 'P',
+                GETDATE(), GETDATE(), DATEADD(HOUR, :horas, GETDATE())
+            )`,
+            {
+                replacements: {
+                    clave,
+                    operacion,
+                    propietario: sanitizeString(propietario, 150) || null,
+                    huella,
+                    horas: HORAS_VIGENCIA_IDEMPOTENCIA
+                },
+                type: QueryTypes.INSERT
+            }
+        );
+
+        console.log(`[Idempotencia] ✓ Llave ${clave} reclamada (${operacion})`);
+        return { estado: 'NUEVA' };
+
+    } catch (error) {
+        // Cualquier error que no sea la PK duplicada se propaga
+        if (error.name !== 'SequelizeUniqueConstraintError' && error.parent?.number !== 2627) {
+            throw error;
+        }
+    }
+
+    // I3: La llave ya existe
+    const existentes = await sequelize.query(
+        `SELECT TOP 1 operacion, propietario, huella, estado, httpstatus, respuesta
+         FROM PasarelaIdempotencia WHERE idempotencykey = :clave`,
+        {
+            replacements: { clave },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const existente = existentes[0];
+    if (!existente) {
+        // Venció y se borró entre el INSERT y el SELECT
+        return reclamarIdempotencia(clave, datos);
+    }
+
+    // Otra operación, otro comprador u otro pedido con la misma llave
+    if (existente.operacion !== operacion
+        || (existente.propietario || null) !== (sanitizeString(propietario, 150) || null)
+        || existente.huella !== huella) {
+        console.log(`[Idempotencia] ✗ Llave ${clave} reutilizada con otros datos`);
+        return { estado: 'CONFLICTO' };
+    }
+
+    if (existente.estado !== 'C') {
+        // I4: La petición que la tenía no terminó dentro del plazo. No se retoma: el cargo
+        // pudo quedar hecho en la pasarela y repetirlo cobraría dos veces
+        const abandonadas = await sequelize.query(
+            `SELECT idempotencykey FROM PasarelaIdempotencia
+             WHERE idempotencykey = :clave
+               AND estado = 'P'
+               AND ISNULL(fecmov, feccre) < DATEADD(MINUTE, -:minutos, GETDATE())`,
+            {
+                replacements: { clave, minutos: MINUTOS_PROCESO_IDEMPOTENCIA },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (abandonadas.length > 0) {
+            console.error(`[Idempotencia] ✗ Llave ${clave} abandonada en proceso (${operacion}); revisar si la operación se completó en la pasarela`);
+            return { estado: 'EN_PROCESO', abandonada: true };
+        }
+
+        console.log(`[Idempotencia] → Llave ${clave} en proceso`);
+        return { estado: 'EN_PROCESO' };
+    }
+
+    console.log(`[Idempotencia] → Llave ${clave} repetida, se devuelve la respuesta original`);
+    return {
+        estado: 'COMPLETADA',
+        httpstatus: existente.httpstatus || 200,
+        respuesta: existente.respuesta ? JSON.parse(existente.respuesta) : null
+    };
+}
+
+/**
+ * Guardar la respuesta de la primera petición para devolverla en los reintentos
+ *
+ * @param {string} clave - Llave reclamada con reclamarIdempotencia
+ * @param {Object} respuesta - JSON enviado al navegador
+ * @param {number} httpstatus - Código HTTP de la respuesta
+ * @returns {boolean} - true si se guardó
+ */
+async function completarIdempotencia(clave, respuesta, httpstatus = 200) {
+    try {
+        await sequelize.query(
+            `UPDATE PasarelaIdempotencia
+             SET estado = 'C', httpstatus = :httpstatus, respuesta = :respuesta, fecfin = GETDATE(), fecmov = GETDATE()
+             WHERE idempotencykey = :clave`,
+            {
+                replacements: {
+                    clave,
+                    httpstatus,
+                    respuesta: JSON.stringify(respuesta)
+                },
+                type: QueryTypes.UPDATE
+            }
+        );
+        return true;
+    } catch (error) {
+        console.log(`[Idempotencia] ✗ ERROR al guardar respuesta de ${clave}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Borrar las llaves vencidas (checkouts y operaciones con OpenPay)
+ *
+ * @returns {Object} - { success, eliminadas }
+ */
+async function limpiarIdempotenciaVencida() {
+    try {
+        const eliminadas = await sequelize.query(
+            `DELETE FROM PasarelaIdempotencia
+             OUTPUT DELETED.idempotencykey
+             WHERE fecexpiracion < GETDATE()`,
+            { type: QueryTypes.SELECT }
+        );
+
+        if (eliminadas.length > 0) {
+            console.log(`[Idempotencia] ${eliminadas.length} llaves vencidas eliminadas`);
+        }
+        return { success: true, eliminadas: eliminadas.length };
+    } catch (error) {
+        console.log(`[Idempotencia] ✗ ERROR al limpiar llaves: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 20: PAGO EN EFECTIVO (referencia de pago / CIP con vencimiento)
+// ============================================================================
+
+// TipoPago de las ventas pagadas con referencia en agentes o banca por internet
+const CODTIPOPAGO_EFECTIVO = 'PE';
+
+// Tiempo que tiene el cliente para pagar la referencia
+const HORAS_VIGENCIA_EFECTIVO = 48;
+
+/**
+ * Flujo de una compra única pagada en efectivo
+ * No hay cobro inmediato: la venta y las membresías quedan pendientes hasta el pago
+ *
+ * FLUJO:
+ * F1. Pasarela con pagos en efectivo (OpenPay, method 'store')
+ * F2. Sesión + historial INICIO (Pasos 1-2)
+ * F3. Cliente local y en la pasarela (Pasos 3-7)
+ * F4. Cargo en efectivo → referencia de pago, código de barras y fecha límite
+ * F5. PasarelaTransaccion metododepago='EFECTIVO' en 'in_progress', sin caja (Paso 13)
+ * F6. Venta 'P' y membresías 'P' (Pasos 15-20)
+ *
+ * El webhook charge.succeeded activa la venta (activarPagoEfectivo); el job
+ * pagos-efectivo vence las referencias no pagadas después de feclimitepago
+ *
+ * @param {Object} datos - { datosCliente, items, total, idcotizacion }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, datos, efectivo: { codigo, urlbarcode, feclimite, monto }, mensaje, errorPago }
+ */
+async function procesarCompraEfectivo(datos, auditContext = {}) {
+    const { datosCliente, items, total, idcotizacion } = datos;
+
+    console.log('');
+    console.log('#'.repeat(60));
+    console.log(`# COMPRA EN EFECTIVO ${idcotizacion} - S/ ${total}`);
+    console.log('#'.repeat(60));
+
+    // F1: Pasarela
+    const seleccion = await pasarelaService.seleccionarPasarela({ operacion: 'EFECTIVO' });
+    if (!seleccion.success) {
+        return { success: false, error: seleccion.error, mensaje: 'El pago en efectivo no está disponible en este momento' };
+    }
+
+    const adaptador = seleccion.adaptador;
+    const feclimite = new Date(Date.now() + HORAS_VIGENCIA_EFECTIVO * 60 * 60 * 1000);
+
+    let sesion = null;
+    let transaccionResult = null;
+    let codigoError = null;
+
+    try {
+        // F2: Sesión
+        sesion = await crearSesionPago({
+            idusu: auditContext.idusu || null,
+            dniusu: datosCliente.numeroDocumento,
+            deviceSessionId: null,
+            useragent: auditContext.useragent,
+            ipaddress: auditContext.ipaddress,
+            plataforma: 'WEB',
+            barcpro: items.length === 1 ? items[0].barcpro : null,
+            montintentado: total,
+            adaptador
+        });
+
+        if (!sesion.success) {
+            throw new Error(`Paso 1 falló: ${sesion.error}`);
+        }
+
+        await registrarHistorialSesion(
+            sesion.idsesionpas,
+            'INICIO',
+            `Compra en efectivo ${idcotizacion}`,
+            auditContext.ipaddress,
+            { idcotizacion, items: items.length, total, codpasarela: adaptador.codpasarela }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'SESION', 'OK', {
+            sessionid: sesion.sessionid,
+            idcotizacion,
+            codpasarela: adaptador.codpasarela
+        });
+
+        // F3: Cliente
+        const clienteResult = await procesarCliente(datosCliente, auditContext);
+
+        if (!clienteResult.success) {
+            codigoError = clienteResult.code;
+            throw new Error(`Fase Cliente falló: ${clienteResult.error}`);
+        }
+
+        const idusu = clienteResult.usuario.idusu;
+        const dniusu = datosCliente.numeroDocumento;
+
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET idusu = :idusu, fecultactividad = GETDATE()
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idusu, idsesionpas: sesion.idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'CLIENTE', 'OK', {
+            idusu,
+            idclipas: clienteResult.clientePasarela.idclipas,
+            idcliext: clienteResult.clientePasarela.idcliext
+        });
+
+        // F4: Cargo en efectivo
+        const cargoResult = await adaptador.crearCargoEfectivo(
+            clienteResult.clientePasarela.idcliext,
+            {
+                amount: total,
+                description: `Compra en ModoFit ${idcotizacion}`,
+                order_id: sesion.sessionid,
+                due_date: feclimite
+            },
+            { ...auditContext, idusu }
+        );
+
+        if (!cargoResult.success) {
+            codigoError = cargoResult.code;
+            throw new Error(`Cargo en efectivo falló: ${cargoResult.error}`);
+        }
+
+        const cargo = cargoResult.cargo;
+        const referencia = cargoResult.referencia;
+
+        await registrarPasoSesion(sesion.idsesionpas, 'CARGO', 'OK', {
+            idcargo: cargo.id,
+            codpasarela: adaptador.codpasarela,
+            metododepago: 'EFECTIVO',
+            codigopago: referencia.codigo,
+            status: cargo.status,
+            idcotizacion,
+            total,
+            idapilog: cargoResult.idapilog
+        });
+
+        // F5: Transacción pendiente (la caja se suma cuando llega el pago)
+        transaccionResult = await registrarTransaccion({
+            idusu,
+            dniusu,
+            idsesionpas: sesion.idsesionpas,
+            idtransext: cargo.id,
+            referenciaorden: idcotizacion,
+            tipotransaccion: 'COBRO',
+            estadoext: cargo.status,
+            montbruto: total,
+            jsonresponse: cargo,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent,
+            idapilog: cargoResult.idapilog,
+            idempotencykey: auditContext.idempotencykey,
+            metododepago: 'EFECTIVO',
+            codigopago: referencia.codigo,
+            urlrecibo: referencia.urlbarcode,
+            feclimitepago: feclimite.toLocaleString('sv-SE', { timeZone: 'America/Lima' }),
+            adaptador
+        });
+
+        if (!transaccionResult.success) {
+            throw new Error(`Paso 13 falló: ${transaccionResult.error}`);
+        }
+
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: transaccionResult.idtranspas,
+            idcaja: transaccionResult.idcaja
+        });
+
+        // F6: Venta y membresías pendientes
+        const compra = await completarCompraUnica({
+            idsesionpas: sesion.idsesionpas,
+            idtranspas: transaccionResult.idtranspas,
+            idusu,
+            dniusu,
+            items,
+            total,
+            pagoPendiente: true,
+            codtipopago: CODTIPOPAGO_EFECTIVO
+        }, auditContext);
+
+        if (!compra.success) {
+            throw new Error(`Referencia ${referencia.codigo} sin venta: ${compra.error}`);
+        }
+
+        console.log(`[Efectivo] ✓ Referencia ${referencia.codigo} generada, vence ${feclimite.toISOString()}`);
+
+        return {
+            success: true,
+            mensaje: 'Código de pago generado',
+            datos: {
+                idsesionpas: sesion.idsesionpas,
+                idtranspas: transaccionResult.idtranspas,
+                idtransext: cargo.id,
+                idven: compra.idven,
+                membresias: compra.membresias
+            },
+            efectivo: {
+                codigo: referencia.codigo,
+                urlbarcode: referencia.urlbarcode,
+                feclimite: feclimite.toISOString(),
+                monto: total
+            }
+        };
+
+    } catch (error) {
+        console.log(`[Efectivo] ✗ ERROR: ${error.message}`);
+
+        // Sin venta la referencia no se muestra; si igual se paga, el webhook no encuentra
+        // la venta y el cargo queda en PasarelaWebhookLog para revisarlo
+        const errorPago = await homologarError(codigoError, error.message, {
+            origen: 'COBRO_EFECTIVO',
+            idsesionpas: sesion?.idsesionpas,
+            monto: total,
+            ...auditContext,
+            adaptador
+        });
+
+        if (transaccionResult?.idtranspas) {
+            await adaptador.actualizarEstadoTransaccion(transaccionResult.idtranspas, 'failed');
+        }
+
+        if (sesion?.idsesionpas) {
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                'PAGO_FALLIDO',
+                error.message,
+                auditContext.ipaddress,
+                { coderrorext: codigoError, coderrorint: errorPago.coderrorint }
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F', transaccionResult?.idtranspas || null);
+        }
+
+        return {
+            success: false,
+            error: error.message,
+            mensaje: errorPago.msgusuario,
+            errorPago
+        };
+    }
+}
+
+/**
+ * Transacción local de un pago en efectivo por el ID del cargo
+ */
+async function buscarTransaccionEfectivo(idtransext) {
+    const transacciones = await sequelize.query(
+        `SELECT TOP 1 t.idtranspas, t.idsesionpas, t.idpasarela, t.idcaja, t.idven, t.idtransext,
+                t.codigopago, t.feclimitepago, t.montbruto, t.montcomisionvar, t.montimpuestocom,
+                t.estrevisionpago, t.montpagado, t.jsonresponse, e.codestadoext
+         FROM PasarelaTransaccion t
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         WHERE t.idtransext = :idtransext AND t.metododepago = 'EFECTIVO'
+         ORDER BY t.idtranspas DESC`,
+        {
+            replacements: { idtransext: sanitizeString(idtransext, 100) },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return transacciones[0] || null;
+}
+
+/**
+ * Activar una venta pendiente de pago (efectivo o comprobante): venta 'S', membresías
+ * desde hoy y el monto a la caja virtual de la transacción
+ *
+ * @param {Object} transaccion - { idtranspas, idven, idcaja, montbruto, montcomisionvar, montimpuestocom }
+ * @param {string} codautorizacion - Autorización de la pasarela o número de operación (opcional)
+ * @returns {boolean} - false si la venta ya estaba activa (no se vuelve a sumar a la caja)
+ */
+async function activarVentaPendiente(transaccion, codautorizacion = null) {
+    return sequelize.transaction(async (transaction) => {
+        // Solo la primera confirmación activa la venta y suma a la caja
+        const ventas = await sequelize.query(
+            `UPDATE Venta SET estven = 'S'
+             OUTPUT INSERTED.idven
+             WHERE idven = :idven AND estven <> 'S'`,
+            {
+                replacements: { idven: transaccion.idven },
+                type: QueryTypes.SELECT,
+                transaction
+            }
+        );
+
+        if (ventas.length === 0) {
+            return false;
+        }
+
+        await sequelize.query(
+            `UPDATE Membresia SET
+                estamem = 'S',
+                fecinimem = CAST(GETDATE() AS DATE),
+                fecfinmem = DATEADD(DAY, diasmem, CAST(GETDATE() AS DATE)),
+                fecmv = GETDATE()
+             WHERE idven = :idven AND estamem IN ('P', 'C')`,
+            {
+                replacements: { idven: transaccion.idven },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE PasarelaTransaccion SET codautorizacion = :codautorizacion, fecmov = GETDATE()
+             WHERE idtranspas = :idtranspas`,
+            {
+                replacements: {
+                    idtranspas: transaccion.idtranspas,
+                    codautorizacion: sanitizeString(codautorizacion || '', 50) || null
+                },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+
+        const caja = await openpayService.actualizarCajaVirtual(
+            transaccion.idcaja,
+            parseFloat(transaccion.montbruto) || 0,
+            parseFloat(transaccion.montcomisionvar) || 0,
+            parseFloat(transaccion.montimpuestocom) || 0,
+            transaction
+        );
+
+        if (!caja.success) {
+            throw new Error('No se pudo actualizar la caja virtual');
+        }
+        return true;
+    });
+}
+
+/**
+ * Anular una venta que no llegó a pagarse: venta 'X' y membresías pendientes 'C'
+ * @param {number} idven - ID de la venta
+ */
+async function anularVentaPendiente(idven) {
+    await sequelize.transaction(async (transaction) => {
+        await sequelize.query(
+            `UPDATE Venta SET estven = 'X' WHERE idven = :idven AND estven = 'P'`,
+            {
+                replacements: { idven },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+        await sequelize.query(
+            `UPDATE Membresia SET estamem = 'C', fecmv = GETDATE()
+             WHERE idven = :idven AND estamem = 'P'`,
+            {
+                replacements: { idven },
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+    });
+}
+
+/**
+ * Confirmar un pago en efectivo: la venta pasa a 'S', las membresías se activan
+ * desde hoy y el monto entra a la caja virtual
+ * Lo llaman el webhook charge.succeeded y el job de vencimientos (si el webhook no llegó)
+ *
+ * Si la referencia ya estaba vencida o anulada, o el monto pagado no es el de la
+ * venta, no se activa: queda en revisión del personal (estrevisionpago='P')
+ *
+ * @param {Object} cargo - Cargo de OpenPay (payload.transaction del webhook u obtenerCargo)
+ * @returns {Object} - { success, aplica, idven, mensaje, error }
+ *          aplica=false si el cargo no es un pago en efectivo registrado
+ */
+async function activarPagoEfectivo(cargo) {
+    try {
+        const transaccion = await buscarTransaccionEfectivo(cargo.id);
+        if (!transaccion) {
+            return { success: true, aplica: false };
+        }
+
+        if (!transaccion.idven) {
+            throw new Error(`La referencia ${transaccion.codigopago} no tiene venta`);
+        }
+
+        if (transaccion.estrevisionpago) {
+            return {
+                success: true,
+                aplica: true,
+                idven: transaccion.idven,
+                mensaje: `Referencia ${transaccion.codigopago} ya pasó a revisión del personal (${transaccion.estrevisionpago})`
+            };
+        }
+
+        if (transaccion.codestadoext !== 'completed') {
+            const montpagado = Math.round((parseFloat(cargo.amount) || 0) * 100) / 100;
+            const vencida = transaccion.codestadoext === 'expired' || transaccion.codestadoext === 'cancelled';
+            const montodistinto = Math.abs(montpagado - (parseFloat(transaccion.montbruto) || 0)) >= 0.01;
+
+            if (vencida || montodistinto) {
+                return encolarRevisionEfectivo(
+                    transaccion,
+                    cargo,
+                    montpagado,
+                    vencida ? 'pagada después de vencer' : `pagada por S/ ${montpagado.toFixed(2)} en lugar de S/ ${transaccion.montbruto}`
+                );
+            }
+        }
+
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+
+        const activada = await activarVentaPendiente(transaccion, cargo.authorization);
+
+        await adaptador.actualizarEstadoTransaccion(transaccion.idtranspas, 'completed', cargo);
+
+        if (!activada) {
+            return { success: true, aplica: true, idven: transaccion.idven, mensaje: `Venta ${transaccion.idven} ya estaba activa` };
+        }
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_EXITOSO',
+            `Pago en efectivo recibido, venta ${transaccion.idven}`,
+            null,
+            { idtransext: cargo.id, codigopago: transaccion.codigopago }
+        );
+
+        console.log(`[Efectivo] ✓ Referencia ${transaccion.codigopago} pagada, venta ${transaccion.idven} activada`);
+        return {
+            success: true,
+            aplica: true,
+            idven: transaccion.idven,
+            mensaje: `Pago en efectivo ${cargo.id} confirmado, venta ${transaccion.idven} activada`
+        };
+
+    } catch (error) {
+        console.log(`[Efectivo] ✗ ERROR al activar ${cargo.id}: ${error.message}`);
+        return { success: false, aplica: true, error: error.message };
+    }
+}
+
+/**
+ * Dejar un pago en efectivo en revisión del personal en lugar de activarlo
+ * La transacción conserva su estado; el cargo y el monto pagado quedan guardados
+ * para que el personal apruebe la venta o devuelva el dinero
+ *
+ * @returns {Object} - { success, aplica, idven, mensaje }
+ */
+async function encolarRevisionEfectivo(transaccion, cargo, montpagado, motivo) {
+    const encolados = await sequelize.query(
+        `UPDATE PasarelaTransaccion SET
+            estrevisionpago = 'P',
+            montpagado = :montpagado,
+            jsonresponse = :jsonresponse,
+            fecmov = GETDATE()
+         OUTPUT INSERTED.idtranspas
+         WHERE idtranspas = :idtranspas AND estrevisionpago IS NULL`,
+        {
+            replacements: {
+                idtranspas: transaccion.idtranspas,
+                montpagado,
+                jsonresponse: JSON.stringify(cargo)
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (encolados.length > 0) {
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_EN_REVISION',
+            `Referencia ${transaccion.codigopago} ${motivo}, venta ${transaccion.idven} en revisión del personal`,
+            null,
+            { idtransext: cargo.id, montpagado, montbruto: transaccion.montbruto, codestadoext: transaccion.codestadoext }
+        );
+
+        console.log(`[Efectivo] ✗ Referencia ${transaccion.codigopago} ${motivo}: venta ${transaccion.idven} en revisión`);
+    }
+
+    return {
+        success: true,
+        aplica: true,
+        idven: transaccion.idven,
+        mensaje: `Referencia ${transaccion.codigopago} ${motivo}, en revisión del personal`
+    };
+}
+
+/**
+ * Cola de pagos en efectivo que el personal debe revisar
+ * @param {string} estado - 'P' (pendientes), 'A' (aprobados) o 'R' (rechazados)
+ */
+async function listarRevisionesEfectivo(estado = 'P') {
+    return sequelize.query(
+        `SELECT TOP 200 t.idtranspas, t.idven, t.idusu, t.dniusu, t.idtransext, t.codigopago,
+                t.montbruto, t.montpagado, t.feclimitepago, t.fectransaccion, t.fecmov,
+                t.estrevisionpago, e.codestadoext, v.estven
+         FROM PasarelaTransaccion t
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         LEFT JOIN Venta v ON t.idven = v.idven
+         WHERE t.metododepago = 'EFECTIVO' AND t.estrevisionpago = :estado
+         ORDER BY t.fecmov`,
+        {
+            replacements: { estado: ['P', 'A', 'R'].includes(estado) ? estado : 'P' },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+/**
+ * Tomar un pago en revisión; solo una resolución gana si dos personas lo revisan a la vez
+ * @returns {Object|null} - La transacción, o null si no estaba en revisión
+ */
+async function reclamarRevisionEfectivo(idtranspas, estrevisionpago) {
+    const reclamados = await sequelize.query(
+        `UPDATE PasarelaTransaccion SET estrevisionpago = :estrevisionpago, fecmov = GETDATE()
+         OUTPUT INSERTED.idtransext
+         WHERE idtranspas = :idtranspas AND metododepago = 'EFECTIVO' AND estrevisionpago = 'P'`,
+        {
+            replacements: { idtranspas, estrevisionpago },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return reclamados.length > 0 ? buscarTransaccionEfectivo(reclamados[0].idtransext) : null;
+}
+
+async function liberarRevisionEfectivo(idtranspas) {
+    await sequelize.query(
+        `UPDATE PasarelaTransaccion SET estrevisionpago = 'P' WHERE idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.UPDATE
+        }
+    );
+}
+
+/**
+ * Aprobar un pago en efectivo en revisión: la venta se activa como si el pago
+ * hubiera llegado a tiempo (caja con el monto de la venta; la diferencia de monto
+ * la muestra la conciliación)
+ *
+ * @param {number} idtranspas - Transacción del pago en efectivo
+ * @param {Object} auditContext - Contexto de auditoría (idusu = quien revisa)
+ * @returns {Object} - { success, idven, error }
+ */
+async function aprobarPagoEfectivo(idtranspas, auditContext = {}) {
+    const transaccion = await reclamarRevisionEfectivo(idtranspas, 'A');
+    if (!transaccion) {
+        return { success: false, error: 'El pago no está en revisión' };
+    }
+
+    try {
+        let cargo = null;
+        try {
+            cargo = JSON.parse(transaccion.jsonresponse || 'null');
+        } catch (error) {
+            cargo = null;
+        }
+
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+
+        await activarVentaPendiente(transaccion, cargo?.authorization);
+        await adaptador.actualizarEstadoTransaccion(idtranspas, 'completed', cargo);
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_EXITOSO',
+            `Pago en efectivo ${transaccion.codigopago} aprobado por el personal, venta ${transaccion.idven}`,
+            auditContext.ipaddress,
+            { idtranspas, montpagado: transaccion.montpagado, idusurevisa: auditContext.idusu || null }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTransaccion',
+            idregistro: idtranspas,
+            accion: 'EFECTIVO_APROBADO',
+            camposcambiados: { idven: transaccion.idven, codigopago: transaccion.codigopago, montpagado: transaccion.montpagado },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Efectivo] ✓ Pago ${transaccion.codigopago} aprobado, venta ${transaccion.idven} activada`);
+        return { success: true, idven: transaccion.idven };
+
+    } catch (error) {
+        console.log(`[Efectivo] ✗ ERROR al aprobar ${idtranspas}: ${error.message}`);
+        await liberarRevisionEfectivo(idtranspas);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Rechazar un pago en efectivo en revisión: la venta queda anulada y el dinero
+ * se devuelve al cliente por fuera de la pasarela (los cargos 'store' no se reembolsan)
+ *
+ * @param {number} idtranspas - Transacción del pago en efectivo
+ * @param {string} motivo - Motivo del rechazo
+ * @param {Object} auditContext - Contexto de auditoría (idusu = quien revisa)
+ * @returns {Object} - { success, idven, error }
+ */
+async function rechazarPagoEfectivo(idtranspas, motivo, auditContext = {}) {
+    const transaccion = await reclamarRevisionEfectivo(idtranspas, 'R');
+    if (!transaccion) {
+        return { success: false, error: 'El pago no está en revisión' };
+    }
+
+    try {
+        await anularVentaPendiente(transaccion.idven);
+
+        if (transaccion.codestadoext === 'in_progress') {
+            const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+            await adaptador.actualizarEstadoTransaccion(idtranspas, 'cancelled');
+        }
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_RECHAZADO',
+            `Pago en efectivo ${transaccion.codigopago} rechazado: ${motivo}`,
+            auditContext.ipaddress,
+            { idtranspas, montpagado: transaccion.montpagado, idusurevisa: auditContext.idusu || null }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTransaccion',
+            idregistro: idtranspas,
+            accion: 'EFECTIVO_RECHAZADO',
+            camposcambiados: { idven: transaccion.idven, codigopago: transaccion.codigopago, montpagado: transaccion.montpagado, motivo },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Efectivo] Pago ${transaccion.codigopago} rechazado, venta ${transaccion.idven} anulada`);
+        return { success: true, idven: transaccion.idven };
+
+    } catch (error) {
+        console.log(`[Efectivo] ✗ ERROR al rechazar ${idtranspas}: ${error.message}`);
+        await liberarRevisionEfectivo(idtranspas);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Vencer una referencia no pagada: transacción 'expired', venta 'X' y membresías 'C'
+ * Lo llaman el job de vencimientos y el webhook charge.cancelled
+ *
+ * @param {Object} cargo - Cargo de OpenPay ({ id } basta si no se pudo consultar)
+ * @returns {Object} - { success, aplica, idven, mensaje, error }
+ */
+async function vencerPagoEfectivo(cargo) {
+    try {
+        const transaccion = await buscarTransaccionEfectivo(cargo.id);
+        if (!transaccion) {
+            return { success: true, aplica: false };
+        }
+
+        if (transaccion.codestadoext === 'completed') {
+            return { success: true, aplica: true, idven: transaccion.idven, mensaje: `Referencia ${transaccion.codigopago} ya pagada` };
+        }
+
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+
+        await anularVentaPendiente(transaccion.idven);
+
+        await adaptador.actualizarEstadoTransaccion(transaccion.idtranspas, 'expired', cargo.status ? cargo : null);
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_VENCIDO',
+            `Referencia ${transaccion.codigopago} no pagada a tiempo, venta ${transaccion.idven} anulada`,
+            null,
+            { idtransext: cargo.id, feclimitepago: transaccion.feclimitepago }
+        );
+
+        console.log(`[Efectivo] Referencia ${transaccion.codigopago} vencida, venta ${transaccion.idven} anulada`);
+        return {
+            success: true,
+            aplica: true,
+            idven: transaccion.idven,
+            mensaje: `Referencia ${transaccion.codigopago} vencida`
+        };
+
+    } catch (error) {
+        console.log(`[Efectivo] ✗ ERROR al vencer ${cargo.id}: ${error.message}`);
+        return { success: false, aplica: true, error: error.message };
+    }
+}
+
+/**
+ * Revisar las referencias con feclimitepago vencida que siguen en 'in_progress'
+ * Antes de vencerlas se consulta la pasarela por si el pago llegó sin webhook
+ *
+ * @param {number} limite - Máximo de referencias por ejecución
+ * @returns {Object} - { success, total, pagados, vencidos, fallidos }
+ */
+async function procesarPagosEfectivoVencidos(limite = 50) {
+    const resumen = { success: true, total: 0, pagados: 0, vencidos: 0, fallidos: 0 };
+
+    const pendientes = await sequelize.query(
+        `SELECT TOP (:limite) t.idtransext, t.idpasarela
+         FROM PasarelaTransaccion t
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         WHERE t.metododepago = 'EFECTIVO'
+           AND t.feclimitepago < GETDATE()
+           AND ISNULL(e.codestadoext, 'in_progress') = 'in_progress'
+           AND t.estrevisionpago IS NULL
+         ORDER BY t.feclimitepago`,
+        {
+            replacements: { limite },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    resumen.total = pendientes.length;
+
+    for (const pendiente of pendientes) {
+        const adaptador = await pasarelaService.adaptadorPorId(pendiente.idpasarela);
+        const consulta = await adaptador.obtenerCargo(pendiente.idtransext);
+
+        // Sin respuesta de la pasarela no se vence: se revisa en el siguiente ciclo
+        if (!consulta.success && consulta.code !== 'NOT_FOUND') {
+            resumen.fallidos++;
+            continue;
+        }
+
+        const cargo = consulta.cargo || { id: pendiente.idtransext };
+        const resultado = cargo.status === 'completed'
+            ? await activarPagoEfectivo(cargo)
+            : await vencerPagoEfectivo(cargo);
+
+        if (!resultado.success) {
+            resumen.fallidos++;
+        } else if (cargo.status === 'completed') {
+            resumen.pagados++;
+        } else {
+            resumen.vencidos++;
+        }
+    }
+
+    return resumen;
+}
+
+// ============================================================================
+// FASE 21: PAGO CON COMPROBANTE (Yape/Plin y transferencias revisados por el personal)
+// ============================================================================
+
+// metododepago → TipoPago de la venta
+const METODOS_COMPROBANTE = {
+    QR: 'YP',               // Yape / Plin
+    TRANSFERENCIA: 'TB'     // Transferencia bancaria
+};
+
+const RUTA_COMPROBANTES = path.join(__dirname, '..', '..', 'storage', 'comprobantes');
+
+// Estado de la cola de revisión → PasarelaEstado.codestadoext
+const ESTADOS_REVISION = {
+    P: 'in_progress',
+    A: 'completed',
+    R: 'declined'
+};
+
+/**
+ * Cuentas activas donde el cliente puede pagar (QR de Yape/Plin o cuenta bancaria)
+ * @param {string} metododepago - 'QR' | 'TRANSFERENCIA' (opcional)
+ */
+async function listarCuentasRecaudo(metododepago = null) {
+    return sequelize.query(
+        `SELECT idcuentarec, metododepago, nomcuenta, titular, numerocuenta, cci, urlqr
+         FROM PasarelaCuentaRecaudo
+         WHERE estado = 'S' AND (:metododepago = '' OR metododepago = :metododepago)
+         ORDER BY ISNULL(orden, 99), idcuentarec`,
+        {
+            replacements: { metododepago: metododepago || '' },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+/**
+ * Flujo de una compra única pagada por Yape/Plin o transferencia
+ * No hay cobro: la venta y las membresías quedan pendientes hasta que el personal
+ * revise el comprobante
+ *
+ * FLUJO:
+ * C1. Pasarela MAN y cuenta de recaudo; el número de operación no puede repetirse
+ *     (UQ_PasarelaTransaccion_CodigoPago lo garantiza en el Paso 13)
+ * C2. Sesión + historial INICIO (Pasos 1-2)
+ * C3. Usuario local (Pasos 3-5), sin cliente en pasarela
+ * C4. Comprobante a storage/comprobantes/<idsesionpas>/
+ * C5. PasarelaTransaccion con metododepago, codigopago = número de operación y
+ *     urlrecibo = ruta del comprobante, en 'in_progress' (Paso 13)
+ * C6. Venta 'P' y membresías 'P' (Pasos 15-20)
+ *
+ * aprobarComprobante() activa la venta; rechazarComprobante() la anula
+ *
+ * @param {Object} datos - { datosCliente, items, total, idcotizacion, metododepago, idcuentarec,
+ *                           numerooperacion, archivo (de req.files) }
+ * @param {Object} auditContext - Contexto de auditoría
+ * @returns {Object} - { success, datos, mensaje, errorPago }
+ */
+async function procesarCompraComprobante(datos, auditContext = {}) {
+    const {
+        datosCliente, items, total, idcotizacion,
+        metododepago, idcuentarec, numerooperacion, archivo
+    } = datos;
+
+    console.log('');
+    console.log('#'.repeat(60));
+    console.log(`# COMPRA CON COMPROBANTE ${metododepago} ${idcotizacion} - S/ ${total}`);
+    console.log('#'.repeat(60));
+
+    // C1: Pasarela, cuenta y número de operación
+    const seleccion = await pasarelaService.seleccionarPasarela({ operacion: 'COMPROBANTE' });
+    if (!seleccion.success) {
+        return { success: false, error: seleccion.error, mensaje: 'El pago con Yape, Plin o transferencia no está disponible en este momento' };
+    }
+
+    const adaptador = seleccion.adaptador;
+    const codigopago = sanitizeString(numerooperacion, 50);
+
+    const cuentas = await listarCuentasRecaudo(metododepago);
+    const cuenta = cuentas.find(c => c.idcuentarec === parseInt(idcuentarec, 10));
+    if (!cuenta) {
+        return { success: false, error: 'Cuenta de recaudo inválida', mensaje: 'Selecciona la cuenta a la que pagaste' };
+    }
+
+    await adaptador.ensureInitialized();
+    // Aviso temprano; UQ_PasarelaTransaccion_CodigoPago rechaza en el Paso 13 el que llegue a la vez
+    const repetidos = await sequelize.query(
+        `SELECT TOP 1 t.idtranspas
+         FROM PasarelaTransaccion t
+         WHERE t.idpasarela = :idpasarela AND t.metododepago = :metododepago AND t.codigopago = :codigopago
+           AND t.codigovigente = 'S'`,
+        {
+            replacements: { idpasarela: adaptador.config.idpasarela, metododepago, codigopago },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const respuestaRepetido = {
+        success: false,
+        error: 'Número de operación repetido',
+        mensaje: 'Ese número de operación ya fue registrado en otro pedido'
+    };
+
+    if (repetidos.length > 0) {
+        console.log(`[Comprobante] ✗ Número de operación ${codigopago} ya registrado (transacción ${repetidos[0].idtranspas})`);
+        return respuestaRepetido;
+    }
+
+    let sesion = null;
+    let carpeta = null;
+    let transaccionResult = null;
+
+    try {
+        // C2: Sesión
+        sesion = await crearSesionPago({
+            idusu: auditContext.idusu || null,
+            dniusu: datosCliente.numeroDocumento,
+            deviceSessionId: null,
+            useragent: auditContext.useragent,
+            ipaddress: auditContext.ipaddress,
+            plataforma: 'WEB',
+            barcpro: items.length === 1 ? items[0].barcpro : null,
+            montintentado: total,
+            adaptador
+        });
+
+        if (!sesion.success) {
+            throw new Error(`Paso 1 falló: ${sesion.error}`);
+        }
+
+        await registrarHistorialSesion(
+            sesion.idsesionpas,
+            'INICIO',
+            `Compra con comprobante ${metododepago} ${idcotizacion}`,
+            auditContext.ipaddress,
+            { idcotizacion, items: items.length, total, idcuentarec: cuenta.idcuentarec, codigopago }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'SESION', 'OK', {
+            sessionid: sesion.sessionid,
+            idcotizacion,
+            codpasarela: adaptador.codpasarela
+        });
+
+        // C3: Usuario local
+        const clienteResult = await procesarCliente(datosCliente, auditContext, { soloUsuario: true });
+
+        if (!clienteResult.success) {
+            throw new Error(`Fase Cliente falló: ${clienteResult.error}`);
+        }
+
+        const idusu = clienteResult.usuario.idusu;
+        const dniusu = datosCliente.numeroDocumento;
+
+        await sequelize.query(
+            `UPDATE PasarelaSesion SET idusu = :idusu, fecultactividad = GETDATE()
+             WHERE idsesionpas = :idsesionpas`,
+            {
+                replacements: { idusu, idsesionpas: sesion.idsesionpas },
+                type: QueryTypes.UPDATE
+            }
+        );
+        await registrarPasoSesion(sesion.idsesionpas, 'CLIENTE', 'OK', { idusu });
+
+        // C4: Comprobante (nombre seguro: sin rutas ni caracteres especiales, con prefijo de tiempo)
+        carpeta = path.join(RUTA_COMPROBANTES, String(sesion.idsesionpas));
+        fs.mkdirSync(carpeta, { recursive: true });
+
+        const nombre = `${Date.now()}_${path.basename(archivo.name).replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+        await archivo.mv(path.join(carpeta, nombre));
+        const urlrecibo = `storage/comprobantes/${sesion.idsesionpas}/${nombre}`;
+
+        // C5: Transacción pendiente de revisión (la caja se suma al aprobar)
+        transaccionResult = await registrarTransaccion({
+            idusu,
+            dniusu,
+            idsesionpas: sesion.idsesionpas,
+            idtransext: null,
+            referenciaorden: idcotizacion,
+            tipotransaccion: 'COBRO',
+            estadoext: 'in_progress',
+            montbruto: total,
+            jsonresponse: null,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent,
+            idempotencykey: auditContext.idempotencykey,
+            metododepago,
+            codigopago,
+            urlrecibo,
+            adaptador
+        });
+
+        if (!transaccionResult.success) {
+            const error = new Error(`Paso 13 falló: ${transaccionResult.error}`);
+            error.codigoRepetido = transaccionResult.duplicado;
+            throw error;
+        }
+
+        await sequelize.query(
+            `UPDATE PasarelaTransaccion SET idcuentarec = :idcuentarec WHERE idtranspas = :idtranspas`,
+            {
+                replacements: { idcuentarec: cuenta.idcuentarec, idtranspas: transaccionResult.idtranspas },
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        await registrarPasoSesion(sesion.idsesionpas, 'TRANSACCION', 'OK', {
+            idtranspas: transaccionResult.idtranspas,
+            metododepago,
+            codigopago,
+            urlrecibo
+        });
+
+        // C6: Venta y membresías pendientes
+        const compra = await completarCompraUnica({
+            idsesionpas: sesion.idsesionpas,
+            idtranspas: transaccionResult.idtranspas,
+            idusu,
+            dniusu,
+            items,
+            total,
+            pagoPendiente: true,
+            codtipopago: METODOS_COMPROBANTE[metododepago]
+        }, auditContext);
+
+        if (!compra.success) {
+            throw new Error(`Comprobante ${codigopago} sin venta: ${compra.error}`);
+        }
+
+        console.log(`[Comprobante] ✓ ${metododepago} ${codigopago} en revisión, venta ${compra.idven}`);
+
+        return {
+            success: true,
+            mensaje: 'Recibimos tu comprobante. Activaremos tu pedido apenas lo validemos.',
+            datos: {
+                idsesionpas: sesion.idsesionpas,
+                idtranspas: transaccionResult.idtranspas,
+                idven: compra.idven,
+                membresias: compra.membresias
+            }
+        };
+
+    } catch (error) {
+        console.log(`[Comprobante] ✗ ERROR: ${error.message}`);
+
+        const errorPago = await homologarError(null, error.message, {
+            origen: 'COMPROBANTE',
+            idsesionpas: sesion?.idsesionpas,
+            monto: total,
+            ...auditContext,
+            adaptador
+        });
+
+        if (transaccionResult?.idtranspas) {
+            await adaptador.actualizarEstadoTransaccion(transaccionResult.idtranspas, 'failed');
+            await liberarCodigoPago(transaccionResult.idtranspas);
+        } else if (carpeta) {
+            // Sin transacción nadie va a revisar el archivo: no se guardan datos personales sueltos
+            fs.rmSync(carpeta, { recursive: true, force: true });
+        }
+
+        if (sesion?.idsesionpas) {
+            await registrarHistorialSesion(
+                sesion.idsesionpas,
+                'PAGO_FALLIDO',
+                error.message,
+                auditContext.ipaddress,
+                { metododepago, codigopago }
+            );
+            await cerrarSesion(sesion.idsesionpas, 'F', transaccionResult?.idtranspas || null);
+        }
+
+        if (error.codigoRepetido) {
+            console.log(`[Comprobante] ✗ Número de operación ${codigopago} registrado a la vez en otro pedido`);
+            return respuestaRepetido;
+        }
+
+        return {
+            success: false,
+            error: error.message,
+            mensaje: errorPago.msgusuario,
+            errorPago
+        };
+    }
+}
+
+/**
+ * Cola de comprobantes para el personal; los pendientes, los más antiguos primero
+ * @param {string} estado - 'P' (pendientes), 'A' (aprobados) o 'R' (rechazados)
+ */
+async function listarComprobantes(estado = 'P') {
+    return sequelize.query(
+        `SELECT TOP 200 t.idtranspas, t.idven, t.idusu, t.dniusu, t.montbruto, t.metododepago,
+                t.codigopago AS numerooperacion, t.fectransaccion,
+                t.idusurevisa, t.fecrevision, t.motivorevision,
+                c.idcuentarec, c.nomcuenta, c.numerocuenta,
+                e.codestadoext, e.desestado, v.estven
+         FROM PasarelaTransaccion t
+         INNER JOIN PasarelaPago p ON t.idpasarela = p.idpasarela
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         LEFT JOIN PasarelaCuentaRecaudo c ON t.idcuentarec = c.idcuentarec
+         LEFT JOIN Venta v ON t.idven = v.idven
+         WHERE p.codpasarela = 'MAN' AND t.urlrecibo IS NOT NULL AND e.codestadoext = :codestadoext
+         ORDER BY CASE WHEN :codestadoext = 'in_progress' THEN t.fectransaccion END,
+                  t.fecrevision DESC`,
+        {
+            replacements: { codestadoext: ESTADOS_REVISION[estado] || ESTADOS_REVISION.P },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+/**
+ * Transacción de un pago con comprobante con su estado actual
+ */
+async function buscarTransaccionComprobante(idtranspas) {
+    const transacciones = await sequelize.query(
+        `SELECT t.idtranspas, t.idsesionpas, t.idpasarela, t.idcaja, t.idven, t.idusu,
+                t.metododepago, t.codigopago, t.urlrecibo, t.montbruto, t.montcomisionvar,
+                t.montimpuestocom, t.fecrevision, e.codestadoext
+         FROM PasarelaTransaccion t
+         INNER JOIN PasarelaPago p ON t.idpasarela = p.idpasarela
+         LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+         WHERE t.idtranspas = :idtranspas AND p.codpasarela = 'MAN'`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return transacciones[0] || null;
+}
+
+/**
+ * Marcar el comprobante como revisado; solo una revisión gana si dos personas
+ * aprueban o rechazan a la vez
+ * @returns {boolean} - false si ya estaba revisado
+ */
+async function reclamarRevisionComprobante(idtranspas, idusurevisa, motivorevision = null) {
+    const reclamados = await sequelize.query(
+        `UPDATE PasarelaTransaccion SET
+            idusurevisa = :idusurevisa,
+            fecrevision = GETDATE(),
+            motivorevision = :motivorevision,
+            fecmov = GETDATE()
+         OUTPUT INSERTED.idtranspas
+         WHERE idtranspas = :idtranspas AND fecrevision IS NULL`,
+        {
+            replacements: {
+                idtranspas,
+                idusurevisa: idusurevisa || null,
+                motivorevision: motivorevision ? sanitizeString(motivorevision, 255) : null
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return reclamados.length > 0;
+}
+
+/**
+ * Liberar el número de operación de un comprobante rechazado o fallido: sale de
+ * UQ_PasarelaTransaccion_CodigoPago y el cliente puede subirlo en otro pedido
+ */
+async function liberarCodigoPago(idtranspas) {
+    await sequelize.query(
+        `UPDATE PasarelaTransaccion SET codigovigente = 'N', fecmov = GETDATE()
+         WHERE idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.UPDATE
+        }
+    );
+}
+
+async function liberarRevisionComprobante(idtranspas) {
+    await sequelize.query(
+        `UPDATE PasarelaTransaccion SET idusurevisa = NULL, fecrevision = NULL, motivorevision = NULL
+         WHERE idtranspas = :idtranspas`,
+        {
+            replacements: { idtranspas },
+            type: QueryTypes.UPDATE
+        }
+    );
+}
+
+/**
+ * Aprobar un comprobante: la venta pasa a 'S', las membresías se activan desde hoy
+ * y el monto entra a la caja virtual del día en que se registró
+ *
+ * @param {number} idtranspas - Transacción del comprobante
+ * @param {Object} auditContext - Contexto de auditoría (idusu = quien revisa)
+ * @returns {Object} - { success, idven, error }
+ */
+async function aprobarComprobante(idtranspas, auditContext = {}) {
+    const transaccion = await buscarTransaccionComprobante(idtranspas);
+
+    if (!transaccion) {
+        return { success: false, error: 'Comprobante no encontrado' };
+    }
+
+    if (transaccion.codestadoext !== 'in_progress' || transaccion.fecrevision) {
+        return { success: false, error: 'El comprobante ya fue revisado' };
+    }
+
+    if (!(await reclamarRevisionComprobante(idtranspas, auditContext.idusu))) {
+        return { success: false, error: 'El comprobante ya fue revisado' };
+    }
+
+    try {
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+
+        await activarVentaPendiente(transaccion, transaccion.codigopago);
+        await adaptador.actualizarEstadoTransaccion(idtranspas, 'completed');
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_EXITOSO',
+            `Comprobante ${transaccion.metododepago} ${transaccion.codigopago} aprobado, venta ${transaccion.idven}`,
+            auditContext.ipaddress,
+            { idtranspas, idusurevisa: auditContext.idusu || null }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTransaccion',
+            idregistro: idtranspas,
+            accion: 'COMPROBANTE_APROBADO',
+            camposcambiados: { idven: transaccion.idven, codigopago: transaccion.codigopago },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Comprobante] ✓ ${transaccion.codigopago} aprobado, venta ${transaccion.idven} activada`);
+        return { success: true, idven: transaccion.idven };
+
+    } catch (error) {
+        console.log(`[Comprobante] ✗ ERROR al aprobar ${idtranspas}: ${error.message}`);
+        await liberarRevisionComprobante(idtranspas);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Rechazar un comprobante: venta 'X' y membresías 'C'; el motivo se muestra al
+ * cliente en la confirmación del pedido
+ *
+ * @param {number} idtranspas - Transacción del comprobante
+ * @param {string} motivo - Motivo del rechazo
+ * @param {Object} auditContext - Contexto de auditoría (idusu = quien revisa)
+ * @returns {Object} - { success, idven, error }
+ */
+async function rechazarComprobante(idtranspas, motivo, auditContext = {}) {
+    const transaccion = await buscarTransaccionComprobante(idtranspas);
+
+    if (!transaccion) {
+        return { success: false, error: 'Comprobante no encontrado' };
+    }
+
+    if (transaccion.codestadoext !== 'in_progress' || transaccion.fecrevision) {
+        return { success: false, error: 'El comprobante ya fue revisado' };
+    }
+
+    if (!(await reclamarRevisionComprobante(idtranspas, auditContext.idusu, motivo))) {
+        return { success: false, error: 'El comprobante ya fue revisado' };
+    }
+
+    try {
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+
+        await anularVentaPendiente(transaccion.idven);
+        await adaptador.actualizarEstadoTransaccion(idtranspas, 'declined');
+        await liberarCodigoPago(idtranspas);
+
+        await registrarHistorialSesion(
+            transaccion.idsesionpas,
+            'PAGO_RECHAZADO',
+            `Comprobante ${transaccion.metododepago} ${transaccion.codigopago} rechazado: ${motivo}`,
+            auditContext.ipaddress,
+            { idtranspas, idusurevisa: auditContext.idusu || null }
+        );
+
+        await openpayService.registrarAuditoria({
+            tablaafectada: 'PasarelaTransaccion',
+            idregistro: idtranspas,
+            accion: 'COMPROBANTE_RECHAZADO',
+            camposcambiados: { idven: transaccion.idven, codigopago: transaccion.codigopago, motivo },
+            idusu: auditContext.idusu,
+            ipaddress: auditContext.ipaddress,
+            useragent: auditContext.useragent
+        });
+
+        console.log(`[Comprobante] ${transaccion.codigopago} rechazado, venta ${transaccion.idven} anulada`);
+        return { success: true, idven: transaccion.idven };
+
+    } catch (error) {
+        console.log(`[Comprobante] ✗ ERROR al rechazar ${idtranspas}: ${error.message}`);
+        await liberarRevisionComprobante(idtranspas);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Ruta absoluta del archivo de un comprobante (solo dentro de storage/comprobantes)
+ * @returns {string|null}
+ */
+async function rutaArchivoComprobante(idtranspas) {
+    const transaccion = await buscarTransaccionComprobante(idtranspas);
+    if (!transaccion?.urlrecibo) {
+        return null;
+    }
+
+    const ruta = path.join(__dirname, '..', '..', transaccion.urlrecibo);
+    return ruta.startsWith(RUTA_COMPROBANTES + path.sep) ? ruta : null;
+}
+
+// ============================================================================
+// FASE 22: REPORTE DIARIO (consolidado por pasarela en PasarelaReporteDiario)
+// ============================================================================
+
+// Estados de un cobro que sí ingresó ese día aunque después se devolvió o se disputó
+// (el reembolso se descuenta aparte en cantreembolsos / montreembolsos)
+const ESTADOS_COBRADOS = ['refunded', 'chargeback_pending', 'chargeback_accepted'];
+
+/**
+ * Consolidar un día en PasarelaReporteDiario (una fila por pasarela) y cerrar
+ * las cajas virtuales de ese día
+ *
+ * - Transacciones COBRO y SUSCRIPCION por fectransaccion: exitosas, fallidas,
+ *   pendientes ('in_progress') y montos de las exitosas
+ * - Suscripciones nuevas (fecinicio), canceladas (feccancelacion) y renovadas
+ *   (cobro SUSCRIPCION exitoso de una suscripción iniciada antes de ese día)
+ * - Reembolsos aprobados o completados por fecproceso
+ *
+ * Es idempotente: el MERGE sobre UQ_PasarelaReporteDiario_FechaPas recalcula la
+ * fila si el día se vuelve a generar (por ejemplo, un pago en efectivo que se
+ * aprobó tarde). La caja del día en curso no se cierra.
+ *
+ * @param {string} fecha - Día a consolidar 'YYYY-MM-DD' (por defecto, ayer)
+ * @returns {Object} - { success, fecha, cajasCerradas, reportes, error }
+ */
+async function generarReporteDiario(fecha = null) {
+    if (fecha && !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+        return { success: false, error: 'La fecha debe tener el formato YYYY-MM-DD' };
+    }
+
+    try {
+        // El día se resuelve con el reloj de la BD, igual que Caja.fecoperacion
+        const [dia] = await sequelize.query(
+            `SELECT CONVERT(varchar(10), d.fecha, 23) AS fecha,
+                    CONVERT(varchar(10), DATEADD(DAY, 1, d.fecha), 23) AS hasta
+             FROM (SELECT CASE WHEN :fecha IS NULL THEN DATEADD(DAY, -1, CAST(GETDATE() AS DATE))
+                               ELSE TRY_CONVERT(DATE, :fecha, 23) END AS fecha) d`,
+            {
+                replacements: { fecha: fecha || null },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!dia.fecha) {
+            return { success: false, error: `La fecha ${fecha} no existe` };
+        }
+
+        console.log(`[Reporte] Consolidando el ${dia.fecha}...`);
+
+        const { cajasCerradas, reportes } = await sequelize.transaction(async (transaction) => {
+            // R1: Cerrar las cajas virtuales del día (nunca la de hoy)
+            const [, cerradas] = await sequelize.query(
+                `UPDATE Caja SET estcaja = 'C', cierre = GETDATE()
+                 WHERE tipocaja = 'V' AND estcaja = 'S'
+                   AND fecoperacion = CAST(:fecha AS DATE)
+                   AND fecoperacion < CAST(GETDATE() AS DATE)`,
+                {
+                    replacements: { fecha: dia.fecha },
+                    type: QueryTypes.UPDATE,
+                    transaction
+                }
+            );
+
+            // R2: Consolidar por pasarela
+            const filas = await sequelize.query(
+                `WITH transacciones AS (
+                    SELECT t.idpasarela,
+                           COUNT(*) AS total,
+                           SUM(c.exitosa) AS exitosas,
+                           SUM(c.pendiente) AS pendientes,
+                           SUM(c.exitosa * t.montbruto) AS montbruto,
+                           SUM(c.exitosa * (ISNULL(t.montcomisionvar, 0) + ISNULL(t.montcomisionfija, 0))) AS montcomision,
+                           SUM(c.exitosa * ISNULL(t.montimpuestocom, 0)) AS montimpuesto,
+                           SUM(c.exitosa * ISNULL(t.montneto, 0)) AS montneto,
+                           SUM(CASE WHEN tt.codtipotrans = 'SUSCRIPCION' AND s.fecinicio < CAST(:fecha AS DATE)
+                                    THEN c.exitosa ELSE 0 END) AS renovadas,
+                           MAX(t.idcaja) AS idcaja
+                    FROM PasarelaTransaccion t
+                    INNER JOIN PasarelaTipoTransaccion tt ON t.idtipotrans = tt.idtipotrans
+                    LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+                    LEFT JOIN PasarelaSuscripcion s ON t.idsuscpas = s.idsuscpas
+                    CROSS APPLY (SELECT
+                        CASE WHEN e.esexitoso = 'S' OR e.codestadoext IN (:cobrados) THEN 1 ELSE 0 END AS exitosa,
+                        CASE WHEN ISNULL(e.codestadoext, 'in_progress') = 'in_progress' THEN 1 ELSE 0 END AS pendiente
+                    ) c
+                    WHERE tt.codtipotrans IN ('COBRO', 'SUSCRIPCION')
+                      AND t.fectransaccion >= CAST(:fecha AS DATE)
+                      AND t.fectransaccion < CAST(:hasta AS DATE)
+                    GROUP BY t.idpasarela
+                 ),
+                 suscripciones AS (
+                    SELECT pl.idpasarela,
+                           SUM(CASE WHEN s.fecinicio >= CAST(:fecha AS DATE) AND s.fecinicio < CAST(:hasta AS DATE)
+                                    THEN 1 ELSE 0 END) AS nuevas,
+                           SUM(CASE WHEN s.feccancelacion >= CAST(:fecha AS DATE) AND s.feccancelacion < CAST(:hasta AS DATE)
+                                    THEN 1 ELSE 0 END) AS canceladas
+                    FROM PasarelaSuscripcion s
+                    INNER JOIN PasarelaPlan pl ON s.idplanpas = pl.idplanpas
+                    WHERE (s.fecinicio >= CAST(:fecha AS DATE) AND s.fecinicio < CAST(:hasta AS DATE))
+                       OR (s.feccancelacion >= CAST(:fecha AS DATE) AND s.feccancelacion < CAST(:hasta AS DATE))
+                    GROUP BY pl.idpasarela
+                 ),
+                 reembolsos AS (
+                    SELECT t.idpasarela,
+                           COUNT(*) AS cantidad,
+                           SUM(r.montreembolso) AS monto
+                    FROM PasarelaReembolso r
+                    INNER JOIN PasarelaTransaccion t ON r.idtranspas = t.idtranspas
+                    WHERE r.estreembolso IN ('A', 'C')
+                      AND r.fecproceso >= CAST(:fecha AS DATE)
+                      AND r.fecproceso < CAST(:hasta AS DATE)
+                    GROUP BY t.idpasarela
+                 ),
+                 cajas AS (
+                    SELECT idpasarela, MAX(idcaja) AS idcaja
+                    FROM Caja
+                    WHERE tipocaja = 'V' AND fecoperacion = CAST(:fecha AS DATE)
+                    GROUP BY idpasarela
+                 )
+                 MERGE PasarelaReporteDiario WITH (HOLDLOCK) AS r
+                 USING (
+                    SELECT p.idpasarela,
+                           COALESCE(cj.idcaja, tr.idcaja) AS idcaja,
+                           ISNULL(tr.exitosas, 0) AS exitosas,
+                           ISNULL(tr.total - tr.exitosas - tr.pendientes, 0) AS fallidas,
+                           ISNULL(tr.pendientes, 0) AS pendientes,
+                           ISNULL(tr.montbruto, 0) AS montbruto,
+                           ISNULL(tr.montcomision, 0) AS montcomision,
+                           ISNULL(tr.montimpuesto, 0) AS montimpuesto,
+                           ISNULL(tr.montneto, 0) AS montneto,
+                           ISNULL(su.nuevas, 0) AS nuevas,
+                           ISNULL(su.canceladas, 0) AS canceladas,
+                           ISNULL(tr.renovadas, 0) AS renovadas,
+                           ISNULL(re.cantidad, 0) AS cantreembolsos,
+                           ISNULL(re.monto, 0) AS montreembolsos
+                    FROM PasarelaPago p
+                    LEFT JOIN transacciones tr ON p.idpasarela = tr.idpasarela
+                    LEFT JOIN suscripciones su ON p.idpasarela = su.idpasarela
+                    LEFT JOIN reembolsos re ON p.idpasarela = re.idpasarela
+                    LEFT JOIN cajas cj ON p.idpasarela = cj.idpasarela
+                    WHERE p.estado = 'S' OR tr.idpasarela IS NOT NULL
+                       OR su.idpasarela IS NOT NULL OR re.idpasarela IS NOT NULL
+                 ) AS o ON r.idpasarela = o.idpasarela AND r.fecreporte = CAST(:fecha AS DATE)
+                 WHEN MATCHED THEN
+                    UPDATE SET idcaja = o.idcaja,
+                               canttransexitosas = o.exitosas,
+                               canttransfallidas = o.fallidas,
+                               canttranspendientes = o.pendientes,
+                               montbrutototal = o.montbruto,
+                               montcomisiontotal = o.montcomision,
+                               montimpuestototal = o.montimpuesto,
+                               montnetototal = o.montneto,
+                               suscripcionesnuevas = o.nuevas,
+                               suscripcionescanceladas = o.canceladas,
+                               suscripcionesrenovadas = o.renovadas,
+                               cantreembolsos = o.cantreembolsos,
+                               montreembolsos = o.montreembolsos,
+                               fecmov = GETDATE()
+                 WHEN NOT MATCHED THEN
+                    INSERT (idpasarela, idcaja, fecreporte,
+                            canttransexitosas, canttransfallidas, canttranspendientes,
+                            montbrutototal, montcomisiontotal, montimpuestototal, montnetototal,
+                            suscripcionesnuevas, suscripcionescanceladas, suscripcionesrenovadas,
+                            cantreembolsos, montreembolsos)
+                    VALUES (o.idpasarela, o.idcaja, CAST(:fecha AS DATE),
+                            o.exitosas, o.fallidas, o.pendientes,
+                            o.montbruto, o.montcomision, o.montimpuesto, o.montneto,
+                            o.nuevas, o.canceladas, o.renovadas,
+                            o.cantreembolsos, o.montreembolsos)
+                 OUTPUT $action AS accion, INSERTED.idpasarela, INSERTED.idcaja,
+                        INSERTED.canttransexitosas, INSERTED.canttransfallidas, INSERTED.canttranspendientes,
+                        INSERTED.montbrutototal, INSERTED.montnetototal, INSERTED.cantreembolsos;`,
+                {
+                    replacements: { fecha: dia.fecha, hasta: dia.hasta, cobrados: ESTADOS_COBRADOS },
+                    type: QueryTypes.SELECT,
+                    transaction
+                }
+            );
+
+            return { cajasCerradas: cerradas || 0, reportes: filas };
+        });
+
+        for (const reporte of reportes) {
+            console.log(`[Reporte] ✓ ${dia.fecha} pasarela ${reporte.idpasarela} (${reporte.accion === 'INSERT' ? 'nuevo' : 'recalculado'}): ` +
+                `${reporte.canttransexitosas} exitosas, ${reporte.canttransfallidas} fallidas, ` +
+                `${reporte.canttranspendientes} pendientes, neto S/ ${reporte.montnetototal}`);
+        }
+
+        return { success: true, fecha: dia.fecha, cajasCerradas, reportes };
+
+    } catch (error) {
+        console.log(`[Reporte] ✗ ERROR al consolidar ${fecha || 'ayer'}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// FASE 23: CONCILIACIÓN (cargos de la pasarela vs. PasarelaTransaccion)
+// ============================================================================
+
+const TIPOS_DIFERENCIA = {
+    FALTANTE: 'FALTANTE',                   // Cargo en la pasarela sin transacción local
+    ESTADO: 'ESTADO',                       // Estado local distinto al de la pasarela
+    MONTO: 'MONTO',                         // Monto local distinto al cobrado
+    SIN_CARGO: 'SIN_CARGO',                 // Transacción local que la pasarela no conoce
+    VENTA_SIN_COBRO: 'VENTA_SIN_COBRO'      // Venta virtual activa sin cobro exitoso
+};
+
+// Un rango mayor se concilia en varias ejecuciones
+const MAX_DIAS_CONCILIACION = 31;
+const MAX_PAGINAS_CONCILIACION = 50;
+const CARGOS_POR_PAGINA = 100;
+
+// Los cargos rechazados no dejan transacción local en la compra única: no son diferencia
+const ESTADOS_SIN_COBRO = ['failed', 'cancelled'];
+
+// Estados locales con otro nombre que el de la pasarela
+const EQUIVALENCIAS_ESTADO = {
+    expired: 'cancelled',                   // Referencia de efectivo vencida por el job
+    charge_pending: 'in_progress'
+};
+
+const estadoConciliable = (estado) => EQUIVALENCIAS_ESTADO[estado] || estado || 'in_progress';
+
+/**
+ * Conciliar los cargos de la pasarela de un rango de fechas con PasarelaTransaccion
+ *
+ * FLUJO:
+ * C1. Validar el rango (por defecto, ayer); el job omite los rangos ya conciliados
+ * C2. Registrar la conciliación en PasarelaConciliacion (estado 'E')
+ * C3. Recorrer las páginas de cargos de la pasarela
+ * C4. Transacciones COBRO/SUSCRIPCION locales del rango (±1 día por la zona horaria)
+ * C5. Comparar por idtransext: faltantes, estado, monto, locales sin cargo y
+ *     ventas virtuales activas sin cobro exitoso
+ * C6. Guardar las diferencias en PasarelaConciliacionDiferencia y cerrar en 'C'
+ *
+ * @param {Object} datos - { desde, hasta, codpasarela, origen, idusu, omitirSiExiste }
+ * @returns {Object} - { success, idconciliacion, omitida, cargosremotos, transaccioneslocales, diferencias, resumen, error }
+ */
+async function conciliarPasarela(datos = {}) {
+    const { codpasarela = 'OPP', origen = 'MANUAL', idusu = null, omitirSiExiste = false } = datos;
+    let { desde, hasta } = datos;
+    let idconciliacion = null;
+
+    try {
+        // C1: Rango
+        if (!desde) {
+            const [dia] = await sequelize.query(
+                `SELECT CONVERT(varchar(10), DATEADD(DAY, -1, CAST(GETDATE() AS DATE)), 23) AS ayer`,
+                { type: QueryTypes.SELECT }
+            );
+            desde = dia.ayer;
+        }
+        hasta = hasta || desde;
+
+        const formato = /^\d{4}-\d{2}-\d{2}$/;
+        const inicio = new Date(`${desde}T00:00:00Z`);
+        const fin = new Date(`${hasta}T00:00:00Z`);
+
+        if (!formato.test(desde) || !formato.test(hasta) || isNaN(inicio) || isNaN(fin) || fin < inicio) {
+            return { success: false, error: 'Rango de fechas inválido (YYYY-MM-DD)' };
+        }
+        if ((fin - inicio) / 86400000 + 1 > MAX_DIAS_CONCILIACION) {
+            return { success: false, error: `El rango no puede superar ${MAX_DIAS_CONCILIACION} días` };
+        }
+
+        const adaptador = pasarelaService.obtenerAdaptador(codpasarela);
+        if (!adaptador || !adaptador.capacidades.cobros) {
+            return { success: false, error: `La pasarela ${codpasarela} no tiene cargos que conciliar` };
+        }
+
+        await adaptador.ensureInitialized();
+        const idpasarela = adaptador.config.idpasarela;
+
+        if (omitirSiExiste) {
+            const previas = await sequelize.query(
+                `SELECT TOP 1 idconciliacion FROM PasarelaConciliacion
+                 WHERE idpasarela = :idpasarela AND fecdesde = CAST(:desde AS DATE)
+                   AND fechasta = CAST(:hasta AS DATE) AND estconciliacion = 'C'`,
+                {
+                    replacements: { idpasarela, desde, hasta },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (previas.length > 0) {
+                return { success: true, omitida: true, idconciliacion: previas[0].idconciliacion };
+            }
+        }
+
+        console.log(`[Conciliación] ${adaptador.nompasarela} del ${desde} al ${hasta}...`);
+
+        // C2: Registro de la ejecución
+        const registro = await sequelize.query(
+            `INSERT INTO PasarelaConciliacion (idpasarela, fecdesde, fechasta, estconciliacion, origen, idusu, feccre)
+             OUTPUT INSERTED.idconciliacion
+             VALUES (:idpasarela, CAST(:desde AS DATE), CAST(:hasta AS DATE), 'E', :origen, :idusu, GETDATE())`,
+            {
+                replacements: { idpasarela, desde, hasta, origen: sanitizeString(origen, 20), idusu },
+                type: QueryTypes.SELECT
+            }
+        );
+        idconciliacion = registro[0].idconciliacion;
+
+        // C3: Cargos de la pasarela
+        const remotos = new Map();
+        for (let pagina = 0; pagina < MAX_PAGINAS_CONCILIACION; pagina++) {
+            const listado = await adaptador.listarCargos({
+                desde,
+                hasta,
+                offset: pagina * CARGOS_POR_PAGINA,
+                limit: CARGOS_POR_PAGINA
+            });
+
+            if (!listado.success) {
+                throw new Error(`${adaptador.nompasarela} no devolvió los cargos: ${listado.error}`);
+            }
+
+            for (const cargo of listado.cargos) {
+                if (!cargo.transaction_type || cargo.transaction_type === 'charge') {
+                    remotos.set(cargo.id, cargo);
+                }
+            }
+
+            if (!listado.hayMas) {
+                break;
+            }
+        }
+
+        // C4: Transacciones locales
+        const consultaLocal = `
+            SELECT t.idtranspas, t.idtransext, t.montbruto, t.metododepago, t.idven, t.idsesionpas,
+                   CONVERT(varchar(10), t.fectransaccion, 23) AS dia, e.codestadoext, e.esexitoso
+            FROM PasarelaTransaccion t
+            INNER JOIN PasarelaTipoTransaccion tt ON t.idtipotrans = tt.idtipotrans
+            LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+            WHERE t.idpasarela = :idpasarela
+              AND tt.codtipotrans IN ('COBRO', 'SUSCRIPCION')
+              AND t.idtransext IS NOT NULL`;
+
+        const locales = await sequelize.query(
+            `${consultaLocal}
+              AND t.fectransaccion >= DATEADD(DAY, -1, CAST(:desde AS DATE))
+              AND t.fectransaccion < DATEADD(DAY, 2, CAST(:hasta AS DATE))`,
+            {
+                replacements: { idpasarela, desde, hasta },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const porCargo = new Map(locales.map(t => [t.idtransext, t]));
+
+        // Cargos del rango registrados localmente fuera de la ventana (reparaciones tardías)
+        const sinUbicar = [...remotos.keys()].filter(id => !porCargo.has(id));
+        for (let i = 0; i < sinUbicar.length; i += 500) {
+            const adicionales = await sequelize.query(
+                `${consultaLocal} AND t.idtransext IN (:ids)`,
+                {
+                    replacements: { idpasarela, ids: sinUbicar.slice(i, i + 500) },
+                    type: QueryTypes.SELECT
+                }
+            );
+            adicionales.forEach(t => porCargo.set(t.idtransext, t));
+        }
+
+        // C5: Comparar
+        const diferencias = [];
+
+        const compararCargo = (cargo, local) => {
+            const estadoLocal = estadoConciliable(local.codestadoext);
+            const base = {
+                idtransext: cargo.id,
+                idtranspas: local.idtranspas,
+                idven: local.idven,
+                estadoremoto: cargo.status,
+                estadolocal: local.codestadoext || null,
+                montoremoto: cargo.amount,
+                montolocal: local.montbruto,
+                fecoperacion: cargo.creation_date
+            };
+
+            if (cargo.status !== estadoLocal) {
+                diferencias.push({ ...base, tipodiferencia: TIPOS_DIFERENCIA.ESTADO });
+            }
+            if (Math.abs((parseFloat(cargo.amount) || 0) - (parseFloat(local.montbruto) || 0)) >= 0.01) {
+                diferencias.push({ ...base, tipodiferencia: TIPOS_DIFERENCIA.MONTO });
+            }
+        };
+
+        for (const cargo of remotos.values()) {
+            const local = porCargo.get(cargo.id);
+
+            if (local) {
+                compararCargo(cargo, local);
+            } else if (!ESTADOS_SIN_COBRO.includes(cargo.status)) {
+                diferencias.push({
+                    tipodiferencia: TIPOS_DIFERENCIA.FALTANTE,
+                    idtransext: cargo.id,
+                    estadoremoto: cargo.status,
+                    montoremoto: cargo.amount,
+                    fecoperacion: cargo.creation_date,
+                    jsonremoto: cargo
+                });
+            }
+        }
+
+        // Locales del rango que no vinieron en el listado: se confirma uno por uno
+        for (const local of locales) {
+            if (remotos.has(local.idtransext) || local.dia < desde || local.dia > hasta) {
+                continue;
+            }
+
+            const consulta = await adaptador.obtenerCargo(local.idtransext);
+
+            if (consulta.success) {
+                compararCargo(consulta.cargo, local);
+            } else if (consulta.code === 'NOT_FOUND') {
+                diferencias.push({
+                    tipodiferencia: TIPOS_DIFERENCIA.SIN_CARGO,
+                    idtransext: local.idtransext,
+                    idtranspas: local.idtranspas,
+                    idven: local.idven,
+                    estadolocal: local.codestadoext || null,
+                    montolocal: local.montbruto
+                });
+            }
+        }
+
+        const ventas = await sequelize.query(
+            `SELECT v.idven, v.totalven, v.feccre, t.idtranspas, t.idtransext, e.codestadoext
+             FROM Venta v
+             LEFT JOIN PasarelaTransaccion t ON t.idtranspas = v.idtranspas
+             LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+             WHERE v.origenventa = 'V' AND v.estven = 'S'
+               AND v.feccre >= CAST(:desde AS DATE)
+               AND v.feccre < DATEADD(DAY, 1, CAST(:hasta AS DATE))
+               AND (t.idtranspas IS NULL OR t.idpasarela = :idpasarela)
+               AND ISNULL(e.esexitoso, 'N') <> 'S'
+               AND ISNULL(e.codestadoext, '') NOT IN ('refunded', 'chargeback_pending', 'chargeback_accepted')`,
+            {
+                replacements: { idpasarela, desde, hasta },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        for (const venta of ventas) {
+            diferencias.push({
+                tipodiferencia: TIPOS_DIFERENCIA.VENTA_SIN_COBRO,
+                idtransext: venta.idtransext,
+                idtranspas: venta.idtranspas,
+                idven: venta.idven,
+                estadolocal: venta.codestadoext || null,
+                montolocal: venta.totalven,
+                fecoperacion: venta.feccre
+            });
+        }
+
+        // C6: Guardar
+        const montremoto = [...remotos.values()]
+            .filter(cargo => cargo.status === 'completed')
+            .reduce((total, cargo) => total + (parseFloat(cargo.amount) || 0), 0);
+        const montlocal = locales
+            .filter(t => t.esexitoso === 'S' && t.dia >= desde && t.dia <= hasta)
+            .reduce((total, t) => total + (parseFloat(t.montbruto) || 0), 0);
+
+        await sequelize.transaction(async (transaction) => {
+            for (const diferencia of diferencias) {
+                await sequelize.query(
+                    `INSERT INTO PasarelaConciliacionDiferencia (
+                        idconciliacion, tipodiferencia, idtransext, idtranspas, idven,
+                        estadoremoto, estadolocal, montoremoto, montolocal, fecoperacion,
+                        jsonremoto, estdiferencia, feccre
+                    ) VALUES (
+                        :idconciliacion, :tipodiferencia, :idtransext, :idtranspas, :idven,
+                        :estadoremoto, :estadolocal, :montoremoto, :montolocal, TRY_CONVERT(DATETIME, :fecoperacion, 126),
+                        :jsonremoto, 'P', GETDATE()
+                    )`,
+                    {
+                        replacements: {
+                            idconciliacion,
+                            tipodiferencia: diferencia.tipodiferencia,
+                            idtransext: diferencia.idtransext ? sanitizeString(diferencia.idtransext, 100) : null,
+                            idtranspas: diferencia.idtranspas || null,
+                            idven: diferencia.idven || null,
+                            estadoremoto: diferencia.estadoremoto || null,
+                            estadolocal: diferencia.estadolocal || null,
+                            montoremoto: diferencia.montoremoto ?? null,
+                            montolocal: diferencia.montolocal ?? null,
+                            // creation_date de OpenPay ya viene en hora de Lima (con offset)
+                            fecoperacion: diferencia.fecoperacion instanceof Date
+                                ? diferencia.fecoperacion.toISOString().slice(0, 19)
+                                : diferencia.fecoperacion ? String(diferencia.fecoperacion).slice(0, 19) : null,
+                            jsonremoto: diferencia.jsonremoto ? JSON.stringify(diferencia.jsonremoto) : null
+                        },
+                        type: QueryTypes.INSERT,
+                        transaction
+                    }
+                );
+            }
+
+            await sequelize.query(
+                `UPDATE PasarelaConciliacion SET
+                    estconciliacion = 'C',
+                    cantcargosremotos = :cantcargosremotos,
+                    canttransaccioneslocales = :canttransaccioneslocales,
+                    cantdiferencias = :cantdiferencias,
+                    montremoto = :montremoto,
+                    montlocal = :montlocal,
+                    fecfin = GETDATE()
+                 WHERE idconciliacion = :idconciliacion`,
+                {
+                    replacements: {
+                        idconciliacion,
+                        cantcargosremotos: remotos.size,
+                        canttransaccioneslocales: locales.filter(t => t.dia >= desde && t.dia <= hasta).length,
+                        cantdiferencias: diferencias.length,
+                        montremoto,
+                        montlocal
+                    },
+                    type: QueryTypes.UPDATE,
+                    transaction
+                }
+            );
+        });
+
+        const resumen = {};
+        for (const diferencia of diferencias) {
+            resumen[diferencia.tipodiferencia] = (resumen[diferencia.tipodiferencia] || 0) + 1;
+        }
+
+        console.log(`[Conciliación] ✓ #${idconciliacion}: ${remotos.size} cargos, ${diferencias.length} diferencias ${JSON.stringify(resumen)}`);
+
+        return {
+            success: true,
+            idconciliacion,
+            cargosremotos: remotos.size,
+            transaccioneslocales: locales.length,
+            diferencias: diferencias.length,
+            resumen
+        };
+
+    } catch (error) {
+        console.log(`[Conciliación] ✗ ERROR${idconciliacion ? ` en #${idconciliacion}` : ''}: ${error.message}`);
+
+        if (idconciliacion) {
+            await sequelize.query(
+                `UPDATE PasarelaConciliacion SET estconciliacion = 'F', msgerror = :msgerror, fecfin = GETDATE()
+                 WHERE idconciliacion = :idconciliacion`,
+                {
+                    replacements: { idconciliacion, msgerror: sanitizeString(error.message, 500) },
+                    type: QueryTypes.UPDATE
+                }
+            ).catch(() => {});
+        }
+
+        return { success: false, idconciliacion, error: error.message };
+    }
+}
+
+/**
+ * Últimas conciliaciones (reporte del personal)
+ */
+async function listarConciliaciones(limite = 30) {
+    return sequelize.query(
+        `SELECT TOP (:limite) c.idconciliacion, c.idpasarela, p.nompasarela,
+                c.fecdesde, c.fechasta, c.estconciliacion, c.origen,
+                c.cantcargosremotos, c.canttransaccioneslocales, c.cantdiferencias,
+                c.montremoto, c.montlocal, c.msgerror, c.idusu, c.feccre, c.fecfin,
+                (SELECT COUNT(*) FROM PasarelaConciliacionDiferencia d
+                 WHERE d.idconciliacion = c.idconciliacion AND d.estdiferencia = 'P') AS cantpendientes
+         FROM PasarelaConciliacion c
+         INNER JOIN PasarelaPago p ON c.idpasarela = p.idpasarela
+         ORDER BY c.idconciliacion DESC`,
+        {
+            replacements: { limite },
+            type: QueryTypes.SELECT
+        }
+    );
+}
+
+/**
+ * Conciliación con sus diferencias
+ * @returns {Object|null} - { conciliacion, diferencias }
+ */
+async function obtenerConciliacion(idconciliacion) {
+    const conciliaciones = await sequelize.query(
+        `SELECT c.*, p.nompasarela, p.codpasarela
+         FROM PasarelaConciliacion c
+         INNER JOIN PasarelaPago p ON c.idpasarela = p.idpasarela
+         WHERE c.idconciliacion = :idconciliacion`,
+        {
+            replacements: { idconciliacion },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (!conciliaciones[0]) {
+        return null;
+    }
+
+    const diferencias = await sequelize.query(
+        `SELECT iddiferencia, tipodiferencia, idtransext, idtranspas, idven,
+                estadoremoto, estadolocal, montoremoto, montolocal, fecoperacion,
+                estdiferencia, accionresolucion, detalleresolucion, idusuresuelve, fecresolucion
+         FROM PasarelaConciliacionDiferencia
+         WHERE idconciliacion = :idconciliacion
+         ORDER BY tipodiferencia, iddiferencia`,
+        {
+            replacements: { idconciliacion },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return { conciliacion: conciliaciones[0], diferencias };
+}
+
+/**
+ * Reclamar una diferencia pendiente para corregirla ('E'); solo un clic gana
+ * @returns {Object|null} - Diferencia con codpasarela y el cargo guardado, o null si no está pendiente
+ */
+async function reclamarDiferencia(iddiferencia, tipodiferencia) {
+    const reclamadas = await sequelize.query(
+        `UPDATE PasarelaConciliacionDiferencia SET estdiferencia = 'E'
+         OUTPUT INSERTED.iddiferencia, INSERTED.idtransext, INSERTED.idtranspas, INSERTED.jsonremoto
+         WHERE iddiferencia = :iddiferencia AND tipodiferencia = :tipodiferencia AND estdiferencia = 'P'`,
+        {
+            replacements: { iddiferencia, tipodiferencia },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (reclamadas.length === 0) {
+        return null;
+    }
+
+    const pasarela = await sequelize.query(
+        `SELECT p.codpasarela
+         FROM PasarelaConciliacionDiferencia d
+         INNER JOIN PasarelaConciliacion c ON d.idconciliacion = c.idconciliacion
+         INNER JOIN PasarelaPago p ON c.idpasarela = p.idpasarela
+         WHERE d.iddiferencia = :iddiferencia`,
+        {
+            replacements: { iddiferencia },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return { ...reclamadas[0], codpasarela: pasarela[0]?.codpasarela || 'OPP' };
+}
+
+/**
+ * Marcar la diferencia como resuelta ('R') o devolverla a pendiente ('P') con el último error
+ */
+async function cerrarDiferencia(iddiferencia, resolucion, auditContext = {}) {
+    await sequelize.query(
+        `UPDATE PasarelaConciliacionDiferencia SET
+            estdiferencia = :estdiferencia,
+            accionresolucion = :accionresolucion,
+            detalleresolucion = :detalleresolucion,
+            idusuresuelve = CASE WHEN :estdiferencia = 'R' THEN :idusuresuelve ELSE NULL END,
+            fecresolucion = CASE WHEN :estdiferencia = 'R' THEN GETDATE() ELSE NULL END
+         WHERE iddiferencia = :iddiferencia`,
+        {
+            replacements: {
+                iddiferencia,
+                estdiferencia: resolucion.estdiferencia,
+                accionresolucion: resolucion.accionresolucion || null,
+                detalleresolucion: resolucion.detalleresolucion ? sanitizeString(resolucion.detalleresolucion, 500) : null,
+                idusuresuelve: auditContext.idusu || null
+            },
+            type: QueryTypes.UPDATE
+        }
+    );
+}
+
+/**
+ * Importar un cargo que la pasarela cobró pero que no quedó registrado localmente
+ *
+ * FLUJO:
+ * I1. Reclamar la diferencia FALTANTE y consultar el cargo (debe seguir 'completed')
+ * I2. Sesión del checkout (order_id = sessionid) con el pedido en el diario → reparación
+ *     completa: transacción, caja, venta y membresía
+ * I3. Cargo de una suscripción → mismo flujo que el webhook de renovación
+ * I4. Cliente conocido (sesión sin pedido o customer_id) → solo la transacción;
+ *     la venta queda para el personal
+ *
+ * @param {number} iddiferencia - Diferencia FALTANTE
+ * @param {Object} auditContext - Contexto de auditoría (idusu del personal)
+ * @returns {Object} - { success, accion, idtranspas, idven, mensaje, error }
+ */
+async function importarCargoConciliacion(iddiferencia, auditContext = {}) {
+    // I1: Reclamar
+    const diferencia = await reclamarDiferencia(iddiferencia, TIPOS_DIFERENCIA.FALTANTE);
+    if (!diferencia) {
+        return { success: false, error: 'La diferencia no existe o ya fue corregida' };
+    }
+
+    try {
+        const adaptador = pasarelaService.obtenerAdaptador(diferencia.codpasarela);
+        const consulta = await adaptador.obtenerCargo(diferencia.idtransext);
+        if (!consulta.success) {
+            throw new Error(`${adaptador.nompasarela} no devolvió el cargo: ${consulta.error}`);
+        }
+
+        const cargo = { ...JSON.parse(diferencia.jsonremoto || '{}'), ...consulta.cargo };
+        if (cargo.status !== 'completed') {
+            throw new Error(`El cargo está en estado ${cargo.status}; solo se importan cobros completados`);
+        }
+
+        const existente = await sequelize.query(
+            `SELECT TOP 1 idtranspas, idven FROM PasarelaTransaccion WHERE idtransext = :idtransext`,
+            {
+                replacements: { idtransext: cargo.id },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        let resultado;
+
+        if (existente[0]) {
+            resultado = { accion: 'YA_REGISTRADO', ...existente[0], mensaje: 'El cargo ya estaba registrado' };
+        } else {
+            const sesiones = cargo.order_id
+                ? await sequelize.query(
+                    `SELECT TOP 1 idsesionpas FROM PasarelaSesion WHERE sessionid = :sessionid`,
+                    {
+                        replacements: { sessionid: sanitizeString(cargo.order_id, 100) },
+                        type: QueryTypes.SELECT
+                    }
+                )
+                : [];
+            const diario = sesiones[0] ? await leerDiarioSesion(sesiones[0].idsesionpas) : null;
+
+            if (diario?.pasos.CARGO?.idcargo === cargo.id) {
+                // I2: Reparación de la sesión
+                await encolarReparacionSesion(diario.sesion.idsesionpas, `Conciliación: cargo ${cargo.id} sin registrar`);
+                const reparacion = await repararSesion(diario.sesion.idsesionpas, auditContext);
+                if (!reparacion.success) {
+                    throw new Error(`Reparación de la sesión ${diario.sesion.idsesionpas}: ${reparacion.error}`);
+                }
+                resultado = {
+                    accion: 'REPARADO',
+                    idtranspas: reparacion.idtranspas,
+                    idven: reparacion.idven,
+                    mensaje: `Sesión ${diario.sesion.idsesionpas} reparada: ${reparacion.acciones.join(', ') || 'sin pasos pendientes'}`
+                };
+
+            } else if (cargo.subscription_id) {
+                // I3: Cobro de suscripción
+                const renovacion = await procesarRenovacionSuscripcion(cargo);
+                if (!renovacion.success) {
+                    throw new Error(renovacion.error);
+                }
+                resultado = {
+                    accion: 'RENOVACION',
+                    idtranspas: renovacion.idtranspas,
+                    idven: renovacion.idven,
+                    mensaje: renovacion.mensaje || 'Cobro de suscripción registrado'
+                };
+
+            } else {
+                // I4: Solo la transacción
+                const clientes = diario
+                    ? [{ idusu: diario.sesion.idusu, dniusu: diario.sesion.dniusu }]
+                    : cargo.customer_id
+                        ? await sequelize.query(
+                            `SELECT TOP 1 idusu, dniusu FROM PasarelaCliente
+                             WHERE idcliext = :idcliext AND idpasarela = :idpasarela`,
+                            {
+                                replacements: {
+                                    idcliext: sanitizeString(cargo.customer_id, 100),
+                                    idpasarela: adaptador.config.idpasarela
+                                },
+                                type: QueryTypes.SELECT
+                            }
+                        )
+                        : [];
+
+                if (!clientes[0]?.idusu) {
+                    throw new Error('El cargo no tiene sesión, suscripción ni cliente local: regístralo manualmente');
+                }
+
+                const registro = await registrarTransaccion({
+                    idusu: clientes[0].idusu,
+                    dniusu: clientes[0].dniusu,
+                    idsesionpas: diario?.sesion.idsesionpas || null,
+                    idtransext: cargo.id,
+                    referenciaorden: cargo.order_id || `CONC-${iddiferencia}`,
+                    tipotransaccion: 'COBRO',
+                    estadoext: adaptador.mapearEstado(cargo.status),
+                    montbruto: parseFloat(cargo.amount) || 0,
+                    ultimos4tarj: cargo.card?.card_number?.slice(-4),
+                    marcatarj: cargo.card?.brand,
+                    jsonresponse: cargo,
+                    ipaddress: auditContext.ipaddress,
+                    useragent: auditContext.useragent,
+                    adaptador
+                });
+
+                if (!registro.success) {
+                    throw new Error(`Paso 13 falló: ${registro.error}`);
+                }
+                resultado = {
+                    accion: 'TRANSACCION',
+                    idtranspas: registro.idtranspas,
+                    idven: null,
+                    mensaje: 'Transacción registrada; la venta debe crearse manualmente'
+                };
+            }
+        }
+
+        await cerrarDiferencia(iddiferencia, {
+            estdiferencia: 'R',
+            accionresolucion: resultado.accion,
+            detalleresolucion: resultado.mensaje
+        }, auditContext);
+
+        console.log(`[Conciliación] ✓ Cargo ${cargo.id} importado (${resultado.accion})`);
+        return { success: true, ...resultado };
+
+    } catch (error) {
+        console.log(`[Conciliación] ✗ No se pudo importar la diferencia ${iddiferencia}: ${error.message}`);
+        await cerrarDiferencia(iddiferencia, { estdiferencia: 'P', detalleresolucion: error.message }, auditContext);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Llevar la transacción local al estado que reporta la pasarela
+ *
+ * - Pago en efectivo: se activa o se vence con el mismo flujo que el webhook
+ * - Cobro completado de una sesión sin venta: reparación (estado, caja y venta)
+ * - Resto: solo el estado de PasarelaTransaccion
+ *
+ * @param {number} iddiferencia - Diferencia ESTADO
+ * @param {Object} auditContext - Contexto de auditoría (idusu del personal)
+ * @returns {Object} - { success, accion, estado, mensaje, error }
+ */
+async function sincronizarEstadoConciliacion(iddiferencia, auditContext = {}) {
+    const diferencia = await reclamarDiferencia(iddiferencia, TIPOS_DIFERENCIA.ESTADO);
+    if (!diferencia) {
+        return { success: false, error: 'La diferencia no existe o ya fue corregida' };
+    }
+
+    try {
+        const transacciones = await sequelize.query(
+            `SELECT TOP 1 t.idtranspas, t.idpasarela, t.idtransext, t.idven, t.idsesionpas,
+                    t.metododepago, e.codestadoext
+             FROM PasarelaTransaccion t
+             LEFT JOIN PasarelaEstado e ON t.idestadopas = e.idestadopas
+             WHERE t.idtranspas = :idtranspas`,
+            {
+                replacements: { idtranspas: diferencia.idtranspas },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const transaccion = transacciones[0];
+        if (!transaccion) {
+            throw new Error('La transacción local ya no existe');
+        }
+
+        const adaptador = await pasarelaService.adaptadorPorId(transaccion.idpasarela);
+        const consulta = await adaptador.obtenerCargo(transaccion.idtransext);
+        if (!consulta.success) {
+            throw new Error(`${adaptador.nompasarela} no devolvió el cargo: ${consulta.error}`);
+        }
+
+        const cargo = consulta.cargo;
+        const estado = adaptador.mapearEstado(cargo.status);
+        let accion = 'SINCRONIZADO';
+        let mensaje = `${transaccion.codestadoext || '-'} → ${estado}`;
+
+        if (estadoConciliable(transaccion.codestadoext) === cargo.status) {
+            accion = 'SIN_CAMBIOS';
+            mensaje = `El estado ya coincide (${estado})`;
+
+        } else if (transaccion.metododepago === 'EFECTIVO' && ['completed', 'cancelled'].includes(cargo.status)) {
+            const resultado = cargo.status === 'completed'
+                ? await activarPagoEfectivo(cargo)
+                : await vencerPagoEfectivo(cargo);
+            if (!resultado.success) {
+                throw new Error(resultado.error);
+            }
+
+        } else if (cargo.status === 'completed' && !transaccion.idven && transaccion.idsesionpas) {
+            await encolarReparacionSesion(transaccion.idsesionpas, `Conciliación: cargo ${cargo.id} completado sin venta`);
+            const reparacion = await repararSesion(transaccion.idsesionpas, auditContext);
+            if (!reparacion.success) {
+                throw new Error(`Reparación de la sesión ${transaccion.idsesionpas}: ${reparacion.error}`);
+            }
+            accion = 'REPARADO';
+            mensaje += `; sesión ${transaccion.idsesionpas}: ${reparacion.acciones.join(', ') || 'sin pasos pendientes'}`;
+
+        } else {
+            const resultado = await adaptador.actualizarEstadoTransaccion(transaccion.idtranspas, estado, cargo);
+            if (!resultado.success) {
+                throw new Error('No se pudo actualizar el estado de la transacción');
+            }
+        }
+
+        await cerrarDiferencia(iddiferencia, {
+            estdiferencia: 'R',
+            accionresolucion: accion,
+            detalleresolucion: mensaje
+        }, auditContext);
+
+        console.log(`[Conciliación] ✓ Transacción ${transaccion.idtranspas} sincronizada: ${mensaje}`);
+        return { success: true, accion, estado, mensaje };
+
+    } catch (error) {
+        console.log(`[Conciliación] ✗ No se pudo sincronizar la diferencia ${iddiferencia}: ${error.message}`);
+        await cerrarDiferencia(iddiferencia, { estdiferencia: 'P', detalleresolucion: error.message }, auditContext);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================================
+// ENDPOINT: CONFIRMAR PEDIDO (Flujo completo de 16 pasos)
+// ============================================================================
+
+/**
+ * Handler para cuando el cliente hace click en "Confirmar Pedido"
+ * Ejecuta el flujo completo de 16 pasos
+ */
+async function confirmarPedido(req, res) {
+    try {
+        const {
+            datosCliente,
+            tokenTarjeta,
+            deviceSessionId,
+            planId,
+            idplanpas,
+            montoPlan,
+            barcpro
+        } = req.body;
+
+        // Validar datos requeridos
+        if (!datosCliente || !datosCliente.numeroDocumento) {
+            return res.json({
+                success: false,
+                error: 'Datos del cliente incompletos',
+                mensaje: 'Se requiere el número de documento'
+            });
+        }
+
+        if (!tokenTarjeta) {
+            return res.json({
+                success: false,
+                error: 'Token de tarjeta requerido',
+                mensaje: 'Debe tokenizar la tarjeta primero'
+            });
+        }
+
+        if (!planId) {
+            return res.json({
+                success: false,
+                error: 'Plan requerido',
+                mensaje: 'Debe seleccionar un plan de suscripción'
+            });
+        }
+
+        // Crear contexto de auditoría
+        const auditContext = AuditContext.fromRequest(req);
+
+        // Ejecutar flujo completo de 16 pasos
+        const resultado = await procesarPagoCompleto({
+            datosCliente,
+            tokenTarjeta,
+            deviceSessionId,
+            planId,
+            idplanpas,
+            montoPlan,
+            barcpro
+        }, auditContext);
+
+        return res.json(resultado);
+
+    } catch (error) {
+        console.error('[confirmarPedido] Error:', error.message);
+        return res.json({
+            success: false,
+            error: error.message,
+            mensaje: 'Error interno al procesar el pedido'
+        });
+    }
+}
+
+// ============================================================================
+// EXPORTACIONES
+// ============================================================================
+
+module.exports = {
+    // === FASE 0: SESIÓN (Primero) ===
+    crearSesionPago,                // Paso 1
+    registrarHistorialSesion,       // Paso 2, 10, 15
+
+    // === FASE 1: CLIENTE ===
+    buscarUsuarioPorDocumento,      // Paso 3
     buscarClientePasarela,          // Paso 4
     crearUsuario,                   // Paso 5
     crearClienteEnOpenpay,          // Paso 6
@@ -1786,6 +8571,105 @@ module.exports = {
     crearMembresia,                 // Paso 19
     actualizarTransaccionConVenta,  // Paso 20
 
+    // === FASE 6: RENOVACIÓN ===
+    buscarSuscripcionDeCargo,
+    avanzarCicloSuscripcion,
+    procesarRenovacionSuscripcion,  // Cobro recurrente (webhook)
+
+    // === FASE 7: DUNNING ===
+    encolarNotificacion,
+    registrarCobroFallido,          // Cobro recurrente fallido (webhook)
+    regularizarSuscripcion,
+    reintentarCobroSuscripcion,
+    procesarReintentosPendientes,   // Job de reintentos
+
+    // === FASE 8: CANCELACIÓN ===
+    cancelarSuscripcionSocio,       // Autoservicio desde el dashboard
+
+    // === FASE 9: REEMBOLSOS ===
+    procesarReembolso,              // Total o parcial, iniciado por el personal
+    listarReembolsos,
+
+    // === FASE 10: DISPUTAS ===
+    registrarDisputa,               // Webhook chargeback.created o ingreso manual
+    actualizarEstadoDisputa,        // R/G/P
+    generarPaqueteEvidencia,
+    adjuntarEvidenciaDisputa,
+    listarDisputas,
+
+    // === FASE 11: BILLETERA ===
+    agregarTarjetaSocio,            // Pasos 4, 8 y 9 desde el dashboard
+    eliminarTarjetaSocio,
+    marcarTarjetaPredeterminada,
+    cambiarTarjetaSuscripcion,      // Actualiza source_id sin reiniciar el ciclo
+
+    // === FASE 12: HOMOLOGACIÓN DE ERRORES ===
+    homologarError,                 // error_code → mensaje para el usuario (+ alerta)
+    listarAlertasPago,
+
+    // === FASE 13: COTIZACIÓN ===
+    obtenerPlanVigente,
+    cotizarPedido,
+    emitirCotizacion,               // Carrito → cotización firmada
+    validarCotizacion,              // Antes de cobrar
+
+    // === FASE 14: COMPRA ÚNICA ===
+    completarCompraUnica,           // Pasos 15-20 (cobro directo, efectivo o comprobante)
+    confirmarCompra3DS,             // Retorno 3DS o webhook del cargo autenticado
+    procesarCompraUnica,            // Flujo completo de un cobro único
+
+    // === FASE 15: DIARIO Y COMPENSACIONES ===
+    registrarPasoSesion,            // PasarelaSesion.journalpasos
+    compensarCheckout,              // Reparación o reversión en OpenPay
+
+    // === FASE 16: REPARACIÓN DE SESIONES ===
+    leerDiarioSesion,
+    repararSesion,                  // Completa los pasos pendientes sin volver a cobrar
+    procesarReparacionesPendientes, // Job de reparación
+    listarSesionesReparacion,
+
+    // === FASE 17: ESTADO DE PAGO ===
+    consultarEstadoPago,            // OpenPay → PasarelaEstado → PasarelaTransaccion
+
+    // === FASE 18: CONFIRMACIÓN DE COMPRA ===
+    emitirTokenConfirmacion,        // Enlace firmado para compras sin cuenta
+    obtenerConfirmacionVenta,
+
+    // === FASE 19: IDEMPOTENCIA ===
+    huellaIdempotencia,
+    reclamarIdempotencia,           // Header Idempotency-Key → PasarelaIdempotencia
+    completarIdempotencia,
+    limpiarIdempotenciaVencida,     // Job programado
+
+    // === FASE 20: PAGO EN EFECTIVO ===
+    procesarCompraEfectivo,         // Referencia de pago, venta y membresías pendientes
+    activarPagoEfectivo,            // Webhook charge.succeeded
+    vencerPagoEfectivo,             // Webhook charge.cancelled
+    procesarPagosEfectivoVencidos,  // Job de vencimientos
+    listarRevisionesEfectivo,       // Pagados fuera de plazo o con otro monto
+    aprobarPagoEfectivo,
+    rechazarPagoEfectivo,
+
+    // === FASE 21: PAGO CON COMPROBANTE ===
+    METODOS_COMPROBANTE,
+    listarCuentasRecaudo,           // QR y cuentas para el checkout
+    procesarCompraComprobante,      // Comprobante, venta y membresías pendientes
+    listarComprobantes,             // Cola de revisión del personal
+    aprobarComprobante,
+    rechazarComprobante,
+    rutaArchivoComprobante,
+
+    // === FASE 22: REPORTE DIARIO ===
+    generarReporteDiario,           // Job diario y comando manual
+
+    // === FASE 23: CONCILIACIÓN ===
+    TIPOS_DIFERENCIA,
+    conciliarPasarela,              // Job diario y ejecución del personal
+    listarConciliaciones,
+    obtenerConciliacion,
+    importarCargoConciliacion,      // Corrección: cargo faltante
+    sincronizarEstadoConciliacion,  // Corrección: estado distinto
+
     // Flujos principales
     procesarCliente,                // Pasos 3-7
     procesarPagoCompleto,           // Pasos 1-20 (flujo completo)
@@ -0,0 +1,625 @@
+/**
+ * Controller de Webhooks para ModoFit Public
+ * Recibe las notificaciones de eventos enviadas por OpenPay
+ *
+ * FLUJO DE RECEPCIÓN:
+ * Paso 1: Validar credenciales del webhook (Basic Auth configurado en OpenPay);
+ *         sin OPENPAY_WEBHOOK_USER/PASSWORD el receptor responde 503
+ * Paso 2: Registrar el payload crudo en PasarelaWebhookLog (procesado='N')
+ * Paso 3: Responder 200 a OpenPay inmediatamente
+ * Paso 4: Procesar el evento de forma asíncrona; los eventos de cargo se
+ *         verifican consultando el cargo en OpenPay antes de aplicarse
+ * Paso 5: Marcar el webhook como procesado: S=Procesado, N=Pendiente, E=Error
+ *
+ * IDEMPOTENCIA:
+ * OpenPay reintenta la notificación si no recibe respuesta a tiempo, por lo que
+ * un mismo evento (tipoevento + idtransext) puede llegar varias veces. Solo se
+ * aplica una vez: los duplicados se registran pero se marcan como procesados sin acción.
+ */
+
+const crypto = require('crypto');
+const { sequelize } = require('../database/conexionsqualize');
+const { QueryTypes } = require('sequelize');
+const openpayService = require('../services/openpayService');
+const controllersql = require('./controllersql');
+const { sanitizeString } = require('../services/openpayService');
+
+// Cola en memoria para procesar los webhooks de uno en uno
+// (evita que dos reintentos del mismo evento se apliquen en paralelo)
+let colaProcesamiento = Promise.resolve();
+
+// Reintentos de webhooks con error: el job los vuelve a procesar con espera
+// creciente (5, 10, 20, 40 min) hasta MAX_INTENTOS_WEBHOOK; luego quedan en 'E' para revisión
+const MAX_INTENTOS_WEBHOOK = 5;
+const MINUTOS_REINTENTO_WEBHOOK = 5;
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Verificar que el usuario y la contraseña del webhook estén configurados
+ * Sin ellos el receptor rechaza todas las peticiones (no se aceptan eventos anónimos)
+ *
+ * @returns {boolean}
+ */
+function credencialesConfiguradas() {
+    return Boolean(process.env.OPENPAY_WEBHOOK_USER && process.env.OPENPAY_WEBHOOK_PASSWORD);
+}
+
+/**
+ * Validar credenciales Basic Auth del webhook
+ * Se comparan las huellas SHA-256 para que timingSafeEqual no revele la longitud esperada
+ *
+ * @param {Object} req - Request de Express
+ * @returns {boolean}
+ */
+function validarCredenciales(req) {
+    const authHeader = req.headers['authorization'] || '';
+    if (!authHeader.startsWith('Basic ')) {
+        return false;
+    }
+
+    const esperado = Buffer.from(
+        `${process.env.OPENPAY_WEBHOOK_USER}:${process.env.OPENPAY_WEBHOOK_PASSWORD}`
+    ).toString('base64');
+    const recibido = authHeader.substring(6).trim();
+
+    const huella = (valor) => crypto.createHash('sha256').update(valor).digest();
+    return crypto.timingSafeEqual(huella(esperado), huella(recibido));
+}
+
+/**
+ * Extraer los datos principales del evento enviado por OpenPay
+ *
+ * @param {Object} payload - Cuerpo del webhook
+ * @returns {Object} - { tipoevento, idtransext, idcliext, idsuscext }
+ */
+function extraerDatosEvento(payload) {
+    const transaccion = payload?.transaction || {};
+
+    return {
+        tipoevento: sanitizeString(payload?.type || 'desconocido', 100),
+        idtransext: sanitizeString(transaccion.id || '', 100) || null,
+        idcliext: sanitizeString(transaccion.customer_id || '', 100) || null,
+        idsuscext: sanitizeString(
+            payload?.subscription?.id || transaccion.subscription_id || '', 100
+        ) || null
+    };
+}
+
+// ============================================================================
+// PASO 2: REGISTRAR WEBHOOK EN PASARELAWEBHOOKLOG
+// ============================================================================
+
+/**
+ * Guardar el payload crudo recibido en PasarelaWebhookLog
+ *
+ * @param {Object} datos - { payload, iporigin }
+ * @returns {Object} - { success, idwebhooklog }
+ */
+async function registrarWebhook(datos) {
+    const { payload, iporigin } = datos;
+    const evento = extraerDatosEvento(payload);
+    const payloadjson = JSON.stringify(payload || {});
+
+    console.log(`[Webhook] Registrando evento: ${evento.tipoevento} (${evento.idtransext || 'sin transacción'})`);
+
+    try {
+        await openpayService.ensureInitialized();
+
+        const resultado = await sequelize.query(
+            `INSERT INTO PasarelaWebhookLog (
+                idpasarela, tipoevento, payloadjson, idtransext, idcliext,
+                procesado, signature, iporigin, estado, fecrecepcion
+            )
+            OUTPUT INSERTED.idwebhooklog
+            VALUES (
+                :idpasarela, :tipoevento, :payloadjson, :idtransext, :idcliext,
+                'N', :signature, :iporigin, 'S', GETDATE()
+            )`,
+            {
+                replacements: {
+                    idpasarela: openpayService.config?.idpasarela || 1,
+                    tipoevento: evento.tipoevento,
+                    payloadjson,
+                    idtransext: evento.idtransext,
+                    idcliext: evento.idcliext,
+                    // Huella SHA-256 del payload para verificar su integridad
+                    signature: crypto.createHash('sha256').update(payloadjson).digest('hex'),
+                    iporigin: sanitizeString(iporigin || '', 45) || null
+                },
+                type: QueryTypes.INSERT
+            }
+        );
+
+        // INSERT ... OUTPUT con QueryTypes.INSERT devuelve [filas, rowCount]
+        const idwebhooklog = resultado[0]?.[0]?.idwebhooklog;
+        console.log(`[Webhook] ✓ Evento registrado: idwebhooklog=${idwebhooklog}`);
+
+        return { success: true, idwebhooklog };
+
+    } catch (error) {
+        console.log(`[Webhook] ✗ ERROR al registrar evento: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Actualizar el estado de procesamiento de un webhook
+ *
+ * @param {number} idwebhooklog - ID del webhook
+ * @param {string} procesado - 'S'=Procesado, 'N'=Pendiente, 'E'=Error
+ * @param {string} msgproceso - Detalle del resultado
+ */
+async function marcarWebhook(idwebhooklog, procesado, msgproceso) {
+    try {
+        await sequelize.query(
+            `UPDATE PasarelaWebhookLog SET
+                procesado = :procesado,
+                msgproceso = :msgproceso,
+                fecproceso = GETDATE(),
+                intentosproceso = ISNULL(intentosproceso, 0) + CASE WHEN :procesado = 'E' THEN 1 ELSE 0 END
+             WHERE idwebhooklog = :idwebhooklog`,
+            {
+                replacements: { idwebhooklog, procesado, msgproceso: msgproceso || null },
+                type: QueryTypes.UPDATE
+            }
+        );
+    } catch (error) {
+        console.log(`[Webhook] ✗ ERROR al marcar webhook ${idwebhooklog}: ${error.message}`);
+    }
+}
+
+/**
+ * Verificar si el mismo evento ya fue procesado por otro webhook
+ *
+ * @param {Object} webhook - Registro de PasarelaWebhookLog
+ * @returns {number|null} - idwebhooklog del evento original o null
+ */
+async function buscarEventoProcesado(webhook) {
+    if (!webhook.idtransext) {
+        return null;
+    }
+
+    const resultado = await sequelize.query(
+        `SELECT TOP 1 idwebhooklog FROM PasarelaWebhookLog
+         WHERE tipoevento = :tipoevento
+           AND idtransext = :idtransext
+           AND procesado = 'S'
+           AND idwebhooklog <> :idwebhooklog
+         ORDER BY idwebhooklog`,
+        {
+            replacements: {
+                tipoevento: webhook.tipoevento,
+                idtransext: webhook.idtransext,
+                idwebhooklog: webhook.idwebhooklog
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return resultado[0]?.idwebhooklog || null;
+}
+
+/**
+ * Releer en OpenPay el cargo notificado antes de tocar cualquier estado
+ * El estado, el monto y la autorización que se aplican son los de la pasarela,
+ * nunca los del payload; del payload solo se conservan los datos que la consulta no trae
+ *
+ * @param {Object} transaccion - payload.transaction del webhook
+ * @returns {Object} - Cargo verificado
+ * @throws {Error} si la pasarela no confirma el cargo (el webhook queda en 'E' y se reintenta)
+ */
+async function verificarCargo(transaccion) {
+    if (!transaccion.id) {
+        throw new Error('Evento sin ID de cargo');
+    }
+
+    const consulta = await openpayService.obtenerCargo(transaccion.id);
+    if (!consulta.success) {
+        throw new Error(`No se pudo verificar el cargo ${transaccion.id} en OpenPay: ${consulta.error}`);
+    }
+
+    const verificado = { ...transaccion };
+    for (const [campo, valor] of Object.entries(consulta.cargo)) {
+        if (valor !== undefined) {
+            verificado[campo] = valor;
+        }
+    }
+
+    return verificado;
+}
+
+// ============================================================================
+// MANEJADORES DE EVENTOS
+// ============================================================================
+
+/**
+ * Evento de verificación enviado por OpenPay al registrar el webhook.
+ * El código debe ingresarse en el panel de OpenPay para activar el webhook.
+ */
+async function manejarVerificacion(payload) {
+    const codigo = payload?.verification_code || 'N/A';
+    console.log(`[Webhook] Código de verificación de OpenPay: ${codigo}`);
+    return { mensaje: `Código de verificación recibido: ${codigo}` };
+}
+
+/**
+ * Eventos de cargo (charge.*): sincronizar el estado de la transacción local
+ */
+async function manejarCargo(payload, evento) {
+    const transaccion = payload.transaction || {};
+
+    const local = await sequelize.query(
+        `SELECT TOP 1 idtranspas, idsuscpas, idven FROM PasarelaTransaccion
+         WHERE idtransext = :idtransext ORDER BY idtranspas DESC`,
+        {
+            replacements: { idtransext: evento.idtransext },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (local.length === 0) {
+        return null;
+    }
+
+    await openpayService.actualizarEstadoTransaccion(
+        local[0].idtranspas,
+        transaccion.status,
+        transaccion
+    );
+
+    return {
+        mensaje: `Transacción ${local[0].idtranspas} actualizada a '${transaccion.status}'`,
+        renovacionIncompleta: Boolean(local[0].idsuscpas && !local[0].idven)
+    };
+}
+
+/**
+ * charge.succeeded: un pago en efectivo activa su venta pendiente, una compra con
+ * 3D Secure se confirma (confirmarCompra3DS); si el cargo
+ * no existe localmente (o quedó sin venta) es un cobro recurrente de una suscripción
+ * → renovar la membresía
+ * Si OpenPay no reporta el cargo como 'completed' solo se sincroniza el estado real
+ */
+async function manejarCargoExitoso(payload, evento) {
+    if (payload.transaction?.status !== 'completed') {
+        return manejarCambioCargo(payload, evento);
+    }
+
+    const efectivo = await controllersql.activarPagoEfectivo(payload.transaction || {});
+    if (!efectivo.success) {
+        throw new Error(efectivo.error);
+    }
+    if (efectivo.aplica) {
+        return { mensaje: efectivo.mensaje };
+    }
+
+    // Compra con 3D Secure: crea la venta aunque el cliente no haya vuelto del banco
+    const compra3ds = await controllersql.confirmarCompra3DS(payload.transaction);
+    if (compra3ds.aplica) {
+        if (!compra3ds.success) {
+            throw new Error(compra3ds.error);
+        }
+        return { mensaje: `Compra 3D Secure de la sesión ${compra3ds.idsesionpas}: ${compra3ds.estado}, venta ${compra3ds.idven || 'N/A'}` };
+    }
+
+    const sincronizado = await manejarCargo(payload, evento);
+    if (sincronizado && !sincronizado.renovacionIncompleta) {
+        return sincronizado;
+    }
+
+    const renovacion = await controllersql.procesarRenovacionSuscripcion(payload.transaction || {});
+    if (!renovacion.success) {
+        throw new Error(renovacion.error);
+    }
+
+    return { mensaje: renovacion.mensaje };
+}
+
+/**
+ * Otros eventos de cargo: solo sincronizar el estado si la transacción existe
+ */
+async function manejarCambioCargo(payload, evento) {
+    const sincronizado = await manejarCargo(payload, evento);
+    return sincronizado || { mensaje: `Transacción ${evento.idtransext} no registrada localmente` };
+}
+
+/**
+ * charge.cancelled: una referencia de pago en efectivo que OpenPay dio por vencida
+ * anula su venta pendiente; los demás cargos solo sincronizan el estado
+ */
+async function manejarCargoCancelado(payload, evento) {
+    if (payload.transaction?.status !== 'cancelled') {
+        return manejarCambioCargo(payload, evento);
+    }
+
+    const efectivo = await controllersql.vencerPagoEfectivo(payload.transaction || {});
+    if (!efectivo.success) {
+        throw new Error(efectivo.error);
+    }
+    if (efectivo.aplica) {
+        return { mensaje: efectivo.mensaje };
+    }
+
+    return manejarCambioCargo(payload, evento);
+}
+
+/**
+ * subscription.charge.failed: registrar el fallo y programar el reintento (dunning)
+ */
+async function manejarCobroSuscripcionFallido(payload) {
+    const transaccion = payload.transaction || {};
+    if (transaccion.status !== 'failed') {
+        return { mensaje: `Cargo ${transaccion.id} en estado '${transaccion.status}' según OpenPay, no se registra el fallo` };
+    }
+
+    const resultado = await controllersql.registrarCobroFallido(payload.transaction || {});
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    return { mensaje: resultado.mensaje };
+}
+
+/**
+ * Suscripción cancelada desde OpenPay
+ */
+async function manejarSuscripcionCancelada(payload, evento) {
+    if (!evento.idsuscext) {
+        return { mensaje: 'Evento sin ID de suscripción' };
+    }
+
+    await sequelize.query(
+        `UPDATE PasarelaSuscripcion SET
+            estsuscripcion = 'C',
+            feccancelacion = COALESCE(feccancelacion, GETDATE()),
+            fecmov = GETDATE()
+         WHERE idsuscext = :idsuscext AND estsuscripcion <> 'C'`,
+        {
+            replacements: { idsuscext: evento.idsuscext },
+            type: QueryTypes.UPDATE
+        }
+    );
+
+    return { mensaje: `Suscripción ${evento.idsuscext} marcada como cancelada` };
+}
+
+/**
+ * chargeback.created: registrar la disputa y generar el paquete de evidencia
+ */
+async function manejarContracargo(payload, evento) {
+    const transaccion = payload.transaction || {};
+
+    const resultado = await controllersql.registrarDisputa({
+        idtransext: evento.idtransext,
+        idpasarela: openpayService.config?.idpasarela || 1,
+        iddisputaext: transaccion.chargeback?.id || null,
+        montodisputa: transaccion.chargeback?.amount || transaccion.amount,
+        motivo: transaccion.chargeback?.description || transaccion.description || null,
+        codigomotivo: transaccion.chargeback?.reason_code || null,
+        feclimiterespuesta: transaccion.chargeback?.due_date || null,
+        origen: 'WEBHOOK'
+    });
+
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    return { mensaje: `Disputa ${resultado.iddisputa} ${resultado.existente ? 'ya registrada' : 'registrada'}` };
+}
+
+/**
+ * chargeback.rejected / chargeback.accepted: resolver la disputa
+ * rejected = el banco rechazó el contracargo (ganada), accepted = contracargo aplicado (perdida)
+ */
+async function manejarResolucionContracargo(payload, evento) {
+    const estdisputa = evento.tipoevento === 'chargeback.rejected' ? 'G' : 'P';
+
+    const local = await sequelize.query(
+        `SELECT TOP 1 idtranspas FROM PasarelaTransaccion
+         WHERE idtransext = :idtransext AND idpasarela = :idpasarela ORDER BY idtranspas`,
+        {
+            replacements: { idtransext: evento.idtransext, idpasarela: openpayService.config?.idpasarela || 1 },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (local.length === 0) {
+        return { mensaje: `Transacción ${evento.idtransext} no registrada localmente` };
+    }
+
+    const resultado = await controllersql.actualizarEstadoDisputa({
+        idtranspas: local[0].idtranspas,
+        estdisputa
+    });
+
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    return { mensaje: `Disputa ${resultado.iddisputa} resuelta como '${estdisputa}'` };
+}
+
+/**
+ * Mapa de tipo de evento → manejador
+ * Los eventos sin manejador se registran y se marcan como procesados sin acción.
+ */
+const MANEJADORES_EVENTO = {
+    'verification': manejarVerificacion,
+    'charge.succeeded': manejarCargoExitoso,
+    'charge.failed': manejarCambioCargo,
+    'charge.cancelled': manejarCargoCancelado,
+    'charge.refunded': manejarCambioCargo,
+    'subscription.charge.failed': manejarCobroSuscripcionFallido,
+    'subscription.cancelled': manejarSuscripcionCancelada,
+    'chargeback.created': manejarContracargo,
+    'chargeback.rejected': manejarResolucionContracargo,
+    'chargeback.accepted': manejarResolucionContracargo
+};
+
+// ============================================================================
+// PASO 4-5: PROCESAR WEBHOOK
+// ============================================================================
+
+/**
+ * Procesar un webhook registrado en PasarelaWebhookLog
+ *
+ * @param {number} idwebhooklog - ID del webhook a procesar
+ * @returns {Object} - { success, procesado, mensaje }
+ */
+async function procesarWebhook(idwebhooklog) {
+    console.log(`[Webhook] Procesando idwebhooklog=${idwebhooklog}`);
+
+    try {
+        const registros = await sequelize.query(
+            `SELECT idwebhooklog, tipoevento, payloadjson, idtransext, idcliext, procesado
+             FROM PasarelaWebhookLog WHERE idwebhooklog = :idwebhooklog`,
+            {
+                replacements: { idwebhooklog },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const webhook = registros[0];
+        if (!webhook) {
+            return { success: false, mensaje: 'Webhook no encontrado' };
+        }
+
+        if (webhook.procesado === 'S') {
+            return { success: true, procesado: 'S', mensaje: 'Webhook ya procesado' };
+        }
+
+        // Idempotencia: el mismo evento ya fue aplicado por una entrega anterior
+        const idOriginal = await buscarEventoProcesado(webhook);
+        if (idOriginal) {
+            const mensaje = `Evento duplicado, ya aplicado en idwebhooklog=${idOriginal}`;
+            await marcarWebhook(idwebhooklog, 'S', mensaje);
+            console.log(`[Webhook] ${mensaje}`);
+            return { success: true, procesado: 'S', mensaje };
+        }
+
+        const payload = JSON.parse(webhook.payloadjson || '{}');
+        const evento = extraerDatosEvento(payload);
+        const manejador = MANEJADORES_EVENTO[webhook.tipoevento];
+
+        if (!manejador) {
+            const mensaje = `Evento '${webhook.tipoevento}' registrado sin acción`;
+            await marcarWebhook(idwebhooklog, 'S', mensaje);
+            return { success: true, procesado: 'S', mensaje };
+        }
+
+        if (payload.transaction) {
+            payload.transaction = await verificarCargo(payload.transaction);
+        }
+
+        const resultado = await manejador(payload, evento);
+        await marcarWebhook(idwebhooklog, 'S', resultado.mensaje);
+
+        console.log(`[Webhook] ✓ idwebhooklog=${idwebhooklog}: ${resultado.mensaje}`);
+        return { success: true, procesado: 'S', mensaje: resultado.mensaje };
+
+    } catch (error) {
+        console.log(`[Webhook] ✗ ERROR al procesar idwebhooklog=${idwebhooklog}: ${error.message}`);
+        await marcarWebhook(idwebhooklog, 'E', error.message);
+        return { success: false, procesado: 'E', mensaje: error.message };
+    }
+}
+
+/**
+ * Encolar el procesamiento de un webhook (se ejecutan de uno en uno)
+ *
+ * @param {number} idwebhooklog - ID del webhook
+ * @returns {Promise<Object>}
+ */
+function encolarWebhook(idwebhooklog) {
+    const tarea = colaProcesamiento.then(() => procesarWebhook(idwebhooklog));
+    colaProcesamiento = tarea.catch(() => null);
+    return tarea;
+}
+
+/**
+ * Reprocesar webhooks que quedaron pendientes (procesado='N'), por ejemplo si el
+ * servidor se reinició antes de procesarlos, y reintentar los que terminaron con
+ * error ('E') mientras no superen MAX_INTENTOS_WEBHOOK
+ *
+ * @param {number} limite - Máximo de webhooks a procesar
+ * @returns {Object} - { success, total }
+ */
+async function procesarWebhooksPendientes(limite = 50) {
+    const pendientes = await sequelize.query(
+        `SELECT TOP (:limite) idwebhooklog FROM PasarelaWebhookLog
+         WHERE (procesado = 'N' AND fecrecepcion < DATEADD(MINUTE, -5, GETDATE()))
+            OR (procesado = 'E'
+                AND ISNULL(intentosproceso, 0) < :maxintentos
+                AND DATEADD(MINUTE, :minutos * POWER(2, ISNULL(intentosproceso, 1) - 1), fecproceso) < GETDATE())
+         ORDER BY idwebhooklog`,
+        {
+            replacements: {
+                limite,
+                maxintentos: MAX_INTENTOS_WEBHOOK,
+                minutos: MINUTOS_REINTENTO_WEBHOOK
+            },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    for (const webhook of pendientes) {
+        await encolarWebhook(webhook.idwebhooklog);
+    }
+
+    return { success: true, total: pendientes.length };
+}
+
+// ============================================================================
+// ENDPOINT: POST /pedidos/webhooks/openpay
+// ============================================================================
+
+/**
+ * Recibir notificación de OpenPay
+ * Responde 200 en cuanto el evento queda registrado; el procesamiento es asíncrono
+ */
+async function postWebhookOpenpay(req, res) {
+    if (!credencialesConfiguradas()) {
+        console.error('[Webhook] ✗ OPENPAY_WEBHOOK_USER/OPENPAY_WEBHOOK_PASSWORD no configurados, evento rechazado');
+        return res.status(503).json({ success: false, message: 'Webhook no configurado' });
+    }
+
+    if (!validarCredenciales(req)) {
+        console.log(`[Webhook] ✗ Credenciales inválidas desde ${req.ip}`);
+        return res.status(401).json({ success: false, message: 'No autorizado' });
+    }
+
+    const registro = await registrarWebhook({
+        payload: req.body,
+        iporigin: req.ip || req.headers['x-forwarded-for'] || null
+    });
+
+    if (!registro.success) {
+        // 500 para que OpenPay reintente la entrega más tarde
+        return res.status(500).json({ success: false, message: 'Error al registrar el evento' });
+    }
+
+    res.status(200).json({ success: true, idwebhooklog: registro.idwebhooklog });
+
+    setImmediate(() => encolarWebhook(registro.idwebhooklog));
+}
+
+// ============================================================================
+// EXPORTACIONES
+// ============================================================================
+
+module.exports = {
+    // Recepción
+    registrarWebhook,               // Paso 2
+    marcarWebhook,                  // Paso 5
+
+    // Procesamiento
+    procesarWebhook,                // Pasos 4-5
+    encolarWebhook,
+    procesarWebhooksPendientes,
+
+    // Handler del endpoint
+    postWebhookOpenpay
+};
@@ -11,10 +11,25 @@ const passport = require('passport');
 const cookieParser = require('cookie-parser');
 const Sequelize = require('sequelize');
 const MSSQLStore = require('express-session-sequelize')(session.Store);
-const fileUpload = require('express-fileupload');
 
 const app = express();
-app.use(fileUpload());
+
+// Proxy inverso delante del servidor (nginx, balanceador): sin esto req.ip es la IP del
+// proxy y el límite de peticiones por IP mete a todos los clientes en el mismo contador.
+// TRUST_PROXY acepta true/false, el número de saltos o una lista de IPs/subredes
+//
+// Orden de los middlewares: trust proxy antes que todo lo que lea req.ip; los cuerpos JSON y
+// de formulario se parsean aquí para todas las rutas; el multipart solo en las rutas de subida
+// (lib/subidas.js), con su tope de tamaño antes de limitar() y del controlador, para que un
+// archivo demasiado grande se corte con 413 sin leerse entero ni contar en el límite de peticiones
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true' || trustProxy === 'false') {
+  app.set('trust proxy', trustProxy === 'true');
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', parseInt(trustProxy, 10));
+} else if (trustProxy) {
+  app.set('trust proxy', trustProxy);
+}
 
 require('./lib/passport');
 
@@ -85,6 +100,7 @@ app.use('/', require('./routes/index'));
 app.use('/auth', require('./routes/auth'));
 app.use('/pedidos', require('./routes/pedidos'));
 app.use('/dashboard', require('./routes/dashboard'));
+app.use('/admin', require('./routes/admin'));
 app.use('/', require('./routes/legal'));
 
 // Archivos estáticos
@@ -101,4 +117,7 @@ if (process.env.NODE_ENV !== 'production') {
 
 app.listen(app.get('port'), () => {
   console.log('Server on port', app.get('port'));
+
+  // Tareas programadas (webhooks pendientes, reintentos de cobro)
+  require('./jobs/scheduler').iniciarTareas();
 });
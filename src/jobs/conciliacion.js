@@ -0,0 +1,50 @@
+/**
+ * Job: Conciliación con OpenPay
+ *
+ * Compara los cargos de OpenPay con PasarelaTransaccion y guarda las diferencias
+ * (cargos faltantes, estados o montos distintos, ventas sin cobro) para que el
+ * personal las corrija desde /admin/api/conciliaciones.
+ *
+ * El programador concilia el día anterior una sola vez; un rango ya conciliado se omite.
+ *
+ * Ejecución manual (siempre concilia, aunque el rango ya exista):
+ *   npm run job:conciliacion                           → el día de ayer
+ *   npm run job:conciliacion -- 2026-10-01 2026-10-18  → un rango (máximo 31 días)
+ */
+
+require('dotenv').config();
+const controllersql = require('../controllers/controllersql');
+
+async function ejecutar(desde = null, hasta = null) {
+    const manual = Boolean(desde);
+    console.log(`[Job conciliacion] Conciliando ${manual ? `del ${desde} al ${hasta || desde}` : 'el día anterior'}...`);
+
+    const resultado = await controllersql.conciliarPasarela({
+        desde,
+        hasta,
+        origen: 'JOB',
+        omitirSiExiste: !manual
+    });
+
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    if (resultado.omitida) {
+        console.log(`[Job conciliacion] Rango ya conciliado (#${resultado.idconciliacion}), se omite`);
+    } else {
+        console.log(`[Job conciliacion] ✓ #${resultado.idconciliacion}: ${resultado.cargosremotos} cargos, ${resultado.diferencias} diferencias`);
+    }
+    return resultado;
+}
+
+if (require.main === module) {
+    ejecutar(process.argv[2], process.argv[3])
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('[Job conciliacion] ✗ ERROR:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ejecutar };
@@ -0,0 +1,32 @@
+/**
+ * Job: Vencimiento de pagos en efectivo
+ *
+ * Revisa las referencias de pago cuya feclimitepago ya pasó y siguen en 'in_progress'.
+ * Si OpenPay las da por pagadas (el webhook no llegó) activa la venta; si no,
+ * anula la venta y las membresías pendientes.
+ *
+ * Ejecución manual: npm run job:pagos-efectivo
+ */
+
+require('dotenv').config();
+const controllersql = require('../controllers/controllersql');
+
+async function ejecutar() {
+    console.log('[Job pagos-efectivo] Buscando referencias de pago vencidas...');
+
+    const resultado = await controllersql.procesarPagosEfectivoVencidos();
+
+    console.log(`[Job pagos-efectivo] ✓ Procesadas: ${resultado.total}, pagadas: ${resultado.pagados}, vencidas: ${resultado.vencidos}, fallidas: ${resultado.fallidos}`);
+    return resultado;
+}
+
+if (require.main === module) {
+    ejecutar()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('[Job pagos-efectivo] ✗ ERROR:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ejecutar };
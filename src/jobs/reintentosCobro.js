@@ -0,0 +1,33 @@
+/**
+ * Job: Reintentos de cobro de suscripciones (dunning)
+ *
+ * Vuelve a cobrar, con la tarjeta guardada, las suscripciones cuyo
+ * fecproximoreintento ya venció. El calendario sale de PasarelaConfigReintento.
+ * Cada suscripción se reclama antes de cobrar, así que puede correr en varias instancias.
+ * Las suscripciones sin tarjeta activa esperan a que el socio registre otra.
+ *
+ * Ejecución manual: npm run job:reintentos
+ */
+
+require('dotenv').config();
+const controllersql = require('../controllers/controllersql');
+
+async function ejecutar() {
+    console.log('[Job reintentos-cobro] Buscando suscripciones con reintento pendiente...');
+
+    const resultado = await controllersql.procesarReintentosPendientes();
+
+    console.log(`[Job reintentos-cobro] ✓ Procesadas: ${resultado.total}, cobradas: ${resultado.cobrados}, fallidas: ${resultado.fallidos}, pospuestas: ${resultado.pospuestos}`);
+    return resultado;
+}
+
+if (require.main === module) {
+    ejecutar()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('[Job reintentos-cobro] ✗ ERROR:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ejecutar };
@@ -0,0 +1,46 @@
+/**
+ * Job: Reparación de sesiones de checkout interrumpidas
+ *
+ * Completa, sin volver a cobrar, las sesiones que quedaron cobradas en OpenPay
+ * pero sin suscripción local, transacción, venta o membresía (estreparacion='P').
+ *
+ * Ejecución manual:
+ *   npm run job:reparar-sesiones            → toda la cola pendiente
+ *   npm run job:reparar-sesiones -- 1234    → solo la sesión idsesionpas=1234
+ */
+
+require('dotenv').config();
+const controllersql = require('../controllers/controllersql');
+
+async function ejecutar() {
+    console.log('[Job reparacion-sesiones] Buscando sesiones pendientes de reparación...');
+
+    const resultado = await controllersql.procesarReparacionesPendientes();
+
+    console.log(`[Job reparacion-sesiones] ✓ Procesadas: ${resultado.total}, reparadas: ${resultado.reparadas}, fallidas: ${resultado.fallidas}`);
+    return resultado;
+}
+
+async function repararUna(idsesionpas) {
+    const resultado = await controllersql.repararSesion(idsesionpas, { useragent: 'CLI_REPARACION' });
+
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    console.log(`[Job reparacion-sesiones] ✓ Sesión ${idsesionpas}: ${resultado.accion} ${resultado.acciones.join(', ')}`);
+    return resultado;
+}
+
+if (require.main === module) {
+    const idsesionpas = parseInt(process.argv[2], 10);
+
+    (idsesionpas ? repararUna(idsesionpas) : ejecutar())
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('[Job reparacion-sesiones] ✗ ERROR:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ejecutar };
@@ -0,0 +1,39 @@
+/**
+ * Job: Reporte diario de pagos
+ *
+ * Consolida en PasarelaReporteDiario las transacciones, suscripciones y reembolsos
+ * del día (una fila por pasarela) y cierra sus cajas virtuales. Volver a generar un
+ * día recalcula sus filas, así que el programador lo repite cada hora sobre el día
+ * anterior para recoger los pagos que se confirman tarde.
+ *
+ * Ejecución manual:
+ *   npm run job:reporte-diario                  → el día de ayer
+ *   npm run job:reporte-diario -- 2026-10-18    → un día concreto
+ */
+
+require('dotenv').config();
+const controllersql = require('../controllers/controllersql');
+
+async function ejecutar(fecha = null) {
+    console.log(`[Job reporte-diario] Consolidando ${fecha || 'el día anterior'}...`);
+
+    const resultado = await controllersql.generarReporteDiario(fecha);
+
+    if (!resultado.success) {
+        throw new Error(resultado.error);
+    }
+
+    console.log(`[Job reporte-diario] ✓ ${resultado.fecha}: ${resultado.reportes.length} pasarelas, cajas cerradas: ${resultado.cajasCerradas}`);
+    return resultado;
+}
+
+if (require.main === module) {
+    ejecutar(process.argv[2])
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('[Job reporte-diario] ✗ ERROR:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ejecutar };
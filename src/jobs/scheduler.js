@@ -0,0 +1,115 @@
+/**
+ * Programador de tareas en segundo plano
+ *
+ * Ejecuta periódicamente los jobs registrados mientras el servidor está activo.
+ * Cada tarea corre de una en una: si la ejecución anterior sigue en curso, el ciclo se omite.
+ *
+ * Para desactivarlo (por ejemplo, si hay varias instancias del servidor): JOBS_HABILITADOS=false
+ */
+
+const controllerwebhook = require('../controllers/controllerwebhook');
+const controllersql = require('../controllers/controllersql');
+const rateLimit = require('../lib/rateLimit');
+const reintentosCobro = require('./reintentosCobro');
+const repararSesiones = require('./repararSesiones');
+const pagosEfectivo = require('./pagosEfectivo');
+const reporteDiario = require('./reporteDiario');
+const conciliacion = require('./conciliacion');
+
+const MINUTO = 60 * 1000;
+
+const TAREAS = [
+    {
+        nombre: 'webhooks-pendientes',
+        intervaloMs: 10 * MINUTO,
+        ejecutar: () => controllerwebhook.procesarWebhooksPendientes()
+    },
+    {
+        nombre: 'reintentos-cobro',
+        intervaloMs: 60 * MINUTO,
+        ejecutar: reintentosCobro.ejecutar
+    },
+    {
+        nombre: 'reparacion-sesiones',
+        intervaloMs: 15 * MINUTO,
+        ejecutar: repararSesiones.ejecutar
+    },
+    {
+        nombre: 'pagos-efectivo',
+        intervaloMs: 30 * MINUTO,
+        ejecutar: pagosEfectivo.ejecutar
+    },
+    {
+        nombre: 'reporte-diario',
+        intervaloMs: 60 * MINUTO,
+        ejecutar: () => reporteDiario.ejecutar()
+    },
+    {
+        nombre: 'conciliacion',
+        intervaloMs: 60 * MINUTO,
+        ejecutar: () => conciliacion.ejecutar()
+    },
+    {
+        nombre: 'idempotencia-vencida',
+        intervaloMs: 60 * MINUTO,
+        ejecutar: () => controllersql.limpiarIdempotenciaVencida()
+    },
+    {
+        nombre: 'limites-vencidos',
+        intervaloMs: 30 * MINUTO,
+        ejecutar: rateLimit.limpiar
+    }
+];
+
+const temporizadores = [];
+
+/**
+ * Ejecutar una tarea evitando ejecuciones superpuestas
+ */
+async function ejecutarTarea(tarea) {
+    if (tarea.enEjecucion) {
+        console.log(`[Scheduler] ${tarea.nombre} sigue en ejecución, se omite este ciclo`);
+        return;
+    }
+
+    tarea.enEjecucion = true;
+    try {
+        await tarea.ejecutar();
+    } catch (error) {
+        console.error(`[Scheduler] ✗ ERROR en ${tarea.nombre}:`, error.message);
+    } finally {
+        tarea.enEjecucion = false;
+    }
+}
+
+/**
+ * Iniciar todas las tareas programadas
+ */
+function iniciarTareas() {
+    if (process.env.JOBS_HABILITADOS === 'false') {
+        console.log('[Scheduler] Tareas programadas deshabilitadas (JOBS_HABILITADOS=false)');
+        return;
+    }
+
+    for (const tarea of TAREAS) {
+        const temporizador = setInterval(() => ejecutarTarea(tarea), tarea.intervaloMs);
+        temporizador.unref();
+        temporizadores.push(temporizador);
+        console.log(`[Scheduler] ✓ ${tarea.nombre} cada ${tarea.intervaloMs / MINUTO} min`);
+    }
+}
+
+/**
+ * Detener todas las tareas programadas
+ */
+function detenerTareas() {
+    while (temporizadores.length > 0) {
+        clearInterval(temporizadores.pop());
+    }
+}
+
+module.exports = {
+    iniciarTareas,
+    detenerTareas,
+    ejecutarTarea
+};
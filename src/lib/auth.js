@@ -11,5 +11,16 @@ module.exports = {
             return next();
         }
         res.redirect('/dashboard');
+    },
+
+    // Personal interno (estintrausu = 'S'); pensado para las rutas /admin/api
+    isStaff(req, res, next) {
+        if (!req.isAuthenticated()) {
+            return res.status(401).json({ success: false, message: 'Sesión inválida' });
+        }
+        if (req.user.estintrausu !== 'S') {
+            return res.status(403).json({ success: false, message: 'Acceso denegado' });
+        }
+        return next();
     }
 };
@@ -0,0 +1,81 @@
+const controllersql = require('../controllers/controllersql');
+
+// Header Idempotency-Key para los endpoints que mueven dinero o cambian una suscripción
+// (checkouts, reembolsos, cancelación y cambio de tarjeta). Las llaves viven en
+// PasarelaIdempotencia (ver reclamarIdempotencia en controllersql).
+
+// Mensaje del 409 mientras la primera petición con la llave sigue en proceso
+const MENSAJES_EN_PROCESO = {
+    REEMBOLSO: 'El reembolso ya se está procesando. Espera unos segundos antes de volver a intentarlo.',
+    CANCELAR_SUSCRIPCION: 'La cancelación ya se está procesando. Espera unos segundos antes de volver a intentarlo.',
+    TARJETA_SUSCRIPCION: 'El cambio de tarjeta ya se está procesando. Espera unos segundos antes de volver a intentarlo.'
+};
+const MENSAJE_EN_PROCESO = 'Tu pago ya se está procesando. Espera unos segundos antes de volver a intentarlo.';
+
+// La primera petición se cayó sin terminar: no se repite porque pudo completarse en la pasarela
+const MENSAJE_ABANDONADA = 'No pudimos confirmar el resultado de tu solicitud anterior. Revisa tu historial o contáctanos antes de volver a intentarlo.';
+
+/**
+ * Aplicar el header Idempotency-Key a un endpoint
+ * Llave nueva: lo que responda el endpoint se guarda en PasarelaIdempotencia.
+ * Llave repetida: se responde aquí mismo con la respuesta original (o 409 si sigue en proceso).
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {string} operacion - 'PAGO', 'EFECTIVO', 'COMPROBANTE', 'SUSCRIPCION', 'REEMBOLSO',
+ *                             'CANCELAR_SUSCRIPCION' o 'TARJETA_SUSCRIPCION'
+ * @param {Object} datos - Datos que identifican el pedido (sin el token de la tarjeta)
+ * @returns {Promise<string|null|false>} - Llave reclamada, null si no vino el header, false si ya se respondió
+ */
+const aplicarIdempotencia = async (req, res, operacion, datos) => {
+    const clave = req.get('Idempotency-Key');
+    if (!clave) {
+        return null;
+    }
+
+    if (!/^[A-Za-z0-9_:.-]{8,100}$/.test(clave)) {
+        res.status(400).json({ success: false, message: 'Idempotency-Key inválido' });
+        return false;
+    }
+
+    const reclamo = await controllersql.reclamarIdempotencia(clave, {
+        operacion,
+        propietario: req.user ? `U:${req.user.idusu}` : `S:${req.sessionID}`,
+        huella: controllersql.huellaIdempotencia(datos)
+    });
+
+    if (reclamo.estado === 'COMPLETADA') {
+        res.set('Idempotent-Replayed', 'true').status(reclamo.httpstatus).json(reclamo.respuesta);
+        return false;
+    }
+
+    if (reclamo.estado === 'EN_PROCESO') {
+        res.status(409).json({
+            success: false,
+            enProceso: true,
+            message: reclamo.abandonada
+                ? MENSAJE_ABANDONADA
+                : MENSAJES_EN_PROCESO[operacion] || MENSAJE_EN_PROCESO
+        });
+        return false;
+    }
+
+    if (reclamo.estado === 'CONFLICTO') {
+        res.status(422).json({ success: false, message: 'La llave de idempotencia ya se usó con otro pedido' });
+        return false;
+    }
+
+    // Guardar la respuesta antes de enviarla, así un reintento inmediato ya la encuentra
+    const responder = res.json.bind(res);
+    res.json = (cuerpo) => {
+        controllersql.completarIdempotencia(clave, cuerpo, res.statusCode)
+            .finally(() => responder(cuerpo));
+        return res;
+    };
+
+    return clave;
+};
+
+module.exports = {
+    aplicarIdempotencia
+};
@@ -0,0 +1,246 @@
+const { sequelize } = require('../database/conexionsqualize');
+const { QueryTypes } = require('sequelize');
+
+// Límite de peticiones por cliente: un contador por IP y otro por cuenta (email, idusu, DNI)
+// en ventanas fijas. Al superar cualquiera de los dos se responde 429 con Retry-After.
+//
+// Almacén: RATE_LIMIT_STORE=memoria (por defecto, un proceso) o RATE_LIMIT_STORE=bd
+// (tabla LimiteSolicitud, compartida entre instancias; ver ALTER_RATE_LIMIT.SQL)
+//
+// Si el almacén falla: RATE_LIMIT_FALLA_ABIERTA=true (por defecto) deja pasar la petición;
+// con RATE_LIMIT_FALLA_ABIERTA=false se responde 503 hasta que el almacén vuelva.
+// El límite por IP usa req.ip: detrás de un proxy hay que configurar TRUST_PROXY (ver index.js)
+
+const MINUTO = 60 * 1000;
+
+// Límites por grupo de rutas
+// soloFallidos: solo cuentan las peticiones que el handler marcó como fallidas (login)
+const GRUPOS = {
+    login: {
+        ventanaMs: 15 * MINUTO,
+        maxPorIp: 20,
+        maxPorCuenta: 5,
+        cuenta: (req) => req.body?.email?.trim().toLowerCase(),
+        soloFallidos: true,
+        esFallo: (req, res) => res.get('Location') !== '/dashboard',
+        mensaje: 'Demasiados intentos de inicio de sesión. Intenta nuevamente en unos minutos.'
+    },
+    recuperar: {
+        ventanaMs: 60 * MINUTO,
+        maxPorIp: 10,
+        maxPorCuenta: 3,
+        cuenta: (req) => req.body?.email?.trim().toLowerCase(),
+        mensaje: 'Demasiadas solicitudes de recuperación. Intenta nuevamente más tarde.'
+    },
+    pagos: {
+        ventanaMs: MINUTO,
+        maxPorIp: 10,
+        maxPorCuenta: 6,
+        cuenta: (req) => req.user?.idusu || req.body?.datosCliente?.numeroDocumento,
+        mensaje: 'Demasiados intentos de pago. Espera un momento antes de volver a intentarlo.'
+    },
+    consultas: {
+        ventanaMs: MINUTO,
+        maxPorIp: 30,
+        maxPorCuenta: null,
+        mensaje: 'Demasiadas consultas. Espera un momento antes de volver a intentarlo.'
+    }
+};
+
+// ============================================================================
+// ALMACENES
+// ============================================================================
+
+class MemoriaStore {
+    constructor() {
+        this.contadores = new Map();
+
+        const temporizador = setInterval(() => this.limpiar(), 5 * MINUTO);
+        temporizador.unref();
+    }
+
+    async consultar(clave) {
+        const contador = this.contadores.get(clave);
+        if (!contador || contador.reinicio <= Date.now()) {
+            return { conteo: 0, reinicio: null };
+        }
+        return contador;
+    }
+
+    async incrementar(clave, ventanaMs) {
+        const ahora = Date.now();
+        let contador = this.contadores.get(clave);
+
+        if (!contador || contador.reinicio <= ahora) {
+            contador = { conteo: 0, reinicio: ahora + ventanaMs };
+            this.contadores.set(clave, contador);
+        }
+
+        contador.conteo++;
+        return contador;
+    }
+
+    async limpiar() {
+        const ahora = Date.now();
+        for (const [clave, contador] of this.contadores.entries()) {
+            if (contador.reinicio <= ahora) {
+                this.contadores.delete(clave);
+            }
+        }
+    }
+}
+
+class BaseDatosStore {
+    async consultar(clave) {
+        const filas = await sequelize.query(
+            `SELECT conteo, fecreinicio FROM LimiteSolicitud
+             WHERE clave = :clave AND fecreinicio > GETDATE()`,
+            {
+                replacements: { clave },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!filas[0]) {
+            return { conteo: 0, reinicio: null };
+        }
+        return { conteo: filas[0].conteo, reinicio: new Date(filas[0].fecreinicio).getTime() };
+    }
+
+    async incrementar(clave, ventanaMs) {
+        // MERGE con HOLDLOCK: dos instancias no pueden crear el mismo contador a la vez
+        const filas = await sequelize.query(
+            `MERGE LimiteSolicitud WITH (HOLDLOCK) AS t
+             USING (SELECT :clave AS clave) AS s ON t.clave = s.clave
+             WHEN MATCHED AND t.fecreinicio > GETDATE() THEN
+                 UPDATE SET conteo = t.conteo + 1
+             WHEN MATCHED THEN
+                 UPDATE SET conteo = 1, fecreinicio = DATEADD(MILLISECOND, :ventanams, GETDATE())
+             WHEN NOT MATCHED THEN
+                 INSERT (clave, conteo, fecreinicio)
+                 VALUES (:clave, 1, DATEADD(MILLISECOND, :ventanams, GETDATE()))
+             OUTPUT INSERTED.conteo, INSERTED.fecreinicio;`,
+            {
+                replacements: { clave, ventanams: ventanaMs },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        return { conteo: filas[0].conteo, reinicio: new Date(filas[0].fecreinicio).getTime() };
+    }
+
+    async limpiar() {
+        await sequelize.query(
+            `DELETE FROM LimiteSolicitud WHERE fecreinicio < GETDATE()`,
+            { type: QueryTypes.DELETE }
+        );
+    }
+}
+
+const storePorDefecto = process.env.RATE_LIMIT_STORE === 'bd'
+    ? new BaseDatosStore()
+    : new MemoriaStore();
+
+const fallaAbierta = process.env.RATE_LIMIT_FALLA_ABIERTA !== 'false';
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const responderLimite = (req, res, mensaje, reinicio, status = 429) => {
+    const segundos = Math.max(1, Math.ceil((reinicio - Date.now()) / 1000));
+    res.set('Retry-After', String(segundos));
+    res.status(status);
+
+    // Formularios (login, recuperar) reciben una página; las APIs, JSON
+    if (req.originalUrl.includes('/api/') || req.xhr || !req.accepts('html')) {
+        return res.json({ success: false, message: mensaje, retryAfter: segundos });
+    }
+
+    return res.render('errors/429', {
+        layout: 'public',
+        mensaje,
+        minutos: Math.ceil(segundos / 60)
+    });
+};
+
+/**
+ * Crear un middleware de límite para un grupo de rutas
+ *
+ * @param {string} nombre - Grupo de GRUPOS ('login', 'recuperar', 'pagos', 'consultas')
+ * @param {Object} opciones - Reemplaza valores del grupo: { ventanaMs, maxPorIp, maxPorCuenta, cuenta, store }
+ * @returns {Function} - Middleware de Express
+ */
+const limitar = (nombre, opciones = {}) => {
+    const config = { ...GRUPOS[nombre], ...opciones };
+    const store = config.store || storePorDefecto;
+
+    if (!config.ventanaMs) {
+        throw new Error(`Grupo de rate limit desconocido: ${nombre}`);
+    }
+
+    return async (req, res, next) => {
+        const cuenta = config.cuenta ? config.cuenta(req) : null;
+        const buckets = [
+            { clave: `${nombre}:ip:${req.ip}`, max: config.maxPorIp },
+            { clave: `${nombre}:cuenta:${cuenta}`, max: cuenta ? config.maxPorCuenta : null }
+        ].filter(b => b.max);
+
+        try {
+            if (config.soloFallidos) {
+                // Se revisa antes y se cuenta al terminar, solo si el handler falló
+                for (const bucket of buckets) {
+                    const { conteo, reinicio } = await store.consultar(bucket.clave);
+                    if (conteo >= bucket.max) {
+                        console.log(`[RateLimit] ✗ ${bucket.clave} bloqueado (${conteo}/${bucket.max})`);
+                        return responderLimite(req, res, config.mensaje, reinicio);
+                    }
+                }
+
+                res.on('finish', () => {
+                    if (config.esFallo(req, res)) {
+                        Promise.all(buckets.map(b => store.incrementar(b.clave, config.ventanaMs)))
+                            .catch(error => console.error('[RateLimit] Error al contar fallo:', error.message));
+                    }
+                });
+                return next();
+            }
+
+            for (const bucket of buckets) {
+                const { conteo, reinicio } = await store.incrementar(bucket.clave, config.ventanaMs);
+                if (conteo > bucket.max) {
+                    console.log(`[RateLimit] ✗ ${bucket.clave} bloqueado (${conteo}/${bucket.max})`);
+                    return responderLimite(req, res, config.mensaje, reinicio);
+                }
+            }
+        } catch (error) {
+            console.error(`[RateLimit] ✗ ERROR en el almacén (${nombre}, ${fallaAbierta ? 'se deja pasar' : 'se rechaza'}):`, error.message);
+
+            if (!fallaAbierta) {
+                return responderLimite(
+                    req, res,
+                    'El servicio no está disponible en este momento. Intenta nuevamente en un minuto.',
+                    Date.now() + MINUTO,
+                    503
+                );
+            }
+        }
+
+        return next();
+    };
+};
+
+/**
+ * Borrar los contadores vencidos del almacén por defecto
+ */
+const limpiar = async () => {
+    await storePorDefecto.limpiar();
+};
+
+module.exports = {
+    GRUPOS,
+    MemoriaStore,
+    BaseDatosStore,
+    limitar,
+    limpiar
+};
@@ -0,0 +1,32 @@
+const fileUpload = require('express-fileupload');
+
+// Subida de archivos solo en las rutas que la necesitan y con tope de tamaño:
+// express-fileupload sin límites acepta cualquier tamaño en cualquier POST.
+
+// Comprobantes de Yape/Plin y transferencias: fotos o capturas de pantalla
+const TAMANO_MAX_COMPROBANTE = 5 * 1024 * 1024;
+// Evidencia de disputas que sube el personal (PDF o imágenes)
+const TAMANO_MAX_EVIDENCIA = 10 * 1024 * 1024;
+
+/**
+ * Middleware de express-fileupload con tope por archivo
+ * Un archivo más grande corta la subida con 413 y el JSON { success, message }
+ * que esperan las vistas, sin llegar al controlador.
+ *
+ * @param {number} tamanoMax - Bytes por archivo
+ * @param {number} maxArchivos - Archivos por petición
+ */
+const subirArchivos = (tamanoMax, maxArchivos = 1) => fileUpload({
+    limits: { fileSize: tamanoMax, files: maxArchivos },
+    abortOnLimit: true,
+    responseOnLimit: JSON.stringify({
+        success: false,
+        message: `El archivo supera el máximo de ${Math.round(tamanoMax / (1024 * 1024))} MB`
+    })
+});
+
+module.exports = {
+    TAMANO_MAX_COMPROBANTE,
+    TAMANO_MAX_EVIDENCIA,
+    subirArchivos
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Tokens firmados con HMAC-SHA256 (SECRET_KEY): <payload base64url>.<firma base64url>
+// El contenido es legible por el cliente, pero no puede alterarse sin invalidar la firma
+
+const tokens = {};
+
+const firmarTexto = (texto) => {
+    return crypto
+        .createHmac('sha256', process.env.SECRET_KEY || '')
+        .update(texto)
+        .digest('base64url');
+};
+
+tokens.firmar = (payload, ttlSegundos) => {
+    const contenido = {
+        ...payload,
+        exp: Math.floor(Date.now() / 1000) + ttlSegundos
+    };
+    const texto = Buffer.from(JSON.stringify(contenido)).toString('base64url');
+    return `${texto}.${firmarTexto(texto)}`;
+};
+
+// Devuelve el payload o null si la firma no coincide o el token expiró
+tokens.verificar = (token) => {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [texto, firma] = token.split('.');
+    const esperada = firmarTexto(texto);
+
+    if (!firma || firma.length !== esperada.length
+        || !crypto.timingSafeEqual(Buffer.from(firma), Buffer.from(esperada))) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(texto, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = tokens;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { isStaff } = require('../lib/auth');
+const controlleradmin = require('../controllers/controlleradmin');
+const { subirArchivos, TAMANO_MAX_EVIDENCIA } = require('../lib/subidas');
+
+// API - Reembolsos (solo personal)
+router.get('/api/transacciones/:id/reembolsos', isStaff, controlleradmin.getReembolsos);
+router.post('/api/transacciones/:id/reembolsos', isStaff, controlleradmin.postReembolso);
+
+// API - Disputas / contracargos (solo personal)
+router.get('/api/disputas', isStaff, controlleradmin.getDisputas);
+router.post('/api/disputas', isStaff, controlleradmin.postDisputa);
+router.post('/api/disputas/:id/estado', isStaff, controlleradmin.postEstadoDisputa);
+router.post('/api/disputas/:id/evidencia', isStaff, controlleradmin.postGenerarEvidencia);
+router.get('/api/disputas/:id/evidencia', isStaff, controlleradmin.getPaqueteEvidencia);
+router.post('/api/disputas/:id/adjuntos', isStaff, subirArchivos(TAMANO_MAX_EVIDENCIA, 10), controlleradmin.postAdjuntosDisputa);
+
+// API - Alertas de errores de pago (solo personal)
+router.get('/api/alertas-pago', isStaff, controlleradmin.getAlertasPago);
+
+// API - Reparación de sesiones de checkout interrumpidas (solo personal)
+router.get('/api/sesiones/reparacion', isStaff, controlleradmin.getSesionesReparacion);
+router.get('/api/sesiones/:id/diario', isStaff, controlleradmin.getDiarioSesion);
+router.post('/api/sesiones/:id/reparar', isStaff, controlleradmin.postRepararSesion);
+
+// API - Revisión de comprobantes de Yape/Plin y transferencias (solo personal)
+router.get('/api/comprobantes', isStaff, controlleradmin.getComprobantes);
+router.get('/api/comprobantes/:id/archivo', isStaff, controlleradmin.getArchivoComprobante);
+router.post('/api/comprobantes/:id/aprobar', isStaff, controlleradmin.postAprobarComprobante);
+router.post('/api/comprobantes/:id/rechazar', isStaff, controlleradmin.postRechazarComprobante);
+
+// API - Pagos en efectivo pagados fuera de plazo o con otro monto (solo personal)
+router.get('/api/pagos-efectivo/revision', isStaff, controlleradmin.getRevisionesEfectivo);
+router.post('/api/pagos-efectivo/:id/aprobar', isStaff, controlleradmin.postAprobarPagoEfectivo);
+router.post('/api/pagos-efectivo/:id/rechazar', isStaff, controlleradmin.postRechazarPagoEfectivo);
+
+// API - Conciliación con OpenPay (solo personal)
+router.get('/api/conciliaciones', isStaff, controlleradmin.getConciliaciones);
+router.post('/api/conciliaciones', isStaff, controlleradmin.postConciliacion);
+router.get('/api/conciliaciones/:id', isStaff, controlleradmin.getConciliacion);
+router.post('/api/conciliaciones/diferencias/:id/importar', isStaff, controlleradmin.postImportarCargo);
+router.post('/api/conciliaciones/diferencias/:id/sincronizar', isStaff, controlleradmin.postSincronizarEstado);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { isLoggedIn, isNotLoggedIn } = require('../lib/auth');
+const { limitar } = require('../lib/rateLimit');
 const controllerrender = require('../controllers/controllerrender');
 const controllerauth = require('../controllers/controllerauth');
 
@@ -13,8 +14,8 @@ router.get('/recuperar', isNotLoggedIn, controllerrender.getRecuperar);
 router.get('/api/me', controllerauth.getMe);
 
 // Procesar formularios
-router.post('/login', isNotLoggedIn, controllerauth.postLogin);
-router.post('/recuperar', isNotLoggedIn, controllerauth.postRecuperar);
+router.post('/login', isNotLoggedIn, limitar('login'), controllerauth.postLogin);
+router.post('/recuperar', isNotLoggedIn, limitar('recuperar'), controllerauth.postRecuperar);
 
 // Cerrar sesión
 router.get('/logout', controllerauth.getLogout);
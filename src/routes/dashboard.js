@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { isLoggedIn } = require('../lib/auth');
+const { limitar } = require('../lib/rateLimit');
 const controllerrender = require('../controllers/controllerrender');
 const controllerdashboard = require('../controllers/controllerdashboard');
 
@@ -9,15 +10,23 @@ router.get('/', isLoggedIn, controllerrender.getDashboard);
 router.get('/perfil', isLoggedIn, controllerrender.getPerfil);
 router.get('/membresias', isLoggedIn, controllerrender.getMembresias);
 router.get('/pedidos', isLoggedIn, controllerrender.getPedidos);
+router.get('/tarjetas', isLoggedIn, controllerrender.getTarjetas);
 
 // API - Obtener datos
 router.get('/api/data', isLoggedIn, controllerdashboard.getDashboardData);
 router.get('/api/membresias', isLoggedIn, controllerdashboard.getMembresiasData);
 router.get('/api/pedidos', isLoggedIn, controllerdashboard.getPedidosData);
 router.get('/api/pedido/:id', isLoggedIn, controllerdashboard.getPedidoDetalle);
+router.get('/api/suscripciones', isLoggedIn, controllerdashboard.getSuscripcionesData);
+router.get('/api/tarjetas', isLoggedIn, controllerdashboard.getTarjetasData);
 
 // API - Procesar formularios
 router.post('/perfil', isLoggedIn, controllerdashboard.postActualizarPerfil);
 router.post('/cambiar-password', isLoggedIn, controllerdashboard.postCambiarPassword);
+router.post('/api/suscripciones/:id/cancelar', isLoggedIn, controllerdashboard.postCancelarSuscripcion);
+router.post('/api/suscripciones/:id/tarjeta', isLoggedIn, controllerdashboard.postCambiarTarjetaSuscripcion);
+router.post('/api/tarjetas', isLoggedIn, limitar('pagos'), controllerdashboard.postAgregarTarjeta);
+router.post('/api/tarjetas/:id/eliminar', isLoggedIn, controllerdashboard.postEliminarTarjeta);
+router.post('/api/tarjetas/:id/predeterminada', isLoggedIn, controllerdashboard.postTarjetaPredeterminada);
 
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const controllerrender = require('../controllers/controllerrender');
 const controllerpedidos = require('../controllers/controllerpedidos');
+const controllerwebhook = require('../controllers/controllerwebhook');
+const { limitar } = require('../lib/rateLimit');
+const { subirArchivos, TAMANO_MAX_COMPROBANTE } = require('../lib/subidas');
 
 // Render de vistas
 router.get('/', controllerrender.getCatalogo);
@@ -12,19 +15,37 @@ router.get('/confirmacion', controllerrender.getConfirmacion);
 // API - Obtener datos
 router.get('/api/productos', controllerpedidos.getProductos);
 router.get('/api/membresias', controllerpedidos.getMembresias);
-router.get('/api/confirmacion/:id', controllerpedidos.getConfirmacionData);
-router.get('/api/estado-pago/:transactionId', controllerpedidos.getEstadoPago);
+router.get('/api/cuentas-recaudo', controllerpedidos.getCuentasRecaudo);
+router.get('/api/confirmacion/:id', limitar('consultas'), controllerpedidos.getConfirmacionData);
+router.get('/api/estado-pago/:transactionId', limitar('consultas'), controllerpedidos.getEstadoPago);
 
 // API - Verificaciones y validaciones
-router.get('/api/verificar-membresia/:dni', controllerpedidos.getVerificarMembresia);
-router.get('/api/historial-suscripciones/:dni', controllerpedidos.getHistorialSuscripciones);
+router.get('/api/verificar-membresia/:dni', limitar('consultas'), controllerpedidos.getVerificarMembresia);
+router.get('/api/historial-suscripciones/:dni', limitar('consultas'), controllerpedidos.getHistorialSuscripciones);
 router.get('/api/health', controllerpedidos.getHealthCheck);
-router.post('/api/validar-documento', controllerpedidos.postValidarDocumento);
+router.post('/api/validar-documento', limitar('consultas'), controllerpedidos.postValidarDocumento);
+
+// API - Cotizar el carrito (precios del servidor, cotización firmada)
+router.post('/api/cotizar', limitar('consultas'), controllerpedidos.postCotizar);
 
 // API - Procesar pago con tarjeta (cobro único)
-router.post('/api/procesar-pago', controllerpedidos.postProcesarPago);
+router.post('/api/procesar-pago', limitar('pagos'), controllerpedidos.postProcesarPago);
+
+// API - Pago en efectivo (referencia para agentes y banca por internet)
+router.post('/api/procesar-pago-efectivo', limitar('pagos'), controllerpedidos.postProcesarPagoEfectivo);
+
+// API - Pago con Yape/Plin o transferencia (comprobante que revisa el personal)
+// El tope de tamaño va primero: un archivo demasiado grande se corta con 413 mientras llega,
+// antes de que el límite de peticiones lo cuente o algo lea el cuerpo
+router.post('/api/procesar-pago-comprobante', subirArchivos(TAMANO_MAX_COMPROBANTE), limitar('pagos'), controllerpedidos.postProcesarPagoComprobante);
+
+// Retorno del banco tras la autenticación 3D Secure
+router.get('/3ds/retorno', controllerpedidos.getRetorno3DS);
 
 // API - Procesar suscripción (flujo completo OpenPay)
-router.post('/api/procesar-suscripcion', controllerpedidos.postProcesarSuscripcion);
+router.post('/api/procesar-suscripcion', limitar('pagos'), controllerpedidos.postProcesarSuscripcion);
+
+// Webhooks - Notificaciones de eventos de OpenPay
+router.post('/webhooks/openpay', controllerwebhook.postWebhookOpenpay);
 
 module.exports = router;
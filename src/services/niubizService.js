@@ -0,0 +1,541 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { sequelize } = require('../database/conexionsqualize');
+const { QueryTypes } = require('sequelize');
+const {
+    OpenPayService,
+    SECURITY_CONFIG,
+    sanitizeString,
+    validateAmount,
+    maskSensitiveData
+} = require('./openpayService');
+
+// ============================================================================
+// ADAPTADOR DE NIUBIZ
+// ============================================================================
+//
+// Cargos únicos con el formulario de pago de Niubiz (checkout.js):
+//   1. crearSesionCheckout() → sessionKey para abrir el formulario en el navegador
+//   2. El navegador devuelve un transactionToken
+//   3. crearCargo() autoriza el token con el purchaseNumber de la sesión
+//
+// Niubiz no tiene clientes, tarjetas guardadas ni suscripciones en esta integración;
+// esas operaciones responden code='NO_SOPORTADO' y pasarelaService no las enruta aquí.
+//
+// Credenciales en PasarelaPago (codpasarela = 'NIU'):
+//   merchantid = código de comercio, apikey = usuario API, privatekey = contraseña API
+
+const URLS_NIUBIZ = {
+    SANDBOX: {
+        api: 'https://apisandbox.vnforappstest.com',
+        checkoutJs: 'https://static-content-qas.vnforapps.com/v2/js/checkout.js?qa=true'
+    },
+    PRODUCTION: {
+        api: 'https://apiprod.vnforapps.com',
+        checkoutJs: 'https://static-content.vnforapps.com/v2/js/checkout.js'
+    }
+};
+
+const RUTAS_NIUBIZ = {
+    SEGURIDAD: '/api.security/v1/security',
+    SESION: (merchantid) => `/api.ecommerce/v2/ecommerce/token/session/${merchantid}`,
+    AUTORIZACION: (merchantid) => `/api.authorization/v3/authorization/ecommerce/${merchantid}`,
+    CONSULTA: (merchantid, idtransaccion) => `/api.authorization/v3/retrieve/transaction/${merchantid}/${idtransaccion}`,
+    ANULACION: (merchantid) => `/api.authorization/v3/void/ecommerce/${merchantid}`
+};
+
+// El token de seguridad dura 60 minutos; se renueva antes
+const VIGENCIA_TOKEN_MS = 50 * 60 * 1000;
+
+// dataMap.STATUS de Niubiz → vocabulario común de PasarelaTransaccion
+const ESTADOS_NIUBIZ = {
+    'Authorized': 'completed',
+    'Verified': 'completed',
+    'Not Authorized': 'declined',
+    'Reject': 'declined',
+    'Review': 'in_progress',
+    'Voided': 'refunded',
+    'Cancelled': 'cancelled'
+};
+
+const secureLogger = {
+    info: (message, data = null) => {
+        console.log(`[Niubiz INFO] ${message}`, data ? maskSensitiveData(data) : '');
+    },
+    warn: (message, data = null) => {
+        console.warn(`[Niubiz WARN] ${message}`, data ? maskSensitiveData(data) : '');
+    },
+    error: (message, error = null) => {
+        const safeError = error ? {
+            message: error.message,
+            code: error.code,
+            status: error.response?.status
+        } : null;
+        console.error(`[Niubiz ERROR] ${message}`, safeError);
+    }
+};
+
+class NiubizService extends OpenPayService {
+    constructor() {
+        super();
+
+        this.codpasarela = 'NIU';
+        this.nompasarela = 'Niubiz';
+        this.capacidades = {
+            cobros: true,
+            clientes: false,
+            tarjetas: false,
+            suscripciones: false,
+            reembolsosParciales: false,
+            webhooks: false,
+            checkoutPropio: true,
+            efectivo: false,
+            comprobantes: false
+        };
+
+        this.urls = null;
+        this._tokenSeguridad = null;
+        this._tokenVence = 0;
+    }
+
+    // ========================================================================
+    // INICIALIZACIÓN
+    // ========================================================================
+
+    async initialize() {
+        try {
+            secureLogger.info('Inicializando servicio Niubiz...');
+
+            const result = await sequelize.query(
+                `SELECT TOP 1 idpasarela, nompasarela, merchantid, apikey, privatekey,
+                        ambiente, moneda, estado, urlapibase
+                 FROM PasarelaPago
+                 WHERE codpasarela = :codpasarela AND estado = 'S'`,
+                {
+                    replacements: { codpasarela: this.codpasarela },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (result.length === 0) {
+                throw new Error('Configuración de pasarela Niubiz no encontrada o inactiva');
+            }
+
+            const configData = result[0];
+
+            if (!configData.merchantid || !configData.apikey || !configData.privatekey) {
+                throw new Error('Configuración de pasarela incompleta');
+            }
+
+            this.config = configData;
+            this.urls = URLS_NIUBIZ[configData.ambiente === 'PRODUCTION' ? 'PRODUCTION' : 'SANDBOX'];
+            this._tokenSeguridad = null;
+
+            this.axiosInstance = axios.create({
+                baseURL: this.urls.api,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ModoFit-Public/1.0',
+                    'Accept': 'application/json'
+                },
+                timeout: SECURITY_CONFIG.REQUEST_TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 300
+            });
+
+            // Cada petición lleva el token de seguridad vigente
+            this.axiosInstance.interceptors.request.use(async (peticion) => {
+                peticion.headers.Authorization = await this._obtenerTokenSeguridad();
+                return peticion;
+            });
+
+            // Los rechazos de Niubiz traen ACTION_CODE; se exponen como error_code/description
+            // para que ApiLog, circuit breaker y homologación los traten igual que los de OpenPay
+            this.axiosInstance.interceptors.response.use(null, (error) => {
+                if (error.response?.data && typeof error.response.data === 'object') {
+                    const cuerpo = error.response.data;
+                    error.response.data = {
+                        ...cuerpo,
+                        error_code: cuerpo.data?.ACTION_CODE || cuerpo.errorCode,
+                        description: cuerpo.data?.ACTION_DESCRIPTION || cuerpo.errorMessage
+                    };
+                }
+                if (error.response?.status === 401) {
+                    this._tokenSeguridad = null;
+                }
+                throw error;
+            });
+
+            this._lastInitTime = Date.now();
+            secureLogger.info(`Inicializado correctamente - Ambiente: ${this.config.ambiente}`);
+            return true;
+
+        } catch (error) {
+            secureLogger.error('Error al inicializar', error);
+            this.config = null;
+            this.axiosInstance = null;
+            this._lastInitTime = null;
+            throw new Error('Error al inicializar servicio de pagos');
+        }
+    }
+
+    async _obtenerTokenSeguridad() {
+        if (this._tokenSeguridad && Date.now() < this._tokenVence) {
+            return this._tokenSeguridad;
+        }
+
+        const response = await axios.get(`${this.urls.api}${RUTAS_NIUBIZ.SEGURIDAD}`, {
+            auth: {
+                username: this.config.apikey,
+                password: this.config.privatekey
+            },
+            responseType: 'text',
+            timeout: SECURITY_CONFIG.REQUEST_TIMEOUT_MS
+        });
+
+        this._tokenSeguridad = String(response.data).trim();
+        this._tokenVence = Date.now() + VIGENCIA_TOKEN_MS;
+        return this._tokenSeguridad;
+    }
+
+    mapearEstado(estadoext) {
+        return ESTADOS_NIUBIZ[estadoext] || 'failed';
+    }
+
+    _noSoportado(operacion) {
+        return {
+            success: false,
+            error: `${operacion} no está disponible con Niubiz`,
+            code: 'NO_SOPORTADO'
+        };
+    }
+
+    /**
+     * Respuesta de autorización o consulta de Niubiz → cargo con la forma del de OpenPay
+     */
+    _normalizarCargo(data) {
+        const dataMap = data.dataMap || data.data || {};
+        const order = data.order || {};
+
+        return {
+            id: dataMap.TRANSACTION_ID || order.transactionId,
+            status: this.mapearEstado(dataMap.STATUS),
+            estadoext: dataMap.STATUS,
+            authorization: order.authorizationCode || dataMap.AUTHORIZATION_CODE || null,
+            amount: order.authorizedAmount || order.amount || parseFloat(dataMap.AMOUNT) || null,
+            currency: order.currency || dataMap.CURRENCY || this.config?.moneda || 'PEN',
+            order_id: order.purchaseNumber || dataMap.PURCHASE_NUMBER || null,
+            creation_date: order.transactionDate || dataMap.TRANSACTION_DATE || null,
+            error_message: dataMap.STATUS === 'Authorized' ? null : dataMap.ACTION_DESCRIPTION || null,
+            card: {
+                card_number: dataMap.CARD || null,
+                brand: dataMap.BRAND || null
+            }
+        };
+    }
+
+    // ========================================================================
+    // CHECKOUT (formulario de pago de Niubiz)
+    // ========================================================================
+
+    /**
+     * Crear la sesión del formulario de pago de Niubiz para un monto
+     * @param {Object} datos - { amount, email, ipaddress, idusu }
+     * @returns {Object} - { success, sesion: { sessionKey, merchantId, purchaseNumber, amount, scriptUrl, expirationTime } }
+     */
+    async crearSesionCheckout(datos, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const amount = validateAmount(datos.amount);
+
+            // purchaseNumber: numérico de hasta 12 dígitos y único por comercio
+            const purchaseNumber = `${Date.now()}`.slice(-10) + crypto.randomInt(10, 100);
+
+            const body = {
+                channel: 'web',
+                amount,
+                antifraud: {
+                    clientIp: sanitizeString(datos.ipaddress || '', 45),
+                    merchantDefineData: {
+                        MDD4: datos.email?.trim().toLowerCase() || '',
+                        MDD32: String(datos.idusu || datos.email || ''),
+                        MDD75: datos.idusu ? 'Registrado' : 'Invitado'
+                    }
+                }
+            };
+            const endpoint = RUTAS_NIUBIZ.SESION(this.config.merchantid);
+
+            secureLogger.info('Creando sesión de checkout', { amount, purchaseNumber });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(endpoint, body),
+                {
+                    metodohttp: 'POST',
+                    endpoint,
+                    operacion: 'CREATE_CHECKOUT_SESSION',
+                    bodyenviado: body,
+                    auditContext
+                }
+            );
+
+            if (!response.data?.sessionKey) {
+                throw new Error('Respuesta inválida al crear sesión de checkout');
+            }
+
+            return {
+                success: true,
+                sesion: {
+                    sessionKey: response.data.sessionKey,
+                    expirationTime: response.data.expirationTime,
+                    merchantId: this.config.merchantid,
+                    purchaseNumber,
+                    amount,
+                    scriptUrl: this.urls.checkoutJs
+                },
+                idapilog: response._idapilog
+            };
+
+        } catch (error) {
+            secureLogger.error('Error al crear sesión de checkout', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al preparar el pago',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    // ========================================================================
+    // OPERACIONES DE CARGOS
+    // ========================================================================
+
+    /**
+     * Autorizar el transactionToken del formulario de Niubiz
+     * @param {Object} chargeData - { source_id (transactionToken), amount, order_id (purchaseNumber de la sesión) }
+     */
+    async crearCargo(chargeData, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const tokenId = sanitizeString(chargeData.source_id, 100);
+            const purchaseNumber = String(chargeData.order_id || '');
+
+            if (!tokenId || !/^\d{1,12}$/.test(purchaseNumber)) {
+                throw new Error('Datos incompletos para autorizar el cargo');
+            }
+
+            const body = {
+                channel: 'web',
+                captureType: 'manual',
+                countable: true,
+                order: {
+                    tokenId,
+                    purchaseNumber,
+                    amount: validateAmount(chargeData.amount),
+                    currency: chargeData.currency || this.config.moneda || 'PEN'
+                }
+            };
+            const endpoint = RUTAS_NIUBIZ.AUTORIZACION(this.config.merchantid);
+
+            secureLogger.info('Autorizando cargo', { purchaseNumber, amount: body.order.amount });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(endpoint, body),
+                {
+                    metodohttp: 'POST',
+                    endpoint,
+                    operacion: 'CREATE_CHARGE',
+                    bodyenviado: body,
+                    auditContext
+                }
+            );
+
+            const cargo = this._normalizarCargo(response.data || {});
+            if (!cargo.id) {
+                throw new Error('Respuesta inválida al autorizar cargo');
+            }
+
+            return { success: true, cargo, idapilog: response._idapilog };
+
+        } catch (error) {
+            secureLogger.error('Error al autorizar cargo', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al procesar el pago',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
+    async crearCargoCliente() {
+        return this._noSoportado('El cargo a un cliente guardado');
+    }
+
+    async crearCargoEfectivo() {
+        return this._noSoportado('El pago en efectivo');
+    }
+
+    async obtenerCargo(chargeId) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedId = sanitizeString(chargeId, 100);
+            if (!sanitizedId) {
+                throw new Error('ID de cargo inválido');
+            }
+
+            const endpoint = RUTAS_NIUBIZ.CONSULTA(this.config.merchantid, sanitizedId);
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.get(endpoint),
+                {
+                    metodohttp: 'GET',
+                    endpoint,
+                    operacion: 'GET_CHARGE',
+                    bodyenviado: null,
+                    auditContext: {}
+                }
+            );
+
+            return { success: true, cargo: this._normalizarCargo(response.data || {}) };
+
+        } catch (error) {
+            secureLogger.error('Error al obtener cargo', error);
+
+            if (error.response?.status === 404) {
+                return { success: false, error: 'Cargo no encontrado', code: 'NOT_FOUND' };
+            }
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al obtener cargo',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    async listarCargos() {
+        return this._noSoportado('El listado de cargos');
+    }
+
+    /**
+     * Anular un cargo en Niubiz (solo por el total)
+     * @param {string} chargeId - TRANSACTION_ID de la autorización
+     * @param {Object} refundData - { amount, montoOriginal, purchaseNumber, description }
+     */
+    async reembolsarCargo(chargeId, refundData = {}, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedId = sanitizeString(chargeId, 100);
+            if (!sanitizedId) {
+                throw new Error('ID de cargo inválido');
+            }
+
+            if (refundData.amount && refundData.montoOriginal
+                && validateAmount(refundData.amount) < validateAmount(refundData.montoOriginal)) {
+                return this._noSoportado('El reembolso parcial');
+            }
+
+            const body = {
+                channel: 'web',
+                order: {
+                    transactionId: sanitizedId,
+                    purchaseNumber: refundData.purchaseNumber || undefined
+                },
+                motive: sanitizeString(refundData.description || 'Reembolso ModoFit', 250)
+            };
+            const endpoint = RUTAS_NIUBIZ.ANULACION(this.config.merchantid);
+
+            secureLogger.info('Anulando cargo', { chargeId: sanitizedId });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(endpoint, body),
+                {
+                    metodohttp: 'POST',
+                    endpoint,
+                    operacion: 'REFUND',
+                    bodyenviado: body,
+                    auditContext
+                }
+            );
+
+            const cargo = this._normalizarCargo(response.data || {});
+
+            return {
+                success: true,
+                reembolso: {
+                    id: cargo.id || sanitizedId,
+                    status: cargo.estadoext === 'Voided' ? 'completed' : cargo.status,
+                    amount: refundData.montoOriginal || refundData.amount || cargo.amount,
+                    creation_date: cargo.creation_date
+                },
+                cargo: {
+                    id: sanitizedId,
+                    status: 'refunded'
+                },
+                idapilog: response._idapilog
+            };
+
+        } catch (error) {
+            secureLogger.error('Error al anular cargo', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al procesar el reembolso',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
+    // ========================================================================
+    // OPERACIONES NO SOPORTADAS
+    // ========================================================================
+
+    async crearCliente() {
+        return this._noSoportado('El registro de clientes');
+    }
+
+    async obtenerCliente() {
+        return this._noSoportado('La consulta de clientes');
+    }
+
+    async asociarTarjeta() {
+        return this._noSoportado('Guardar tarjetas');
+    }
+
+    async eliminarTarjeta() {
+        return this._noSoportado('Eliminar tarjetas');
+    }
+
+    async crearSuscripcion() {
+        return this._noSoportado('La suscripción');
+    }
+
+    async obtenerSuscripcion() {
+        return this._noSoportado('La consulta de suscripciones');
+    }
+
+    async actualizarSuscripcion() {
+        return this._noSoportado('La actualización de suscripciones');
+    }
+
+    async cancelarSuscripcion() {
+        return this._noSoportado('La cancelación de suscripciones');
+    }
+
+    async obtenerPlan() {
+        return this._noSoportado('La consulta de planes');
+    }
+}
+
+module.exports = new NiubizService();
@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { sequelize } = require('../database/conexionsqualize');
 const { QueryTypes } = require('sequelize');
+const OpenPaySimulador = require('./openpaySimulador');
 
 // ============================================================================
 // CONFIGURACIÓN DE SEGURIDAD
@@ -23,6 +24,10 @@ const SECURITY_CONFIG = {
     // Timeouts
     REQUEST_TIMEOUT_MS: 30000,
 
+    // Circuit breaker (por tipo de operación)
+    CIRCUIT_FAILURE_THRESHOLD: 5,       // Fallos seguidos de red/5xx para abrir el circuito
+    CIRCUIT_OPEN_MS: 60000,             // Tiempo abierto antes de dejar pasar una petición de prueba
+
     // TTL de configuración
     CONFIG_TTL_MS: 3600000, // 1 hora
 
@@ -36,6 +41,13 @@ const SECURITY_CONFIG = {
     MAX_BARCODE_LENGTH: 50
 };
 
+// error_code con el que se rechaza una petición mientras el circuito está abierto
+// (homologado en PasarelaHomologacionError, ver ALTER_CIRCUIT_BREAKER.SQL)
+const CODIGO_CIRCUITO_ABIERTO = 'CIRCUITO_ABIERTO';
+
+// Operaciones sin las cuales no se puede completar un checkout
+const OPERACIONES_CHECKOUT = ['CREATE_CUSTOMER', 'ASSOCIATE_CARD', 'CREATE_SUBSCRIPTION', 'CREATE_CUSTOMER_CHARGE', 'CREATE_CHARGE', 'CREATE_CHECKOUT_SESSION', 'CREATE_STORE_CHARGE'];
+
 // ============================================================================
 // UTILIDADES DE SEGURIDAD
 // ============================================================================
@@ -187,10 +199,31 @@ class AuditContext {
 // CLASE PRINCIPAL DEL SERVICIO
 // ============================================================================
 
+/**
+ * Adaptador de OpenPay. Es también la base de los demás adaptadores (ver pasarelaService):
+ * registro en PasarelaApiLog, reintentos, circuit breaker, caja virtual y estados de transacción
+ * no dependen de la pasarela
+ */
 class OpenPayService {
     constructor() {
+        // Identidad del adaptador (PasarelaPago.codpasarela) y operaciones que soporta
+        this.codpasarela = 'OPP';
+        this.nompasarela = 'OpenPay';
+        this.capacidades = {
+            cobros: true,
+            clientes: true,
+            tarjetas: true,
+            suscripciones: true,
+            reembolsosParciales: true,
+            webhooks: true,
+            checkoutPropio: false,
+            efectivo: true,
+            comprobantes: false
+        };
+
         this.config = null;
         this.axiosInstance = null;
+        this.simulador = null;
         this._initPromise = null;
         this._lastInitTime = null;
         this._configTTL = SECURITY_CONFIG.CONFIG_TTL_MS;
@@ -199,9 +232,11 @@ class OpenPayService {
         this._requestCount = 0;
         this._rateLimitResetTime = Date.now();
 
-        // Cache de operaciones para idempotencia
-        this._operationCache = new Map();
+        // Idempotencia persistida en PasarelaIdempotencia (compartida entre instancias)
         this._operationCacheTTL = 300000; // 5 minutos
+
+        // Circuit breaker: operacion → { estado, fallos, abiertoHasta, probando, ultimoError, fecapertura }
+        this._circuitos = new Map();
     }
 
     // ========================================================================
@@ -227,25 +262,185 @@ class OpenPayService {
     // IDEMPOTENCIA
     // ========================================================================
 
-    _checkIdempotency(key) {
-        this._cleanExpiredOperations();
-        return this._operationCache.get(key);
+    async _checkIdempotency(key) {
+        try {
+            const rows = await sequelize.query(
+                `SELECT TOP 1 respuesta, feccre FROM PasarelaIdempotencia
+                 WHERE idempotencykey = :key AND estado = 'C' AND fecexpiracion > GETDATE()`,
+                {
+                    replacements: { key },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (!rows[0]?.respuesta) {
+                return null;
+            }
+
+            return { result: JSON.parse(rows[0].respuesta), timestamp: new Date(rows[0].feccre).getTime() };
+        } catch (error) {
+            // Si la base no responde se continúa sin idempotencia (la operación se envía a OpenPay)
+            secureLogger.error('Error al consultar idempotencia', error);
+            return null;
+        }
     }
 
-    _registerOperation(key, result) {
-        this._operationCache.set(key, {
-            result,
-            timestamp: Date.now()
-        });
+    async _registerOperation(key, result, operacion = 'OPENPAY') {
+        try {
+            await sequelize.query(
+                `IF NOT EXISTS (SELECT 1 FROM PasarelaIdempotencia WHERE idempotencykey = :key)
+                    INSERT INTO PasarelaIdempotencia (
+                        idempotencykey, operacion, estado, httpstatus, respuesta,
+                        feccre, fecfin, fecexpiracion
+                    ) VALUES (
+                        :key, :operacion, 'C', 200, :respuesta,
+                        GETDATE(), GETDATE(), DATEADD(SECOND, :ttl, GETDATE())
+                    )
+                 ELSE
+                    UPDATE PasarelaIdempotencia
+                    SET estado = 'C', respuesta = :respuesta, fecfin = GETDATE(),
+                        fecexpiracion = DATEADD(SECOND, :ttl, GETDATE())
+                    WHERE idempotencykey = :key AND fecexpiracion <= GETDATE()`,
+                {
+                    replacements: {
+                        key,
+                        operacion: sanitizeString(`OPENPAY:${operacion}`, 50),
+                        respuesta: JSON.stringify(result),
+                        ttl: Math.floor(this._operationCacheTTL / 1000)
+                    },
+                    type: QueryTypes.RAW
+                }
+            );
+        } catch (error) {
+            secureLogger.error('Error al registrar idempotencia', error);
+        }
     }
 
-    _cleanExpiredOperations() {
-        const now = Date.now();
-        for (const [key, value] of this._operationCache.entries()) {
-            if (now - value.timestamp > this._operationCacheTTL) {
-                this._operationCache.delete(key);
-            }
+    // ========================================================================
+    // CIRCUIT BREAKER
+    // ========================================================================
+
+    _obtenerCircuito(operacion) {
+        if (!this._circuitos.has(operacion)) {
+            this._circuitos.set(operacion, {
+                estado: 'CERRADO',
+                fallos: 0,
+                abiertoHasta: null,
+                probando: false,
+                ultimoError: null,
+                fecapertura: null
+            });
+        }
+        return this._circuitos.get(operacion);
+    }
+
+    /**
+     * Rechazar de inmediato si el circuito de la operación está abierto
+     * Pasado CIRCUIT_OPEN_MS se deja pasar una sola petición de prueba (SEMIABIERTO)
+     */
+    _verificarCircuito(operacion) {
+        const circuito = this._obtenerCircuito(operacion);
+
+        if (circuito.estado === 'ABIERTO' && Date.now() >= circuito.abiertoHasta) {
+            circuito.estado = 'SEMIABIERTO';
+            circuito.probando = false;
+        }
+
+        if (circuito.estado === 'SEMIABIERTO' && !circuito.probando) {
+            circuito.probando = true;
+            secureLogger.info(`Circuito ${operacion}: petición de prueba`);
+            return;
+        }
+
+        if (circuito.estado !== 'CERRADO') {
+            const error = new Error(`Circuito ${operacion} abierto: ${this.nompasarela} no disponible`);
+            error.code = CODIGO_CIRCUITO_ABIERTO;
+            error.response = {
+                status: 503,
+                data: {
+                    error_code: CODIGO_CIRCUITO_ABIERTO,
+                    description: 'Los pagos no están disponibles temporalmente'
+                }
+            };
+            throw error;
+        }
+    }
+
+    // Solo cuentan los fallos de la pasarela (red, timeout, 5xx, 429), no los rechazos de tarjeta
+    _esFalloPasarela(error) {
+        const status = error.response?.status;
+        return !status || status >= 500 || status === 429;
+    }
+
+    _registrarExitoCircuito(operacion) {
+        const circuito = this._obtenerCircuito(operacion);
+        if (circuito.estado !== 'CERRADO') {
+            secureLogger.info(`Circuito ${operacion} cerrado: ${this.nompasarela} respondió`);
         }
+        circuito.estado = 'CERRADO';
+        circuito.fallos = 0;
+        circuito.abiertoHasta = null;
+        circuito.probando = false;
+        circuito.fecapertura = null;
+    }
+
+    _registrarFalloCircuito(operacion, error) {
+        const circuito = this._obtenerCircuito(operacion);
+        circuito.fallos++;
+        circuito.ultimoError = error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+
+        const debeAbrir = circuito.estado === 'SEMIABIERTO'
+            || circuito.fallos >= SECURITY_CONFIG.CIRCUIT_FAILURE_THRESHOLD;
+
+        if (!debeAbrir) {
+            return;
+        }
+
+        const yaEstabaAbierto = circuito.fecapertura !== null;
+        circuito.estado = 'ABIERTO';
+        circuito.probando = false;
+        circuito.abiertoHasta = Date.now() + SECURITY_CONFIG.CIRCUIT_OPEN_MS;
+        circuito.fecapertura = circuito.fecapertura || new Date().toISOString();
+
+        if (!yaEstabaAbierto) {
+            secureLogger.error(`Circuito ${operacion} de ${this.nompasarela} ABIERTO tras ${circuito.fallos} fallos`, error);
+            this._registrarAuditoria({
+                tablaafectada: 'PasarelaApiLog',
+                idregistro: 0,
+                accion: 'CIRCUITO_ABIERTO',
+                camposcambiados: { codpasarela: this.codpasarela, operacion, fallos: circuito.fallos, ultimoError: circuito.ultimoError }
+            });
+        }
+    }
+
+    /**
+     * Estado de los circuitos para el health check y los banners del sitio
+     * @returns {Object} - { pagosDisponibles, circuitos: [{ operacion, estado, fallos, reintentoEn, ... }] }
+     */
+    getEstadoCircuitos() {
+        const circuitos = [];
+        for (const [operacion, circuito] of this._circuitos.entries()) {
+            // Un circuito vencido se muestra como SEMIABIERTO aunque todavía no llegue la prueba
+            const estado = circuito.estado === 'ABIERTO' && Date.now() >= circuito.abiertoHasta
+                ? 'SEMIABIERTO'
+                : circuito.estado;
+
+            circuitos.push({
+                operacion,
+                estado,
+                fallos: circuito.fallos,
+                ultimoError: circuito.ultimoError,
+                fecapertura: circuito.fecapertura,
+                reintentoEn: estado === 'ABIERTO'
+                    ? new Date(circuito.abiertoHasta).toISOString()
+                    : null
+            });
+        }
+
+        return {
+            pagosDisponibles: !circuitos.some(c => c.estado === 'ABIERTO' && OPERACIONES_CHECKOUT.includes(c.operacion)),
+            circuitos
+        };
     }
 
     // ========================================================================
@@ -257,10 +452,24 @@ class OpenPayService {
 
         for (let attempt = 1; attempt <= SECURITY_CONFIG.MAX_RETRIES; attempt++) {
             try {
-                return await operation();
+                const response = await operation();
+                this._registrarExitoCircuito(operationName);
+                return response;
             } catch (error) {
                 lastError = error;
 
+                if (!this._esFalloPasarela(error)) {
+                    // La pasarela respondió (rechazo, 404...): el servicio está arriba
+                    this._registrarExitoCircuito(operationName);
+                } else {
+                    this._registrarFalloCircuito(operationName, error);
+
+                    // Si con este fallo se abrió el circuito no se sigue esperando
+                    if (this._obtenerCircuito(operationName).estado !== 'CERRADO') {
+                        throw error;
+                    }
+                }
+
                 const status = error.response?.status;
                 if (status === 400 || status === 401 || status === 403 || status === 422) {
                     throw error;
@@ -326,6 +535,15 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Registrar en PasarelaAuditoria un cambio hecho fuera de una llamada a la API
+     * (cancelaciones, cambios de tarjeta, etc.)
+     * @param {Object} auditData - { tablaafectada, idregistro, accion, camposcambiados, idusu, ipaddress, useragent }
+     */
+    async registrarAuditoria(auditData) {
+        return this._registrarAuditoria(auditData);
+    }
+
     /**
      * Registrar INICIO de petición API en PasarelaApiLog (ANTES de llamar a OpenPay)
      * @param {Object} logData - Datos de la petición
@@ -341,6 +559,7 @@ class OpenPayService {
                 idusu,
                 ipaddress,
                 useragent,
+                idempotencykey,
                 correlationid
             } = logData;
 
@@ -368,7 +587,7 @@ class OpenPayService {
                         idusu: idusu || null,
                         ipaddress: sanitizeString(ipaddress, 45) || null,
                         useragent: sanitizeString(useragent, 500) || null,
-                        idempotencykey: sanitizeString(correlationid, 100),
+                        idempotencykey: sanitizeString(idempotencykey || correlationid, 100),
                         correlationid: sanitizeString(correlationid, 100)
                     },
                     type: QueryTypes.INSERT
@@ -464,6 +683,9 @@ class OpenPayService {
             auditContext = null
         } = options;
 
+        // Con el circuito abierto se falla de inmediato, sin esperar timeouts ni registrar la llamada
+        this._verificarCircuito(operacion);
+
         const startTime = Date.now();
         const correlationid = generateIdempotencyKey({ operacion, timestamp: startTime });
 
@@ -481,6 +703,7 @@ class OpenPayService {
             idusu: auditContext?.idusu,
             ipaddress: auditContext?.ipaddress,
             useragent: auditContext?.useragent,
+            idempotencykey: auditContext?.idempotencykey,
             correlationid
         });
 
@@ -811,8 +1034,9 @@ class OpenPayService {
      * Actualizar totales de caja virtual
      * NOTA: Ahora actualiza tabla Caja + CajaDetallePasarela
      * @param {number} idcaja - ID de la caja (puede venir como idcajavirtual por compatibilidad)
+     * @param {Object} transaction - Transacción Sequelize del checkout (opcional)
      */
-    async actualizarCajaVirtual(idcaja, monto, comision = 0, impuesto = 0) {
+    async actualizarCajaVirtual(idcaja, monto, comision = 0, impuesto = 0, transaction = null) {
         try {
             const neto = monto - comision - impuesto;
 
@@ -823,7 +1047,8 @@ class OpenPayService {
                  WHERE idcaja = :idcaja`,
                 {
                     replacements: { idcaja, monto },
-                    type: QueryTypes.UPDATE
+                    type: QueryTypes.UPDATE,
+                    transaction
                 }
             );
 
@@ -840,7 +1065,8 @@ class OpenPayService {
                  WHERE idcaja = :idcaja`,
                 {
                     replacements: { idcaja, monto, comision, impuesto, neto },
-                    type: QueryTypes.UPDATE
+                    type: QueryTypes.UPDATE,
+                    transaction
                 }
             );
 
@@ -851,6 +1077,43 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Revertir en la caja virtual el monto de un reembolso
+     * NOTA: Descuenta de Caja y acumula en los contadores de reembolso de CajaDetallePasarela
+     * @param {number} idcaja - ID de la caja virtual del día del reembolso
+     * @param {number} monto - Monto reembolsado
+     */
+    async revertirCajaVirtual(idcaja, monto) {
+        try {
+            await sequelize.query(
+                `UPDATE Caja SET
+                    montfincaja = ISNULL(montfincaja, 0) - :monto
+                 WHERE idcaja = :idcaja`,
+                {
+                    replacements: { idcaja, monto },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            await sequelize.query(
+                `UPDATE CajaDetallePasarela SET
+                    cantreembolsos = ISNULL(cantreembolsos, 0) + 1,
+                    montreembolsos = ISNULL(montreembolsos, 0) + :monto,
+                    montneto = montneto - :monto,
+                    fecmov = GETDATE()
+                 WHERE idcaja = :idcaja`,
+                {
+                    replacements: { idcaja, monto },
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            return { success: true };
+        } catch (error) {
+            secureLogger.error('Error al revertir caja virtual', error);
+            return { success: false };
+        }
+    }
 
 
     // ========================================================================
@@ -987,8 +1250,9 @@ class OpenPayService {
 
     /**
      * Actualizar estado de transacción
+     * @param {Object} transaction - Transacción Sequelize del llamador (opcional)
      */
-    async actualizarEstadoTransaccion(idtranspas, nuevoEstado, jsonResponse = null) {
+    async actualizarEstadoTransaccion(idtranspas, nuevoEstado, jsonResponse = null, transaction = null) {
         try {
             await this.ensureInitialized();
 
@@ -1000,7 +1264,8 @@ class OpenPayService {
                         idpasarela: this.config.idpasarela,
                         codestado: nuevoEstado
                     },
-                    type: QueryTypes.SELECT
+                    type: QueryTypes.SELECT,
+                    transaction
                 }
             );
 
@@ -1016,7 +1281,8 @@ class OpenPayService {
                         idestadopas: estadoResult[0]?.idestadopas || null,
                         jsonresponse: jsonResponse ? JSON.stringify(maskSensitiveData(jsonResponse)) : null
                     },
-                    type: QueryTypes.UPDATE
+                    type: QueryTypes.UPDATE,
+                    transaction
                 }
             );
 
@@ -1062,8 +1328,11 @@ class OpenPayService {
                 `SELECT TOP 1 idpasarela, nompasarela, merchantid, privatekey, publickey, 
                         ambiente, moneda, estado, urlapibase
                  FROM PasarelaPago 
-                 WHERE codpasarela = 'OPP' AND estado = 'S'`,
-                { type: QueryTypes.SELECT }
+                 WHERE codpasarela = :codpasarela AND estado = 'S'`,
+                {
+                    replacements: { codpasarela: this.codpasarela },
+                    type: QueryTypes.SELECT
+                }
             );
 
             if (result.length === 0) {
@@ -1072,6 +1341,14 @@ class OpenPayService {
 
             const configData = result[0];
 
+            if (this.usaSimulador(configData)) {
+                this.config = configData;
+                this.axiosInstance = this._obtenerSimulador().cliente();
+                this._lastInitTime = Date.now();
+                secureLogger.warn('Inicializado con el simulador local: ningún cargo sale a OpenPay');
+                return true;
+            }
+
             if (!configData.merchantid || !configData.privatekey) {
                 throw new Error('Configuración de pasarela incompleta');
             }
@@ -1111,15 +1388,69 @@ class OpenPayService {
         }
     }
 
+    /**
+     * El simulador se usa con PasarelaPago.ambiente = 'LOCAL' o OPENPAY_SIMULADOR=true
+     * Nunca en producción, aunque la variable quede encendida por error
+     */
+    usaSimulador(configData) {
+        if (configData.ambiente === 'PRODUCTION') {
+            return false;
+        }
+        return configData.ambiente === 'LOCAL' || process.env.OPENPAY_SIMULADOR === 'true';
+    }
+
+    /**
+     * Una sola instancia por proceso: los datos simulados sobreviven a reloadConfig()
+     */
+    _obtenerSimulador() {
+        if (!this.simulador) {
+            this.simulador = new OpenPaySimulador({
+                buscarPlan: async (codplanext) => {
+                    const planes = await sequelize.query(
+                        `SELECT TOP 1 nomplanext, precio, moneda, frecuencianum, frecuenciaunidad, diasprueba
+                         FROM PasarelaPlan
+                         WHERE codplanext = :codplanext AND estado = 'S'`,
+                        {
+                            replacements: { codplanext },
+                            type: QueryTypes.SELECT
+                        }
+                    );
+
+                    if (!planes[0]) {
+                        return null;
+                    }
+
+                    return {
+                        name: planes[0].nomplanext,
+                        amount: parseFloat(planes[0].precio),
+                        currency: planes[0].moneda,
+                        repeat_every: planes[0].frecuencianum,
+                        repeat_unit: planes[0].frecuenciaunidad,
+                        trial_days: planes[0].diasprueba || 0
+                    };
+                }
+            });
+        }
+        return this.simulador;
+    }
+
     async reloadConfig() {
         secureLogger.info('Recargando configuración...');
         this.config = null;
         this.axiosInstance = null;
         this._lastInitTime = null;
-        this._operationCache.clear();
         return this.ensureInitialized();
     }
 
+    /**
+     * Estado de la pasarela → vocabulario común de PasarelaTransaccion
+     * ('completed', 'charge_pending', 'in_progress', 'failed', 'declined', 'refunded', 'cancelled')
+     * Los estados de OpenPay ya son ese vocabulario
+     */
+    mapearEstado(estadoext) {
+        return estadoext;
+    }
+
     // ========================================================================
     // OPERACIONES DE CLIENTES
     // ========================================================================
@@ -1165,7 +1496,7 @@ class OpenPayService {
                 external_id: validatedData.external_id
             });
 
-            const cachedResult = this._checkIdempotency(idempotencyKey);
+            const cachedResult = await this._checkIdempotency(idempotencyKey);
             if (cachedResult) {
                 secureLogger.info('Retornando resultado cacheado (idempotencia) para crearCliente');
                 return cachedResult.result;
@@ -1203,7 +1534,7 @@ class OpenPayService {
                     idapilog: response._idapilog // Agregar idapilog para trazabilidad
                 };
 
-                this._registerOperation(idempotencyKey, result);
+                await this._registerOperation(idempotencyKey, result, 'CREATE_CUSTOMER');
                 secureLogger.info('Cliente creado exitosamente', { clienteId: response.data.id, idapilog: response._idapilog });
                 return result;
             }
@@ -1627,6 +1958,47 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Eliminar tarjeta del cliente en OpenPay
+     */
+    async eliminarTarjeta(customerId, cardId, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedCustomerId = sanitizeString(customerId, 100);
+            const sanitizedCardId = sanitizeString(cardId, 100);
+
+            if (!sanitizedCustomerId || !sanitizedCardId) {
+                throw new Error('IDs inválidos para eliminar tarjeta');
+            }
+
+            secureLogger.info('Eliminando tarjeta', { customerId: sanitizedCustomerId });
+
+            await this._executeWithLogging(
+                () => this.axiosInstance.delete(`/customers/${sanitizedCustomerId}/cards/${sanitizedCardId}`),
+                {
+                    metodohttp: 'DELETE',
+                    endpoint: `/customers/${sanitizedCustomerId}/cards/${sanitizedCardId}`,
+                    operacion: 'DELETE_CARD',
+                    bodyenviado: null,
+                    auditContext
+                }
+            );
+
+            return { success: true };
+
+        } catch (error) {
+            secureLogger.error('Error al eliminar tarjeta', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al eliminar tarjeta',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
     // ========================================================================
     // OPERACIONES DE SUSCRIPCIONES
     // ========================================================================
@@ -1653,7 +2025,7 @@ class OpenPayService {
                 planId: sanitizedPlanId
             });
 
-            const cachedResult = this._checkIdempotency(idempotencyKey);
+            const cachedResult = await this._checkIdempotency(idempotencyKey);
             if (cachedResult) {
                 secureLogger.info('Retornando resultado cacheado para crearSuscripcion');
                 return cachedResult.result;
@@ -1698,7 +2070,7 @@ class OpenPayService {
                     idapilog: response._idapilog // Agregar idapilog para trazabilidad
                 };
 
-                this._registerOperation(idempotencyKey, result);
+                await this._registerOperation(idempotencyKey, result, 'CREATE_SUBSCRIPTION');
                 secureLogger.info('Suscripción creada exitosamente', { subscriptionId: response.data.id, idapilog: response._idapilog });
                 return result;
             }
@@ -1767,10 +2139,78 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Actualizar suscripción en OpenPay (p. ej. cambiar la tarjeta de cobro)
+     * @param {Object} updateData - { source_id }
+     */
+    async actualizarSuscripcion(customerId, subscriptionId, updateData = {}, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedCustomerId = sanitizeString(customerId, 100);
+            const sanitizedSubscriptionId = sanitizeString(subscriptionId, 100);
+
+            if (!sanitizedCustomerId || !sanitizedSubscriptionId) {
+                throw new Error('IDs inválidos para actualizar suscripción');
+            }
+
+            const body = {};
+            if (updateData.source_id) {
+                body.source_id = sanitizeString(updateData.source_id, 100);
+            }
+
+            if (Object.keys(body).length === 0) {
+                throw new Error('No hay datos para actualizar la suscripción');
+            }
+
+            secureLogger.info('Actualizando suscripción', {
+                customerId: sanitizedCustomerId,
+                subscriptionId: sanitizedSubscriptionId
+            });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.put(`/customers/${sanitizedCustomerId}/subscriptions/${sanitizedSubscriptionId}`, body),
+                {
+                    metodohttp: 'PUT',
+                    endpoint: `/customers/${sanitizedCustomerId}/subscriptions/${sanitizedSubscriptionId}`,
+                    operacion: 'UPDATE_SUBSCRIPTION',
+                    bodyenviado: body,
+                    auditContext
+                }
+            );
+
+            if (response.data && response.data.id) {
+                return {
+                    success: true,
+                    suscripcion: {
+                        id: response.data.id,
+                        status: response.data.status,
+                        charge_date: response.data.charge_date,
+                        card: response.data.card
+                    },
+                    idapilog: response._idapilog
+                };
+            }
+
+            throw new Error('Respuesta inválida al actualizar suscripción');
+
+        } catch (error) {
+            secureLogger.error('Error al actualizar suscripción', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al actualizar suscripción',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
     /**
      * Cancelar suscripción en OpenPay
      */
-    async cancelarSuscripcion(customerId, subscriptionId) {
+    async cancelarSuscripcion(customerId, subscriptionId, auditContext = {}) {
         try {
             this._checkRateLimit();
             await this.ensureInitialized();
@@ -1794,7 +2234,7 @@ class OpenPayService {
                     endpoint: `/customers/${sanitizedCustomerId}/subscriptions/${sanitizedSubscriptionId}`,
                     operacion: 'CANCEL_SUBSCRIPTION',
                     bodyenviado: null,
-                    auditContext: {}
+                    auditContext
                 }
             );
 
@@ -2066,13 +2506,16 @@ class OpenPayService {
             // Soporte para 3D Secure
             if (chargeData.use_3d_secure) {
                 validatedData.use_3d_secure = true;
-                if (chargeData.redirect_url) {
-                    validatedData.redirect_url = chargeData.redirect_url;
-                } else {
+                if (!chargeData.redirect_url) {
                     throw new Error('redirect_url es requerida cuando use_3d_secure está activo');
                 }
             }
 
+            // También se envía sin use_3d_secure: el antifraude de OpenPay puede exigir 3DS por su cuenta
+            if (chargeData.redirect_url) {
+                validatedData.redirect_url = chargeData.redirect_url;
+            }
+
             // Order ID para seguimiento
             if (chargeData.order_id) {
                 validatedData.order_id = sanitizeString(chargeData.order_id, 100);
@@ -2138,6 +2581,189 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Crear cargo a un cliente de OpenPay con una tarjeta guardada o un token de OpenPay.js
+     * Se usa para los reintentos de cobro (sourceid de PasarelaTarjeta) y la compra única (token)
+     * @param {string} customerId - ID del cliente en OpenPay
+     * @param {Object} chargeData - { source_id, amount, description, order_id, device_session_id, redirect_url }
+     */
+    async crearCargoCliente(customerId, chargeData, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedCustomerId = sanitizeString(customerId, 100);
+            const sanitizedSourceId = sanitizeString(chargeData.source_id, 100);
+
+            if (!sanitizedCustomerId || !sanitizedSourceId) {
+                throw new Error('Datos incompletos para crear cargo al cliente');
+            }
+
+            const validatedData = {
+                method: 'card',
+                source_id: sanitizedSourceId,
+                amount: validateAmount(chargeData.amount),
+                currency: chargeData.currency || this.config.moneda || 'PEN',
+                description: sanitizeString(chargeData.description || 'Pago ModoFit', 250)
+            };
+
+            if (chargeData.device_session_id) {
+                validatedData.device_session_id = sanitizeString(chargeData.device_session_id, 100);
+            }
+
+            if (chargeData.order_id) {
+                validatedData.order_id = sanitizeString(chargeData.order_id, 100);
+            }
+
+            // Retorno 3D Secure si el banco exige autenticación
+            if (chargeData.redirect_url) {
+                validatedData.redirect_url = chargeData.redirect_url;
+            }
+
+            secureLogger.info('Creando cargo a cliente', { customerId: sanitizedCustomerId, amount: validatedData.amount });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(`/customers/${sanitizedCustomerId}/charges`, validatedData),
+                {
+                    metodohttp: 'POST',
+                    endpoint: `/customers/${sanitizedCustomerId}/charges`,
+                    operacion: 'CREATE_CUSTOMER_CHARGE',
+                    bodyenviado: validatedData,
+                    auditContext
+                }
+            );
+
+            if (response.data && response.data.id) {
+                const result = {
+                    success: true,
+                    cargo: {
+                        id: response.data.id,
+                        status: response.data.status,
+                        authorization: response.data.authorization,
+                        amount: response.data.amount,
+                        currency: response.data.currency,
+                        operation_type: response.data.operation_type,
+                        operation_date: response.data.operation_date,
+                        creation_date: response.data.creation_date,
+                        order_id: response.data.order_id,
+                        customer_id: response.data.customer_id,
+                        card: response.data.card
+                    },
+                    idapilog: response._idapilog
+                };
+
+                if (response.data.payment_method && response.data.payment_method.url) {
+                    result.requires_3d_secure = true;
+                    result.redirect_url = response.data.payment_method.url;
+                    result.cargo.payment_method = response.data.payment_method;
+                }
+
+                return result;
+            }
+
+            throw new Error('Respuesta inválida al crear cargo');
+
+        } catch (error) {
+            secureLogger.error('Error al crear cargo a cliente', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al procesar el pago',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
+    /**
+     * Crear cargo en efectivo (method 'store') a un cliente de OpenPay
+     * OpenPay devuelve una referencia de pago con código de barras que el cliente paga
+     * en agentes, bodegas o banca por internet; el cargo queda 'in_progress' hasta que
+     * llega el webhook charge.succeeded o vence due_date
+     * @param {string} customerId - ID del cliente en OpenPay
+     * @param {Object} chargeData - { amount, description, order_id, due_date }
+     * @returns {Object} - { success, cargo, referencia: { codigo, urlbarcode, feclimite }, idapilog }
+     */
+    async crearCargoEfectivo(customerId, chargeData, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedCustomerId = sanitizeString(customerId, 100);
+            if (!sanitizedCustomerId) {
+                throw new Error('Cliente requerido para el pago en efectivo');
+            }
+
+            const validatedData = {
+                method: 'store',
+                amount: validateAmount(chargeData.amount),
+                currency: chargeData.currency || this.config.moneda || 'PEN',
+                description: sanitizeString(chargeData.description || 'Pago ModoFit', 250)
+            };
+
+            if (chargeData.order_id) {
+                validatedData.order_id = sanitizeString(chargeData.order_id, 100);
+            }
+
+            // OpenPay espera la fecha límite en hora de Lima: yyyy-MM-ddTHH:mm:ss
+            if (chargeData.due_date) {
+                validatedData.due_date = new Date(chargeData.due_date)
+                    .toLocaleString('sv-SE', { timeZone: 'America/Lima' })
+                    .replace(' ', 'T');
+            }
+
+            secureLogger.info('Creando cargo en efectivo', { customerId: sanitizedCustomerId, amount: validatedData.amount });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(`/customers/${sanitizedCustomerId}/charges`, validatedData),
+                {
+                    metodohttp: 'POST',
+                    endpoint: `/customers/${sanitizedCustomerId}/charges`,
+                    operacion: 'CREATE_STORE_CHARGE',
+                    bodyenviado: validatedData,
+                    auditContext
+                }
+            );
+
+            const data = response.data;
+            if (!data || !data.id || !data.payment_method?.reference) {
+                throw new Error('Respuesta inválida al crear cargo en efectivo');
+            }
+
+            return {
+                success: true,
+                cargo: {
+                    id: data.id,
+                    status: data.status,
+                    amount: data.amount,
+                    currency: data.currency,
+                    method: data.method,
+                    creation_date: data.creation_date,
+                    due_date: data.due_date,
+                    order_id: data.order_id,
+                    customer_id: data.customer_id,
+                    payment_method: data.payment_method
+                },
+                referencia: {
+                    codigo: data.payment_method.reference,
+                    urlbarcode: data.payment_method.barcode_url || null,
+                    feclimite: data.due_date || chargeData.due_date || null
+                },
+                idapilog: response._idapilog
+            };
+
+        } catch (error) {
+            secureLogger.error('Error al crear cargo en efectivo', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || error.message || 'Error al generar el código de pago',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
     /**
      * Crear cargo con 3D Secure
      * Crea un cargo que requiere autenticación 3D Secure del banco
@@ -2188,8 +2814,12 @@ class OpenPayService {
                         operation_type: response.data.operation_type,
                         creation_date: response.data.creation_date,
                         order_id: response.data.order_id,
+                        method: response.data.method,
+                        customer_id: response.data.customer_id,
+                        subscription_id: response.data.subscription_id,
                         error_message: response.data.error_message,
-                        card: response.data.card
+                        card: response.data.card,
+                        payment_method: response.data.payment_method
                     }
                 };
             }
@@ -2211,6 +2841,150 @@ class OpenPayService {
         }
     }
 
+    /**
+     * Listar los cargos del comercio creados en un rango de fechas (una página)
+     * Usado por la conciliación; OpenPay devuelve como máximo 100 cargos por página
+     * @param {Object} filtros - { desde, hasta } 'YYYY-MM-DD' inclusive, { offset, limit }
+     */
+    async listarCargos(filtros = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const formato = /^\d{4}-\d{2}-\d{2}$/;
+            if (!formato.test(filtros.desde || '') || !formato.test(filtros.hasta || '')) {
+                throw new Error('Rango de fechas inválido');
+            }
+
+            const offset = Math.max(parseInt(filtros.offset, 10) || 0, 0);
+            const limit = Math.min(Math.max(parseInt(filtros.limit, 10) || 100, 1), 100);
+            const endpoint = `/charges?creation[gte]=${filtros.desde}&creation[lte]=${filtros.hasta}&offset=${offset}&limit=${limit}`;
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.get(endpoint),
+                {
+                    metodohttp: 'GET',
+                    endpoint,
+                    operacion: 'LIST_CHARGES',
+                    bodyenviado: null,
+                    auditContext: {}
+                }
+            );
+
+            if (!Array.isArray(response.data)) {
+                throw new Error('Respuesta inválida');
+            }
+
+            return {
+                success: true,
+                cargos: response.data.map(cargo => ({
+                    id: cargo.id,
+                    status: cargo.status,
+                    authorization: cargo.authorization,
+                    amount: cargo.amount,
+                    currency: cargo.currency,
+                    method: cargo.method,
+                    operation_type: cargo.operation_type,
+                    transaction_type: cargo.transaction_type,
+                    creation_date: cargo.creation_date,
+                    operation_date: cargo.operation_date,
+                    order_id: cargo.order_id,
+                    customer_id: cargo.customer_id,
+                    subscription_id: cargo.subscription_id,
+                    description: cargo.description,
+                    error_message: cargo.error_message,
+                    card: cargo.card,
+                    payment_method: cargo.payment_method,
+                    refund: cargo.refund
+                })),
+                hayMas: response.data.length === limit
+            };
+
+        } catch (error) {
+            secureLogger.error('Error al listar cargos', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || error.message || 'Error al listar cargos',
+                code: error.response?.data?.error_code || error.code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Reembolsar un cargo (total o parcial) en OpenPay
+     * @param {string} chargeId - ID del cargo a reembolsar
+     * @param {Object} refundData - { amount, description, customer_id }
+     *        customer_id es requerido si el cargo se hizo a un cliente (/customers/{id}/charges)
+     */
+    async reembolsarCargo(chargeId, refundData = {}, auditContext = {}) {
+        try {
+            this._checkRateLimit();
+            await this.ensureInitialized();
+
+            const sanitizedId = sanitizeString(chargeId, 100);
+            if (!sanitizedId) {
+                throw new Error('ID de cargo inválido');
+            }
+
+            const sanitizedCustomerId = sanitizeString(refundData.customer_id || '', 100);
+            const endpoint = sanitizedCustomerId
+                ? `/customers/${sanitizedCustomerId}/charges/${sanitizedId}/refund`
+                : `/charges/${sanitizedId}/refund`;
+
+            const body = {
+                description: sanitizeString(refundData.description || 'Reembolso ModoFit', 250)
+            };
+
+            if (refundData.amount) {
+                body.amount = validateAmount(refundData.amount);
+            }
+
+            secureLogger.info('Reembolsando cargo', { chargeId: sanitizedId, amount: body.amount || 'TOTAL' });
+
+            const response = await this._executeWithLogging(
+                () => this.axiosInstance.post(endpoint, body),
+                {
+                    metodohttp: 'POST',
+                    endpoint,
+                    operacion: 'REFUND',
+                    bodyenviado: body,
+                    auditContext
+                }
+            );
+
+            if (response.data && response.data.id) {
+                const refund = response.data.refund || {};
+                return {
+                    success: true,
+                    reembolso: {
+                        id: refund.id || response.data.id,
+                        status: refund.status || response.data.status,
+                        amount: refund.amount || body.amount || response.data.amount,
+                        creation_date: refund.creation_date || response.data.creation_date
+                    },
+                    cargo: {
+                        id: response.data.id,
+                        status: response.data.status
+                    },
+                    idapilog: response._idapilog
+                };
+            }
+
+            throw new Error('Respuesta inválida al reembolsar cargo');
+
+        } catch (error) {
+            secureLogger.error('Error al reembolsar cargo', error);
+
+            return {
+                success: false,
+                error: error.response?.data?.description || 'Error al procesar el reembolso',
+                code: error.response?.data?.error_code || 'UNKNOWN_ERROR',
+                idapilog: error._idapilog
+            };
+        }
+    }
+
     // ========================================================================
     // UTILIDADES
     // ========================================================================
@@ -2232,16 +3006,23 @@ class OpenPayService {
     async healthCheck() {
         try {
             await this.ensureInitialized();
+            const { pagosDisponibles, circuitos } = this.getEstadoCircuitos();
             return {
-                status: 'healthy',
+                status: pagosDisponibles ? 'healthy' : 'degraded',
+                codpasarela: this.codpasarela,
                 initialized: true,
                 ambiente: this.config.ambiente,
+                pagosDisponibles,
+                circuitos,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             return {
                 status: 'unhealthy',
+                codpasarela: this.codpasarela,
                 initialized: false,
+                pagosDisponibles: false,
+                circuitos: this.getEstadoCircuitos().circuitos,
                 error: 'Error de conexión con servicio de pagos',
                 timestamp: new Date().toISOString()
             };
@@ -2258,3 +3039,6 @@ module.exports.AuditContext = AuditContext;
 module.exports.sanitizeString = sanitizeString;
 module.exports.validateAmount = validateAmount;
 module.exports.maskSensitiveData = maskSensitiveData;
+module.exports.CODIGO_CIRCUITO_ABIERTO = CODIGO_CIRCUITO_ABIERTO;
+module.exports.SECURITY_CONFIG = SECURITY_CONFIG;
+module.exports.OpenPayService = OpenPayService;
@@ -0,0 +1,671 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// ============================================================================
+// SIMULADOR LOCAL DE OPENPAY
+// ============================================================================
+//
+// Reemplaza al cliente axios de OpenPayService cuando PasarelaPago.ambiente = 'LOCAL'
+// o OPENPAY_SIMULADOR=true. Expone get/post/put/delete con las mismas rutas y
+// respuestas que la API de OpenPay, pero todo vive en memoria y no sale a la red.
+//
+// Tarjetas mágicas (token 'tok_<número>' o tarjeta creada con POST /tokens):
+//   4111111111111111 / 5555555555554444  → aprobada
+//   4000000000000002                     → declinada (3001)
+//   4000000000000069                     → tarjeta vencida (3002)
+//   4000000000000119                     → fondos insuficientes (3003)
+//   4000000000000101                     → rechazada por antifraude (3005)
+//   4000000000003220                     → exige 3D Secure (se autentica al consultar el cargo)
+//   4000000000003063                     → exige 3D Secure y la autenticación falla
+// Cualquier otro token se trata como 4111111111111111.
+//
+// Pagos en efectivo (method 'store'): el cargo queda 'in_progress' con una referencia de pago;
+// pagarEfectivo(id) simula que el cliente pagó en el agente y emite charge.succeeded.
+//
+// Webhooks: cada cargo, reembolso y cancelación se notifica a OPENPAY_SIMULADOR_WEBHOOK_URL
+// (por defecto el receptor propio en localhost) con el Basic Auth de OPENPAY_WEBHOOK_USER/PASSWORD.
+
+const TARJETA_APROBADA = '4111111111111111';
+
+const RESULTADOS_TARJETA = {
+    '4000000000000002': { error_code: 3001, description: 'The card was declined' },
+    '4000000000000069': { error_code: 3002, description: 'The card has expired' },
+    '4000000000000119': { error_code: 3003, description: 'The card doesn\'t have sufficient funds' },
+    '4000000000000101': { error_code: 3005, description: 'Fraud risk detected by anti-fraud system' },
+    '4000000000003220': { requiere3ds: true },
+    '4000000000003063': { requiere3ds: true, falla3ds: true }
+};
+
+const crearId = (prefijo) => `${prefijo}${crypto.randomBytes(9).toString('hex')}`;
+
+const ahora = () => new Date().toISOString().replace(/\.\d{3}Z$/, '-05:00');
+
+const sumarDias = (fecha, dias) => {
+    const resultado = new Date(fecha);
+    resultado.setDate(resultado.getDate() + dias);
+    return resultado.toISOString().split('T')[0];
+};
+
+const DIAS_POR_UNIDAD = { day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Error con la misma forma que lanza axios ante una respuesta 4xx de OpenPay
+ */
+function errorOpenpay(status, error_code, description) {
+    const error = new Error(description);
+    error.response = {
+        status,
+        data: { category: status >= 500 ? 'gateway' : 'request', error_code, description, http_code: status }
+    };
+    return error;
+}
+
+class OpenPaySimulador {
+    /**
+     * @param {Object} opciones - { buscarPlan: async (planId) => { amount, repeat_unit, repeat_every, trial_days, name } }
+     *        buscarPlan permite tomar el precio de PasarelaPlan para los planes que no se crearon en el simulador
+     */
+    constructor(opciones = {}) {
+        this.buscarPlan = opciones.buscarPlan || null;
+        this.webhookUrl = opciones.webhookUrl
+            || process.env.OPENPAY_SIMULADOR_WEBHOOK_URL
+            || `http://localhost:${process.env.PORT || 3300}/pedidos/webhooks/openpay`;
+
+        this.clientes = new Map();
+        this.tarjetas = new Map();          // id → tarjeta (con customer_id)
+        this.tokens = new Map();            // id → datos de tarjeta
+        this.planes = new Map();
+        this.suscripciones = new Map();
+        this.cargos = new Map();
+    }
+
+    /**
+     * Cliente con la interfaz de axios que usa OpenPayService
+     */
+    cliente() {
+        return {
+            get: (ruta) => this.atender('GET', ruta, null),
+            post: (ruta, cuerpo) => this.atender('POST', ruta, cuerpo || {}),
+            put: (ruta, cuerpo) => this.atender('PUT', ruta, cuerpo || {}),
+            delete: (ruta) => this.atender('DELETE', ruta, null)
+        };
+    }
+
+    // ========================================================================
+    // ENRUTADOR
+    // ========================================================================
+
+    async atender(metodo, ruta, cuerpo) {
+        const partes = ruta.split('?')[0].split('/').filter(Boolean);
+        const [recurso, id, subrecurso, subid, accion] = partes;
+
+        console.log(`[Simulador] ${metodo} /${partes.join('/')}`);
+
+        let data;
+
+        if (recurso === 'tokens' && metodo === 'POST') {
+            data = this.crearToken(cuerpo);
+        } else if (recurso === 'plans') {
+            data = metodo === 'POST' ? this.crearPlan(cuerpo) : await this.obtenerPlan(id);
+        } else if (recurso === 'charges') {
+            if (metodo === 'POST' && subrecurso === 'refund') {
+                data = this.reembolsar(id, cuerpo);
+            } else if (metodo === 'POST') {
+                data = this.crearCargo(null, cuerpo);
+            } else if (!id) {
+                data = this.listarCargos(ruta);
+            } else {
+                data = this.obtenerCargo(id);
+            }
+        } else if (recurso === 'customers') {
+            if (!id) {
+                data = this.crearCliente(cuerpo);
+            } else if (!subrecurso) {
+                data = this.obtenerCliente(id);
+            } else if (subrecurso === 'cards') {
+                data = metodo === 'DELETE' ? this.eliminarTarjeta(id, subid) : this.asociarTarjeta(id, cuerpo);
+            } else if (subrecurso === 'subscriptions') {
+                if (metodo === 'POST') {
+                    data = await this.crearSuscripcion(id, cuerpo);
+                } else if (metodo === 'PUT') {
+                    data = this.actualizarSuscripcion(id, subid, cuerpo);
+                } else if (metodo === 'DELETE') {
+                    data = this.cancelarSuscripcion(id, subid);
+                } else {
+                    data = this.obtenerSuscripcion(id, subid);
+                }
+            } else if (subrecurso === 'charges') {
+                if (accion === 'refund') {
+                    data = this.reembolsar(subid, cuerpo);
+                } else if (metodo === 'POST') {
+                    data = this.crearCargo(id, cuerpo);
+                } else {
+                    data = this.obtenerCargo(subid);
+                }
+            }
+        }
+
+        if (data === undefined) {
+            throw errorOpenpay(404, 1005, `The requested resource doesn't exist: ${metodo} ${ruta}`);
+        }
+
+        return { status: metodo === 'DELETE' ? 204 : 200, data };
+    }
+
+    // ========================================================================
+    // CLIENTES, TOKENS Y TARJETAS
+    // ========================================================================
+
+    crearCliente(cuerpo) {
+        const cliente = {
+            id: crearId('a'),
+            name: cuerpo.name,
+            last_name: cuerpo.last_name || null,
+            email: cuerpo.email,
+            phone_number: cuerpo.phone_number || null,
+            external_id: cuerpo.external_id || null,
+            status: 'active',
+            balance: 0,
+            creation_date: ahora()
+        };
+        this.clientes.set(cliente.id, cliente);
+        return cliente;
+    }
+
+    obtenerCliente(id) {
+        const cliente = this.clientes.get(id);
+        if (!cliente) {
+            throw errorOpenpay(404, 1005, 'The requested customer doesn\'t exist');
+        }
+        return cliente;
+    }
+
+    crearToken(cuerpo) {
+        const token = {
+            id: crearId('k'),
+            card: {
+                card_number: String(cuerpo.card_number || TARJETA_APROBADA).replace(/\s/g, ''),
+                holder_name: cuerpo.holder_name || 'SIMULADOR MODOFIT',
+                expiration_month: cuerpo.expiration_month || '12',
+                expiration_year: cuerpo.expiration_year || '30'
+            }
+        };
+        this.tokens.set(token.id, token.card);
+        return token;
+    }
+
+    /**
+     * Datos de la tarjeta detrás de un source_id: tarjeta guardada, token del simulador o 'tok_<número>'
+     */
+    resolverTarjeta(sourceId) {
+        if (this.tarjetas.has(sourceId)) {
+            return this.tarjetas.get(sourceId);
+        }
+
+        const datos = this.tokens.get(sourceId) || {
+            card_number: /^tok_\d{15,16}$/.test(sourceId || '') ? sourceId.substring(4) : TARJETA_APROBADA,
+            holder_name: 'SIMULADOR MODOFIT',
+            expiration_month: '12',
+            expiration_year: '30'
+        };
+
+        return this.formatearTarjeta(datos);
+    }
+
+    formatearTarjeta(datos) {
+        const numero = datos.card_number;
+        return {
+            id: crearId('k'),
+            type: 'debit',
+            brand: numero.startsWith('5') ? 'mastercard' : numero.startsWith('3') ? 'american_express' : 'visa',
+            card_number: `${numero.substring(0, 6)}XXXXXX${numero.slice(-4)}`,
+            numero,
+            holder_name: datos.holder_name,
+            expiration_month: datos.expiration_month,
+            expiration_year: datos.expiration_year,
+            bank_name: 'BANCO SIMULADO',
+            bank_code: '000',
+            creation_date: ahora()
+        };
+    }
+
+    asociarTarjeta(customerId, cuerpo) {
+        this.obtenerCliente(customerId);
+
+        const tarjeta = { ...this.resolverTarjeta(cuerpo.token_id), customer_id: customerId };
+        this.tarjetas.set(tarjeta.id, tarjeta);
+        return this.publicarTarjeta(tarjeta);
+    }
+
+    eliminarTarjeta(customerId, cardId) {
+        const tarjeta = this.tarjetas.get(cardId);
+        if (!tarjeta || tarjeta.customer_id !== customerId) {
+            throw errorOpenpay(404, 1005, 'The requested card doesn\'t exist');
+        }
+        this.tarjetas.delete(cardId);
+        return {};
+    }
+
+    // El número completo solo se usa para decidir el resultado; nunca se devuelve
+    publicarTarjeta(tarjeta) {
+        const { numero, ...publica } = tarjeta;
+        return publica;
+    }
+
+    // ========================================================================
+    // PLANES Y SUSCRIPCIONES
+    // ========================================================================
+
+    crearPlan(cuerpo) {
+        const plan = {
+            id: cuerpo.id || crearId('p'),
+            name: cuerpo.name,
+            amount: cuerpo.amount,
+            currency: cuerpo.currency || 'PEN',
+            repeat_every: cuerpo.repeat_every || 1,
+            repeat_unit: cuerpo.repeat_unit || 'month',
+            retry_times: cuerpo.retry_times || 3,
+            status_after_retry: cuerpo.status_after_retry || 'cancelled',
+            trial_days: cuerpo.trial_days || 0,
+            status: 'active',
+            creation_date: ahora()
+        };
+        this.planes.set(plan.id, plan);
+        return plan;
+    }
+
+    async obtenerPlan(id) {
+        if (!this.planes.has(id) && this.buscarPlan) {
+            const datos = await this.buscarPlan(id);
+            if (datos) {
+                this.crearPlan({ ...datos, id });
+            }
+        }
+
+        const plan = this.planes.get(id);
+        if (!plan) {
+            throw errorOpenpay(404, 1005, 'The requested plan doesn\'t exist');
+        }
+        return plan;
+    }
+
+    async crearSuscripcion(customerId, cuerpo) {
+        this.obtenerCliente(customerId);
+        const plan = await this.obtenerPlan(cuerpo.plan_id);
+
+        const tarjeta = cuerpo.source_id ? this.resolverTarjeta(cuerpo.source_id) : null;
+        if (!tarjeta) {
+            throw errorOpenpay(400, 1001, 'source_id is required');
+        }
+
+        const hoy = new Date();
+        const diasPeriodo = (DIAS_POR_UNIDAD[plan.repeat_unit] || 30) * plan.repeat_every;
+        const suscripcion = {
+            id: crearId('s'),
+            status: plan.trial_days > 0 ? 'trial' : 'active',
+            cancel_at_period_end: false,
+            charge_date: sumarDias(hoy, plan.trial_days > 0 ? plan.trial_days : diasPeriodo),
+            creation_date: ahora(),
+            current_period_number: plan.trial_days > 0 ? 0 : 1,
+            period_end_date: sumarDias(hoy, (plan.trial_days || 0) + diasPeriodo - 1),
+            trial_end_date: plan.trial_days > 0 ? sumarDias(hoy, plan.trial_days - 1) : null,
+            plan_id: plan.id,
+            customer_id: customerId,
+            card: this.publicarTarjeta(tarjeta),
+            numeroTarjeta: tarjeta.numero
+        };
+
+        // Sin periodo de prueba el primer periodo se cobra al suscribirse
+        if (plan.trial_days === 0) {
+            const resultado = RESULTADOS_TARJETA[tarjeta.numero];
+            if (resultado?.error_code) {
+                throw errorOpenpay(402, resultado.error_code, resultado.description);
+            }
+            this.registrarCargo({
+                customerId,
+                tarjeta,
+                amount: plan.amount,
+                description: `Suscripción ${plan.name || plan.id}`,
+                subscription_id: suscripcion.id
+            });
+        }
+
+        this.suscripciones.set(suscripcion.id, suscripcion);
+        return this.publicarSuscripcion(suscripcion);
+    }
+
+    buscarSuscripcion(customerId, subscriptionId) {
+        const suscripcion = this.suscripciones.get(subscriptionId);
+        if (!suscripcion || suscripcion.customer_id !== customerId) {
+            throw errorOpenpay(404, 1005, 'The requested subscription doesn\'t exist');
+        }
+        return suscripcion;
+    }
+
+    obtenerSuscripcion(customerId, subscriptionId) {
+        return this.publicarSuscripcion(this.buscarSuscripcion(customerId, subscriptionId));
+    }
+
+    actualizarSuscripcion(customerId, subscriptionId, cuerpo) {
+        const suscripcion = this.buscarSuscripcion(customerId, subscriptionId);
+
+        if (cuerpo.source_id) {
+            const tarjeta = this.resolverTarjeta(cuerpo.source_id);
+            suscripcion.card = this.publicarTarjeta(tarjeta);
+            suscripcion.numeroTarjeta = tarjeta.numero;
+        }
+        if (cuerpo.cancel_at_period_end !== undefined) {
+            suscripcion.cancel_at_period_end = !!cuerpo.cancel_at_period_end;
+        }
+        if (cuerpo.trial_end_date) {
+            suscripcion.trial_end_date = cuerpo.trial_end_date;
+        }
+
+        return this.publicarSuscripcion(suscripcion);
+    }
+
+    cancelarSuscripcion(customerId, subscriptionId) {
+        const suscripcion = this.buscarSuscripcion(customerId, subscriptionId);
+        suscripcion.status = 'cancelled';
+
+        this.emitirWebhook('subscription.cancelled', { subscription: this.publicarSuscripcion(suscripcion) });
+        return {};
+    }
+
+    publicarSuscripcion(suscripcion) {
+        const { numeroTarjeta, ...publica } = suscripcion;
+        return publica;
+    }
+
+    /**
+     * Cobrar el siguiente periodo de una suscripción (para probar renovaciones y reintentos)
+     * Emite charge.succeeded o subscription.charge.failed como lo haría OpenPay
+     *
+     * @param {string} subscriptionId - ID de la suscripción en el simulador
+     * @returns {Object} - Cargo generado
+     */
+    async cobrarPeriodo(subscriptionId) {
+        const suscripcion = this.suscripciones.get(subscriptionId);
+        if (!suscripcion) {
+            throw new Error(`Suscripción ${subscriptionId} no existe en el simulador`);
+        }
+
+        const plan = await this.obtenerPlan(suscripcion.plan_id);
+        const tarjeta = { ...suscripcion.card, numero: suscripcion.numeroTarjeta };
+        const resultado = RESULTADOS_TARJETA[tarjeta.numero];
+
+        if (resultado?.error_code) {
+            const cargo = this.registrarCargo({
+                customerId: suscripcion.customer_id,
+                tarjeta,
+                amount: plan.amount,
+                description: `Renovación ${plan.name || plan.id}`,
+                subscription_id: suscripcion.id,
+                fallo: resultado
+            });
+            suscripcion.status = 'past_due';
+            return cargo;
+        }
+
+        const diasPeriodo = (DIAS_POR_UNIDAD[plan.repeat_unit] || 30) * plan.repeat_every;
+        suscripcion.status = 'active';
+        suscripcion.current_period_number++;
+        suscripcion.charge_date = sumarDias(new Date(), diasPeriodo);
+        suscripcion.period_end_date = sumarDias(new Date(), diasPeriodo - 1);
+
+        return this.registrarCargo({
+            customerId: suscripcion.customer_id,
+            tarjeta,
+            amount: plan.amount,
+            description: `Renovación ${plan.name || plan.id}`,
+            subscription_id: suscripcion.id
+        });
+    }
+
+    // ========================================================================
+    // CARGOS Y REEMBOLSOS
+    // ========================================================================
+
+    crearCargo(customerId, cuerpo) {
+        if (customerId) {
+            this.obtenerCliente(customerId);
+        }
+
+        if (cuerpo.method === 'store') {
+            return this.crearCargoEfectivo(customerId, cuerpo);
+        }
+
+        const tarjeta = this.resolverTarjeta(cuerpo.source_id);
+        const resultado = RESULTADOS_TARJETA[tarjeta.numero] || {};
+
+        if (resultado.error_code) {
+            this.registrarCargo({ customerId, tarjeta, ...cuerpo, fallo: resultado });
+            throw errorOpenpay(402, resultado.error_code, resultado.description);
+        }
+
+        const exige3ds = resultado.requiere3ds || cuerpo.use_3d_secure;
+        if (exige3ds && !cuerpo.redirect_url) {
+            throw errorOpenpay(400, 1001, 'redirect_url is required for 3D Secure charges');
+        }
+
+        const cargo = this.registrarCargo({
+            customerId,
+            tarjeta,
+            ...cuerpo,
+            pendiente3ds: exige3ds ? { falla: !!resultado.falla3ds } : null
+        });
+
+        return cargo;
+    }
+
+    registrarCargo(datos) {
+        const { customerId, tarjeta, amount, description, order_id, subscription_id, fallo, pendiente3ds, redirect_url } = datos;
+
+        const cargo = {
+            id: crearId('tr'),
+            authorization: fallo || pendiente3ds ? null : String(Math.floor(100000 + Math.random() * 900000)),
+            operation_type: 'in',
+            transaction_type: 'charge',
+            status: fallo ? 'failed' : pendiente3ds ? 'charge_pending' : 'completed',
+            conciliated: false,
+            creation_date: ahora(),
+            operation_date: ahora(),
+            description: description || 'Cargo simulado',
+            error_message: fallo ? fallo.description : null,
+            error_code: fallo ? fallo.error_code : null,
+            order_id: order_id || null,
+            customer_id: customerId || null,
+            subscription_id: subscription_id || null,
+            amount: Number(amount),
+            currency: 'PEN',
+            method: 'card',
+            card: this.publicarTarjeta(tarjeta),
+            refund: null
+        };
+
+        if (pendiente3ds) {
+            const separador = redirect_url.includes('?') ? '&' : '?';
+            cargo.payment_method = { type: 'redirect', url: `${redirect_url}${separador}id=${cargo.id}` };
+            cargo.pendiente3ds = pendiente3ds;
+        }
+
+        this.cargos.set(cargo.id, cargo);
+
+        if (!pendiente3ds) {
+            this.emitirWebhook(
+                fallo ? (subscription_id ? 'subscription.charge.failed' : 'charge.failed') : 'charge.succeeded',
+                { transaction: this.publicarCargo(cargo) }
+            );
+        }
+
+        return this.publicarCargo(cargo);
+    }
+
+    crearCargoEfectivo(customerId, cuerpo) {
+        const referencia = String(Date.now()).slice(-8) + String(Math.floor(10000 + Math.random() * 90000));
+        // OpenPay recibe due_date en hora de Lima sin zona horaria
+        const vence = cuerpo.due_date
+            ? new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(cuerpo.due_date) ? cuerpo.due_date : `${cuerpo.due_date}-05:00`)
+            : new Date(Date.now() + 48 * 60 * 60 * 1000);
+
+        const cargo = {
+            id: crearId('tr'),
+            authorization: null,
+            operation_type: 'in',
+            transaction_type: 'charge',
+            status: 'in_progress',
+            conciliated: false,
+            creation_date: ahora(),
+            operation_date: ahora(),
+            due_date: vence.toISOString(),
+            description: cuerpo.description || 'Cargo simulado',
+            error_message: null,
+            order_id: cuerpo.order_id || null,
+            customer_id: customerId || null,
+            amount: Number(cuerpo.amount),
+            currency: 'PEN',
+            method: 'store',
+            payment_method: {
+                type: 'store',
+                reference: referencia,
+                barcode_url: `https://sandbox-api.openpay.pe/barcode/${referencia}?width=1&height=45&text=false`
+            },
+            refund: null
+        };
+
+        this.cargos.set(cargo.id, cargo);
+        return this.publicarCargo(cargo);
+    }
+
+    /**
+     * Simular que el cliente pagó la referencia en un agente o por banca por internet
+     * @param {string} id - ID del cargo en efectivo
+     * @returns {Object} - Cargo pagado
+     */
+    pagarEfectivo(id) {
+        const cargo = this.cargos.get(id);
+        if (!cargo || cargo.method !== 'store') {
+            throw new Error(`Cargo en efectivo ${id} no existe en el simulador`);
+        }
+        if (cargo.status !== 'in_progress') {
+            throw new Error(`El cargo ${id} está en estado ${cargo.status}`);
+        }
+
+        cargo.status = 'completed';
+        cargo.operation_date = ahora();
+        cargo.authorization = String(Math.floor(100000 + Math.random() * 900000));
+
+        this.emitirWebhook('charge.succeeded', { transaction: this.publicarCargo(cargo) });
+        return this.publicarCargo(cargo);
+    }
+
+    obtenerCargo(id) {
+        const cargo = this.cargos.get(id);
+        if (!cargo) {
+            throw errorOpenpay(404, 1005, 'The requested charge doesn\'t exist');
+        }
+
+        // Una referencia de pago no pagada a tiempo queda cancelada
+        if (cargo.method === 'store' && cargo.status === 'in_progress' && new Date(cargo.due_date) <= new Date()) {
+            cargo.status = 'cancelled';
+            this.emitirWebhook('charge.cancelled', { transaction: this.publicarCargo(cargo) });
+        }
+
+        // La primera consulta después de la redirección equivale a volver del banco
+        if (cargo.pendiente3ds) {
+            const { falla } = cargo.pendiente3ds;
+            delete cargo.pendiente3ds;
+
+            cargo.status = falla ? 'failed' : 'completed';
+            cargo.authorization = falla ? null : String(Math.floor(100000 + Math.random() * 900000));
+            cargo.error_message = falla ? '3D Secure authentication failed' : null;
+            cargo.error_code = falla ? 3005 : null;
+
+            this.emitirWebhook(falla ? 'charge.failed' : 'charge.succeeded', { transaction: this.publicarCargo(cargo) });
+        }
+
+        return this.publicarCargo(cargo);
+    }
+
+    /**
+     * GET /charges?creation[gte]=&creation[lte]=&offset=&limit= (más recientes primero)
+     */
+    listarCargos(ruta) {
+        const filtros = new URLSearchParams(ruta.split('?')[1] || '');
+        const desde = filtros.get('creation[gte]');
+        const hasta = filtros.get('creation[lte]');
+        const offset = parseInt(filtros.get('offset'), 10) || 0;
+        const limit = parseInt(filtros.get('limit'), 10) || 10;
+
+        return [...this.cargos.values()]
+            .filter(cargo => {
+                const dia = cargo.creation_date.slice(0, 10);
+                return (!desde || dia >= desde) && (!hasta || dia <= hasta);
+            })
+            .sort((a, b) => b.creation_date.localeCompare(a.creation_date))
+            .slice(offset, offset + limit)
+            .map(cargo => this.publicarCargo(cargo));
+    }
+
+    reembolsar(id, cuerpo) {
+        const cargo = this.cargos.get(id);
+        if (!cargo) {
+            throw errorOpenpay(404, 1005, 'The requested charge doesn\'t exist');
+        }
+        if (cargo.status !== 'completed') {
+            throw errorOpenpay(409, 1008, 'The charge cannot be refunded');
+        }
+
+        const monto = cuerpo.amount ? Number(cuerpo.amount) : cargo.amount;
+        const reembolsado = (cargo.refund?.amount || 0) + monto;
+        if (reembolsado > cargo.amount) {
+            throw errorOpenpay(400, 1001, 'The refund amount exceeds the charge amount');
+        }
+
+        cargo.refund = {
+            id: crearId('tr'),
+            amount: reembolsado,
+            status: 'completed',
+            creation_date: ahora(),
+            description: cuerpo.description || 'Reembolso simulado'
+        };
+        if (reembolsado === cargo.amount) {
+            cargo.status = 'refunded';
+        }
+
+        this.emitirWebhook('charge.refunded', { transaction: this.publicarCargo(cargo) });
+        return this.publicarCargo(cargo);
+    }
+
+    publicarCargo(cargo) {
+        const { pendiente3ds, ...publico } = cargo;
+        return publico;
+    }
+
+    // ========================================================================
+    // WEBHOOKS
+    // ========================================================================
+
+    /**
+     * Notificar el evento al receptor propio como lo haría OpenPay (sin bloquear la respuesta)
+     */
+    emitirWebhook(type, datos) {
+        if (!this.webhookUrl) {
+            return;
+        }
+
+        const usuario = process.env.OPENPAY_WEBHOOK_USER;
+        const cuerpo = { type, event_date: ahora(), ...datos };
+
+        setImmediate(() => {
+            axios.post(this.webhookUrl, cuerpo, {
+                timeout: 5000,
+                auth: usuario ? { username: usuario, password: process.env.OPENPAY_WEBHOOK_PASSWORD || '' } : undefined
+            })
+                .then(() => console.log(`[Simulador] ✓ Webhook ${type} entregado`))
+                .catch(error => console.log(`[Simulador] ✗ Webhook ${type} no entregado: ${error.message}`));
+        });
+    }
+}
+
+module.exports = OpenPaySimulador;
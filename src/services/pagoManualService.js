@@ -0,0 +1,161 @@
+const { sequelize } = require('../database/conexionsqualize');
+const { QueryTypes } = require('sequelize');
+const { OpenPayService } = require('./openpayService');
+
+// ============================================================================
+// ADAPTADOR DE PAGOS CON COMPROBANTE (Yape/Plin y transferencias)
+// ============================================================================
+//
+// El cliente paga fuera de la web (QR de Yape/Plin o transferencia a una cuenta
+// de PasarelaCuentaRecaudo) y sube la foto del comprobante. No hay API que cobrar
+// ni consultar: el personal revisa el comprobante y lo aprueba o rechaza desde
+// /admin/api/comprobantes.
+//
+// El adaptador existe para que sesión, transacción, estados y caja se registren
+// con su propio idpasarela (PasarelaPago.codpasarela = 'MAN'). Las operaciones de
+// pasarela responden code='NO_SOPORTADO' y pasarelaService no enruta cobros aquí.
+
+// Estados de PasarelaEstado para la pasarela MAN (mismo vocabulario que OpenPay)
+const ESTADOS_MANUALES = ['in_progress', 'completed', 'declined', 'cancelled', 'refunded'];
+
+class PagoManualService extends OpenPayService {
+    constructor() {
+        super();
+
+        this.codpasarela = 'MAN';
+        this.nompasarela = 'Yape, Plin y transferencias';
+        this.capacidades = {
+            cobros: false,
+            clientes: false,
+            tarjetas: false,
+            suscripciones: false,
+            reembolsosParciales: false,
+            webhooks: false,
+            checkoutPropio: false,
+            efectivo: false,
+            comprobantes: true
+        };
+    }
+
+    // ========================================================================
+    // INICIALIZACIÓN
+    // ========================================================================
+
+    // Sin API no hay axiosInstance: basta con la configuración vigente
+    async ensureInitialized() {
+        if (this.config && Date.now() - this._lastInitTime <= this._configTTL) {
+            return true;
+        }
+
+        if (this._initPromise) {
+            return this._initPromise;
+        }
+
+        this._initPromise = this.initialize()
+            .finally(() => {
+                this._initPromise = null;
+            });
+
+        return this._initPromise;
+    }
+
+    async initialize() {
+        const result = await sequelize.query(
+            `SELECT TOP 1 idpasarela, nompasarela, ambiente, moneda, estado
+             FROM PasarelaPago
+             WHERE codpasarela = :codpasarela AND estado = 'S'`,
+            {
+                replacements: { codpasarela: this.codpasarela },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (result.length === 0) {
+            this.config = null;
+            throw new Error('Pagos con comprobante no configurados o inactivos');
+        }
+
+        this.config = result[0];
+        this._lastInitTime = Date.now();
+        console.log('[PagoManual] Configuración cargada');
+        return true;
+    }
+
+    mapearEstado(estadoext) {
+        return ESTADOS_MANUALES.includes(estadoext) ? estadoext : 'failed';
+    }
+
+    _noSoportado(operacion) {
+        return {
+            success: false,
+            error: `${operacion} no está disponible con pagos por comprobante`,
+            code: 'NO_SOPORTADO'
+        };
+    }
+
+    // ========================================================================
+    // OPERACIONES NO SOPORTADAS
+    // ========================================================================
+
+    async crearCargo() {
+        return this._noSoportado('El cobro con tarjeta');
+    }
+
+    async crearCargoCliente() {
+        return this._noSoportado('El cargo a un cliente guardado');
+    }
+
+    async crearCargoEfectivo() {
+        return this._noSoportado('El pago en efectivo');
+    }
+
+    async obtenerCargo() {
+        return this._noSoportado('La consulta de cargos');
+    }
+
+    async listarCargos() {
+        return this._noSoportado('El listado de cargos');
+    }
+
+    async reembolsarCargo() {
+        return this._noSoportado('El reembolso automático');
+    }
+
+    async crearCliente() {
+        return this._noSoportado('El registro de clientes');
+    }
+
+    async obtenerCliente() {
+        return this._noSoportado('La consulta de clientes');
+    }
+
+    async asociarTarjeta() {
+        return this._noSoportado('Guardar tarjetas');
+    }
+
+    async eliminarTarjeta() {
+        return this._noSoportado('Eliminar tarjetas');
+    }
+
+    async crearSuscripcion() {
+        return this._noSoportado('La suscripción');
+    }
+
+    async obtenerSuscripcion() {
+        return this._noSoportado('La consulta de suscripciones');
+    }
+
+    async actualizarSuscripcion() {
+        return this._noSoportado('La actualización de suscripciones');
+    }
+
+    async cancelarSuscripcion() {
+        return this._noSoportado('La cancelación de suscripciones');
+    }
+
+    async obtenerPlan() {
+        return this._noSoportado('La consulta de planes');
+    }
+}
+
+module.exports = new PagoManualService();
@@ -0,0 +1,217 @@
+const { sequelize } = require('../database/conexionsqualize');
+const { QueryTypes } = require('sequelize');
+const openpayService = require('./openpayService');
+const niubizService = require('./niubizService');
+const pagoManualService = require('./pagoManualService');
+
+// ============================================================================
+// SELECCIÓN DE PASARELA Y RESPALDO
+// ============================================================================
+//
+// Cada pasarela de PasarelaPago con adaptador se atiende con la misma interfaz:
+//
+//   codpasarela, nompasarela, capacidades { cobros, clientes, tarjetas, suscripciones,
+//   reembolsosParciales, webhooks, checkoutPropio, efectivo, comprobantes }, config.idpasarela
+//
+//   ensureInitialized()
+//   crearCliente(datos, audit)                → { success, cliente, idapilog, error, code }
+//   asociarTarjeta(idcliext, token, device, audit) / eliminarTarjeta(idcliext, idtarjext, audit)
+//   crearCargo(datos, audit)                  → { success, cargo, requires_3d_secure, redirect_url, idapilog }
+//   crearCargoCliente(idcliext, datos, audit)
+//   crearCargoEfectivo(idcliext, datos, audit) → { success, cargo, referencia { codigo, urlbarcode, feclimite } }
+//   obtenerCargo(idtransext)                  → { success, cargo }
+//   reembolsarCargo(idtransext, datos, audit) → { success, reembolso, cargo }
+//   crearSuscripcion / obtenerSuscripcion / actualizarSuscripcion / cancelarSuscripcion
+//   mapearEstado(estadoext)                   → estado común ('completed', 'declined', 'refunded'...)
+//   actualizarEstadoTransaccion, obtenerOCrearCajaVirtual, actualizarCajaVirtual
+//   getEstadoCircuitos()                      → { pagosDisponibles, circuitos }
+//
+// El cargo de todas las pasarelas tiene la forma del de OpenPay (id, status, authorization,
+// amount, order_id, card { card_number, brand }). Lo que una pasarela no soporta responde
+// code='NO_SOPORTADO'.
+//
+// Orden de uso: pasarela pedida por el checkout → pasarela del plan (PasarelaPlan.idpasarela)
+// → la activa con menor PasarelaPago.prioridad. Si el cargo falla con un error marcado
+// permiterespaldo='S' en PasarelaHomologacionError, se ofrece la siguiente con permiterespaldo='S'.
+//
+// MAN (Yape/Plin y transferencias) no cobra: solo atiende la operación COMPROBANTE y el
+// personal aprueba cada pago.
+
+const ADAPTADORES = {
+    OPP: openpayService,
+    NIU: niubizService,
+    MAN: pagoManualService
+};
+
+// Operación del checkout → capacidad que debe tener la pasarela
+const CAPACIDAD_OPERACION = {
+    COBRO: 'cobros',
+    SUSCRIPCION: 'suscripciones',
+    TARJETA: 'tarjetas',
+    EFECTIVO: 'efectivo',
+    COMPROBANTE: 'comprobantes'
+};
+
+/**
+ * Pasarelas activas de PasarelaPago que tienen adaptador, por prioridad
+ * @returns {Array} - [{ idpasarela, codpasarela, nompasarela, prioridad, permiterespaldo }]
+ */
+async function listarPasarelasActivas() {
+    const pasarelas = await sequelize.query(
+        `SELECT idpasarela, codpasarela, nompasarela, prioridad, permiterespaldo
+         FROM PasarelaPago
+         WHERE estado = 'S'
+         ORDER BY ISNULL(prioridad, 99), idpasarela`,
+        { type: QueryTypes.SELECT }
+    );
+
+    return pasarelas.filter(p => {
+        if (!ADAPTADORES[p.codpasarela]) {
+            console.log(`[Pasarelas] ${p.codpasarela} activa en PasarelaPago pero sin adaptador, se omite`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function admiteOperacion(adaptador, operacion) {
+    const capacidad = CAPACIDAD_OPERACION[operacion];
+    return !capacidad || adaptador.capacidades[capacidad];
+}
+
+/**
+ * Adaptador por código de PasarelaPago ('OPP', 'NIU')
+ */
+function obtenerAdaptador(codpasarela) {
+    return ADAPTADORES[codpasarela] || null;
+}
+
+/**
+ * Adaptador de la pasarela con la que se hizo una operación existente
+ * (PasarelaTransaccion.idpasarela, PasarelaSesion.idpasarela). Sin idpasarela se asume OpenPay
+ */
+async function adaptadorPorId(idpasarela) {
+    if (!idpasarela) {
+        return openpayService;
+    }
+
+    const pasarelas = await sequelize.query(
+        `SELECT codpasarela FROM PasarelaPago WHERE idpasarela = :idpasarela`,
+        {
+            replacements: { idpasarela },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const adaptador = obtenerAdaptador(pasarelas[0]?.codpasarela);
+    if (!adaptador) {
+        throw new Error(`La pasarela ${idpasarela} no tiene adaptador`);
+    }
+    return adaptador;
+}
+
+/**
+ * Elegir la pasarela de un checkout
+ * @param {Object} criterio - { codpasarela (pedida por el checkout), idplanpas, operacion: 'COBRO' | 'SUSCRIPCION' | 'TARJETA' | 'EFECTIVO' | 'COMPROBANTE' }
+ * @returns {Object} - { success, adaptador, error }
+ */
+async function seleccionarPasarela(criterio = {}) {
+    const { codpasarela, idplanpas, operacion = 'COBRO' } = criterio;
+
+    try {
+        const activas = await listarPasarelasActivas();
+        const candidatas = activas.filter(p => admiteOperacion(ADAPTADORES[p.codpasarela], operacion));
+
+        let elegida = null;
+
+        if (codpasarela) {
+            elegida = candidatas.find(p => p.codpasarela === codpasarela);
+            if (!elegida) {
+                return { success: false, error: `La pasarela ${codpasarela} no está disponible para este pago` };
+            }
+        }
+
+        if (!elegida && idplanpas) {
+            const planes = await sequelize.query(
+                `SELECT idpasarela FROM PasarelaPlan WHERE idplanpas = :idplanpas`,
+                {
+                    replacements: { idplanpas },
+                    type: QueryTypes.SELECT
+                }
+            );
+            elegida = candidatas.find(p => p.idpasarela === planes[0]?.idpasarela) || null;
+
+            if (!elegida && operacion === 'SUSCRIPCION') {
+                return { success: false, error: 'La pasarela del plan no está disponible para suscripciones' };
+            }
+        }
+
+        elegida = elegida || candidatas[0];
+
+        if (!elegida) {
+            return { success: false, error: 'No hay pasarelas de pago activas' };
+        }
+
+        console.log(`[Pasarelas] ${operacion} → ${elegida.codpasarela}`);
+        return { success: true, adaptador: ADAPTADORES[elegida.codpasarela] };
+
+    } catch (error) {
+        console.log(`[Pasarelas] ✗ ERROR al seleccionar pasarela: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Siguiente pasarela para reintentar un cobro que la actual rechazó o no pudo atender
+ * Solo pasarelas con permiterespaldo='S' y con pagos disponibles (circuito cerrado)
+ *
+ * @param {string} codpasarela - Pasarela que falló
+ * @param {string} operacion - 'COBRO' | 'SUSCRIPCION'
+ * @returns {Object|null} - Adaptador o null si no hay respaldo
+ */
+async function pasarelaRespaldo(codpasarela, operacion = 'COBRO') {
+    try {
+        const activas = await listarPasarelasActivas();
+        const respaldo = activas.find(p =>
+            p.codpasarela !== codpasarela
+            && p.permiterespaldo === 'S'
+            && admiteOperacion(ADAPTADORES[p.codpasarela], operacion)
+            && ADAPTADORES[p.codpasarela].getEstadoCircuitos().pagosDisponibles
+        );
+
+        return respaldo ? ADAPTADORES[respaldo.codpasarela] : null;
+
+    } catch (error) {
+        console.log(`[Pasarelas] ✗ ERROR al buscar respaldo: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Estado de los circuitos de las pasarelas que cobran
+ * Hay pagos disponibles mientras al menos una pasarela pueda cobrar
+ * @returns {Object} - { pagosDisponibles, pasarelas: [{ codpasarela, pagosDisponibles, circuitos }] }
+ */
+function getEstadoCircuitos() {
+    const pasarelas = Object.values(ADAPTADORES)
+        .filter(adaptador => adaptador.config && adaptador.capacidades.cobros)
+        .map(adaptador => ({
+            codpasarela: adaptador.codpasarela,
+            ...adaptador.getEstadoCircuitos()
+        }));
+
+    return {
+        pagosDisponibles: pasarelas.length === 0 || pasarelas.some(p => p.pagosDisponibles),
+        pasarelas
+    };
+}
+
+module.exports = {
+    ADAPTADORES,
+    listarPasarelasActivas,
+    obtenerAdaptador,
+    adaptadorPorId,
+    seleccionarPasarela,
+    pasarelaRespaldo,
+    getEstadoCircuitos
+};
@@ -0,0 +1,58 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { sequelize } = require('../src/database/conexionsqualize');
+const controllersql = require('../src/controllers/controllersql');
+
+// Respuesta real del dialecto mssql de Sequelize a un INSERT ... OUTPUT con
+// QueryTypes.INSERT: [filas de OUTPUT, rowCount]
+const queryOriginal = sequelize.query;
+
+afterEach(() => {
+    sequelize.query = queryOriginal;
+});
+
+test('crearVentaVirtual graba la Venta y su VentaPagos con el idven devuelto por OUTPUT', async () => {
+    const consultas = [];
+    sequelize.query = async (sql, opciones) => {
+        consultas.push({ sql, opciones });
+        if (/INSERT INTO Venta \(/.test(sql)) {
+            return [[{ idven: 321 }], 1];
+        }
+        return [[], 1];
+    };
+
+    const resultado = await controllersql.crearVentaVirtual({
+        dniusu: '12345678',
+        idcaja: 7,
+        idtranspas: 55,
+        subtotal: 120,
+        descuento: 0,
+        total: 120,
+        idusuven: 1
+    });
+
+    assert.deepStrictEqual(resultado, { success: true, idven: 321 });
+
+    const venta = consultas.find(c => /INSERT INTO Venta \(/.test(c.sql));
+    const pago = consultas.find(c => /INSERT INTO VentaPagos/.test(c.sql));
+
+    assert.ok(venta, 'no se insertó la Venta');
+    assert.strictEqual(venta.opciones.replacements.idtranspas, 55);
+    assert.ok(pago, 'no se insertó VentaPagos');
+    assert.strictEqual(pago.opciones.replacements.idven, 321);
+    assert.strictEqual(pago.opciones.replacements.total, 120);
+});
+
+test('crearVentaVirtual falla sin tocar VentaPagos si la BD no devuelve el idven', async () => {
+    const consultas = [];
+    sequelize.query = async (sql) => {
+        consultas.push(sql);
+        return [[], 0];
+    };
+
+    const resultado = await controllersql.crearVentaVirtual({ dniusu: '12345678', idcaja: 7, idtranspas: 55, total: 120 });
+
+    assert.strictEqual(resultado.success, false);
+    assert.ok(!consultas.some(sql => /INSERT INTO VentaPagos/.test(sql)));
+});